@@ -1,3 +1,4 @@
+import multer from "multer";
 import { supabaseAdmin } from "../config/supabase.js";
 import {
   successResponse,
@@ -15,6 +16,30 @@ import {
   verifyOTP as verifyOTPHash,
   getOTPExpiry,
 } from "../utils/otp.js";
+import {
+  allocateTicketNumber,
+  parseTicketNumber,
+} from "../utils/ticketNumber.js";
+import { logTicketEvent, TICKET_EVENT_TYPES } from "../utils/ticketEvents.js";
+import { runSlaSweep, SLA_CLOSED_STATUSES } from "../utils/ticketSla.js";
+import { runPaymentReminderSweep } from "../utils/paymentReminders.js";
+import { unlockAuth } from "../utils/authRateLimit.js";
+import {
+  listActiveSessions,
+  revokeSessions,
+  disconnectSessionSockets,
+} from "../utils/sessions.js";
+import { isKnownRole } from "../utils/permissions.js";
+import { logAdminAction, redactUserAuditEntries } from "../utils/adminAudit.js";
+import { isUserDeactivated, signOutUserEverywhere } from "../utils/userStatus.js";
+import {
+  IMPORT_MAX_ROWS,
+  IMPORT_ROW_STATUS,
+  parseImportFile,
+  validateImportRows,
+  summarizeImport,
+  buildImportReport,
+} from "../utils/userImport.js";
 
 /**
  * Get all pending users for admin approval
@@ -89,6 +114,7 @@ export const getApprovedUsers = async (req, res) => {
         "id, email, name, role, phone, department, profile_picture, created_at, approved_at"
       )
       .eq("approval_status", "approved")
+      .is("deactivated_at", null)
       .order("approved_at", { ascending: false });
 
     if (error) {
@@ -183,17 +209,18 @@ export const approveUser = async (req, res) => {
     }
 
     // Log admin action
-    await supabaseAdmin.from("admin_actions").insert([
-      {
-        admin_id: adminId,
-        action_type: "approve_user",
-        target_user_id: userId,
-        details: {
-          user_email: user.email,
-          user_name: user.name,
-        },
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: "approve_user",
+      targetUserId: userId,
+      before: { approval_status: user.approval_status },
+      after: { approval_status: updatedUser.approval_status },
+      details: {
+        user_email: user.email,
+        user_name: user.name,
       },
-    ]);
+    });
 
     // Send approval email notification
     await sendApprovalEmail(user.email, user.name, "approved");
@@ -274,18 +301,19 @@ export const rejectUser = async (req, res) => {
     }
 
     // Log admin action
-    await supabaseAdmin.from("admin_actions").insert([
-      {
-        admin_id: adminId,
-        action_type: "reject_user",
-        target_user_id: userId,
-        details: {
-          user_email: user.email,
-          user_name: user.name,
-          reason: reason || "No reason provided",
-        },
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: "reject_user",
+      targetUserId: userId,
+      before: { approval_status: user.approval_status },
+      after: { approval_status: updatedUser.approval_status },
+      details: {
+        user_email: user.email,
+        user_name: user.name,
+        reason: reason || "No reason provided",
       },
-    ]);
+    });
 
     // Send rejection email notification
     await sendApprovalEmail(user.email, user.name, "rejected");
@@ -383,6 +411,7 @@ export const getAllUsers = async (req, res) => {
       )
       .eq("approval_status", "approved")
       .eq("is_verified", true)
+      .is("deactivated_at", null)
       .order("created_at", { ascending: false });
 
     if (error) {
@@ -434,6 +463,248 @@ export const getAllUsers = async (req, res) => {
   }
 };
 
+const USER_DIRECTORY_SORT_FIELDS = ["name", "email", "role", "created_at", "last_active_at"];
+const USER_DIRECTORY_NULLABLE_SORT_FIELDS = ["name", "role", "last_active_at"];
+const USER_DIRECTORY_DEFAULT_LIMIT = 50;
+const USER_DIRECTORY_MAX_LIMIT = 100;
+
+const parseListParam = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  const values = Array.isArray(value) ? value : String(value).split(",");
+  return values.map((v) => String(v).trim()).filter(Boolean);
+};
+
+/**
+ * Opaque keyset cursor: base64url({ v: sort value, id })
+ */
+const encodeDirectoryCursor = (user, sortField) =>
+  Buffer.from(JSON.stringify({ v: user[sortField] ?? null, id: user.id })).toString("base64url");
+
+const decodeDirectoryCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return decoded && decoded.id !== undefined ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Per-user counts for a page of the directory (get_user_directory_stats)
+ * @returns {Promise<Map>} userId -> { openTickets, totalTickets, lastMessageAt }
+ */
+const getUserDirectoryStats = async (userIds) => {
+  const stats = new Map(
+    userIds.map((id) => [id, { openTickets: 0, totalTickets: 0, lastMessageAt: null }])
+  );
+  if (userIds.length === 0) return stats;
+
+  const { data, error } = await supabaseAdmin.rpc("get_user_directory_stats", {
+    user_ids: userIds,
+    closed_statuses: SLA_CLOSED_STATUSES,
+  });
+  if (error) throw error;
+
+  (data || []).forEach((row) => {
+    stats.set(row.user_id, {
+      openTickets: Number(row.open_tickets) || 0,
+      totalTickets: Number(row.total_tickets) || 0,
+      lastMessageAt: row.last_message_at || null,
+    });
+  });
+
+  return stats;
+};
+
+/**
+ * User directory with search, filters, sorting and per-user counts
+ * GET /api/admin/users/directory
+ * Query:
+ * - q: search name, email, phone
+ * - role, approvalStatus, department: comma separated
+ * - starred, hasOpenTickets: true | false
+ * - activeFrom, activeTo: ISO dates (users.last_active_at range)
+ * - includeDeactivated: true to list deactivated users too
+ * - sort: name | email | role | created_at | last_active_at, order: asc | desc
+ * - limit, cursor: keyset pagination
+ */
+export const getUserDirectory = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const {
+      q,
+      role,
+      approvalStatus,
+      department,
+      starred,
+      hasOpenTickets,
+      activeFrom,
+      activeTo,
+      includeDeactivated,
+      sort = "created_at",
+      order = "desc",
+      limit,
+      cursor,
+    } = req.query;
+
+    if (!USER_DIRECTORY_SORT_FIELDS.includes(sort)) {
+      return validationError(res, {
+        sort: `Invalid sort. Must be one of: ${USER_DIRECTORY_SORT_FIELDS.join(", ")}`,
+      });
+    }
+
+    for (const [key, value] of Object.entries({ activeFrom, activeTo })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return validationError(res, { [key]: "Must be a valid date" });
+      }
+    }
+
+    let decodedCursor = null;
+    if (cursor) {
+      decodedCursor = decodeDirectoryCursor(cursor);
+      if (!decodedCursor) {
+        return validationError(res, { cursor: "Invalid cursor" });
+      }
+    }
+
+    const ascending = String(order).toLowerCase() === "asc";
+    const pageSize = Math.min(
+      Math.max(parseInt(limit) || USER_DIRECTORY_DEFAULT_LIMIT, 1),
+      USER_DIRECTORY_MAX_LIMIT
+    );
+
+    // Starred users for the current admin (filter + isStarred flag)
+    const { data: starredUsers } = await supabaseAdmin
+      .from("starred_users")
+      .select("starred_user_id")
+      .eq("user_id", adminId);
+
+    const starredUserIds = new Set((starredUsers || []).map((s) => s.starred_user_id));
+
+    // Id restrictions (null = no restriction) and exclusions
+    let restrictIds = null;
+    const excludeIds = new Set();
+
+    const restrictTo = (ids) => {
+      const next = new Set(ids);
+      restrictIds = restrictIds === null ? [...next] : restrictIds.filter((id) => next.has(id));
+    };
+
+    if (starred === "true") restrictTo(starredUserIds);
+    if (starred === "false") starredUserIds.forEach((id) => excludeIds.add(id));
+
+    if (restrictIds !== null && restrictIds.length === 0) {
+      return successResponse(
+        res,
+        {
+          users: [],
+          pagination: { total: 0, limit: pageSize, nextCursor: null, hasMore: false },
+        },
+        "No users found"
+      );
+    }
+
+    const roles = parseListParam(role);
+    const approvalStatuses = parseListParam(approvalStatus);
+    const departments = parseListParam(department);
+
+    const applyFilters = (query) => {
+      if (restrictIds !== null) query = query.in("id", restrictIds);
+      if (excludeIds.size > 0) query = query.not("id", "in", `(${[...excludeIds].join(",")})`);
+      // has_open_tickets is a computed column (EXISTS subquery, see add-user-directory-functions.sql)
+      if (hasOpenTickets === "true" || hasOpenTickets === "false") {
+        query = query.eq("has_open_tickets", hasOpenTickets === "true");
+      }
+      if (roles.length > 0) query = query.in("role", roles);
+      if (approvalStatuses.length > 0) query = query.in("approval_status", approvalStatuses);
+      if (departments.length > 0) query = query.in("department", departments);
+      if (includeDeactivated !== "true") query = query.is("deactivated_at", null);
+      if (activeFrom) query = query.gte("last_active_at", new Date(activeFrom).toISOString());
+      if (activeTo) query = query.lte("last_active_at", new Date(activeTo).toISOString());
+
+      if (q && String(q).trim()) {
+        // Strip characters that would break the PostgREST or() syntax
+        const term = String(q).trim().replace(/[,()*%\\]/g, " ");
+        query = query.or(`name.ilike.%${term}%,email.ilike.%${term}%,phone.ilike.%${term}%`);
+      }
+
+      return query;
+    };
+
+    const { count: total, error: countError } = await applyFilters(
+      supabaseAdmin.from("users").select("id", { count: "exact", head: true })
+    );
+    if (countError) throw countError;
+
+    let pageQuery = applyFilters(
+      supabaseAdmin
+        .from("users")
+        .select(
+          "id, email, name, role, phone, department, profile_picture, approval_status, is_verified, created_at, last_active_at, deactivated_at"
+        )
+    );
+
+    // Keyset on sort field + id; NULLs sort last
+    if (decodedCursor) {
+      const op = ascending ? "gt" : "lt";
+      const id = JSON.stringify(decodedCursor.id);
+
+      if (decodedCursor.v === null) {
+        pageQuery = pageQuery.is(sort, null).filter("id", op, decodedCursor.id);
+      } else {
+        const value = JSON.stringify(decodedCursor.v);
+        const nullTail = USER_DIRECTORY_NULLABLE_SORT_FIELDS.includes(sort) ? `,${sort}.is.null` : "";
+        pageQuery = pageQuery.or(
+          `${sort}.${op}.${value},and(${sort}.eq.${value},id.${op}.${id})${nullTail}`
+        );
+      }
+    }
+
+    const { data: rows, error } = await pageQuery
+      .order(sort, { ascending, nullsFirst: false })
+      .order("id", { ascending })
+      .limit(pageSize + 1);
+
+    if (error) throw error;
+
+    const hasMore = rows.length > pageSize;
+    const pageRows = hasMore ? rows.slice(0, pageSize) : rows;
+    const stats = await getUserDirectoryStats(pageRows.map((u) => u.id));
+
+    return successResponse(
+      res,
+      {
+        users: pageRows.map((user) => ({
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+          phone: user.phone,
+          department: user.department,
+          profilePicture: user.profile_picture,
+          approvalStatus: user.approval_status,
+          isVerified: user.is_verified,
+          createdAt: user.created_at,
+          lastActiveAt: user.last_active_at,
+          deactivatedAt: user.deactivated_at,
+          isStarred: starredUserIds.has(user.id),
+          stats: stats.get(user.id),
+        })),
+        pagination: {
+          total: total ?? pageRows.length,
+          limit: pageSize,
+          nextCursor: hasMore ? encodeDirectoryCursor(pageRows[pageRows.length - 1], sort) : null,
+          hasMore,
+        },
+      },
+      pageRows.length ? "Users fetched successfully" : "No users found"
+    );
+  } catch (error) {
+    console.error("Get user directory error:", error);
+    return errorResponse(res, "Failed to fetch user directory", 500);
+  }
+};
+
 /**
  * Get tickets for a specific user
  * GET /api/admin/users/:userId/tickets
@@ -590,6 +861,15 @@ export const updateUserEmail = async (req, res) => {
       // Continue anyway as the database is updated
     }
 
+    // Log admin action
+    await logAdminAction({
+      req,
+      actionType: "update_user_email",
+      targetUserId: userId,
+      before: { email: currentUser.email, is_verified: currentUser.is_verified },
+      after: { email: updatedUser.email, is_verified: updatedUser.is_verified },
+    });
+
     console.log(
       `✅ Admin updated user ${userId} email from ${currentUser.email} to ${email}`
     );
@@ -827,6 +1107,19 @@ export const addUser = async (req, res) => {
       return errorResponse(res, "Failed to create final user record", 500);
     }
 
+    // Log admin action
+    await logAdminAction({
+      req,
+      actionType: "add_user",
+      targetUserId: finalUser.id,
+      after: {
+        email: finalUser.email,
+        name: finalUser.name,
+        role: finalUser.role,
+        approval_status: finalUser.approval_status,
+      },
+    });
+
     // Send welcome email with temporary password
     const emailService = await import("../utils/emailService.js");
     await emailService.sendWelcomeEmail(email, name, role, tempPassword);
@@ -852,19 +1145,23 @@ export const addUser = async (req, res) => {
 };
 
 /**
- * Delete a user (employees, freelancers, clients)
+ * Deactivate a user (employees, freelancers, clients)
  * DELETE /api/admin/users/:userId
+ * - Soft delete: the user can't log in and is hidden from pickers, but their
+ *   messages, ticket memberships and history are kept
+ * - Undo with POST /api/admin/users/:userId/restore
  */
 export const deleteUser = async (req, res) => {
   try {
     const { userId } = req.params;
+    const { reason } = req.body || {};
     const adminId = req.user?.id || req.user?.userId;
 
     if (!userId) {
       return validationError(res, { userId: "User ID is required" });
     }
 
-    // Get user details before deletion
+    // Get user details before deactivation
     const { data: user, error: fetchError } = await supabaseAdmin
       .from("users")
       .select("*")
@@ -875,12 +1172,12 @@ export const deleteUser = async (req, res) => {
       return errorResponse(res, "User not found", 404);
     }
 
-    // Prevent deletion of admin users
+    // Prevent deactivation of admin users
     if (user.role === "admin") {
       return errorResponse(res, "Cannot delete admin users", 403);
     }
 
-    // Only allow deletion of employees, freelancers, and clients
+    // Only allow deactivation of employees, freelancers, and clients
     const deletableRoles = ["employee", "freelancer", "client", "staff"];
     if (!deletableRoles.includes(user.role.toLowerCase())) {
       return errorResponse(
@@ -890,147 +1187,338 @@ export const deleteUser = async (req, res) => {
       );
     }
 
-    console.log(`🗑️ Admin ${adminId} deleting user:`, {
+    if (isUserDeactivated(user)) {
+      return errorResponse(res, "User is already deactivated", 400);
+    }
+
+    console.log(`🗑️ Admin ${adminId} deactivating user:`, {
       userId,
       userName: user.name,
       userEmail: user.email,
       userRole: user.role,
     });
 
-    // Get count of tickets where user is assigned
-    const { count: assignedTicketsCount } = await supabaseAdmin
-      .from("tickets")
-      .select("id", { count: "exact", head: true })
-      .eq("assigned_to", userId);
+    const deactivatedAt = new Date().toISOString();
 
-    // Remove user from all ticket assignments
-    const { error: ticketUpdateError } = await supabaseAdmin
+    const { error: updateError } = await supabaseAdmin
+      .from("users")
+      .update({
+        deactivated_at: deactivatedAt,
+        deactivated_by: adminId,
+        deactivation_reason: reason || null,
+        password_setup_token: null,
+        password_setup_token_expiry: null,
+      })
+      .eq("id", userId);
+
+    if (updateError) {
+      console.error("Error deactivating user:", updateError);
+      return errorResponse(res, "Failed to delete user", 500);
+    }
+
+    // Unassign open work so it doesn't sit with someone who can't log in
+    // (ticket memberships and messages stay for history)
+    const { data: unassignedTickets, error: ticketUpdateError } = await supabaseAdmin
       .from("tickets")
       .update({
         assigned_to: null,
-        updated_at: new Date().toISOString(),
+        updated_at: deactivatedAt,
       })
-      .eq("assigned_to", userId);
+      .eq("assigned_to", userId)
+      .select("id");
 
     if (ticketUpdateError) {
       console.error("Error removing user from tickets:", ticketUpdateError);
-      // Continue with deletion even if ticket update fails
-    } else if (assignedTicketsCount > 0) {
+      // Continue - the user is already deactivated
+    } else if (unassignedTickets?.length > 0) {
       console.log(
-        `✅ Removed user from ${assignedTicketsCount} ticket assignment(s)`
+        `✅ Removed user from ${unassignedTickets.length} ticket assignment(s)`
       );
     }
 
-    // Get count of tickets where user is a member
-    const { count: memberTicketsCount } = await supabaseAdmin
-      .from("ticket_members")
-      .select("id", { count: "exact", head: true })
-      .eq("user_id", userId);
+    const revoked = await signOutUserEverywhere(req.app.get("io"), userId, {
+      revokedBy: adminId,
+      reason: "user_deactivated",
+    });
 
-    // Remove user from ALL ticket memberships
-    const { error: memberRemoveError } = await supabaseAdmin
-      .from("ticket_members")
-      .delete()
-      .eq("user_id", userId);
+    // Log admin action
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: "deactivate_user",
+      targetUserId: userId,
+      before: { deactivated_at: null },
+      after: { deactivated_at: deactivatedAt },
+      details: {
+        user_email: user.email,
+        user_name: user.name,
+        user_role: user.role,
+        reason: reason || null,
+        unassigned_ticket_ids: (unassignedTickets || []).map((t) => t.id),
+        sessions_revoked: revoked.length,
+      },
+    });
 
-    if (memberRemoveError) {
-      console.error(
-        "Error removing user from ticket members:",
-        memberRemoveError
-      );
-      // Continue with deletion even if member removal fails
-    } else if (memberTicketsCount > 0) {
-      console.log(
-        `✅ Removed user from ${memberTicketsCount} ticket membership(s)`
-      );
-    }
+    console.log(`✅ User deactivated successfully:`, {
+      userId,
+      userName: user.name,
+      userEmail: user.email,
+      userRole: user.role,
+    });
 
-    // NOTE: Do NOT delete user's ticket messages - they should remain for history
-    // Messages are only deleted when the ticket itself is deleted
-    // User's messages will still show their name/email for historical record
+    return successResponse(
+      res,
+      {
+        deletedUserId: userId,
+        userName: user.name,
+        userEmail: user.email,
+        userRole: user.role,
+        deactivatedAt,
+        unassignedTickets: unassignedTickets?.length || 0,
+        restorable: true,
+      },
+      `${
+        user.role.charAt(0).toUpperCase() + user.role.slice(1)
+      } deactivated successfully`,
+      200
+    );
+  } catch (error) {
+    console.error("Delete user error:", error);
+    return errorResponse(res, "Failed to delete user", 500);
+  }
+};
 
-    // NOTE: Do NOT delete user's chat messages - they should remain for history
-    // await supabaseAdmin.from("chat_messages").delete().eq("sender_id", userId);
+/**
+ * Get deactivated users (for restore)
+ * GET /api/admin/deactivated-users
+ */
+export const getDeactivatedUsers = async (req, res) => {
+  try {
+    const { data: users, error } = await supabaseAdmin
+      .from("users")
+      .select(
+        "id, email, name, role, department, profile_picture, deactivated_at, deactivated_by, deactivation_reason, anonymized_at"
+      )
+      .not("deactivated_at", "is", null)
+      .order("deactivated_at", { ascending: false });
 
-    // Remove user from chat groups (but keep their messages)
-    await supabaseAdmin
-      .from("chat_group_members")
-      .delete()
-      .eq("user_id", userId);
+    if (error) {
+      console.error("Error fetching deactivated users:", error);
+      return errorResponse(res, "Failed to fetch deactivated users", 500);
+    }
 
-    // Delete user's notifications
-    await supabaseAdmin.from("notifications").delete().eq("user_id", userId);
+    return successResponse(
+      res,
+      {
+        users: users.map((user) => ({
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+          department: user.department,
+          profilePicture: user.profile_picture,
+          deactivatedAt: user.deactivated_at,
+          deactivatedBy: user.deactivated_by,
+          deactivationReason: user.deactivation_reason,
+          anonymized: !!user.anonymized_at,
+          restorable: !user.anonymized_at,
+        })),
+        count: users.length,
+      },
+      "Deactivated users fetched successfully"
+    );
+  } catch (error) {
+    console.error("Get deactivated users error:", error);
+    return errorResponse(res, "Failed to fetch deactivated users", 500);
+  }
+};
 
-    // Delete user's OTP verifications
-    await supabaseAdmin
-      .from("otp_verifications")
-      .delete()
-      .eq("user_id", userId);
+/**
+ * Restore a deactivated user
+ * POST /api/admin/users/:userId/restore
+ */
+export const restoreUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const adminId = req.user.id;
 
-    // Remove user from starred users
-    await supabaseAdmin
-      .from("starred_users")
-      .delete()
-      .or(`user_id.eq.${userId},starred_user_id.eq.${userId}`);
+    const { data: user } = await supabaseAdmin
+      .from("users")
+      .select("id, email, name, role, deactivated_at, anonymized_at")
+      .eq("id", userId)
+      .maybeSingle();
 
-    // Delete from Supabase Auth (if user exists in auth)
-    const { error: authDeleteError } =
-      await supabaseAdmin.auth.admin.deleteUser(userId);
+    if (!user) {
+      return errorResponse(res, "User not found", 404);
+    }
 
-    if (authDeleteError) {
-      console.error("Error deleting user from auth:", authDeleteError);
-      // Continue with database deletion even if auth deletion fails
-      // User might not exist in auth if added directly by admin
+    if (user.anonymized_at) {
+      return errorResponse(res, "Anonymized users cannot be restored", 409);
     }
 
-    // Delete from users table (this should cascade delete related records)
-    const { error: deleteError } = await supabaseAdmin
+    if (!user.deactivated_at) {
+      return errorResponse(res, "User is not deactivated", 400);
+    }
+
+    const { error } = await supabaseAdmin
       .from("users")
-      .delete()
+      .update({
+        deactivated_at: null,
+        deactivated_by: null,
+        deactivation_reason: null,
+      })
       .eq("id", userId);
 
-    if (deleteError) {
-      console.error("Error deleting user from database:", deleteError);
-      return errorResponse(res, "Failed to delete user from database", 500);
+    if (error) {
+      console.error("Error restoring user:", error);
+      return errorResponse(res, "Failed to restore user", 500);
     }
 
     // Log admin action
-    await supabaseAdmin.from("admin_actions").insert([
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: "restore_user",
+      targetUserId: userId,
+      before: { deactivated_at: user.deactivated_at },
+      after: { deactivated_at: null },
+      details: { user_email: user.email, user_name: user.name },
+    });
+
+    console.log(`♻️ Admin ${adminId} restored user ${userId}`);
+
+    return successResponse(
+      res,
       {
-        admin_id: adminId,
-        action_type: "delete_user",
-        target_user_id: userId,
-        details: {
-          user_email: user.email,
-          user_name: user.name,
-          user_role: user.role,
-        },
+        user: { id: user.id, email: user.email, name: user.name, role: user.role },
       },
-    ]);
+      "User restored successfully"
+    );
+  } catch (error) {
+    console.error("Restore user error:", error);
+    return errorResponse(res, "Failed to restore user", 500);
+  }
+};
 
-    console.log(`✅ User deleted successfully:`, {
-      userId,
-      userName: user.name,
-      userEmail: user.email,
-      userRole: user.role,
+/**
+ * Anonymize a user (data-erasure requests) - IRREVERSIBLE
+ * POST /api/admin/users/:userId/anonymize
+ * Body: { confirm: true }
+ * - Personal data on the users row is overwritten and the auth account removed
+ * - Messages and ticket history stay, attributed to "Deleted User"
+ * - Notifications, sessions, OTPs and stars are deleted
+ * - Personal fields in audit entries about the user are redacted, and rate-limit
+ *   counters for every email the user had (and their user id) are cleared
+ */
+export const anonymizeUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { confirm, reason } = req.body || {};
+    const adminId = req.user.id;
+
+    if (confirm !== true) {
+      return validationError(res, {
+        confirm: "Anonymization is irreversible. Send { confirm: true } to proceed.",
+      });
+    }
+
+    const { data: user } = await supabaseAdmin
+      .from("users")
+      .select("id, email, role, deactivated_at, anonymized_at")
+      .eq("id", userId)
+      .maybeSingle();
+
+    if (!user) {
+      return errorResponse(res, "User not found", 404);
+    }
+
+    if (user.role === "admin") {
+      return errorResponse(res, "Cannot anonymize admin users", 403);
+    }
+
+    if (user.anonymized_at) {
+      return errorResponse(res, "User is already anonymized", 400);
+    }
+
+    const now = new Date().toISOString();
+
+    const { error: updateError } = await supabaseAdmin
+      .from("users")
+      .update({
+        name: "Deleted User",
+        email: `deleted-${userId}@anonymized.invalid`,
+        phone: null,
+        department: null,
+        profile_picture: null,
+        password: null,
+        password_setup_token: null,
+        password_setup_token_expiry: null,
+        two_factor_enabled: false,
+        two_factor_secret: null,
+        two_factor_pending_secret: null,
+        two_factor_backup_codes: [],
+        deactivated_at: user.deactivated_at || now,
+        deactivated_by: adminId,
+        deactivation_reason: "anonymized",
+        anonymized_at: now,
+      })
+      .eq("id", userId);
+
+    if (updateError) {
+      console.error("Error anonymizing user:", updateError);
+      return errorResponse(res, "Failed to anonymize user", 500);
+    }
+
+    await signOutUserEverywhere(req.app.get("io"), userId, {
+      revokedBy: adminId,
+      reason: "user_anonymized",
+    });
+
+    // Drop personal data kept outside the users row
+    await supabaseAdmin.from("user_sessions").delete().eq("user_id", userId);
+    await supabaseAdmin.from("notifications").delete().eq("user_id", userId);
+    await supabaseAdmin
+      .from("starred_users")
+      .delete()
+      .or(`user_id.eq.${userId},starred_user_id.eq.${userId}`);
+    const { emails: pastEmails } = await redactUserAuditEntries(userId);
+    await supabaseAdmin
+      .from("auth_rate_limits")
+      .delete()
+      .eq("scope", "email")
+      .in("identifier", [...new Set([String(user.email).toLowerCase(), ...pastEmails, userId])]);
+    await supabaseAdmin
+      .from("tickets")
+      .update({ assigned_to: null, updated_at: now })
+      .eq("assigned_to", userId);
+
+    const { error: authDeleteError } =
+      await supabaseAdmin.auth.admin.deleteUser(userId);
+
+    if (authDeleteError) {
+      // User might not exist in auth if added directly by admin
+      console.error("Error deleting user from auth:", authDeleteError);
+    }
+
+    // Log admin action (no personal data in the entry)
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: "anonymize_user",
+      targetUserId: userId,
+      details: { user_role: user.role, reason: reason || null },
     });
 
+    console.log(`🧹 Admin ${adminId} anonymized user ${userId}`);
+
     return successResponse(
       res,
-      {
-        deletedUserId: userId,
-        userName: user.name,
-        userEmail: user.email,
-        userRole: user.role,
-      },
-      `${
-        user.role.charAt(0).toUpperCase() + user.role.slice(1)
-      } deleted successfully`,
-      200
+      { userId, anonymizedAt: now },
+      "User anonymized successfully"
     );
   } catch (error) {
-    console.error("Delete user error:", error);
-    return errorResponse(res, "Failed to delete user", 500);
+    console.error("Anonymize user error:", error);
+    return errorResponse(res, "Failed to anonymize user", 500);
   }
 };
 
@@ -1059,12 +1547,12 @@ export const createUserSimple = async (req, res) => {
       return validationError(res, "Invalid email format");
     }
 
-    // Validate role
+    // Validate role (built-in or created under /api/admin/roles)
     const validRoles = ["client", "employee", "staff", "admin", "freelancer"];
-    if (!validRoles.includes(role.toLowerCase())) {
+    if (!validRoles.includes(role.toLowerCase()) && !(await isKnownRole(role.toLowerCase()))) {
       return validationError(
         res,
-        "Invalid role. Must be one of: client, employee, staff, admin, freelancer"
+        "Invalid role. Must be one of: client, employee, staff, admin, freelancer, or a custom role"
       );
     }
 
@@ -1107,6 +1595,19 @@ export const createUserSimple = async (req, res) => {
       return errorResponse(res, "Failed to create user", 500);
     }
 
+    // Log admin action
+    await logAdminAction({
+      req,
+      actionType: "create_user",
+      targetUserId: newUser.id,
+      after: {
+        email: newUser.email,
+        name: newUser.name,
+        role: newUser.role,
+        approval_status: newUser.approval_status,
+      },
+    });
+
     // Send password setup email
     const emailService = await import("../utils/emailService.js");
     await emailService.sendPasswordSetupEmail(
@@ -1143,6 +1644,188 @@ export const createUserSimple = async (req, res) => {
   }
 };
 
+// Uploads for POST /api/admin/users/import (kept in memory, parsed with ExcelJS)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(xlsx|csv)$/i.test(file.originalname || "")) return cb(null, true);
+    cb(new Error("Only .xlsx and .csv files are supported"));
+  },
+});
+
+const receiveImportFile = (req, res, next) =>
+  importUpload.single("file")(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return errorResponse(res, "File too large (max 5MB)", 413);
+    }
+    return errorResponse(res, err.message || "File upload error", 400);
+  });
+
+/**
+ * Bulk import users from an .xlsx or .csv file
+ * POST /api/admin/users/import (multipart, field "file")
+ * Fields:
+ * - mode: "dry-run" (default) validates only, "commit" creates the users
+ * - sendSetupEmail: "true" to email each new user a password setup link
+ * - format: "xlsx" to download the per-row report instead of JSON
+ */
+export const importUsers = [
+  receiveImportFile,
+  async (req, res) => {
+    try {
+      const mode = String(req.body.mode || "dry-run").toLowerCase();
+      const sendSetupEmail = String(req.body.sendSetupEmail) === "true";
+      const format = String(req.body.format || req.query.format || "json").toLowerCase();
+      const dryRun = mode !== "commit";
+
+      if (!["dry-run", "commit"].includes(mode)) {
+        return validationError(res, { mode: 'Mode must be "dry-run" or "commit"' });
+      }
+
+      if (!req.file) {
+        return validationError(res, { file: "An .xlsx or .csv file is required" });
+      }
+
+      let parsed;
+      try {
+        parsed = await parseImportFile(req.file);
+      } catch (parseError) {
+        console.error("Error parsing import file:", parseError);
+        return errorResponse(res, "Could not read the file. Is it a valid .xlsx or .csv?", 400);
+      }
+
+      if (parsed.missingColumns.length > 0) {
+        return validationError(res, {
+          columns: `Missing required column(s): ${parsed.missingColumns.join(", ")}`,
+        });
+      }
+
+      if (parsed.rows.length === 0) {
+        return validationError(res, { file: "The file has no user rows" });
+      }
+
+      if (parsed.rows.length > IMPORT_MAX_ROWS) {
+        return validationError(res, {
+          file: `Too many rows (${parsed.rows.length}). Import at most ${IMPORT_MAX_ROWS} users at a time.`,
+        });
+      }
+
+      const results = await validateImportRows(parsed.rows);
+
+      if (!dryRun) {
+        const crypto = await import("crypto");
+        const emailService = await import("../utils/emailService.js");
+
+        for (const result of results) {
+          if (result.status !== IMPORT_ROW_STATUS.VALID) continue;
+
+          const setupToken = crypto.randomBytes(32).toString("hex");
+          const tokenExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+
+          // Same shape as createUserSimple: approved, password set via the setup link
+          const { data: newUser, error: createError } = await supabaseAdmin
+            .from("users")
+            .insert([
+              {
+                ...result.user,
+                is_verified: false,
+                approval_status: "approved",
+                password_setup_token: setupToken,
+                password_setup_token_expiry: tokenExpiry.toISOString(),
+                created_at: new Date().toISOString(),
+              },
+            ])
+            .select("id")
+            .single();
+
+          if (createError) {
+            console.error(`Error importing row ${result.rowNumber}:`, createError);
+            result.status = IMPORT_ROW_STATUS.ERROR;
+            result.errors.push(
+              createError.code === "23505"
+                ? "A user with this email already exists"
+                : "Failed to create user"
+            );
+            continue;
+          }
+
+          result.status = IMPORT_ROW_STATUS.CREATED;
+          result.userId = newUser.id;
+
+          if (sendSetupEmail) {
+            const emailResult = await emailService.sendPasswordSetupEmail(
+              result.user.email,
+              result.user.name,
+              result.user.role,
+              setupToken
+            );
+            result.emailSent = !!emailResult?.success;
+            if (!result.emailSent) result.errors.push("Password setup email could not be sent");
+          }
+        }
+
+        const created = results.filter((r) => r.status === IMPORT_ROW_STATUS.CREATED);
+
+        // Log admin action
+        await logAdminAction({
+          req,
+          actionType: "import_users",
+          targetType: "user",
+          details: {
+            file_name: req.file.originalname,
+            rows: results.length,
+            created: created.length,
+            failed: results.length - created.length,
+            created_user_ids: created.map((r) => r.userId),
+            setup_emails_sent: sendSetupEmail,
+          },
+        });
+
+        console.log(`✅ Imported ${created.length}/${results.length} users from ${req.file.originalname}`);
+      }
+
+      const summary = summarizeImport(results);
+
+      if (format === "xlsx") {
+        const buffer = await buildImportReport(results, { dryRun });
+        const dateStr = new Date().toISOString().split("T")[0];
+        const filename = `user-import-${dryRun ? "preview" : "results"}-${dateStr}.xlsx`;
+
+        res.setHeader(
+          "Content-Type",
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        );
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+        res.setHeader("Content-Length", buffer.length);
+        res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+
+        return res.end(buffer);
+      }
+
+      return successResponse(
+        res,
+        {
+          dryRun,
+          summary,
+          rows: results.map(({ user: _user, ...row }) => row),
+        },
+        dryRun
+          ? `${summary.valid} of ${summary.total} rows are ready to import`
+          : `${summary.created} of ${summary.total} users imported`,
+        dryRun ? 200 : 201
+      );
+    } catch (error) {
+      console.error("Import users error:", error);
+      return errorResponse(res, "Failed to import users", 500);
+    }
+  },
+];
+
 /**
  * Generate a one-time invite link for a ticket
  * POST /api/admin/create-ticket-invite
@@ -1265,6 +1948,21 @@ export const createTicketInvite = async (req, res) => {
       expiresAt: invite.expires_at,
     });
 
+    // Log admin action
+    await logAdminAction({
+      req,
+      actionType: "create_ticket_invite",
+      targetType: "ticket",
+      targetId: ticketId,
+      details: {
+        invite_id: invite.id,
+        ticket_number: ticket.ticket_number,
+        max_uses: invite.max_uses,
+        expires_at: invite.expires_at,
+        role: invite.role,
+      },
+    });
+
     // Get all configured frontend URLs
     const frontendUrls = process.env.FRONTEND_URL
       ? process.env.FRONTEND_URL.split(",")
@@ -1557,6 +2255,16 @@ export const verifyEmailChangeOTP = async (req, res) => {
       newEmail: updatedUser.email,
     });
 
+    const logEmailChange = (authUpdated) =>
+      logAdminAction({
+        req,
+        actionType: "change_user_email",
+        targetUserId: userId,
+        before: { email: currentUser.email },
+        after: { email: updatedUser.email },
+        details: { verified_by: "otp", auth_updated: authUpdated },
+      });
+
     // Check if user exists in Supabase Auth
     console.log("🔍 Checking if user exists in Supabase Auth...");
     const { data: authUser, error: authCheckError } =
@@ -1576,6 +2284,8 @@ export const verifyEmailChangeOTP = async (req, res) => {
         .delete()
         .eq("user_id", userId);
 
+      await logEmailChange(false);
+
       return successResponse(
         res,
         {
@@ -1645,6 +2355,8 @@ export const verifyEmailChangeOTP = async (req, res) => {
       .delete()
       .eq("user_id", userId);
 
+    await logEmailChange(true);
+
     return successResponse(
       res,
       {
@@ -1664,6 +2376,342 @@ export const verifyEmailChangeOTP = async (req, res) => {
   }
 };
 
+/**
+ * Find groups of tickets sharing the same ticket_number (oldest ticket first)
+ */
+const findDuplicateTicketNumbers = async () => {
+  const pageSize = 1000;
+  const tickets = [];
+
+  // Supabase caps rows per request, so page through all tickets
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabaseAdmin
+      .from("tickets")
+      .select("id, ticket_number, title, created_at")
+      .order("created_at", { ascending: true })
+      .range(from, from + pageSize - 1);
+
+    if (error) throw error;
+    tickets.push(...(data || []));
+    if (!data || data.length < pageSize) break;
+  }
+
+  const groups = new Map();
+  tickets.forEach((ticket) => {
+    const key = ticket.ticket_number;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(ticket);
+  });
+
+  return [...groups.entries()]
+    .filter(([, group]) => group.length > 1)
+    .map(([ticketNumber, group]) => ({ ticketNumber, tickets: group }))
+    .sort(
+      (a, b) =>
+        (parseTicketNumber(a.ticketNumber) || 0) -
+        (parseTicketNumber(b.ticketNumber) || 0)
+    );
+};
+
+/**
+ * Detect duplicate ticket numbers
+ * GET /api/admin/tickets/duplicate-numbers
+ */
+export const getDuplicateTicketNumbers = async (req, res) => {
+  try {
+    const duplicates = await findDuplicateTicketNumbers();
+
+    return successResponse(
+      res,
+      {
+        duplicates,
+        duplicateGroups: duplicates.length,
+        affectedTickets: duplicates.reduce(
+          (sum, group) => sum + group.tickets.length - 1,
+          0
+        ),
+      },
+      duplicates.length > 0
+        ? "Duplicate ticket numbers found"
+        : "No duplicate ticket numbers found"
+    );
+  } catch (error) {
+    console.error("Get duplicate ticket numbers error:", error);
+    return errorResponse(res, "Failed to check ticket numbers", 500);
+  }
+};
+
+/**
+ * Repair duplicate ticket numbers
+ * POST /api/admin/tickets/repair-numbers
+ * - The oldest ticket in each group keeps its number, the rest get fresh ones
+ * - Pass { dryRun: true } to preview the changes
+ */
+export const repairDuplicateTicketNumbers = async (req, res) => {
+  try {
+    const { dryRun = false } = req.body || {};
+    const adminId = req.user.id;
+
+    const duplicates = await findDuplicateTicketNumbers();
+
+    if (duplicates.length === 0) {
+      return successResponse(
+        res,
+        { repaired: [], dryRun },
+        "No duplicate ticket numbers found"
+      );
+    }
+
+    const repaired = [];
+
+    for (const group of duplicates) {
+      // Keep the first (oldest) ticket as-is
+      for (const ticket of group.tickets.slice(1)) {
+        if (dryRun) {
+          repaired.push({
+            ticketId: ticket.id,
+            title: ticket.title,
+            oldNumber: ticket.ticket_number,
+            newNumber: null,
+          });
+          continue;
+        }
+
+        const newNumber = await allocateTicketNumber();
+
+        const { error: updateError } = await supabaseAdmin
+          .from("tickets")
+          .update({ ticket_number: newNumber })
+          .eq("id", ticket.id);
+
+        if (updateError) {
+          console.error("Error renumbering ticket:", ticket.id, updateError);
+          repaired.push({
+            ticketId: ticket.id,
+            title: ticket.title,
+            oldNumber: ticket.ticket_number,
+            newNumber: null,
+            error: updateError.message,
+          });
+          continue;
+        }
+
+        await logTicketEvent({
+          ticketId: ticket.id,
+          actorId: adminId,
+          eventType: TICKET_EVENT_TYPES.NUMBER_CHANGED,
+          oldValue: ticket.ticket_number,
+          newValue: newNumber,
+          metadata: { reason: "duplicate_repair" },
+        });
+
+        repaired.push({
+          ticketId: ticket.id,
+          title: ticket.title,
+          oldNumber: ticket.ticket_number,
+          newNumber,
+        });
+      }
+    }
+
+    if (!dryRun) {
+      // Log admin action
+      await logAdminAction({
+        req,
+        adminId,
+        actionType: "repair_ticket_numbers",
+        details: {
+          duplicate_groups: duplicates.length,
+          renumbered: repaired.filter((r) => r.newNumber).length,
+        },
+      });
+
+      console.log(
+        `✅ Repaired ${repaired.filter((r) => r.newNumber).length} duplicate ticket numbers`
+      );
+    }
+
+    return successResponse(
+      res,
+      { repaired, dryRun },
+      dryRun
+        ? `${repaired.length} tickets would be renumbered`
+        : "Duplicate ticket numbers repaired"
+    );
+  } catch (error) {
+    console.error("Repair duplicate ticket numbers error:", error);
+    return errorResponse(res, "Failed to repair ticket numbers", 500);
+  }
+};
+
+/**
+ * Run the SLA sweep on demand (for cron callers / serverless deployments)
+ * POST /api/admin/sla/sweep
+ */
+export const triggerSlaSweep = async (req, res) => {
+  try {
+    const result = await runSlaSweep();
+
+    return successResponse(res, result, "SLA sweep completed");
+  } catch (error) {
+    console.error("SLA sweep error:", error);
+    return errorResponse(res, "Failed to run SLA sweep", 500);
+  }
+};
+
+/**
+ * Send due payment reminders on demand (for cron callers / serverless deployments)
+ * POST /api/admin/payment-reminders/run
+ */
+export const triggerPaymentReminderSweep = async (req, res) => {
+  try {
+    const result = await runPaymentReminderSweep();
+
+    return successResponse(res, result, "Payment reminder sweep completed");
+  } catch (error) {
+    console.error("Payment reminder sweep error:", error);
+    return errorResponse(res, "Failed to run payment reminder sweep", 500);
+  }
+};
+
+/**
+ * Get active login / OTP lockouts
+ * GET /api/admin/auth-lockouts
+ */
+export const getAuthLockouts = async (req, res) => {
+  try {
+    const { data: lockouts, error } = await supabaseAdmin
+      .from("auth_rate_limits")
+      .select("key, scope, action, identifier, lockout_count, locked_until, updated_at")
+      .gt("locked_until", new Date().toISOString())
+      .order("locked_until", { ascending: false });
+
+    if (error) {
+      console.error("Error fetching auth lockouts:", error);
+      return errorResponse(res, "Failed to fetch lockouts", 500);
+    }
+
+    return successResponse(res, { lockouts: lockouts || [] }, "Lockouts fetched successfully");
+  } catch (error) {
+    console.error("Get auth lockouts error:", error);
+    return errorResponse(res, "Failed to fetch lockouts", 500);
+  }
+};
+
+/**
+ * Clear login / OTP lockouts for a user (by userId or email) and/or an IP
+ * POST /api/admin/auth-lockouts/unlock
+ */
+export const unlockAuthLockout = async (req, res) => {
+  try {
+    const { userId, email, ip } = req.body;
+    const adminId = req.user.id;
+
+    if (!userId && !email && !ip) {
+      return validationError(res, { field: "userId, email or ip is required" });
+    }
+
+    const identifiers = [email];
+
+    if (userId) {
+      const { data: user } = await supabaseAdmin
+        .from("users")
+        .select("id, email")
+        .eq("id", userId)
+        .maybeSingle();
+
+      if (!user) {
+        return errorResponse(res, "User not found", 404);
+      }
+
+      // verify-otp is keyed by user id, the other endpoints by email
+      identifiers.push(user.id, user.email);
+    }
+
+    const cleared = await unlockAuth({ identifiers, ips: [ip] });
+
+    // Log admin action
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: "unlock_auth",
+      targetUserId: userId || null,
+      details: { email: email || null, ip: ip || null, cleared },
+    });
+
+    return successResponse(res, { cleared }, cleared > 0 ? "Lockout cleared" : "No lockouts found");
+  } catch (error) {
+    console.error("Unlock auth lockout error:", error);
+    return errorResponse(res, "Failed to clear lockout", 500);
+  }
+};
+
+/**
+ * Get a user's active sessions (devices)
+ * GET /api/admin/users/:userId/sessions
+ */
+export const getUserSessions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const sessions = await listActiveSessions(userId);
+
+    return successResponse(res, { sessions }, "Sessions fetched successfully");
+  } catch (error) {
+    console.error("Get user sessions error:", error);
+    return errorResponse(res, "Failed to fetch sessions", 500);
+  }
+};
+
+/**
+ * Force logout: revoke all of a user's sessions and drop their sockets
+ * POST /api/admin/users/:userId/force-logout
+ */
+export const forceLogoutUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body || {};
+    const adminId = req.user.id;
+
+    const { data: user } = await supabaseAdmin
+      .from("users")
+      .select("id, email")
+      .eq("id", userId)
+      .maybeSingle();
+
+    if (!user) {
+      return errorResponse(res, "User not found", 404);
+    }
+
+    const revoked = await revokeSessions({
+      userId,
+      revokedBy: adminId,
+      reason: "admin_force_logout",
+    });
+
+    disconnectSessionSockets(req.app.get("io"), revoked);
+
+    // Log admin action
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: "force_logout",
+      targetUserId: userId,
+      details: { email: user.email, sessions_revoked: revoked.length, reason: reason || null },
+    });
+
+    console.log(`🔐 Admin ${adminId} force-logged out user ${userId} (${revoked.length} sessions)`);
+
+    return successResponse(
+      res,
+      { revokedSessionIds: revoked, count: revoked.length },
+      "User logged out from all devices"
+    );
+  } catch (error) {
+    console.error("Force logout error:", error);
+    return errorResponse(res, "Failed to force logout", 500);
+  }
+};
+
 export default {
   getPendingUsers,
   getApprovedUsers,
@@ -1671,15 +2719,28 @@ export default {
   rejectUser,
   getAdminStats,
   getAllUsers,
+  getUserDirectory,
   getUserTickets,
   updateUserEmail,
   sendUserOTP,
   addUser,
   createUserSimple,
+  importUsers,
   createTicketInvite,
   deleteUser,
+  getDeactivatedUsers,
+  restoreUser,
+  anonymizeUser,
   sendEmailChangeOTP,
   verifyEmailChangeOTP,
+  getDuplicateTicketNumbers,
+  repairDuplicateTicketNumbers,
+  triggerSlaSweep,
+  triggerPaymentReminderSweep,
+  getAuthLockouts,
+  unlockAuthLockout,
+  getUserSessions,
+  forceLogoutUser,
 };
 
 /**
@@ -0,0 +1,183 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import {
+  successResponse,
+  errorResponse,
+  validationError,
+} from "../utils/responses.js";
+import { buildAuditCsv } from "../utils/adminAudit.js";
+import { PAGE_SIZE } from "../utils/queryPaging.js";
+
+const AUDIT_LOG_DEFAULT_LIMIT = 50;
+const AUDIT_LOG_MAX_LIMIT = 200;
+const AUDIT_LOG_EXPORT_LIMIT = 10000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Opaque keyset cursor: base64url({ v: created_at, id })
+ */
+const encodeAuditCursor = (entry) =>
+  Buffer.from(JSON.stringify({ v: entry.created_at, id: entry.id })).toString("base64url");
+
+const decodeAuditCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return decoded && decoded.v && decoded.id ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+const parseListParam = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  const values = Array.isArray(value) ? value : String(value).split(",");
+  return values.map((v) => String(v).trim()).filter(Boolean);
+};
+
+/**
+ * Get the admin audit log
+ * GET /api/admin/audit-log
+ * Query:
+ * - adminId, targetUserId, targetType, targetId
+ * - actionType (comma separated)
+ * - from, to: ISO dates (created_at range)
+ * - limit, cursor: keyset pagination, newest first
+ * - format=csv: download every matching entry as CSV (413 when more than
+ *   AUDIT_LOG_EXPORT_LIMIT entries match, narrow the filters instead)
+ */
+export const getAuditLog = async (req, res) => {
+  try {
+    const {
+      adminId,
+      targetUserId,
+      targetType,
+      targetId,
+      actionType,
+      from,
+      to,
+      limit,
+      cursor,
+      format,
+    } = req.query;
+
+    for (const [key, value] of Object.entries({ adminId, targetUserId })) {
+      if (value && !UUID_PATTERN.test(String(value))) {
+        return validationError(res, { [key]: "Must be a valid user ID" });
+      }
+    }
+
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return validationError(res, { [key]: "Must be a valid date" });
+      }
+    }
+
+    let decodedCursor = null;
+    if (cursor) {
+      decodedCursor = decodeAuditCursor(cursor);
+      if (!decodedCursor) {
+        return validationError(res, { cursor: "Invalid cursor" });
+      }
+    }
+
+    const isCsv = String(format).toLowerCase() === "csv";
+    const pageSize = Math.min(
+      Math.max(parseInt(limit) || AUDIT_LOG_DEFAULT_LIMIT, 1),
+      AUDIT_LOG_MAX_LIMIT
+    );
+    const actionTypes = parseListParam(actionType);
+
+    const buildQuery = () => {
+      let query = supabaseAdmin
+        .from("admin_actions")
+        .select("*, admin:admin_id(id, name, email), target:target_user_id(id, name, email)");
+
+      if (adminId) query = query.eq("admin_id", adminId);
+      if (targetUserId) {
+        // target_user_id is cleared when a user is deleted, target_id is kept
+        query = query.or(`target_user_id.eq.${targetUserId},target_id.eq.${targetUserId}`);
+      }
+      if (targetType) query = query.eq("target_type", targetType);
+      if (targetId) query = query.eq("target_id", targetId);
+      if (actionTypes.length > 0) query = query.in("action_type", actionTypes);
+      if (from) query = query.gte("created_at", new Date(from).toISOString());
+      if (to) query = query.lte("created_at", new Date(to).toISOString());
+
+      if (decodedCursor && !isCsv) {
+        const value = JSON.stringify(decodedCursor.v);
+        const id = JSON.stringify(decodedCursor.id);
+        query = query.or(`created_at.lt.${value},and(created_at.eq.${value},id.lt.${id})`);
+      }
+
+      return query
+        .order("created_at", { ascending: false })
+        .order("id", { ascending: false });
+    };
+
+    if (isCsv) {
+      // Supabase returns at most 1000 rows per request - page up to one row
+      // past the export limit to tell whether the export would be cut off
+      const rows = [];
+      for (let offset = 0; offset <= AUDIT_LOG_EXPORT_LIMIT; offset += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(
+          offset,
+          Math.min(offset + PAGE_SIZE - 1, AUDIT_LOG_EXPORT_LIMIT)
+        );
+
+        if (error) {
+          console.error("Error exporting audit log:", error);
+          return errorResponse(res, "Failed to export audit log", 500);
+        }
+
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) break;
+      }
+
+      if (rows.length > AUDIT_LOG_EXPORT_LIMIT) {
+        return errorResponse(
+          res,
+          `More than ${AUDIT_LOG_EXPORT_LIMIT} entries match, narrow the filters (e.g. from / to) to export`,
+          413
+        );
+      }
+
+      const filename = `audit-log-${new Date().toISOString().split("T")[0]}.csv`;
+
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+
+      return res.send(buildAuditCsv(rows));
+    }
+
+    const { data: rows, error } = await buildQuery().limit(pageSize + 1);
+
+    if (error) {
+      console.error("Error fetching audit log:", error);
+      return errorResponse(res, "Failed to fetch audit log", 500);
+    }
+
+    const hasMore = rows.length > pageSize;
+    const entries = hasMore ? rows.slice(0, pageSize) : rows;
+
+    return successResponse(
+      res,
+      {
+        entries,
+        pagination: {
+          limit: pageSize,
+          nextCursor: hasMore ? encodeAuditCursor(entries[entries.length - 1]) : null,
+          hasMore,
+        },
+      },
+      "Audit log fetched successfully"
+    );
+  } catch (error) {
+    console.error("Get audit log error:", error);
+    return errorResponse(res, "Failed to fetch audit log", 500);
+  }
+};
+
+export default {
+  getAuditLog,
+};
@@ -6,22 +6,61 @@ import {
 } from "../utils/responses.js";
 import {
   generateOTP,
+  getOTPLength,
   hashOTP,
   verifyOTP,
   getOTPExpiry,
   isOTPExpired,
 } from "../utils/otp.js";
+import {
+  AUTH_ACTIONS,
+  getClientIp,
+  checkAuthLimit,
+  recordAuthAttempt,
+  clearAuthAttempts,
+  sendRateLimited,
+  recordOTPFailure,
+  invalidatePendingOTPs,
+} from "../utils/authRateLimit.js";
 import { sendOTPEmail, sendEmail } from "../utils/emailService.js";
 import { createUserRequestNotification } from "../utils/notificationHelper.js";
-import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
 import {
-  generateTokenPair,
   verifyRefreshToken,
   checkTokenExpiration,
-  validateStoredRefreshToken,
-  revokeRefreshToken,
 } from "../utils/tokenUtils.js";
+import {
+  createSession,
+  getActiveSession,
+  rotateSessionTokens,
+  revokeSessions,
+  disconnectSessionSockets,
+  listActiveSessions,
+} from "../utils/sessions.js";
+import { createTwoFactorChallenge } from "../utils/twoFactor.js";
+import { logAdminAction } from "../utils/adminAudit.js";
+import { isUserDeactivated, sendAccountDeactivated } from "../utils/userStatus.js";
+import { AVAILABILITY_STATUSES } from "../utils/ticketAssignment.js";
+
+/**
+ * Count a failed attempt and respond - 429 once the attempt triggers a lockout
+ */
+const respondToFailedAttempt = async (res, attempt, message, statusCode) => {
+  const { locked, retryAfterSeconds } = await recordAuthAttempt(attempt);
+  if (locked) return sendRateLimited(res, retryAfterSeconds);
+  return errorResponse(res, message, statusCode);
+};
+
+/**
+ * Count a wrong OTP against the code and the email/IP counters
+ */
+const respondToInvalidOTP = async (res, otpRecord, attempt) => {
+  const { attemptsLeft, invalidated } = await recordOTPFailure(otpRecord);
+  const message = invalidated
+    ? "Too many incorrect attempts. Please request a new OTP."
+    : `Invalid OTP. ${attemptsLeft} attempt${attemptsLeft === 1 ? "" : "s"} left.`;
+  return respondToFailedAttempt(res, attempt, message, 400);
+};
 
 /**
  * Check login type for email
@@ -44,7 +83,7 @@ export const checkLoginType = async (req, res) => {
     // Check if user exists
     const { data: user } = await supabaseAdmin
       .from("users")
-      .select("id, email, approval_status, password, is_verified")
+      .select("id, email, approval_status, password, is_verified, deactivated_at, anonymized_at")
       .eq("email", email)
       .single();
 
@@ -57,6 +96,13 @@ export const checkLoginType = async (req, res) => {
       });
     }
 
+    if (isUserDeactivated(user)) {
+      return successResponse(res, {
+        loginType: "deactivated",
+        message: "This account has been deactivated. Please contact an administrator.",
+      });
+    }
+
     // Check if user is approved
     if (user.approval_status === "approved") {
       // Check if user has set a password
@@ -112,6 +158,12 @@ export const loginWithPassword = async (req, res) => {
       return validationError(res, { field: "Email and password are required" });
     }
 
+    const attempt = { action: AUTH_ACTIONS.LOGIN, identifier: email, ip: getClientIp(req) };
+    const limit = await checkAuthLimit(attempt);
+    if (!limit.allowed) {
+      return sendRateLimited(res, limit.retryAfterSeconds);
+    }
+
     // Get user from database
     const { data: user, error: userError } = await supabaseAdmin
       .from("users")
@@ -120,7 +172,11 @@ export const loginWithPassword = async (req, res) => {
       .single();
 
     if (userError || !user) {
-      return errorResponse(res, "Invalid email or password", 401);
+      return respondToFailedAttempt(res, attempt, "Invalid email or password", 401);
+    }
+
+    if (isUserDeactivated(user)) {
+      return sendAccountDeactivated(res);
     }
 
     // Check if user is approved
@@ -137,22 +193,31 @@ export const loginWithPassword = async (req, res) => {
     const isPasswordValid = await bcrypt.compare(password, user.password);
 
     if (!isPasswordValid) {
-      return errorResponse(res, "Invalid email or password", 401);
+      return respondToFailedAttempt(res, attempt, "Invalid email or password", 401);
     }
 
+    await clearAuthAttempts(attempt);
+
     // Check for "remember me" option
     const rememberMe = req.body.rememberMe || false;
 
-    // Generate token pair (access + refresh tokens)
-    const tokens = generateTokenPair(user, rememberMe);
+    // 2FA: no tokens until the code is checked (POST /api/auth/2fa/login/verify)
+    const challenge = createTwoFactorChallenge(user, rememberMe);
+    if (challenge) {
+      console.log("🔑 Password accepted, 2FA step required:", user.id);
+      return successResponse(res, challenge, "Two-factor authentication required", 200);
+    }
+
+    // Create session and token pair (access + refresh tokens)
+    const { session, tokens } = await createSession(user, req, rememberMe);
 
     console.log("🔐 Login successful:", {
       userId: user.id,
       email: user.email,
       role: user.role,
       rememberMe,
-      accessTokenExpiry: "15 minutes",
-      refreshTokenExpiry: rememberMe ? "90 days" : "30 days",
+      sessionId: session.id,
+      accessTokenExpiresIn: tokens.expiresIn,
     });
 
     return successResponse(
@@ -215,6 +280,10 @@ export const createPassword = async (req, res) => {
       return errorResponse(res, "User not found", 404);
     }
 
+    if (isUserDeactivated(user)) {
+      return sendAccountDeactivated(res);
+    }
+
     // Check if user is approved
     if (user.approval_status !== "approved") {
       return errorResponse(res, "Your account must be approved first", 403);
@@ -243,21 +312,23 @@ export const createPassword = async (req, res) => {
       return errorResponse(res, "Failed to create password", 500);
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        email: user.email,
-        role: user.role,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "30d" }
-    );
+    // 2FA: no tokens until the code is checked (POST /api/auth/2fa/login/verify)
+    const challenge = createTwoFactorChallenge(user);
+    if (challenge) {
+      return successResponse(res, challenge, "Two-factor authentication required", 200);
+    }
+
+    // Create session and token pair
+    const { tokens } = await createSession(user, req);
 
     return successResponse(
       res,
       {
-        token,
+        token: tokens.accessToken,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+        refreshExpiresIn: tokens.refreshExpiresIn,
         user: {
           id: user.id,
           email: user.email,
@@ -297,18 +368,32 @@ export const sendOTP = async (req, res) => {
       return validationError(res, { email: "Invalid email format" });
     }
 
-    // Generate 4-digit OTP
+    const attempt = { action: AUTH_ACTIONS.OTP_SEND, identifier: email, ip: getClientIp(req) };
+    const limit = await checkAuthLimit(attempt);
+    if (!limit.allowed) {
+      return sendRateLimited(
+        res,
+        limit.retryAfterSeconds,
+        "Too many OTP requests. Please try again later."
+      );
+    }
+
+    // Generate OTP (OTP_LENGTH digits)
     const otp = generateOTP();
     const otpHash = hashOTP(otp);
-    const expiresAt = getOTPExpiry(10); // 10 minutes
+    const expiresAt = getOTPExpiry();
 
     // Check if user exists (use admin client to bypass RLS)
     const { data: existingUser } = await supabaseAdmin
       .from("users")
-      .select("id, email, name")
+      .select("id, email, name, deactivated_at, anonymized_at")
       .eq("email", email)
       .single();
 
+    if (isUserDeactivated(existingUser)) {
+      return sendAccountDeactivated(res);
+    }
+
     let userId;
 
     if (existingUser) {
@@ -337,6 +422,9 @@ export const sendOTP = async (req, res) => {
       userId = newUser.id;
     }
 
+    // Only the newest code is valid
+    await invalidatePendingOTPs(userId);
+
     // Store OTP in database
     const { error: otpError } = await supabaseAdmin
       .from("otp_verifications")
@@ -357,14 +445,13 @@ export const sendOTP = async (req, res) => {
 
     // Send OTP via email
     console.log("📧 Attempting to send OTP email to:", email);
-    console.log("🔑 Generated OTP:", otp);
 
     const emailResult = await sendOTPEmail(email, otp);
+    await recordAuthAttempt(attempt);
 
     if (!emailResult.success) {
       console.error("❌ Email sending failed:", emailResult.error);
       console.log("⚠️ OTP stored in database but email failed");
-      console.log("📋 OTP for manual delivery:", otp);
     } else {
       console.log("✅ OTP email sent successfully");
     }
@@ -374,6 +461,7 @@ export const sendOTP = async (req, res) => {
       {
         userId,
         expiresAt,
+        otpLength: otp.length,
         emailSent: emailResult.success,
         // Include OTP in response for development/testing (remove in production)
         ...(process.env.NODE_ENV === "development" && { otp }),
@@ -409,12 +497,19 @@ export const verifyOTPController = async (req, res) => {
       return validationError(res, { field: "User ID and OTP are required" });
     }
 
-    // Get latest OTP record for user
+    const attempt = { action: AUTH_ACTIONS.OTP_VERIFY, identifier: userId, ip: getClientIp(req) };
+    const limit = await checkAuthLimit(attempt);
+    if (!limit.allowed) {
+      return sendRateLimited(res, limit.retryAfterSeconds);
+    }
+
+    // Get latest OTP record for user (codes invalidated by failed attempts are skipped)
     const { data: otpRecord, error: otpError } = await supabaseAdmin
       .from("otp_verifications")
       .select("*")
       .eq("user_id", userId)
       .eq("verified", false)
+      .is("invalidated_at", null)
       .order("created_at", { ascending: false })
       .limit(1)
       .single();
@@ -449,23 +544,17 @@ export const verifyOTPController = async (req, res) => {
 
     // Verify OTP
     const otpString = String(otp).trim();
-    console.log("🔍 Verifying OTP:", {
-      provided: otpString,
-      storedHash: otpRecord.otp_hash.substring(0, 20) + "...",
-    });
     const isValid = verifyOTP(otpString, otpRecord.otp_hash);
 
-    console.log("🔐 OTP Verification result:", {
-      isValid,
-      providedOTP: otpString,
-    });
+    console.log("🔐 OTP Verification result:", { isValid });
 
     if (!isValid) {
       console.log("❌ Invalid OTP provided");
-      return errorResponse(res, "Invalid OTP", 400);
+      return respondToInvalidOTP(res, otpRecord, attempt);
     }
 
     console.log("✅ OTP is valid!");
+    await clearAuthAttempts(attempt);
 
     // Mark OTP as verified
     await supabaseAdmin
@@ -486,17 +575,27 @@ export const verifyOTPController = async (req, res) => {
       return errorResponse(res, "Failed to verify user", 500);
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, phone: user.phone },
-      process.env.JWT_SECRET,
-      { expiresIn: "30d" }
-    );
+    if (isUserDeactivated(user)) {
+      return sendAccountDeactivated(res);
+    }
+
+    // 2FA: no tokens until the code is checked (POST /api/auth/2fa/login/verify)
+    const challenge = createTwoFactorChallenge(user);
+    if (challenge) {
+      return successResponse(res, challenge, "Two-factor authentication required", 200);
+    }
+
+    // Create session and token pair
+    const { tokens } = await createSession(user, req);
 
     return successResponse(
       res,
       {
-        token,
+        token: tokens.accessToken,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+        refreshExpiresIn: tokens.refreshExpiresIn,
         user: {
           id: user.id,
           email: user.email,
@@ -572,6 +671,18 @@ export const updateRole = async (req, res) => {
       return errorResponse(res, "Failed to update role", 500);
     }
 
+    await logAdminAction({
+      req,
+      actionType: "update_role",
+      targetUserId: userId,
+      before: {
+        role: currentUser?.role || null,
+        approval_status: currentUser?.approval_status || null,
+      },
+      after: { role: user.role, approval_status: user.approval_status },
+      details: { self_service: req.user.id === userId },
+    });
+
     // Create notification ONLY for employees/freelancers (not clients):
     // 1. User is not admin
     // 2. User is not client (clients are auto-approved)
@@ -825,6 +936,59 @@ export const updatePhone = async (req, res) => {
   }
 };
 
+/**
+ * Update own availability (staff only) - used when ranking / auto-assigning tickets
+ * PUT /api/auth/availability
+ * Body: { status: "available" | "busy" | "away" | "on_leave" }
+ */
+export const updateAvailability = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { status } = req.body;
+
+    if (!AVAILABILITY_STATUSES.includes(status)) {
+      return validationError(res, {
+        status: `Invalid status. Must be one of: ${AVAILABILITY_STATUSES.join(", ")}`,
+      });
+    }
+
+    const { data: existingUser, error: fetchError } = await supabaseAdmin
+      .from("users")
+      .select("id, role")
+      .eq("id", userId)
+      .single();
+
+    if (fetchError || !existingUser) {
+      return errorResponse(res, "User not found", 404);
+    }
+
+    if (existingUser.role === "client") {
+      return errorResponse(res, "Availability can only be set for staff users", 403);
+    }
+
+    const { data: user, error } = await supabaseAdmin
+      .from("users")
+      .update({ availability_status: status })
+      .eq("id", userId)
+      .select("id, availability_status")
+      .single();
+
+    if (error) {
+      console.error("Error updating availability:", error);
+      return errorResponse(res, "Failed to update availability", 500);
+    }
+
+    return successResponse(
+      res,
+      { user: { id: user.id, availabilityStatus: user.availability_status } },
+      "Availability updated successfully"
+    );
+  } catch (error) {
+    console.error("Update availability error:", error);
+    return errorResponse(res, "Failed to update availability", 500);
+  }
+};
+
 /**
  * Upload profile picture
  * POST /api/auth/profile-picture
@@ -923,6 +1087,12 @@ export const adminLogin = async (req, res) => {
       return validationError(res, { field: "Email and password are required" });
     }
 
+    const attempt = { action: AUTH_ACTIONS.LOGIN, identifier: email, ip: getClientIp(req) };
+    const limit = await checkAuthLimit(attempt);
+    if (!limit.allowed) {
+      return sendRateLimited(res, limit.retryAfterSeconds);
+    }
+
     // Get admin user from database
     const { data: adminUser, error: adminError } = await supabaseAdmin
       .from("users")
@@ -938,7 +1108,11 @@ export const adminLogin = async (req, res) => {
 
     if (adminError || !adminUser) {
       console.log("❌ Admin not found in database", adminError);
-      return errorResponse(res, "Invalid admin credentials", 401);
+      return respondToFailedAttempt(res, attempt, "Invalid admin credentials", 401);
+    }
+
+    if (isUserDeactivated(adminUser)) {
+      return sendAccountDeactivated(res);
     }
 
     // Check if admin has a password set
@@ -956,26 +1130,33 @@ export const adminLogin = async (req, res) => {
 
     if (!isPasswordValid) {
       console.log("❌ Invalid password");
-      return errorResponse(res, "Invalid password", 401);
+      return respondToFailedAttempt(res, attempt, "Invalid password", 401);
     }
 
-    console.log("✅ Password validated, generating JWT token");
+    await clearAuthAttempts(attempt);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        userId: adminUser.id,
-        email: adminUser.email,
-        role: adminUser.role,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "30d" }
-    );
+    const rememberMe = req.body.rememberMe || false;
+
+    // 2FA: no tokens until the code is checked (POST /api/auth/2fa/login/verify)
+    const challenge = createTwoFactorChallenge(adminUser, rememberMe);
+    if (challenge) {
+      console.log("🔑 Password accepted, 2FA step required:", adminUser.id);
+      return successResponse(res, challenge, "Two-factor authentication required", 200);
+    }
+
+    console.log("✅ Password validated, creating session");
+
+    // Create session and token pair
+    const { tokens } = await createSession(adminUser, req, rememberMe);
 
     return successResponse(
       res,
       {
-        token,
+        token: tokens.accessToken,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+        refreshExpiresIn: tokens.refreshExpiresIn,
         user: {
           id: adminUser.id,
           email: adminUser.email,
@@ -1048,7 +1229,7 @@ export const changeEmailSendOTP = async (req, res) => {
       return errorResponse(res, "Email is already in use", 400);
     }
 
-    // Generate 4-digit OTP
+    // Generate OTP
     const otp = generateOTP();
     const otpHash = hashOTP(otp);
     const expiresAt = getOTPExpiry(10); // 10 minutes
@@ -1121,6 +1302,7 @@ export const changeEmailVerify = async (req, res) => {
       .select("*")
       .eq("user_id", userId)
       .eq("verified", false)
+      .is("invalidated_at", null)
       .order("created_at", { ascending: false })
       .limit(1)
       .single();
@@ -1145,7 +1327,11 @@ export const changeEmailVerify = async (req, res) => {
     // Verify OTP
     const isValid = verifyOTP(otp, otpRecord.otp_hash);
     if (!isValid) {
-      return errorResponse(res, "Invalid OTP", 400);
+      return respondToInvalidOTP(res, otpRecord, {
+        action: AUTH_ACTIONS.OTP_VERIFY,
+        identifier: userId,
+        ip: getClientIp(req),
+      });
     }
 
     // Check if new email is still available (excluding current user)
@@ -1390,6 +1576,15 @@ export const changePassword = async (req, res) => {
 
     console.log("✅ Password updated successfully for user:", userId);
 
+    // Sign out every other device
+    const revoked = await revokeSessions({
+      userId,
+      exceptSessionId: req.authSession?.id,
+      revokedBy: userId,
+      reason: "password_changed",
+    });
+    disconnectSessionSockets(req.app.get("io"), revoked);
+
     return successResponse(
       res,
       { message: "Password changed successfully" },
@@ -1417,16 +1612,30 @@ export const forgotPassword = async (req, res) => {
 
     console.log("🔐 Forgot password request:", { email });
 
+    const attempt = { action: AUTH_ACTIONS.OTP_SEND, identifier: email, ip: getClientIp(req) };
+    const limit = await checkAuthLimit(attempt);
+    if (!limit.allowed) {
+      return sendRateLimited(
+        res,
+        limit.retryAfterSeconds,
+        "Too many reset requests. Please try again later."
+      );
+    }
+
     // Get user from database by email (all roles allowed)
     const { data: user, error: userError } = await supabaseAdmin
       .from("users")
-      .select("id, email, name, role")
+      .select("id, email, name, role, deactivated_at, anonymized_at")
       .eq("email", email)
       .single();
 
     if (userError || !user) {
-      console.error("❌ User not found:", userId);
-      return errorResponse(res, "User not found", 404);
+      console.error("❌ User not found:", email);
+      return respondToFailedAttempt(res, attempt, "User not found", 404);
+    }
+
+    if (isUserDeactivated(user)) {
+      return sendAccountDeactivated(res);
     }
 
     console.log("✅ User found for password reset:", {
@@ -1435,10 +1644,14 @@ export const forgotPassword = async (req, res) => {
       role: user.role,
     });
 
-    // Generate 4-digit OTP for password reset
-    const otp = Math.floor(1000 + Math.random() * 9000).toString();
+    // Generate OTP for password reset (OTP_LENGTH digits)
+    const otp = generateOTP();
     const otpHash = await bcrypt.hash(otp, 10);
-    const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    const expiryMinutes = parseInt(process.env.OTP_EXPIRY_MINUTES, 10) || 10;
+    const expiresAt = new Date(getOTPExpiry(expiryMinutes));
+
+    // Only the newest code is valid
+    await invalidatePendingOTPs(user.id);
 
     // Store OTP in database
     const { error: otpError } = await supabaseAdmin
@@ -1464,7 +1677,7 @@ export const forgotPassword = async (req, res) => {
         <h2>Password Reset Request</h2>
         <p>Hi ${user.name || "Admin"},</p>
         <p>Your password reset code is: <strong>${otp}</strong></p>
-        <p>This code will expire in 10 minutes.</p>
+        <p>This code will expire in ${expiryMinutes} minutes.</p>
         <p>If you didn't request this, please ignore this email.</p>
         `
       );
@@ -1473,11 +1686,14 @@ export const forgotPassword = async (req, res) => {
       // Don't fail the request if email fails
     }
 
+    await recordAuthAttempt(attempt);
+
     return successResponse(
       res,
       {
         message: "Password reset code sent to your registered email",
         email: user.email.replace(/(.{2})(.*)(@.*)/, "$1***$3"), // Masked email
+        otpLength: otp.length,
       },
       "Reset email sent successfully",
       200
@@ -1507,14 +1723,20 @@ export const verifyResetOTP = async (req, res) => {
       return validationError(res, { field: "OTP is required" });
     }
 
-    if (otp.length !== 4) {
-      return validationError(res, { otp: "OTP must be 4 digits" });
+    if (String(otp).length !== getOTPLength()) {
+      return validationError(res, { otp: `OTP must be ${getOTPLength()} digits` });
+    }
+
+    const attempt = { action: AUTH_ACTIONS.OTP_VERIFY, identifier: email, ip: getClientIp(req) };
+    const limit = await checkAuthLimit(attempt);
+    if (!limit.allowed) {
+      return sendRateLimited(res, limit.retryAfterSeconds);
     }
 
     // Get user by email
     const { data: user, error: userError } = await supabaseAdmin
       .from("users")
-      .select("id")
+      .select("id, deactivated_at, anonymized_at")
       .eq("email", email)
       .single();
 
@@ -1522,12 +1744,17 @@ export const verifyResetOTP = async (req, res) => {
       return errorResponse(res, "User not found", 404);
     }
 
+    if (isUserDeactivated(user)) {
+      return sendAccountDeactivated(res);
+    }
+
     // Get the most recent unverified OTP for this user
     const { data: otpRecords, error: otpError } = await supabaseAdmin
       .from("otp_verifications")
       .select("*")
       .eq("user_id", user.id)
       .eq("verified", false)
+      .is("invalidated_at", null)
       .order("created_at", { ascending: false })
       .limit(1);
 
@@ -1547,12 +1774,14 @@ export const verifyResetOTP = async (req, res) => {
     }
 
     // Verify OTP
-    const isValid = await bcrypt.compare(otp, otpRecord.otp_hash);
+    const isValid = await bcrypt.compare(String(otp), otpRecord.otp_hash);
 
     if (!isValid) {
-      return errorResponse(res, "Invalid OTP", 400);
+      return respondToInvalidOTP(res, otpRecord, attempt);
     }
 
+    await clearAuthAttempts(attempt);
+
     // Mark OTP as verified
     await supabaseAdmin
       .from("otp_verifications")
@@ -1602,7 +1831,7 @@ export const resetPassword = async (req, res) => {
     // Get user by email
     const { data: user, error: userError } = await supabaseAdmin
       .from("users")
-      .select("id")
+      .select("id, deactivated_at, anonymized_at")
       .eq("email", email)
       .single();
 
@@ -1610,6 +1839,10 @@ export const resetPassword = async (req, res) => {
       return errorResponse(res, "User not found", 404);
     }
 
+    if (isUserDeactivated(user)) {
+      return sendAccountDeactivated(res);
+    }
+
     // Check if there's a verified OTP for this user (within last 15 minutes)
     const fifteenMinutesAgo = new Date(
       Date.now() - 15 * 60 * 1000
@@ -1651,6 +1884,14 @@ export const resetPassword = async (req, res) => {
       .delete()
       .eq("user_id", user.id);
 
+    // Sign out every device that used the old password
+    const revoked = await revokeSessions({
+      userId: user.id,
+      revokedBy: user.id,
+      reason: "password_reset",
+    });
+    disconnectSessionSockets(req.app.get("io"), revoked);
+
     return successResponse(
       res,
       { message: "Password reset successfully" },
@@ -1877,6 +2118,11 @@ export const acceptInvite = async (req, res) => {
         return errorResponse(res, "Invalid or expired token", 401);
       }
 
+      const inviteSession = await getActiveSession(decoded.sid);
+      if (!inviteSession || inviteSession.user_id !== decoded.userId) {
+        return errorResponse(res, "Invalid or expired token", 401);
+      }
+
       const { data: user, error: userErr } = await supabase
         .from("users")
         .select("*")
@@ -1924,6 +2170,17 @@ export const acceptInvite = async (req, res) => {
       return validationError(res, "Email and password required for new users");
     }
 
+    // Deactivated accounts can't be revived through an invite link
+    const { data: invitedUser } = await supabaseAdmin
+      .from("users")
+      .select("id, deactivated_at, anonymized_at")
+      .eq("email", email.toLowerCase())
+      .maybeSingle();
+
+    if (isUserDeactivated(invitedUser)) {
+      return sendAccountDeactivated(res);
+    }
+
     // Check if email already has an auth account
     // Create auth user
     const { data: authData, error: authError } =
@@ -2128,7 +2385,7 @@ export const refreshToken = async (req, res) => {
     const { data: user, error: userError } = await supabaseAdmin
       .from("users")
       .select(
-        "id, email, name, role, profile_picture, is_verified, approval_status"
+        "id, email, name, role, profile_picture, is_verified, approval_status, deactivated_at, anonymized_at"
       )
       .eq("id", decoded.userId)
       .single();
@@ -2138,30 +2395,44 @@ export const refreshToken = async (req, res) => {
       return errorResponse(res, "User not found", 404);
     }
 
+    if (isUserDeactivated(user)) {
+      console.log("❌ User deactivated");
+      return sendAccountDeactivated(res);
+    }
+
     // Check if user is still approved
     if (user.approval_status !== "approved") {
       console.log("❌ User no longer approved");
       return errorResponse(res, "User account is no longer approved", 403);
     }
 
-    // Validate stored refresh token (optional - for enhanced security)
-    const isValidStored = await validateStoredRefreshToken(
-      user.id,
-      clientRefreshToken
-    );
-    if (!isValidStored) {
-      console.log("⚠️ Refresh token not found in storage (continuing anyway)");
-      // Continue anyway since we're using stateless tokens for now
+    const session = await getActiveSession(decoded.sid);
+    if (!session || session.user_id !== user.id) {
+      console.log("❌ Session revoked or expired:", decoded.sid);
+      return errorResponse(res, "Session has been revoked", 401, {
+        errorCode: "SESSION_REVOKED",
+        message: "Please login again",
+      });
     }
 
-    // Generate new token pair
-    const tokens = generateTokenPair(user, false); // Don't extend on refresh
+    const { tokens, error: rotateError } = await rotateSessionTokens(
+      session,
+      user,
+      clientRefreshToken,
+      req
+    );
+    if (rotateError) {
+      return errorResponse(res, "Session has been revoked", 401, {
+        errorCode: "SESSION_REVOKED",
+        message: "Please login again",
+      });
+    }
 
     console.log("🔐 New tokens generated for user:", {
       userId: user.id,
       email: user.email,
       role: user.role,
-      accessTokenExpiry: "15 minutes",
+      accessTokenExpiresIn: tokens.expiresIn,
     });
 
     return successResponse(
@@ -2193,22 +2464,23 @@ export const refreshToken = async (req, res) => {
 };
 
 /**
- * Logout user and revoke refresh token
+ * Logout user and revoke the current session
  * POST /api/auth/logout
  */
 export const logout = async (req, res) => {
   try {
-    const { refreshToken: clientRefreshToken } = req.body;
     const userId = req.user?.id || req.user?.userId;
+    const sessionId = req.authSession?.id;
 
-    console.log("🚪 Logout request:", {
-      userId,
-      hasRefreshToken: !!clientRefreshToken,
-    });
+    console.log("🚪 Logout request:", { userId, sessionId });
 
-    // If refresh token provided, try to revoke it
-    if (clientRefreshToken && userId) {
-      await revokeRefreshToken(userId, clientRefreshToken);
+    if (sessionId) {
+      const revoked = await revokeSessions({
+        sessionIds: [sessionId],
+        revokedBy: userId,
+        reason: "logout",
+      });
+      disconnectSessionSockets(req.app.get("io"), revoked);
     }
 
     return successResponse(
@@ -2223,6 +2495,98 @@ export const logout = async (req, res) => {
   }
 };
 
+/**
+ * List the current user's active sessions (devices)
+ * GET /api/auth/sessions
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    return successResponse(
+      res,
+      {
+        sessions: sessions.map((session) => ({
+          ...session,
+          current: session.id === req.authSession?.id,
+        })),
+      },
+      "Sessions retrieved successfully",
+      200
+    );
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    return errorResponse(res, "Failed to fetch sessions", 500);
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * DELETE /api/auth/sessions/:sessionId
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = await revokeSessions({
+      userId: req.user.id,
+      sessionIds: [sessionId],
+      revokedBy: req.user.id,
+      reason: "revoked",
+    });
+
+    if (revoked.length === 0) {
+      return errorResponse(res, "Session not found", 404);
+    }
+
+    disconnectSessionSockets(req.app.get("io"), revoked);
+
+    console.log(`🔐 Session ${sessionId} revoked by user ${req.user.id}`);
+
+    return successResponse(
+      res,
+      { revokedSessionIds: revoked, current: sessionId === req.authSession?.id },
+      "Session revoked successfully",
+      200
+    );
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    return errorResponse(res, "Failed to revoke session", 500);
+  }
+};
+
+/**
+ * Revoke all of the current user's sessions
+ * DELETE /api/auth/sessions?keepCurrent=true
+ * keepCurrent (default true) signs out every other device only
+ */
+export const revokeAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent !== "false";
+
+    const revoked = await revokeSessions({
+      userId: req.user.id,
+      exceptSessionId: keepCurrent ? req.authSession?.id : undefined,
+      revokedBy: req.user.id,
+      reason: "revoke_all",
+    });
+
+    disconnectSessionSockets(req.app.get("io"), revoked);
+
+    console.log(`🔐 ${revoked.length} sessions revoked by user ${req.user.id}`);
+
+    return successResponse(
+      res,
+      { revokedSessionIds: revoked, count: revoked.length },
+      "Sessions revoked successfully",
+      200
+    );
+  } catch (error) {
+    console.error("Revoke all sessions error:", error);
+    return errorResponse(res, "Failed to revoke sessions", 500);
+  }
+};
+
 /**
  * Check token status and expiration
  * GET /api/auth/token-status
@@ -1,5 +1,96 @@
 import { supabaseAdmin } from '../config/supabase.js';
 import { successResponse, errorResponse, validationError } from '../utils/responses.js';
+import { hasPermission } from '../utils/permissions.js';
+import { isUserDeactivated } from '../utils/userStatus.js';
+
+/**
+ * Users that can be added to a chat group: active, approved and allowed to
+ * chat with staff (same rules as direct messages, so no clients)
+ * @returns {Promise<{ users: Array|null, error: string|null }>}
+ */
+const getEligibleGroupMembers = async (memberIds) => {
+  const { data: users, error } = await supabaseAdmin
+    .from('users')
+    .select('id, email, name, role, approval_status, deactivated_at, anonymized_at')
+    .in('id', memberIds);
+
+  if (error || !users || users.length !== memberIds.length) {
+    return { users: null, error: 'One or more user IDs are invalid' };
+  }
+
+  for (const user of users) {
+    if (
+      isUserDeactivated(user) ||
+      user.approval_status !== 'approved' ||
+      !(await hasPermission(user.role, 'chat.direct'))
+    ) {
+      return { users: null, error: 'Only active, approved staff can be added to chat groups' };
+    }
+  }
+
+  return { users, error: null };
+};
+
+/**
+ * Group, the user's membership and whether they can manage the group
+ * (group admins, or anyone with chat_group.manage_any)
+ */
+const getGroupAccess = async (groupId, user) => {
+  const { data: group } = await supabaseAdmin
+    .from('chat_groups')
+    .select('*')
+    .eq('id', groupId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (!group) return { group: null, membership: null, canManage: false };
+
+  const { data: membership } = await supabaseAdmin
+    .from('chat_members')
+    .select('*')
+    .eq('chat_group_id', groupId)
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  const canManage =
+    !!membership?.is_admin || (await hasPermission(user.role, 'chat_group.manage_any'));
+
+  return { group, membership: membership || null, canManage };
+};
+
+/**
+ * Whether a membership is currently muted (muted_until null = indefinitely)
+ */
+const isMembershipMuted = (membership) =>
+  !!membership?.is_muted &&
+  (!membership.muted_until || new Date(membership.muted_until) > new Date());
+
+/**
+ * Number of group admins in a group
+ */
+const countGroupAdmins = async (groupId) => {
+  const { count } = await supabaseAdmin
+    .from('chat_members')
+    .select('*', { count: 'exact', head: true })
+    .eq('chat_group_id', groupId)
+    .eq('is_admin', true);
+
+  return count || 0;
+};
+
+/**
+ * Broadcast a group management event to the group room (and extra user rooms)
+ */
+const emitGroupChange = (req, groupId, event, payload, userIds = []) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  let target = io.to(`group:${groupId}`);
+  userIds.forEach((id) => {
+    target = target.to(`user:${id}`);
+  });
+  target.emit(`group:${event}`, { groupId, ...payload });
+};
 
 /**
  * Create a new chat group
@@ -19,19 +110,16 @@ export const createChatGroup = async (req, res) => {
       return validationError(res, { field: 'At least one member must be added' });
     }
 
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return errorResponse(res, 'Only admins can create chat groups', 403);
+    // Check chat_group.create (admins by default)
+    if (!(await hasPermission(req.user.role, 'chat_group.create'))) {
+      return errorResponse(res, 'You do not have permission to create chat groups', 403);
     }
 
-    // Verify all member IDs exist
-    const { data: users, error: usersError } = await supabaseAdmin
-      .from('users')
-      .select('id, email, full_name')
-      .in('id', memberIds);
+    // Verify all member IDs exist and can join a group
+    const { error: eligibilityError } = await getEligibleGroupMembers(memberIds);
 
-    if (usersError || !users || users.length !== memberIds.length) {
-      return errorResponse(res, 'One or more user IDs are invalid', 400);
+    if (eligibilityError) {
+      return errorResponse(res, eligibilityError, 400);
     }
 
     // Create chat group
@@ -88,7 +176,7 @@ export const createChatGroup = async (req, res) => {
           users (
             id,
             email,
-            full_name,
+            name,
             profile_picture
           )
         )
@@ -105,11 +193,12 @@ export const createChatGroup = async (req, res) => {
 
 /**
  * Get all chat groups for current user
- * GET /api/chat/groups
+ * GET /api/chat/groups?archived=true (archived groups only)
  */
 export const getUserChatGroups = async (req, res) => {
   try {
     const userId = req.user.id;
+    const archived = req.query.archived === 'true';
 
     // Get all groups where user is a member
     const { data: chatGroups, error } = await supabaseAdmin
@@ -119,17 +208,20 @@ export const getUserChatGroups = async (req, res) => {
         chat_members!inner (
           user_id,
           is_admin,
+          is_muted,
+          muted_until,
           joined_at
         ),
         created_by_user:users!chat_groups_created_by_fkey (
           id,
           email,
-          full_name,
+          name,
           profile_picture
         )
       `)
       .eq('chat_members.user_id', userId)
       .eq('is_active', true)
+      .eq('is_archived', archived)
       .order('created_at', { ascending: false });
 
     if (error) {
@@ -149,7 +241,7 @@ export const getUserChatGroups = async (req, res) => {
         // Get last message
         const { data: lastMessage } = await supabaseAdmin
           .from('chat_messages')
-          .select('message, created_at, sender_id, users (full_name)')
+          .select('message, created_at, sender_id, sender:users!chat_messages_sender_id_fkey (name)')
           .eq('chat_group_id', group.id)
           .order('created_at', { ascending: false })
           .limit(1)
@@ -158,6 +250,8 @@ export const getUserChatGroups = async (req, res) => {
         return {
           ...group,
           member_count: memberCount || 0,
+          is_group_admin: !!group.chat_members[0]?.is_admin,
+          is_muted: isMembershipMuted(group.chat_members[0]),
           last_message: lastMessage || null
         };
       })
@@ -177,17 +271,14 @@ export const getUserChatGroups = async (req, res) => {
 export const getChatGroupDetails = async (req, res) => {
   try {
     const { groupId } = req.params;
-    const userId = req.user.id;
 
-    // Check if user is member of this group
-    const { data: membership } = await supabaseAdmin
-      .from('chat_members')
-      .select('*')
-      .eq('chat_group_id', groupId)
-      .eq('user_id', userId)
-      .single();
+    const { group, membership, canManage } = await getGroupAccess(groupId, req.user);
 
-    if (!membership) {
+    if (!group) {
+      return errorResponse(res, 'Chat group not found', 404);
+    }
+
+    if (!membership && !canManage) {
       return errorResponse(res, 'You are not a member of this chat group', 403);
     }
 
@@ -203,7 +294,7 @@ export const getChatGroupDetails = async (req, res) => {
           users (
             id,
             email,
-            full_name,
+            name,
             profile_picture,
             role
           )
@@ -211,7 +302,7 @@ export const getChatGroupDetails = async (req, res) => {
         created_by_user:users!chat_groups_created_by_fkey (
           id,
           email,
-          full_name,
+          name,
           profile_picture
         )
       `)
@@ -223,7 +314,15 @@ export const getChatGroupDetails = async (req, res) => {
       return errorResponse(res, 'Chat group not found', 404);
     }
 
-    return successResponse(res, chatGroup, 'Chat group details fetched successfully');
+    return successResponse(
+      res,
+      {
+        ...chatGroup,
+        can_manage: canManage,
+        is_muted: isMembershipMuted(membership)
+      },
+      'Chat group details fetched successfully'
+    );
   } catch (error) {
     console.error('Error in getChatGroupDetails:', error);
     return errorResponse(res, 'Internal server error', 500);
@@ -238,31 +337,30 @@ export const addMembersToGroup = async (req, res) => {
   try {
     const { groupId } = req.params;
     const { memberIds } = req.body;
-    const userId = req.user.id;
 
     if (!memberIds || !Array.isArray(memberIds) || memberIds.length === 0) {
       return validationError(res, { field: 'At least one member ID is required' });
     }
 
-    // Check if user is admin of this group
-    const { data: chatGroup } = await supabaseAdmin
-      .from('chat_groups')
-      .select('created_by')
-      .eq('id', groupId)
-      .single();
+    const { group, canManage } = await getGroupAccess(groupId, req.user);
 
-    if (!chatGroup || chatGroup.created_by !== userId) {
-      return errorResponse(res, 'Only the group creator can add members', 403);
+    if (!group) {
+      return errorResponse(res, 'Chat group not found', 404);
+    }
+
+    if (!canManage) {
+      return errorResponse(res, 'Only group admins can add members', 403);
+    }
+
+    if (group.is_archived) {
+      return errorResponse(res, 'This chat group is archived', 400);
     }
 
-    // Verify all member IDs exist
-    const { data: users, error: usersError } = await supabaseAdmin
-      .from('users')
-      .select('id, email, full_name')
-      .in('id', memberIds);
+    // Verify all member IDs exist and can join a group
+    const { error: eligibilityError } = await getEligibleGroupMembers(memberIds);
 
-    if (usersError || !users || users.length !== memberIds.length) {
-      return errorResponse(res, 'One or more user IDs are invalid', 400);
+    if (eligibilityError) {
+      return errorResponse(res, eligibilityError, 400);
     }
 
     // Check for existing members
@@ -295,6 +393,12 @@ export const addMembersToGroup = async (req, res) => {
       return errorResponse(res, 'Failed to add members', 500);
     }
 
+    // New members get it on their user room so they can join the group room
+    emitGroupChange(req, groupId, 'members_added', {
+      userIds: newMemberIds,
+      addedBy: req.user.id
+    }, newMemberIds);
+
     return successResponse(res, { added_count: newMemberIds.length }, 'Members added successfully');
   } catch (error) {
     console.error('Error in addMembersToGroup:', error);
@@ -303,7 +407,7 @@ export const addMembersToGroup = async (req, res) => {
 };
 
 /**
- * Get messages for a chat group
+ * Get messages for a chat group (with reply previews and read receipts)
  * GET /api/chat/groups/:groupId/messages
  */
 export const getChatMessages = async (req, res) => {
@@ -332,8 +436,9 @@ export const getChatMessages = async (req, res) => {
         sender:users!chat_messages_sender_id_fkey (
           id,
           email,
-          full_name,
-          profile_picture
+          name,
+          profile_picture,
+          role
         )
       `)
       .eq('chat_group_id', groupId)
@@ -352,7 +457,54 @@ export const getChatMessages = async (req, res) => {
       return errorResponse(res, 'Failed to fetch messages', 500);
     }
 
-    return successResponse(res, messages.reverse(), 'Messages fetched successfully');
+    const messageIds = messages.map((m) => m.id);
+    const replyIds = [...new Set(messages.map((m) => m.reply_to_message_id).filter(Boolean))];
+
+    // Read receipts and reply previews (same shape as the group:new_message event)
+    const [{ data: seenRecords }, { data: replies }] = await Promise.all([
+      messageIds.length > 0
+        ? supabaseAdmin
+          .from('chat_message_seen_by')
+          .select('message_id, user_id, seen_at, users (id, name, role, profile_picture)')
+          .in('message_id', messageIds)
+        : { data: [] },
+      replyIds.length > 0
+        ? supabaseAdmin
+          .from('chat_messages')
+          .select('id, sender_id, message, message_type, file_name, is_deleted, created_at, sender:users!chat_messages_sender_id_fkey (name)')
+          .in('id', replyIds)
+        : { data: [] }
+    ]);
+
+    const seenByMessage = new Map();
+    (seenRecords || []).forEach((record) => {
+      if (!seenByMessage.has(record.message_id)) seenByMessage.set(record.message_id, []);
+      seenByMessage.get(record.message_id).push({
+        userId: record.user_id,
+        userName: record.users?.name,
+        userRole: record.users?.role,
+        profilePicture: record.users?.profile_picture,
+        seenAt: record.seen_at
+      });
+    });
+
+    const repliesById = new Map((replies || []).map((reply) => [reply.id, {
+      id: reply.id,
+      sender_id: reply.sender_id,
+      sender_name: reply.sender?.name || 'Unknown User',
+      message: reply.is_deleted ? 'Message deleted' : reply.message,
+      message_type: reply.message_type,
+      file_name: reply.file_name,
+      created_at: reply.created_at
+    }]));
+
+    const enriched = messages.reverse().map((message) => ({
+      ...message,
+      reply_to: repliesById.get(message.reply_to_message_id) || null,
+      seen_by: seenByMessage.get(message.id) || []
+    }));
+
+    return successResponse(res, enriched, 'Messages fetched successfully');
   } catch (error) {
     console.error('Error in getChatMessages:', error);
     return errorResponse(res, 'Internal server error', 500);
@@ -360,39 +512,481 @@ export const getChatMessages = async (req, res) => {
 };
 
 /**
- * Delete a chat group (admin only)
- * DELETE /api/chat/groups/:groupId
+ * Remove a membership, keeping the group with at least one admin
+ * (the longest-standing member is promoted; a group left empty is archived)
+ * @returns {Promise<Object>} { promotedUserId, archived }
  */
-export const deleteChatGroup = async (req, res) => {
+const removeMembership = async (req, group, membership, event) => {
+  const { error } = await supabaseAdmin
+    .from('chat_members')
+    .delete()
+    .eq('chat_group_id', group.id)
+    .eq('user_id', membership.user_id);
+
+  if (error) throw error;
+
+  let promotedUserId = null;
+  let archived = false;
+
+  if (membership.is_admin && (await countGroupAdmins(group.id)) === 0) {
+    const { data: successor } = await supabaseAdmin
+      .from('chat_members')
+      .select('user_id')
+      .eq('chat_group_id', group.id)
+      .order('joined_at', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    if (successor) {
+      await supabaseAdmin
+        .from('chat_members')
+        .update({ is_admin: true })
+        .eq('chat_group_id', group.id)
+        .eq('user_id', successor.user_id);
+      promotedUserId = successor.user_id;
+    } else if (!group.is_archived) {
+      await supabaseAdmin
+        .from('chat_groups')
+        .update({
+          is_archived: true,
+          archived_at: new Date().toISOString(),
+          archived_by: req.user.id
+        })
+        .eq('id', group.id);
+      archived = true;
+    }
+  }
+
+  // Stop live traffic to the removed user's sockets
+  const io = req.app.get('io');
+  if (io) {
+    io.in(`user:${membership.user_id}`).socketsLeave(`group:${group.id}`);
+  }
+
+  emitGroupChange(req, group.id, event, {
+    userId: membership.user_id,
+    removedBy: req.user.id,
+    promotedUserId
+  }, [membership.user_id]);
+
+  return { promotedUserId, archived };
+};
+
+/**
+ * Rename a chat group and/or change its avatar (group admins)
+ * PATCH /api/chat/groups/:groupId
+ * Body: { name, avatarUrl } (avatarUrl null removes the avatar)
+ */
+export const updateChatGroup = async (req, res) => {
   try {
     const { groupId } = req.params;
-    const userId = req.user.id;
+    const { name, avatarUrl } = req.body;
+
+    const { group, canManage } = await getGroupAccess(groupId, req.user);
+
+    if (!group) {
+      return errorResponse(res, 'Chat group not found', 404);
+    }
+
+    if (!canManage) {
+      return errorResponse(res, 'Only group admins can edit this group', 403);
+    }
 
-    // Check if user is the creator
-    const { data: chatGroup } = await supabaseAdmin
+    if (group.is_archived) {
+      return errorResponse(res, 'This chat group is archived', 400);
+    }
+
+    const updates = {};
+
+    if (name !== undefined) {
+      if (!String(name || '').trim()) {
+        return validationError(res, { name: 'Chat group name cannot be empty' });
+      }
+      updates.name = String(name).trim();
+    }
+
+    if (avatarUrl !== undefined) {
+      updates.avatar_url = avatarUrl || null;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return validationError(res, { field: 'Provide a name or avatarUrl to update' });
+    }
+
+    const { data: updatedGroup, error } = await supabaseAdmin
       .from('chat_groups')
-      .select('created_by')
+      .update({ ...updates, updated_at: new Date().toISOString() })
       .eq('id', groupId)
+      .select()
       .single();
 
-    if (!chatGroup || chatGroup.created_by !== userId) {
-      return errorResponse(res, 'Only the group creator can delete this group', 403);
+    if (error) {
+      console.error('Error updating chat group:', error);
+      return errorResponse(res, 'Failed to update chat group', 500);
     }
 
-    // Soft delete by setting is_active to false
-    const { error } = await supabaseAdmin
+    emitGroupChange(req, groupId, 'updated', {
+      name: updatedGroup.name,
+      avatarUrl: updatedGroup.avatar_url,
+      updatedBy: req.user.id
+    });
+
+    return successResponse(res, updatedGroup, 'Chat group updated successfully');
+  } catch (error) {
+    console.error('Error in updateChatGroup:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Upload a group avatar (group admins)
+ * POST /api/chat/groups/:groupId/avatar
+ * Body: { imageBase64: 'data:image/png;base64,...' }
+ */
+export const uploadChatGroupAvatar = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { imageBase64 } = req.body;
+
+    if (!imageBase64) {
+      return validationError(res, { image: 'Image is required' });
+    }
+
+    const matches = imageBase64.match(/^data:(image\/[A-Za-z-+.]+);base64,(.+)$/);
+    if (!matches) {
+      return validationError(res, { image: 'Invalid image format' });
+    }
+
+    const { group, canManage } = await getGroupAccess(groupId, req.user);
+
+    if (!group) {
+      return errorResponse(res, 'Chat group not found', 404);
+    }
+
+    if (!canManage) {
+      return errorResponse(res, 'Only group admins can edit this group', 403);
+    }
+
+    if (group.is_archived) {
+      return errorResponse(res, 'This chat group is archived', 400);
+    }
+
+    const contentType = matches[1];
+    const buffer = Buffer.from(matches[2], 'base64');
+    const filePath = `chat-group-avatars/${groupId}_${Date.now()}.${contentType.split('/')[1]}`;
+
+    const { error: uploadError } = await supabaseAdmin.storage
+      .from('user-uploads')
+      .upload(filePath, buffer, { contentType, upsert: true });
+
+    if (uploadError) {
+      console.error('Error uploading group avatar:', uploadError);
+      return errorResponse(res, 'Failed to upload group avatar', 500);
+    }
+
+    const { data: urlData } = supabaseAdmin.storage
+      .from('user-uploads')
+      .getPublicUrl(filePath);
+
+    const { data: updatedGroup, error } = await supabaseAdmin
       .from('chat_groups')
-      .update({ is_active: false })
-      .eq('id', groupId);
+      .update({ avatar_url: urlData.publicUrl, updated_at: new Date().toISOString() })
+      .eq('id', groupId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error updating chat group avatar:', error);
+      return errorResponse(res, 'Failed to update group avatar', 500);
+    }
+
+    emitGroupChange(req, groupId, 'updated', {
+      name: updatedGroup.name,
+      avatarUrl: updatedGroup.avatar_url,
+      updatedBy: req.user.id
+    });
+
+    return successResponse(res, updatedGroup, 'Group avatar uploaded successfully');
+  } catch (error) {
+    console.error('Error in uploadChatGroupAvatar:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Remove a member from a chat group (group admins)
+ * DELETE /api/chat/groups/:groupId/members/:userId
+ */
+export const removeGroupMember = async (req, res) => {
+  try {
+    const { groupId, userId: memberId } = req.params;
+
+    if (memberId === req.user.id) {
+      return errorResponse(res, 'Use POST /api/chat/groups/:groupId/leave to leave a group', 400);
+    }
+
+    const { group, canManage } = await getGroupAccess(groupId, req.user);
+
+    if (!group) {
+      return errorResponse(res, 'Chat group not found', 404);
+    }
+
+    if (!canManage) {
+      return errorResponse(res, 'Only group admins can remove members', 403);
+    }
+
+    const { data: member } = await supabaseAdmin
+      .from('chat_members')
+      .select('*')
+      .eq('chat_group_id', groupId)
+      .eq('user_id', memberId)
+      .maybeSingle();
+
+    if (!member) {
+      return errorResponse(res, 'User is not a member of this chat group', 404);
+    }
+
+    const result = await removeMembership(req, group, member, 'member_removed');
+
+    return successResponse(res, result, 'Member removed successfully');
+  } catch (error) {
+    console.error('Error in removeGroupMember:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Leave a chat group
+ * POST /api/chat/groups/:groupId/leave
+ */
+export const leaveChatGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const { group, membership } = await getGroupAccess(groupId, req.user);
+
+    if (!group) {
+      return errorResponse(res, 'Chat group not found', 404);
+    }
+
+    if (!membership) {
+      return errorResponse(res, 'You are not a member of this chat group', 403);
+    }
+
+    const result = await removeMembership(req, group, membership, 'member_left');
+
+    return successResponse(res, result, 'You left the chat group');
+  } catch (error) {
+    console.error('Error in leaveChatGroup:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Promote / demote a group admin (group admins)
+ * PATCH /api/chat/groups/:groupId/members/:userId/role
+ * Body: { isAdmin: true/false }
+ */
+export const updateGroupMemberRole = async (req, res) => {
+  try {
+    const { groupId, userId: memberId } = req.params;
+    const { isAdmin } = req.body;
+
+    if (typeof isAdmin !== 'boolean') {
+      return validationError(res, { isAdmin: 'isAdmin must be true or false' });
+    }
+
+    const { group, canManage } = await getGroupAccess(groupId, req.user);
+
+    if (!group) {
+      return errorResponse(res, 'Chat group not found', 404);
+    }
+
+    if (!canManage) {
+      return errorResponse(res, 'Only group admins can change member roles', 403);
+    }
+
+    if (group.is_archived) {
+      return errorResponse(res, 'This chat group is archived', 400);
+    }
+
+    const { data: member } = await supabaseAdmin
+      .from('chat_members')
+      .select('*')
+      .eq('chat_group_id', groupId)
+      .eq('user_id', memberId)
+      .maybeSingle();
+
+    if (!member) {
+      return errorResponse(res, 'User is not a member of this chat group', 404);
+    }
+
+    if (member.is_admin === isAdmin) {
+      return errorResponse(res, isAdmin ? 'User is already a group admin' : 'User is not a group admin', 400);
+    }
+
+    if (!isAdmin && (await countGroupAdmins(groupId)) <= 1) {
+      return errorResponse(res, 'A chat group needs at least one admin - promote someone else first', 400);
+    }
+
+    const { error } = await supabaseAdmin
+      .from('chat_members')
+      .update({ is_admin: isAdmin })
+      .eq('chat_group_id', groupId)
+      .eq('user_id', memberId);
 
     if (error) {
-      console.error('Error deleting chat group:', error);
-      return errorResponse(res, 'Failed to delete chat group', 500);
+      console.error('Error updating member role:', error);
+      return errorResponse(res, 'Failed to update member role', 500);
     }
 
-    return successResponse(res, null, 'Chat group deleted successfully');
+    emitGroupChange(req, groupId, 'member_role_changed', {
+      userId: memberId,
+      isAdmin,
+      changedBy: req.user.id
+    });
+
+    return successResponse(
+      res,
+      { user_id: memberId, is_admin: isAdmin },
+      isAdmin ? 'Member promoted to group admin' : 'Group admin demoted to member'
+    );
+  } catch (error) {
+    console.error('Error in updateGroupMemberRole:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Mute / unmute a chat group for the current user
+ * PUT /api/chat/groups/:groupId/mute
+ * Body: { muted: true/false, until: ISO date (optional, omit to mute indefinitely) }
+ */
+export const muteChatGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { muted = true, until = null } = req.body;
+
+    if (typeof muted !== 'boolean') {
+      return validationError(res, { muted: 'muted must be true or false' });
+    }
+
+    if (muted && until && !(new Date(until) > new Date())) {
+      return validationError(res, { until: 'until must be a future date' });
+    }
+
+    const { group, membership } = await getGroupAccess(groupId, req.user);
+
+    if (!group) {
+      return errorResponse(res, 'Chat group not found', 404);
+    }
+
+    if (!membership) {
+      return errorResponse(res, 'You are not a member of this chat group', 403);
+    }
+
+    const mutedUntil = muted && until ? new Date(until).toISOString() : null;
+
+    const { error } = await supabaseAdmin
+      .from('chat_members')
+      .update({ is_muted: muted, muted_until: mutedUntil })
+      .eq('chat_group_id', groupId)
+      .eq('user_id', req.user.id);
+
+    if (error) {
+      console.error('Error muting chat group:', error);
+      return errorResponse(res, 'Failed to update mute setting', 500);
+    }
+
+    // Sync the user's other devices
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user:${req.user.id}`).emit('group:mute_changed', {
+        groupId,
+        isMuted: muted,
+        mutedUntil
+      });
+    }
+
+    return successResponse(
+      res,
+      { is_muted: muted, muted_until: mutedUntil },
+      muted ? 'Chat group muted' : 'Chat group unmuted'
+    );
+  } catch (error) {
+    console.error('Error in muteChatGroup:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Archive / unarchive a group - archived groups stay readable but are read-only
+ */
+const setChatGroupArchived = async (req, res, archived) => {
+  const { groupId } = req.params;
+
+  const { group, canManage } = await getGroupAccess(groupId, req.user);
+
+  if (!group) {
+    return errorResponse(res, 'Chat group not found', 404);
+  }
+
+  if (!canManage) {
+    return errorResponse(res, `Only group admins can ${archived ? 'archive' : 'unarchive'} this group`, 403);
+  }
+
+  if (!!group.is_archived === archived) {
+    return errorResponse(res, archived ? 'Chat group is already archived' : 'Chat group is not archived', 400);
+  }
+
+  const { data: updatedGroup, error } = await supabaseAdmin
+    .from('chat_groups')
+    .update({
+      is_archived: archived,
+      archived_at: archived ? new Date().toISOString() : null,
+      archived_by: archived ? req.user.id : null
+    })
+    .eq('id', groupId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error archiving chat group:', error);
+    return errorResponse(res, 'Failed to update chat group', 500);
+  }
+
+  emitGroupChange(req, groupId, archived ? 'archived' : 'unarchived', { by: req.user.id });
+
+  return successResponse(
+    res,
+    updatedGroup,
+    archived ? 'Chat group archived successfully' : 'Chat group unarchived successfully'
+  );
+};
+
+/**
+ * Archive a chat group (group admins) - replaces deleting it
+ * POST /api/chat/groups/:groupId/archive
+ * DELETE /api/chat/groups/:groupId
+ */
+export const archiveChatGroup = async (req, res) => {
+  try {
+    return await setChatGroupArchived(req, res, true);
+  } catch (error) {
+    console.error('Error in archiveChatGroup:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Unarchive a chat group (group admins)
+ * POST /api/chat/groups/:groupId/unarchive
+ */
+export const unarchiveChatGroup = async (req, res) => {
+  try {
+    return await setChatGroupArchived(req, res, false);
   } catch (error) {
-    console.error('Error in deleteChatGroup:', error);
+    console.error('Error in unarchiveChatGroup:', error);
     return errorResponse(res, 'Internal server error', 500);
   }
 };
@@ -0,0 +1,249 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { successResponse, errorResponse } from '../utils/responses.js';
+import { hasPermission } from '../utils/permissions.js';
+import { chunkList, fetchAllPages, fetchAllIn } from '../utils/queryPaging.js';
+import {
+  DM_MESSAGE_SELECT,
+  getConversation,
+  getOtherParticipantId,
+  sendDirectMessage,
+  markConversationRead
+} from '../utils/directMessages.js';
+
+const DM_HISTORY_DEFAULT_LIMIT = 50;
+const DM_HISTORY_MAX_LIMIT = 100;
+
+/**
+ * List direct message conversations with unread counts
+ * GET /api/chat/direct
+ */
+export const getDirectConversations = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    if (!(await hasPermission(req.user.role, 'chat.direct'))) {
+      return errorResponse(res, 'You do not have permission to use direct messages', 403);
+    }
+
+    let conversations;
+    try {
+      conversations = await fetchAllPages(() =>
+        supabaseAdmin
+          .from('direct_conversations')
+          .select('*')
+          .or(`user_a_id.eq.${userId},user_b_id.eq.${userId}`)
+          .not('last_message_at', 'is', null)
+          .order('last_message_at', { ascending: false })
+          .order('id', { ascending: false })
+      );
+    } catch (error) {
+      console.error('Error fetching direct conversations:', error);
+      return errorResponse(res, 'Failed to fetch conversations', 500);
+    }
+
+    if (conversations.length === 0) {
+      return successResponse(res, { conversations: [], totalUnread: 0 }, 'Conversations fetched successfully');
+    }
+
+    const otherUserIds = conversations.map((c) => getOtherParticipantId(c, userId));
+
+    const users = await fetchAllIn(otherUserIds, (ids) =>
+      supabaseAdmin
+        .from('users')
+        .select('id, name, email, role, profile_picture, availability_status, deactivated_at')
+        .in('id', ids)
+        .order('id')
+    );
+
+    // Last message + unread count per conversation, one call per chunk of conversations
+    const summaries = new Map();
+    for (const ids of chunkList(conversations.map((c) => c.id))) {
+      const { data, error } = await supabaseAdmin.rpc('get_direct_conversation_summaries', {
+        viewer_id: userId,
+        conversation_ids: ids
+      });
+      if (error) throw error;
+      (data || []).forEach((summary) => summaries.set(summary.conversation_id, summary));
+    }
+
+    const usersById = new Map(users.map((u) => [u.id, u]));
+    let totalUnread = 0;
+
+    const withDetails = conversations.map((conversation) => {
+      const summary = summaries.get(conversation.id);
+      const otherUser = usersById.get(getOtherParticipantId(conversation, userId));
+      const unreadCount = Number(summary?.unread_count) || 0;
+      totalUnread += unreadCount;
+
+      return {
+        id: conversation.id,
+        user: otherUser
+          ? {
+            id: otherUser.id,
+            name: otherUser.name,
+            email: otherUser.email,
+            role: otherUser.role,
+            profilePicture: otherUser.profile_picture,
+            availabilityStatus: otherUser.availability_status,
+            isDeactivated: !!otherUser.deactivated_at
+          }
+          : null,
+        lastMessage: summary?.last_message_id
+          ? {
+            id: summary.last_message_id,
+            sender_id: summary.last_message_sender_id,
+            message: summary.last_message_is_deleted ? 'Message deleted' : summary.last_message,
+            message_type: summary.last_message_type,
+            is_deleted: summary.last_message_is_deleted,
+            created_at: summary.last_message_created_at
+          }
+          : null,
+        lastMessageAt: conversation.last_message_at,
+        unreadCount
+      };
+    });
+
+    return successResponse(
+      res,
+      {
+        conversations: withDetails,
+        totalUnread
+      },
+      'Conversations fetched successfully'
+    );
+  } catch (error) {
+    console.error('Error in getDirectConversations:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Get direct message history with a user (newest page last)
+ * GET /api/chat/direct/:userId/messages?limit=50&before=ISO date
+ */
+export const getDirectMessages = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { userId: otherUserId } = req.params;
+    const { before } = req.query;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || DM_HISTORY_DEFAULT_LIMIT, 1),
+      DM_HISTORY_MAX_LIMIT
+    );
+
+    if (!(await hasPermission(req.user.role, 'chat.direct'))) {
+      return errorResponse(res, 'You do not have permission to use direct messages', 403);
+    }
+
+    const conversation = await getConversation(userId, otherUserId);
+
+    // No messages yet - the conversation is created on the first message
+    if (!conversation) {
+      return successResponse(
+        res,
+        { conversationId: null, messages: [], hasMore: false },
+        'Messages fetched successfully'
+      );
+    }
+
+    let query = supabaseAdmin
+      .from('direct_messages')
+      .select(DM_MESSAGE_SELECT)
+      .eq('conversation_id', conversation.id)
+      .order('created_at', { ascending: false })
+      .limit(limit + 1);
+
+    if (before) {
+      query = query.lt('created_at', before);
+    }
+
+    const { data: rows, error } = await query;
+
+    if (error) {
+      console.error('Error fetching direct messages:', error);
+      return errorResponse(res, 'Failed to fetch messages', 500);
+    }
+
+    const hasMore = rows.length > limit;
+    const page = (hasMore ? rows.slice(0, limit) : rows).reverse();
+
+    // Reply previews
+    const replyIds = [...new Set(page.map((m) => m.reply_to_message_id).filter(Boolean))];
+    const { data: replies } = replyIds.length > 0
+      ? await supabaseAdmin
+        .from('direct_messages')
+        .select('id, sender_id, message, message_type, file_name, is_deleted, created_at')
+        .in('id', replyIds)
+      : { data: [] };
+
+    const repliesById = new Map((replies || []).map((reply) => [
+      reply.id,
+      { ...reply, message: reply.is_deleted ? 'Message deleted' : reply.message }
+    ]));
+
+    return successResponse(
+      res,
+      {
+        conversationId: conversation.id,
+        messages: page.map((message) => ({
+          ...message,
+          reply_to: repliesById.get(message.reply_to_message_id) || null
+        })),
+        hasMore
+      },
+      'Messages fetched successfully'
+    );
+  } catch (error) {
+    console.error('Error in getDirectMessages:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Send a direct message (creates the conversation on the first message)
+ * POST /api/chat/direct/:userId/messages
+ * Body: { message, messageType, fileUrl, fileName, fileSize, fileMimeType, replyToId }
+ */
+export const sendDirectMessageToUser = async (req, res) => {
+  try {
+    const { conversation, message, error } = await sendDirectMessage({
+      io: req.app.get('io'),
+      senderId: req.user.id,
+      recipientId: req.params.userId,
+      payload: req.body
+    });
+
+    if (error) {
+      return errorResponse(res, error.message, error.status);
+    }
+
+    return successResponse(
+      res,
+      { conversationId: conversation.id, message },
+      'Message sent successfully',
+      201
+    );
+  } catch (error) {
+    console.error('Error in sendDirectMessageToUser:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
+
+/**
+ * Mark a conversation as read
+ * POST /api/chat/direct/:userId/read
+ */
+export const markDirectMessagesRead = async (req, res) => {
+  try {
+    const messageIds = await markConversationRead({
+      io: req.app.get('io'),
+      userId: req.user.id,
+      otherUserId: req.params.userId
+    });
+
+    return successResponse(res, { markedCount: messageIds.length }, 'Messages marked as read');
+  } catch (error) {
+    console.error('Error in markDirectMessagesRead:', error);
+    return errorResponse(res, 'Internal server error', 500);
+  }
+};
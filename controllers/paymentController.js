@@ -0,0 +1,974 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import {
+  successResponse,
+  errorResponse,
+  validationError,
+} from "../utils/responses.js";
+import { normalizePaymentStages, completePaymentStage } from "../utils/paymentStages.js";
+import {
+  PAYMENT_METHODS,
+  buildTicketLedger,
+  getPaymentsByTicket,
+  allocateReceiptNumber,
+  getTicketClient,
+} from "../utils/paymentLedger.js";
+import { fetchAllPages, fetchAllIn } from "../utils/queryPaging.js";
+import { generateInvoicePdf } from "../utils/invoicePdf.js";
+import { logTicketEvent, TICKET_EVENT_TYPES } from "../utils/ticketEvents.js";
+import { PAYMENT_PROOF_STATUSES, submitPaymentProof } from "../utils/paymentProofs.js";
+import { createPaymentProofReviewedNotification } from "../utils/notificationHelper.js";
+import { hasPermission, checkTicketPermission } from "../utils/permissions.js";
+
+/**
+ * Check who may see a ticket's payments (payment.view):
+ * by default admin and employee on every ticket, clients only on their own
+ */
+const getPaymentAccess = async (userId, ticketId) => {
+  const { data: user } = await supabaseAdmin
+    .from("users")
+    .select("id, role, name")
+    .eq("id", userId)
+    .single();
+
+  if (!user) return { user: null, allowed: false };
+
+  const { allowed } = await checkTicketPermission(user, ticketId, "payment.view");
+  return { user, allowed };
+};
+
+/**
+ * Get a ticket's payment ledger (amounts due, payments, balance)
+ * GET /api/tickets/:ticketId/payments
+ */
+export const getTicketPayments = async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const userId = req.user.id;
+
+    const { user, allowed } = await getPaymentAccess(userId, ticketId);
+    if (!allowed) {
+      return errorResponse(res, "You do not have access to this ticket's payments", 403);
+    }
+
+    const { data: ticket, error: ticketError } = await supabaseAdmin
+      .from("tickets")
+      .select("id, ticket_number, uid, title, payment_stages, payment_reminders_enabled")
+      .eq("id", ticketId)
+      .single();
+
+    if (ticketError || !ticket) {
+      return errorResponse(res, "Ticket not found", 404);
+    }
+
+    const { data: payments, error: paymentsError } = await supabaseAdmin
+      .from("ticket_payments")
+      .select("*, recorded_by_user:users!ticket_payments_recorded_by_fkey(id, name)")
+      .eq("ticket_id", ticketId)
+      .order("paid_at", { ascending: false });
+
+    if (paymentsError) {
+      console.error("Error fetching ticket payments:", paymentsError);
+      return errorResponse(res, "Failed to fetch payments", 500);
+    }
+
+    // Clients see their receipts, not internal notes or voided entries
+    const visiblePayments =
+      user.role === "client"
+        ? (payments || [])
+          .filter((p) => !p.voided_at)
+          .map(({ notes: _notes, void_reason: _reason, ...p }) => p)
+        : payments || [];
+
+    return successResponse(
+      res,
+      {
+        ledger: buildTicketLedger(ticket, payments || []),
+        payments: visiblePayments,
+        payment_reminders_enabled: ticket.payment_reminders_enabled !== false,
+      },
+      "Payments fetched successfully"
+    );
+  } catch (error) {
+    console.error("Get ticket payments error:", error);
+    return errorResponse(res, "Failed to fetch payments", 500);
+  }
+};
+
+/**
+ * Record a payment received for a ticket
+ * POST /api/tickets/:ticketId/payments
+ * - Admin and Employee only
+ */
+export const recordTicketPayment = async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const { amount, stage, method = "other", reference, notes, paidAt, currency } = req.body;
+    const userId = req.user.id;
+
+    const { data: user } = await supabaseAdmin
+      .from("users")
+      .select("role")
+      .eq("id", userId)
+      .single();
+
+    if (!(await hasPermission(user.role, "payment.record"))) {
+      return errorResponse(res, "You do not have permission to record payments", 403);
+    }
+
+    const errors = {};
+    if (!amount || isNaN(Number(amount)) || Number(amount) <= 0) {
+      errors.amount = "Amount must be greater than 0";
+    }
+    if (!PAYMENT_METHODS.includes(method)) {
+      errors.method = `Invalid method. Must be one of: ${PAYMENT_METHODS.join(", ")}`;
+    }
+    if (paidAt && isNaN(new Date(paidAt).getTime())) {
+      errors.paidAt = "Payment date must be a valid date";
+    }
+    if (Object.keys(errors).length > 0) return validationError(res, errors);
+
+    const { data: ticket, error: ticketError } = await supabaseAdmin
+      .from("tickets")
+      .select("id, payment_stages")
+      .eq("id", ticketId)
+      .single();
+
+    if (ticketError || !ticket) {
+      return errorResponse(res, "Ticket not found", 404);
+    }
+
+    const stages = normalizePaymentStages(ticket.payment_stages);
+    if (stage && !Object.hasOwn(stages, stage)) {
+      return validationError(res, {
+        stage: `Invalid stage. Must be one of: ${Object.keys(stages).join(", ")}`,
+      });
+    }
+
+    const { data: payment, error: insertError } = await supabaseAdmin
+      .from("ticket_payments")
+      .insert({
+        ticket_id: ticketId,
+        stage_key: stage || null,
+        amount: Number(amount),
+        currency: currency || stages[stage]?.currency || "INR",
+        method,
+        reference: reference || null,
+        notes: notes || null,
+        paid_at: paidAt ? new Date(paidAt).toISOString() : new Date().toISOString(),
+        receipt_number: await allocateReceiptNumber(),
+        recorded_by: userId,
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      console.error("Error recording payment:", insertError);
+      return errorResponse(res, "Failed to record payment", 500);
+    }
+
+    await logTicketEvent({
+      ticketId,
+      actorId: userId,
+      eventType: TICKET_EVENT_TYPES.PAYMENT_RECORDED,
+      newValue: { amount: payment.amount, currency: payment.currency, stage: payment.stage_key },
+      metadata: { paymentId: payment.id, receiptNumber: payment.receipt_number, method },
+    });
+
+    const paymentsMap = await getPaymentsByTicket([ticketId]);
+
+    console.log(`✅ Payment ${payment.receipt_number} recorded for ticket ${ticketId}`);
+
+    return successResponse(
+      res,
+      {
+        payment,
+        ledger: buildTicketLedger(ticket, paymentsMap.get(ticketId) || []),
+      },
+      "Payment recorded successfully",
+      201
+    );
+  } catch (error) {
+    console.error("Record ticket payment error:", error);
+    return errorResponse(res, "Failed to record payment", 500);
+  }
+};
+
+/**
+ * Void a recorded payment (kept for audit, excluded from balances)
+ * DELETE /api/tickets/:ticketId/payments/:paymentId
+ * - Admin only
+ */
+export const voidTicketPayment = async (req, res) => {
+  try {
+    const { ticketId, paymentId } = req.params;
+    const { reason } = req.body || {};
+    const userId = req.user.id;
+
+    const { data: user } = await supabaseAdmin
+      .from("users")
+      .select("role")
+      .eq("id", userId)
+      .single();
+
+    if (!(await hasPermission(user.role, "payment.void"))) {
+      return errorResponse(res, "You do not have permission to void payments", 403);
+    }
+
+    const { data: payment, error } = await supabaseAdmin
+      .from("ticket_payments")
+      .update({
+        voided_at: new Date().toISOString(),
+        voided_by: userId,
+        void_reason: reason || null,
+      })
+      .eq("id", paymentId)
+      .eq("ticket_id", ticketId)
+      .is("voided_at", null)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error("Error voiding payment:", error);
+      return errorResponse(res, "Failed to void payment", 500);
+    }
+
+    if (!payment) {
+      return errorResponse(res, "Payment not found or already voided", 404);
+    }
+
+    await logTicketEvent({
+      ticketId,
+      actorId: userId,
+      eventType: TICKET_EVENT_TYPES.PAYMENT_VOIDED,
+      oldValue: { amount: payment.amount, currency: payment.currency, stage: payment.stage_key },
+      metadata: { paymentId, receiptNumber: payment.receipt_number, reason: reason || null },
+    });
+
+    return successResponse(res, { payment }, "Payment voided successfully");
+  } catch (error) {
+    console.error("Void ticket payment error:", error);
+    return errorResponse(res, "Failed to void payment", 500);
+  }
+};
+
+/**
+ * Set the amount due for a ticket's payment stage
+ * PUT /api/tickets/:ticketId/payment-stages/:stage/amount
+ * - Admin only
+ */
+export const updatePaymentStageAmount = async (req, res) => {
+  try {
+    const { ticketId, stage } = req.params;
+    const { amount, currency } = req.body;
+    const userId = req.user.id;
+
+    const { data: user } = await supabaseAdmin
+      .from("users")
+      .select("role")
+      .eq("id", userId)
+      .single();
+
+    if (!(await hasPermission(user.role, "payment.amount.update"))) {
+      return errorResponse(res, "You do not have permission to set payment amounts", 403);
+    }
+
+    if (amount !== null && (amount === undefined || isNaN(Number(amount)) || Number(amount) < 0)) {
+      return validationError(res, { amount: "Amount must be 0 or more (or null to clear)" });
+    }
+
+    const { data: ticket, error: ticketError } = await supabaseAdmin
+      .from("tickets")
+      .select("id, payment_stages")
+      .eq("id", ticketId)
+      .single();
+
+    if (ticketError || !ticket) {
+      return errorResponse(res, "Ticket not found", 404);
+    }
+
+    const stages = normalizePaymentStages(ticket.payment_stages);
+    if (!Object.hasOwn(stages, stage)) {
+      return validationError(res, {
+        stage: `Invalid stage. Must be one of: ${Object.keys(stages).join(", ")}`,
+      });
+    }
+
+    const previous = { amount: stages[stage].amount ?? null, currency: stages[stage].currency ?? null };
+
+    stages[stage] = {
+      ...stages[stage],
+      amount: amount === null ? null : Number(amount),
+      currency: currency ? String(currency).toUpperCase() : stages[stage].currency || "INR",
+    };
+
+    const { error: updateError } = await supabaseAdmin
+      .from("tickets")
+      .update({ payment_stages: stages })
+      .eq("id", ticketId);
+
+    if (updateError) {
+      console.error("Error updating stage amount:", updateError);
+      return errorResponse(res, "Failed to update stage amount", 500);
+    }
+
+    await logTicketEvent({
+      ticketId,
+      actorId: userId,
+      eventType: TICKET_EVENT_TYPES.PAYMENT_AMOUNT_UPDATED,
+      oldValue: previous,
+      newValue: { amount: stages[stage].amount, currency: stages[stage].currency },
+      metadata: { stage, stageName: stages[stage].name },
+    });
+
+    return successResponse(
+      res,
+      { stage, payment_stages: stages },
+      `${stages[stage].name} amount updated`
+    );
+  } catch (error) {
+    console.error("Update payment stage amount error:", error);
+    return errorResponse(res, "Failed to update stage amount", 500);
+  }
+};
+
+/**
+ * Download an invoice (whole ticket) or receipt (single payment) as PDF
+ * GET /api/tickets/:ticketId/invoice?type=invoice|receipt&paymentId=
+ */
+export const downloadTicketInvoice = async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const { type = "invoice", paymentId } = req.query;
+    const userId = req.user.id;
+
+    if (!["invoice", "receipt"].includes(type)) {
+      return validationError(res, { type: "Type must be invoice or receipt" });
+    }
+    if (type === "receipt" && !paymentId) {
+      return validationError(res, { paymentId: "Payment ID is required for a receipt" });
+    }
+
+    const { allowed } = await getPaymentAccess(userId, ticketId);
+    if (!allowed) {
+      return errorResponse(res, "You do not have access to this ticket's payments", 403);
+    }
+
+    const { data: ticket, error: ticketError } = await supabaseAdmin
+      .from("tickets")
+      .select("id, ticket_number, uid, title, created_by, payment_stages")
+      .eq("id", ticketId)
+      .single();
+
+    if (ticketError || !ticket) {
+      return errorResponse(res, "Ticket not found", 404);
+    }
+
+    const paymentsMap = await getPaymentsByTicket([ticketId]);
+    const payments = paymentsMap.get(ticketId) || [];
+
+    let payment = null;
+    if (type === "receipt") {
+      payment = payments.find((p) => p.id === paymentId);
+      if (!payment) {
+        return errorResponse(res, "Payment not found", 404);
+      }
+    }
+
+    const pdf = await generateInvoicePdf({
+      type,
+      ticket,
+      client: await getTicketClient(ticket),
+      ledger: buildTicketLedger(ticket, payments),
+      payment,
+    });
+
+    const safeNumber = String(ticket.ticket_number || ticket.id).replace(/[^a-zA-Z0-9-]/g, "_");
+    const filename =
+      type === "receipt"
+        ? `receipt-${payment.receipt_number || payment.id}.pdf`
+        : `invoice-${safeNumber}.pdf`;
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("Content-Length", pdf.length);
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+
+    res.end(pdf);
+  } catch (error) {
+    console.error("Download invoice error:", error);
+    return errorResponse(res, `Failed to generate ${req.query.type || "invoice"}`, 500);
+  }
+};
+
+/**
+ * Outstanding balance for each ticket of each client, in one pass for all clients
+ * @param {string[]} clientIds - Client user ids
+ * @returns {Promise<Map>} client id -> { tickets, total_due, total_paid, balance }
+ */
+const getClientLedgers = async (clientIds) => {
+  const [created, memberOf] = await Promise.all([
+    fetchAllIn(clientIds, (ids) =>
+      supabaseAdmin.from("tickets").select("id, created_by").in("created_by", ids).order("id")
+    ),
+    fetchAllIn(clientIds, (ids) =>
+      supabaseAdmin.from("ticket_members").select("id, ticket_id, user_id").in("user_id", ids).order("id")
+    ),
+  ]);
+
+  const ticketIdsByClient = new Map(clientIds.map((id) => [id, new Set()]));
+  created.forEach((t) => ticketIdsByClient.get(t.created_by)?.add(t.id));
+  memberOf.forEach((m) => ticketIdsByClient.get(m.user_id)?.add(m.ticket_id));
+
+  const ticketIds = [...new Set([...ticketIdsByClient.values()].flatMap((ids) => [...ids]))];
+
+  const [tickets, paymentsMap] = await Promise.all([
+    fetchAllIn(ticketIds, (ids) =>
+      supabaseAdmin
+        .from("tickets")
+        .select("id, ticket_number, uid, title, status, payment_stages")
+        .in("id", ids)
+        .order("id")
+    ),
+    getPaymentsByTicket(ticketIds),
+  ]);
+
+  const rowsByTicket = new Map(
+    tickets.map((ticket) => {
+      const ledger = buildTicketLedger(ticket, paymentsMap.get(ticket.id) || []);
+      return [
+        ticket.id,
+        {
+          ticket_id: ticket.id,
+          ticket_number: ticket.ticket_number,
+          uid: ticket.uid,
+          title: ticket.title,
+          status: ticket.status,
+          currency: ledger.currency,
+          total_due: ledger.total_due,
+          total_paid: ledger.total_paid,
+          balance: ledger.balance,
+        },
+      ];
+    })
+  );
+
+  const ledgers = new Map();
+  ticketIdsByClient.forEach((ids, clientId) => {
+    const rows = [...ids].map((id) => rowsByTicket.get(id)).filter(Boolean);
+    const sum = (key) => Math.round(rows.reduce((total, r) => total + r[key], 0) * 100) / 100;
+
+    ledgers.set(clientId, {
+      tickets: rows,
+      total_due: sum("total_due"),
+      total_paid: sum("total_paid"),
+      balance: sum("balance"),
+    });
+  });
+
+  return ledgers;
+};
+
+/**
+ * Get outstanding balance for one client
+ * GET /api/admin/clients/:userId/balance
+ */
+export const getClientBalance = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const { data: client } = await supabaseAdmin
+      .from("users")
+      .select("id, name, email, role")
+      .eq("id", userId)
+      .maybeSingle();
+
+    if (!client || client.role !== "client") {
+      return errorResponse(res, "Client not found", 404);
+    }
+
+    const ledger = (await getClientLedgers([userId])).get(userId);
+
+    return successResponse(res, { client, ...ledger }, "Client balance fetched successfully");
+  } catch (error) {
+    console.error("Get client balance error:", error);
+    return errorResponse(res, "Failed to fetch client balance", 500);
+  }
+};
+
+/**
+ * Get outstanding balances for all clients
+ * GET /api/admin/client-balances?outstandingOnly=true
+ */
+export const getClientBalances = async (req, res) => {
+  try {
+    const { outstandingOnly } = req.query;
+
+    let clients;
+    try {
+      clients = await fetchAllPages(() =>
+        supabaseAdmin
+          .from("users")
+          .select("id, name, email")
+          .eq("role", "client")
+          .order("name", { ascending: true })
+          .order("id", { ascending: true })
+      );
+    } catch (error) {
+      console.error("Error fetching clients:", error);
+      return errorResponse(res, "Failed to fetch client balances", 500);
+    }
+
+    const ledgers = await getClientLedgers(clients.map((c) => c.id));
+
+    const balances = [];
+    for (const client of clients) {
+      const { tickets, total_due, total_paid, balance } = ledgers.get(client.id);
+      if (outstandingOnly === "true" && balance <= 0) continue;
+      balances.push({ client, ticket_count: tickets.length, total_due, total_paid, balance });
+    }
+
+    return successResponse(res, { balances }, "Client balances fetched successfully");
+  } catch (error) {
+    console.error("Get client balances error:", error);
+    return errorResponse(res, "Failed to fetch client balances", 500);
+  }
+};
+
+/**
+ * Get payment proofs uploaded for a ticket
+ * GET /api/tickets/:ticketId/payment-proofs?status=pending
+ */
+export const getPaymentProofs = async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const { status } = req.query;
+    const userId = req.user.id;
+
+    const { allowed } = await getPaymentAccess(userId, ticketId);
+    if (!allowed) {
+      return errorResponse(res, "You do not have access to this ticket's payments", 403);
+    }
+
+    if (status && !PAYMENT_PROOF_STATUSES.includes(status)) {
+      return validationError(res, {
+        status: `Invalid status. Must be one of: ${PAYMENT_PROOF_STATUSES.join(", ")}`,
+      });
+    }
+
+    let query = supabaseAdmin
+      .from("payment_proofs")
+      .select(`
+        *,
+        submitted_by_user:users!payment_proofs_submitted_by_fkey(id, name),
+        reviewed_by_user:users!payment_proofs_reviewed_by_fkey(id, name)
+      `)
+      .eq("ticket_id", ticketId)
+      .order("created_at", { ascending: false });
+
+    if (status) query = query.eq("status", status);
+
+    const { data: proofs, error } = await query;
+
+    if (error) {
+      console.error("Error fetching payment proofs:", error);
+      return errorResponse(res, "Failed to fetch payment proofs", 500);
+    }
+
+    return successResponse(res, { proofs: proofs || [] }, "Payment proofs fetched successfully");
+  } catch (error) {
+    console.error("Get payment proofs error:", error);
+    return errorResponse(res, "Failed to fetch payment proofs", 500);
+  }
+};
+
+/**
+ * Submit an already uploaded ticket file as payment proof for a stage
+ * (the upload-confirm endpoint can do this in one step via paymentStage)
+ * POST /api/tickets/:ticketId/payment-proofs
+ */
+export const submitTicketPaymentProof = async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const { stage, fileId, amount, reference, note } = req.body;
+    const userId = req.user.id;
+
+    if (!fileId) {
+      return validationError(res, { fileId: "File ID is required" });
+    }
+
+    const { allowed } = await getPaymentAccess(userId, ticketId);
+    if (!allowed) {
+      return errorResponse(res, "You do not have access to this ticket's payments", 403);
+    }
+
+    const { data: file } = await supabaseAdmin
+      .from("ticket_files")
+      .select("id, file_url, file_name, uploaded_by")
+      .eq("id", fileId)
+      .eq("ticket_id", ticketId)
+      .maybeSingle();
+
+    if (!file) {
+      return errorResponse(res, "File not found on this ticket", 404);
+    }
+
+    const { proof, paymentStages, error } = await submitPaymentProof({
+      ticketId,
+      stage,
+      file,
+      userId,
+      amount,
+      reference,
+      note,
+    });
+
+    if (error) {
+      return error.errors
+        ? validationError(res, error.errors)
+        : errorResponse(res, error.message, error.status);
+    }
+
+    return successResponse(
+      res,
+      { proof, payment_stages: paymentStages },
+      "Payment proof sent for verification",
+      201
+    );
+  } catch (error) {
+    console.error("Submit payment proof error:", error);
+    return errorResponse(res, "Failed to submit payment proof", 500);
+  }
+};
+
+/**
+ * Undo an approval whose stage completion failed: void the ledger payment it
+ * recorded and put the proof back to pending so it can be approved again
+ */
+const releaseApprovedProof = async (proof, payment, userId) => {
+  if (payment) {
+    const { error } = await supabaseAdmin
+      .from("ticket_payments")
+      .update({
+        voided_at: new Date().toISOString(),
+        voided_by: userId,
+        void_reason: "Payment proof approval failed",
+      })
+      .eq("id", payment.id);
+    if (error) console.error("Error voiding payment of failed approval:", error);
+  }
+
+  const { error } = await supabaseAdmin
+    .from("payment_proofs")
+    .update({ status: "pending", reviewed_by: null, reviewed_at: null, payment_id: null })
+    .eq("id", proof.id)
+    .eq("status", "approved");
+  if (error) console.error("Error releasing payment proof:", error);
+};
+
+/**
+ * Approve a payment proof - completes the stage and records the payment
+ * POST /api/tickets/:ticketId/payment-proofs/:proofId/approve
+ * - Admin and Employee only
+ */
+export const approvePaymentProof = async (req, res) => {
+  try {
+    const { ticketId, proofId } = req.params;
+    const { method = "upi", recordPayment = true } = req.body || {};
+    const userId = req.user.id;
+
+    const { data: user } = await supabaseAdmin
+      .from("users")
+      .select("role")
+      .eq("id", userId)
+      .single();
+
+    if (!(await hasPermission(user.role, "payment.proof.review"))) {
+      return errorResponse(res, "You do not have permission to verify payments", 403);
+    }
+
+    if (!PAYMENT_METHODS.includes(method)) {
+      return validationError(res, {
+        method: `Invalid method. Must be one of: ${PAYMENT_METHODS.join(", ")}`,
+      });
+    }
+
+    // Claim the proof first so two reviewers can't both approve it
+    const { data: proof, error: claimError } = await supabaseAdmin
+      .from("payment_proofs")
+      .update({
+        status: "approved",
+        reviewed_by: userId,
+        reviewed_at: new Date().toISOString(),
+      })
+      .eq("id", proofId)
+      .eq("ticket_id", ticketId)
+      .eq("status", "pending")
+      .select()
+      .maybeSingle();
+
+    if (claimError) {
+      console.error("Error approving payment proof:", claimError);
+      return errorResponse(res, "Failed to approve payment proof", 500);
+    }
+
+    if (!proof) {
+      return errorResponse(res, "Payment proof not found or already reviewed", 409);
+    }
+
+    // Anything failing from here on hands the proof back (see releaseApprovedProof)
+    let payment = null;
+    let completion;
+    try {
+      const { data: ticket } = await supabaseAdmin
+        .from("tickets")
+        .select("id, payment_stages")
+        .eq("id", ticketId)
+        .single();
+
+      const stages = normalizePaymentStages(ticket?.payment_stages);
+
+      // Record the amount in the ledger when the client stated one
+      if (recordPayment && proof.amount) {
+        const { data: inserted, error: paymentError } = await supabaseAdmin
+          .from("ticket_payments")
+          .insert({
+            ticket_id: ticketId,
+            stage_key: proof.stage_key,
+            amount: proof.amount,
+            currency: stages[proof.stage_key]?.currency || "INR",
+            method,
+            reference: proof.reference,
+            notes: "Verified from client payment proof",
+            paid_at: proof.created_at,
+            receipt_number: await allocateReceiptNumber(),
+            recorded_by: userId,
+          })
+          .select()
+          .single();
+
+        if (paymentError) {
+          console.error("Error recording verified payment:", paymentError);
+        } else {
+          payment = inserted;
+          await supabaseAdmin.from("payment_proofs").update({ payment_id: payment.id }).eq("id", proof.id);
+        }
+      }
+
+      // Same completion as POST /payment-stage/complete
+      completion = await completePaymentStage(
+        ticketId,
+        stages,
+        proof.stage_key,
+        userId,
+        { verification_status: "approved", proof_id: proof.id }
+      );
+    } catch (error) {
+      await releaseApprovedProof(proof, payment, userId);
+      throw error;
+    }
+
+    const { paymentStages, stageName, error: completeError } = completion;
+
+    if (completeError) {
+      console.error("Error completing payment stage:", completeError);
+      await releaseApprovedProof(proof, payment, userId);
+      return errorResponse(res, "Failed to mark stage as completed, proof is still pending", 500);
+    }
+
+    await createPaymentProofReviewedNotification(ticketId, proof.submitted_by, stageName, true);
+
+    console.log(`✅ Payment proof ${proofId} approved, ${stageName} completed`);
+
+    return successResponse(
+      res,
+      { proof, payment, stage: proof.stage_key, stageName, payment_stages: paymentStages },
+      `${stageName} payment verified`
+    );
+  } catch (error) {
+    console.error("Approve payment proof error:", error);
+    return errorResponse(res, "Failed to approve payment proof", 500);
+  }
+};
+
+/**
+ * Reject a payment proof - the client can upload a new one
+ * POST /api/tickets/:ticketId/payment-proofs/:proofId/reject
+ * - Admin and Employee only
+ */
+export const rejectPaymentProof = async (req, res) => {
+  try {
+    const { ticketId, proofId } = req.params;
+    const { reason } = req.body || {};
+    const userId = req.user.id;
+
+    const { data: user } = await supabaseAdmin
+      .from("users")
+      .select("role")
+      .eq("id", userId)
+      .single();
+
+    if (!(await hasPermission(user.role, "payment.proof.review"))) {
+      return errorResponse(res, "You do not have permission to verify payments", 403);
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return validationError(res, { reason: "A reason is required when rejecting a payment proof" });
+    }
+
+    const { data: proof, error } = await supabaseAdmin
+      .from("payment_proofs")
+      .update({
+        status: "rejected",
+        reviewed_by: userId,
+        reviewed_at: new Date().toISOString(),
+        rejection_reason: String(reason).trim(),
+      })
+      .eq("id", proofId)
+      .eq("ticket_id", ticketId)
+      .eq("status", "pending")
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error("Error rejecting payment proof:", error);
+      return errorResponse(res, "Failed to reject payment proof", 500);
+    }
+
+    if (!proof) {
+      return errorResponse(res, "Payment proof not found or already reviewed", 409);
+    }
+
+    const { data: ticket } = await supabaseAdmin
+      .from("tickets")
+      .select("id, payment_stages")
+      .eq("id", ticketId)
+      .single();
+
+    const stages = normalizePaymentStages(ticket?.payment_stages);
+    const stageName = stages[proof.stage_key]?.name || proof.stage_key;
+
+    if (Object.hasOwn(stages, proof.stage_key)) {
+      stages[proof.stage_key] = {
+        ...stages[proof.stage_key],
+        verification_status: "rejected",
+        proof_id: proof.id,
+      };
+
+      await supabaseAdmin.from("tickets").update({ payment_stages: stages }).eq("id", ticketId);
+    }
+
+    await logTicketEvent({
+      ticketId,
+      actorId: userId,
+      eventType: TICKET_EVENT_TYPES.PAYMENT_PROOF_REJECTED,
+      oldValue: { status: "pending" },
+      newValue: { status: "rejected" },
+      metadata: { stage: proof.stage_key, stageName, proofId: proof.id, reason: proof.rejection_reason },
+    });
+
+    await createPaymentProofReviewedNotification(
+      ticketId,
+      proof.submitted_by,
+      stageName,
+      false,
+      proof.rejection_reason
+    );
+
+    return successResponse(
+      res,
+      { proof, payment_stages: stages },
+      `${stageName} payment proof rejected`
+    );
+  } catch (error) {
+    console.error("Reject payment proof error:", error);
+    return errorResponse(res, "Failed to reject payment proof", 500);
+  }
+};
+
+/**
+ * Get payment proofs awaiting verification across all tickets
+ * GET /api/admin/payment-proofs/pending
+ */
+export const getPendingPaymentProofs = async (req, res) => {
+  try {
+    const { data: proofs, error } = await supabaseAdmin
+      .from("payment_proofs")
+      .select(`
+        *,
+        ticket:tickets(id, ticket_number, uid, title),
+        submitted_by_user:users!payment_proofs_submitted_by_fkey(id, name, email)
+      `)
+      .eq("status", "pending")
+      .order("created_at", { ascending: true });
+
+    if (error) {
+      console.error("Error fetching pending payment proofs:", error);
+      return errorResponse(res, "Failed to fetch pending payment proofs", 500);
+    }
+
+    return successResponse(res, { proofs: proofs || [] }, "Pending payment proofs fetched successfully");
+  } catch (error) {
+    console.error("Get pending payment proofs error:", error);
+    return errorResponse(res, "Failed to fetch pending payment proofs", 500);
+  }
+};
+
+/**
+ * Turn automated payment reminders on/off for a ticket
+ * PUT /api/tickets/:ticketId/payment-reminders
+ * - Admin and Employee only
+ */
+export const updatePaymentReminderSettings = async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const { enabled } = req.body;
+    const userId = req.user.id;
+
+    const { data: user } = await supabaseAdmin
+      .from("users")
+      .select("role")
+      .eq("id", userId)
+      .single();
+
+    if (!(await hasPermission(user.role, "payment.reminders.manage"))) {
+      return errorResponse(res, "You do not have permission to change payment reminders", 403);
+    }
+
+    if (typeof enabled !== "boolean") {
+      return validationError(res, { enabled: "enabled must be true or false" });
+    }
+
+    const { data: ticket, error } = await supabaseAdmin
+      .from("tickets")
+      .update({ payment_reminders_enabled: enabled })
+      .eq("id", ticketId)
+      .select("id, payment_reminders_enabled")
+      .maybeSingle();
+
+    if (error) {
+      console.error("Error updating payment reminders:", error);
+      return errorResponse(res, "Failed to update payment reminders", 500);
+    }
+
+    if (!ticket) {
+      return errorResponse(res, "Ticket not found", 404);
+    }
+
+    await logTicketEvent({
+      ticketId,
+      actorId: userId,
+      eventType: TICKET_EVENT_TYPES.PAYMENT_REMINDERS_TOGGLED,
+      oldValue: !enabled,
+      newValue: enabled,
+    });
+
+    return successResponse(
+      res,
+      { payment_reminders_enabled: ticket.payment_reminders_enabled },
+      `Payment reminders ${enabled ? "enabled" : "disabled"}`
+    );
+  } catch (error) {
+    console.error("Update payment reminders error:", error);
+    return errorResponse(res, "Failed to update payment reminders", 500);
+  }
+};
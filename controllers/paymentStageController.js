@@ -0,0 +1,321 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import {
+  successResponse,
+  errorResponse,
+  validationError,
+} from "../utils/responses.js";
+import {
+  DEFAULT_TEMPLATE_PROJECT_TYPE,
+  getPaymentStageTemplates,
+  buildPaymentStages,
+  normalizePaymentStages,
+} from "../utils/paymentStages.js";
+import { logAdminAction } from "../utils/adminAudit.js";
+
+const STAGE_KEY_PATTERN = /^[a-z0-9_]+$/;
+
+/**
+ * Map request body (camelCase) to payment_stage_templates columns
+ */
+const toTemplateColumns = (body) => {
+  const columns = {};
+  if (body.projectType !== undefined) columns.project_type = String(body.projectType).trim();
+  if (body.stageKey !== undefined) columns.stage_key = String(body.stageKey).trim();
+  if (body.name !== undefined) columns.name = String(body.name).trim();
+  if (body.stageOrder !== undefined) columns.stage_order = parseInt(body.stageOrder, 10);
+  if (body.amount !== undefined) columns.amount = body.amount === null || body.amount === "" ? null : Number(body.amount);
+  if (body.currency !== undefined) columns.currency = body.currency ? String(body.currency).toUpperCase() : null;
+  if (body.messageTemplate !== undefined) columns.message_template = body.messageTemplate || null;
+  if (body.imageUrl !== undefined) columns.image_url = body.imageUrl || null;
+  if (body.isActive !== undefined) columns.is_active = !!body.isActive;
+  return columns;
+};
+
+/**
+ * Validate template columns, returns an errors object or null
+ */
+const validateTemplateColumns = (columns, isCreate) => {
+  const errors = {};
+
+  if (isCreate || columns.stage_key !== undefined) {
+    if (!columns.stage_key || !STAGE_KEY_PATTERN.test(columns.stage_key)) {
+      errors.stageKey = "Stage key is required (lowercase letters, numbers and underscores)";
+    }
+  }
+  if (isCreate || columns.name !== undefined) {
+    if (!columns.name) errors.name = "Stage name is required";
+  }
+  if (columns.project_type !== undefined && !columns.project_type) {
+    errors.projectType = "Project type cannot be empty";
+  }
+  if (columns.stage_order !== undefined && (isNaN(columns.stage_order) || columns.stage_order < 1)) {
+    errors.stageOrder = "Stage order must be a positive number";
+  }
+  if (columns.amount !== undefined && columns.amount !== null && (isNaN(columns.amount) || columns.amount < 0)) {
+    errors.amount = "Amount must be a positive number";
+  }
+
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+/**
+ * Get payment stage templates
+ * GET /api/admin/payment-stage-templates?projectType=&includeInactive=true
+ */
+export const getPaymentStageTemplateList = async (req, res) => {
+  try {
+    const { projectType, includeInactive } = req.query;
+
+    let query = supabaseAdmin
+      .from("payment_stage_templates")
+      .select("*")
+      .order("project_type", { ascending: true })
+      .order("stage_order", { ascending: true });
+
+    if (projectType) query = query.eq("project_type", projectType);
+    if (includeInactive !== "true") query = query.eq("is_active", true);
+
+    const { data: templates, error } = await query;
+
+    if (error) {
+      console.error("Error fetching payment stage templates:", error);
+      return errorResponse(res, "Failed to fetch payment stage templates", 500);
+    }
+
+    // Group by project type for the admin UI
+    const byProjectType = (templates || []).reduce((groups, template) => {
+      if (!groups[template.project_type]) groups[template.project_type] = [];
+      groups[template.project_type].push(template);
+      return groups;
+    }, {});
+
+    return successResponse(
+      res,
+      { templates: templates || [], byProjectType },
+      "Payment stage templates fetched successfully"
+    );
+  } catch (error) {
+    console.error("Get payment stage templates error:", error);
+    return errorResponse(res, "Failed to fetch payment stage templates", 500);
+  }
+};
+
+/**
+ * Create a payment stage template
+ * POST /api/admin/payment-stage-templates
+ */
+export const createPaymentStageTemplate = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const columns = {
+      project_type: DEFAULT_TEMPLATE_PROJECT_TYPE,
+      stage_order: 1,
+      currency: "INR",
+      ...toTemplateColumns(req.body),
+    };
+
+    const errors = validateTemplateColumns(columns, true);
+    if (errors) return validationError(res, errors);
+
+    const { data: template, error } = await supabaseAdmin
+      .from("payment_stage_templates")
+      .insert({ ...columns, created_by: adminId })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === "23505") {
+        return errorResponse(
+          res,
+          `Stage "${columns.stage_key}" already exists for project type "${columns.project_type}"`,
+          409
+        );
+      }
+      console.error("Error creating payment stage template:", error);
+      return errorResponse(res, "Failed to create payment stage template", 500);
+    }
+
+    // Log admin action
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: "create_payment_stage_template",
+      targetType: "payment_stage_template",
+      targetId: template.id,
+      after: columns,
+      details: { project_type: template.project_type, stage_key: template.stage_key },
+    });
+
+    return successResponse(res, { template }, "Payment stage template created", 201);
+  } catch (error) {
+    console.error("Create payment stage template error:", error);
+    return errorResponse(res, "Failed to create payment stage template", 500);
+  }
+};
+
+/**
+ * Update a payment stage template
+ * PUT /api/admin/payment-stage-templates/:templateId
+ */
+export const updatePaymentStageTemplate = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const adminId = req.user.id;
+    const columns = toTemplateColumns(req.body);
+
+    if (Object.keys(columns).length === 0) {
+      return errorResponse(res, "No valid fields to update", 400);
+    }
+
+    const errors = validateTemplateColumns(columns, false);
+    if (errors) return validationError(res, errors);
+
+    const { data: existing } = await supabaseAdmin
+      .from("payment_stage_templates")
+      .select("*")
+      .eq("id", templateId)
+      .maybeSingle();
+
+    const { data: template, error } = await supabaseAdmin
+      .from("payment_stage_templates")
+      .update({ ...columns, updated_at: new Date().toISOString() })
+      .eq("id", templateId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === "23505") {
+        return errorResponse(res, "Another stage with this key already exists for the project type", 409);
+      }
+      console.error("Error updating payment stage template:", error);
+      return errorResponse(res, "Failed to update payment stage template", 500);
+    }
+
+    if (!template) {
+      return errorResponse(res, "Payment stage template not found", 404);
+    }
+
+    // Log admin action
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: "update_payment_stage_template",
+      targetType: "payment_stage_template",
+      targetId: templateId,
+      before: Object.fromEntries(Object.keys(columns).map((key) => [key, existing?.[key] ?? null])),
+      after: columns,
+      details: { project_type: template.project_type, stage_key: template.stage_key },
+    });
+
+    return successResponse(res, { template }, "Payment stage template updated");
+  } catch (error) {
+    console.error("Update payment stage template error:", error);
+    return errorResponse(res, "Failed to update payment stage template", 500);
+  }
+};
+
+/**
+ * Deactivate a payment stage template (existing tickets keep their stage)
+ * DELETE /api/admin/payment-stage-templates/:templateId
+ */
+export const deletePaymentStageTemplate = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const adminId = req.user.id;
+
+    const { data: template, error } = await supabaseAdmin
+      .from("payment_stage_templates")
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq("id", templateId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error("Error deactivating payment stage template:", error);
+      return errorResponse(res, "Failed to delete payment stage template", 500);
+    }
+
+    if (!template) {
+      return errorResponse(res, "Payment stage template not found", 404);
+    }
+
+    // Log admin action
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: "delete_payment_stage_template",
+      targetType: "payment_stage_template",
+      targetId: templateId,
+      before: { is_active: true },
+      after: { is_active: false },
+      details: { project_type: template.project_type, stage_key: template.stage_key },
+    });
+
+    return successResponse(res, { template }, "Payment stage template removed");
+  } catch (error) {
+    console.error("Delete payment stage template error:", error);
+    return errorResponse(res, "Failed to delete payment stage template", 500);
+  }
+};
+
+/**
+ * Add the ticket's project-type template stages that it doesn't have yet
+ * (existing stages and their progress are left untouched)
+ * POST /api/admin/tickets/:ticketId/payment-stages/sync
+ */
+export const syncTicketPaymentStages = async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+
+    const { data: ticket, error: ticketError } = await supabaseAdmin
+      .from("tickets")
+      .select("id, project_type, payment_stages")
+      .eq("id", ticketId)
+      .single();
+
+    if (ticketError || !ticket) {
+      return errorResponse(res, "Ticket not found", 404);
+    }
+
+    const templateStages = buildPaymentStages(
+      await getPaymentStageTemplates(ticket.project_type)
+    );
+    const currentStages = normalizePaymentStages(ticket.payment_stages);
+
+    const addedStages = Object.keys(templateStages).filter(
+      (key) => !Object.hasOwn(currentStages, key)
+    );
+
+    if (addedStages.length === 0) {
+      return successResponse(
+        res,
+        { payment_stages: currentStages, addedStages },
+        "Ticket payment stages already up to date"
+      );
+    }
+
+    const paymentStages = { ...currentStages };
+    addedStages.forEach((key) => {
+      paymentStages[key] = templateStages[key];
+    });
+
+    const { error: updateError } = await supabaseAdmin
+      .from("tickets")
+      .update({ payment_stages: paymentStages })
+      .eq("id", ticketId);
+
+    if (updateError) {
+      console.error("Error syncing payment stages:", updateError);
+      return errorResponse(res, "Failed to sync payment stages", 500);
+    }
+
+    return successResponse(
+      res,
+      { payment_stages: paymentStages, addedStages },
+      "Ticket payment stages synced"
+    );
+  } catch (error) {
+    console.error("Sync ticket payment stages error:", error);
+    return errorResponse(res, "Failed to sync payment stages", 500);
+  }
+};
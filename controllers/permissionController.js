@@ -0,0 +1,326 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import {
+  successResponse,
+  errorResponse,
+  validationError,
+} from "../utils/responses.js";
+import {
+  PERMISSIONS,
+  PERMISSION_SCOPES,
+  SYSTEM_ROLES,
+  SUPER_ROLE,
+  CUSTOM_ROLE_BASES,
+  getPermissionConfig,
+  invalidatePermissionCache,
+} from "../utils/permissions.js";
+import { logAdminAction } from "../utils/adminAudit.js";
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,29}$/;
+const SCOPES = Object.values(PERMISSION_SCOPES);
+
+/**
+ * Validate a { permission: scope } map, returns an errors object or null
+ */
+const validateGrants = (permissions) => {
+  if (!permissions || typeof permissions !== "object" || Array.isArray(permissions)) {
+    return { permissions: "permissions must be an object of { permissionKey: scope }" };
+  }
+
+  const errors = {};
+  Object.entries(permissions).forEach(([key, scope]) => {
+    if (!Object.hasOwn(PERMISSIONS, key)) errors[key] = "Unknown permission";
+    else if (!SCOPES.includes(scope)) errors[key] = `Scope must be one of: ${SCOPES.join(", ")}`;
+  });
+
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+/**
+ * Replace a role's grants and mark the role as customised
+ * (replace_role_permissions runs it as one transaction)
+ */
+const saveRoleGrants = async (role, permissions, adminId) => {
+  const { error } = await supabaseAdmin.rpc("replace_role_permissions", {
+    role_name: role,
+    grants: permissions,
+    admin_id: adminId,
+  });
+
+  return error || null;
+};
+
+/**
+ * Get the permission registry and every role's grants
+ * GET /api/admin/permissions
+ */
+export const getPermissions = async (req, res) => {
+  try {
+    const { roles, grants } = await getPermissionConfig();
+
+    const permissions = Object.entries(PERMISSIONS).map(([key, def]) => ({
+      key,
+      description: def.description,
+      defaults: def.defaults,
+    }));
+
+    const roleList = Object.values(roles).map((role) => ({
+      name: role.name,
+      label: role.label || role.name,
+      description: role.description || null,
+      base_role: role.base_role,
+      is_system: !!role.is_system,
+      custom_permissions: !!role.custom_permissions,
+      editable: role.name !== SUPER_ROLE,
+      permissions: grants[role.name] || {},
+    }));
+
+    return successResponse(
+      res,
+      { permissions, roles: roleList, scopes: SCOPES },
+      "Permissions fetched successfully"
+    );
+  } catch (error) {
+    console.error("Get permissions error:", error);
+    return errorResponse(res, "Failed to fetch permissions", 500);
+  }
+};
+
+/**
+ * Create a role (e.g. "reviewer", "accounts")
+ * POST /api/admin/roles
+ */
+export const createRole = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { name, label, description, baseRole = "employee", permissions = {} } = req.body;
+    const roleName = String(name || "").trim().toLowerCase();
+
+    const errors = {};
+    if (!ROLE_NAME_PATTERN.test(roleName)) {
+      errors.name = "Role name is required (2-30 lowercase letters, numbers and underscores)";
+    }
+    if (!CUSTOM_ROLE_BASES.includes(baseRole)) {
+      errors.baseRole = `Base role must be one of: ${CUSTOM_ROLE_BASES.join(", ")}`;
+    }
+    Object.assign(errors, validateGrants(permissions) || {});
+    if (Object.keys(errors).length > 0) return validationError(res, errors);
+
+    const { data: role, error } = await supabaseAdmin
+      .from("roles")
+      .insert({
+        name: roleName,
+        label: label ? String(label).trim() : roleName,
+        description: description || null,
+        base_role: baseRole,
+        is_system: false,
+        custom_permissions: true,
+        created_by: adminId,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === "23505") {
+        return errorResponse(res, `Role "${roleName}" already exists`, 409);
+      }
+      console.error("Error creating role:", error);
+      return errorResponse(res, "Failed to create role", 500);
+    }
+
+    const grantError = await saveRoleGrants(roleName, permissions, adminId);
+    if (grantError) {
+      console.error("Error saving role permissions:", grantError);
+      // Don't leave a role behind without the grants it was created with
+      await supabaseAdmin.from("roles").delete().eq("name", roleName);
+      return errorResponse(res, "Failed to create role", 500);
+    }
+
+    invalidatePermissionCache();
+
+    // Log admin action
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: "create_role",
+      targetType: "role",
+      targetId: roleName,
+      after: permissions,
+      details: { role: roleName, base_role: baseRole },
+    });
+
+    return successResponse(res, { role: { ...role, permissions } }, "Role created", 201);
+  } catch (error) {
+    console.error("Create role error:", error);
+    return errorResponse(res, "Failed to create role", 500);
+  }
+};
+
+/**
+ * Replace a role's permissions
+ * PUT /api/admin/roles/:role/permissions
+ * Body: { permissions: { "ticket.status.update": "member", ... } }
+ */
+export const updateRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+    const adminId = req.user.id;
+
+    if (role === SUPER_ROLE) {
+      return errorResponse(res, "Admins always have every permission", 400);
+    }
+
+    const errors = validateGrants(permissions);
+    if (errors) return validationError(res, errors);
+
+    const { roles, grants } = await getPermissionConfig();
+    if (!roles[role]) {
+      return errorResponse(res, "Role not found", 404);
+    }
+
+    const before = grants[role] || {};
+
+    // Built-in roles may not have a row yet if the seed was skipped
+    if (roles[role].is_system) {
+      await supabaseAdmin
+        .from("roles")
+        .upsert(
+          { name: role, label: roles[role].label || role, base_role: role, is_system: true },
+          { onConflict: "name", ignoreDuplicates: true }
+        );
+    }
+
+    const grantError = await saveRoleGrants(role, permissions, adminId);
+    if (grantError) {
+      console.error("Error saving role permissions:", grantError);
+      return errorResponse(res, "Failed to update role permissions", 500);
+    }
+
+    invalidatePermissionCache();
+
+    // Log admin action
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: "update_role_permissions",
+      targetType: "role",
+      targetId: role,
+      before,
+      after: permissions,
+      details: { role },
+    });
+
+    console.log(`🔐 Permissions for role "${role}" updated by ${adminId}`);
+
+    return successResponse(res, { role, permissions }, "Role permissions updated");
+  } catch (error) {
+    console.error("Update role permissions error:", error);
+    return errorResponse(res, "Failed to update role permissions", 500);
+  }
+};
+
+/**
+ * Put a built-in role back on the registry defaults
+ * DELETE /api/admin/roles/:role/permissions
+ */
+export const resetRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const adminId = req.user.id;
+
+    if (!SYSTEM_ROLES.includes(role) || role === SUPER_ROLE) {
+      return errorResponse(res, "Only built-in roles can be reset to defaults", 400);
+    }
+
+    const previous = (await getPermissionConfig()).grants[role] || {};
+
+    await supabaseAdmin.from("role_permissions").delete().eq("role", role);
+
+    const { error } = await supabaseAdmin
+      .from("roles")
+      .update({ custom_permissions: false, updated_at: new Date().toISOString() })
+      .eq("name", role);
+
+    if (error) {
+      console.error("Error resetting role permissions:", error);
+      return errorResponse(res, "Failed to reset role permissions", 500);
+    }
+
+    invalidatePermissionCache();
+
+    // Log admin action
+    const { grants } = await getPermissionConfig();
+
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: "reset_role_permissions",
+      targetType: "role",
+      targetId: role,
+      before: previous,
+      after: grants[role] || {},
+      details: { role },
+    });
+
+    return successResponse(res, { role, permissions: grants[role] || {} }, "Role permissions reset to defaults");
+  } catch (error) {
+    console.error("Reset role permissions error:", error);
+    return errorResponse(res, "Failed to reset role permissions", 500);
+  }
+};
+
+/**
+ * Delete a custom role (only when no user has it)
+ * DELETE /api/admin/roles/:role
+ */
+export const deleteRole = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const adminId = req.user.id;
+
+    if (SYSTEM_ROLES.includes(role)) {
+      return errorResponse(res, "Built-in roles cannot be deleted", 400);
+    }
+
+    const { count } = await supabaseAdmin
+      .from("users")
+      .select("id", { count: "exact", head: true })
+      .eq("role", role);
+
+    if (count > 0) {
+      return errorResponse(res, `Role is assigned to ${count} user(s). Reassign them first.`, 409);
+    }
+
+    const { data: deleted, error } = await supabaseAdmin
+      .from("roles")
+      .delete()
+      .eq("name", role)
+      .select("name");
+
+    if (error) {
+      console.error("Error deleting role:", error);
+      return errorResponse(res, "Failed to delete role", 500);
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return errorResponse(res, "Role not found", 404);
+    }
+
+    invalidatePermissionCache();
+
+    // Log admin action
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: "delete_role",
+      targetType: "role",
+      targetId: role,
+      details: { role },
+    });
+
+    return successResponse(res, { role }, "Role deleted");
+  } catch (error) {
+    console.error("Delete role error:", error);
+    return errorResponse(res, "Failed to delete role", 500);
+  }
+};
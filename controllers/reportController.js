@@ -0,0 +1,86 @@
+import {
+  successResponse,
+  errorResponse,
+  validationError,
+} from "../utils/responses.js";
+import {
+  WORKLOAD_REPORT_ROLES,
+  WORKLOAD_DEFAULT_PERIOD_DAYS,
+  buildWorkloadReport,
+  buildWorkloadWorkbook,
+} from "../utils/workloadReport.js";
+
+const parseListParam = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  const values = Array.isArray(value) ? value : String(value).split(",");
+  return values.map((v) => String(v).trim()).filter(Boolean);
+};
+
+/**
+ * Workload and productivity per employee / freelancer
+ * GET /api/admin/reports/workload
+ * Query:
+ * - from, to: ISO dates (default: last 30 days) for completions and messages
+ * - role: employee | freelancer (comma separated)
+ * - userId: limit to these users (comma separated)
+ * - format=xlsx: download as Excel
+ */
+export const getWorkloadReport = async (req, res) => {
+  try {
+    const { from, to, role, userId, format } = req.query;
+
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return validationError(res, { [key]: "Must be a valid date" });
+      }
+    }
+
+    const periodEnd = to ? new Date(to) : new Date();
+    const periodStart = from
+      ? new Date(from)
+      : new Date(periodEnd.getTime() - WORKLOAD_DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+    if (periodStart > periodEnd) {
+      return validationError(res, { from: "Must be before 'to'" });
+    }
+
+    const roles = parseListParam(role);
+    const invalidRoles = roles.filter((r) => !WORKLOAD_REPORT_ROLES.includes(r));
+    if (invalidRoles.length > 0) {
+      return validationError(res, {
+        role: `Invalid role. Must be one of: ${WORKLOAD_REPORT_ROLES.join(", ")}`,
+      });
+    }
+
+    const report = await buildWorkloadReport({
+      from: periodStart,
+      to: periodEnd,
+      roles: roles.length > 0 ? roles : WORKLOAD_REPORT_ROLES,
+      userIds: parseListParam(userId),
+    });
+
+    if (String(format).toLowerCase() === "xlsx") {
+      const buffer = await buildWorkloadWorkbook(report);
+      const filename = `workload-report-${report.period.from.split("T")[0]}-to-${report.period.to.split("T")[0]}.xlsx`;
+
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      res.setHeader("Content-Length", buffer.length);
+      res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+
+      return res.end(buffer);
+    }
+
+    return successResponse(res, report, "Workload report generated successfully");
+  } catch (error) {
+    console.error("Get workload report error:", error);
+    return errorResponse(res, "Failed to generate workload report", 500);
+  }
+};
+
+export default {
+  getWorkloadReport,
+};
@@ -9,6 +9,52 @@ import {
   createTicketCreationNotification,
 } from "../utils/notificationHelper.js";
 import { sendTicketStatusWhatsApp, sendPaymentStageWhatsApp } from "../utils/whatsappService.js";
+import {
+  TICKET_STATUSES,
+  getAllowedTransitions,
+  validateStatusTransition,
+} from "../utils/ticketWorkflow.js";
+import { logTicketEvent, TICKET_EVENT_TYPES } from "../utils/ticketEvents.js";
+import { allocateTicketNumber } from "../utils/ticketNumber.js";
+import {
+  getPaymentStageTemplates,
+  buildPaymentStages,
+  normalizePaymentStages,
+  getOrderedPaymentStages,
+  getTemplateForStage,
+  completePaymentStage,
+} from "../utils/paymentStages.js";
+import {
+  normalizeSearchTerm,
+  escapeLikeTerm,
+  buildHighlightedSnippet,
+} from "../utils/messageSearch.js";
+import {
+  calculateDueDate,
+  getSlaState,
+  buildStatusDurationUpdate,
+  getStatusDurations,
+} from "../utils/ticketSla.js";
+import { buildTicketLedger, getPaymentsByTicket } from "../utils/paymentLedger.js";
+import { chunkList, fetchAllPages, fetchAllIn } from "../utils/queryPaging.js";
+import { submitPaymentProof } from "../utils/paymentProofs.js";
+import { addReaction, removeReaction, getReactionSummaries } from "../utils/messageReactions.js";
+import { listTicketPins, createTicketPin, removeTicketPin } from "../utils/ticketPins.js";
+import {
+  PERMISSION_SCOPES,
+  hasPermission,
+  getPermissionScope,
+  checkTicketPermission,
+  getBaseRole,
+} from "../utils/permissions.js";
+import { logAdminAction } from "../utils/adminAudit.js";
+import {
+  getAutoAssignConfig,
+  rankAssignmentCandidates,
+  pickAutoAssignees,
+  markAutoAssigned,
+  ASSIGNMENT_STRATEGIES,
+} from "../utils/ticketAssignment.js";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
@@ -22,39 +68,12 @@ const __dirname = path.dirname(__filename);
 
 /**
  * Generate sequential ticket number in format: MZI 0001, MZI 0002, etc.
+ * Allocated atomically (see utils/ticketNumber.js) so concurrent creates never collide.
  */
 const generateTicketNumber = async () => {
-  try {
-    // Get the latest ticket number (use limit without single to avoid error when no tickets)
-    const { data: tickets, error } = await supabaseAdmin
-      .from("tickets")
-      .select("ticket_number")
-      .order("created_at", { ascending: false })
-      .limit(1);
-
-    if (error) {
-      console.error("❌ Error fetching latest ticket:", error);
-      return "MZI 0001"; // Fallback to first number
-    }
-
-    const latestTicket = tickets?.[0];
-
-    if (latestTicket && latestTicket.ticket_number) {
-      // Extract the number part from "MZI 0001" format
-      const match = latestTicket.ticket_number.match(/MZI\s*(\d+)/i);
-      if (match) {
-        const lastNumber = parseInt(match[1], 10);
-        const nextNumber = lastNumber + 1;
-        return `MZI ${String(nextNumber).padStart(4, "0")}`;
-      }
-    }
-
-    // If no tickets exist or parsing failed, start from MZI 0001
-    return "MZI 0001";
-  } catch (error) {
-    console.error("❌ Error generating ticket number:", error);
-    return "MZI 0001"; // Fallback
-  }
+  const ticketNumber = await allocateTicketNumber();
+  console.log("🔢 Allocated ticket number:", ticketNumber);
+  return ticketNumber;
 };
 
 /**
@@ -101,6 +120,80 @@ const generateTicketUID = async () => {
   }
 };
 
+/**
+ * Auto-assign employees to a new ticket (AUTO_ASSIGN_STRATEGY, see utils/ticketAssignment.js)
+ * - Skipped when the creator already picked an employee
+ * - Body autoAssign: false to skip, or a strategy to override the configured one
+ *   (only honoured for creators with ticket.members.manage, ignored for clients etc.)
+ * Never throws - a failed auto-assign must not fail ticket creation.
+ */
+const autoAssignNewTicket = async ({ ticket, creator, memberIds, override: requestedOverride }) => {
+  try {
+    const config = getAutoAssignConfig();
+    const override =
+      requestedOverride !== undefined &&
+      (await hasPermission(creator.role, "ticket.members.manage"))
+        ? requestedOverride
+        : undefined;
+    const strategy = Object.values(ASSIGNMENT_STRATEGIES).includes(override)
+      ? override
+      : config.strategy;
+
+    if (!strategy || override === false || override === "false") return [];
+
+    const { data: employeeMembers } = await supabaseAdmin
+      .from("users")
+      .select("id")
+      .in("id", memberIds)
+      .eq("role", "employee");
+
+    if (employeeMembers && employeeMembers.length > 0) return [];
+
+    const assignees = await pickAutoAssignees(ticket, {
+      strategy,
+      count: config.count,
+      excludeIds: memberIds,
+    });
+
+    if (assignees.length === 0) {
+      console.log("⚠️ Auto-assign: no available employees for ticket", ticket.id);
+      return [];
+    }
+
+    const assigneeIds = assignees.map((a) => a.id);
+    const membersError = await addEmployeesAsMembers({
+      ticketId: ticket.id,
+      ticket,
+      employeeIds: assigneeIds,
+      addedBy: creator.id,
+      addedByName: creator.name,
+    });
+
+    if (membersError) {
+      console.error("❌ Auto-assign: error adding employees:", membersError);
+      return [];
+    }
+
+    await markAutoAssigned(assigneeIds);
+
+    for (const assignee of assignees) {
+      await logTicketEvent({
+        ticketId: ticket.id,
+        actorId: null,
+        eventType: TICKET_EVENT_TYPES.MEMBER_ADDED,
+        newValue: { user_id: assignee.id },
+        metadata: { autoAssigned: true, strategy },
+      });
+    }
+
+    console.log(`✅ Auto-assigned ticket ${ticket.id} (${strategy}):`, assigneeIds);
+    return assignees;
+  } catch (error) {
+    console.error("❌ Auto-assign error:", error);
+    return [];
+  }
+};
+
 /**
  * Create a new ticket
  * POST /api/tickets
@@ -133,6 +226,8 @@ export const createTicket = async (req, res) => {
       points,
       memberIds,
       files,
+      dueDate,
+      autoAssign,
     } = req.body;
 
     const userId = req.user.id;
@@ -160,6 +255,10 @@ export const createTicket = async (req, res) => {
       return validationError(res, { field: "Title is required" });
     }
 
+    if (dueDate && isNaN(new Date(dueDate).getTime())) {
+      return validationError(res, { dueDate: "Due date must be a valid date" });
+    }
+
     // Get user details from database
     const { data: user, error: userFetchError } = await supabaseAdmin
       .from("users")
@@ -204,17 +303,17 @@ export const createTicket = async (req, res) => {
       );
     }
 
-    // Check permissions: All admins and clients can create tickets
-    if (user.role !== "admin" && user.role !== "client") {
+    // Check permissions: ticket.create (admins and clients by default)
+    if (!(await hasPermission(user.role, "ticket.create"))) {
       console.log("❌ Unauthorized ticket creation attempt:", {
         userEmail: user.email,
         userRole: user.role,
-        allowedRoles: ["admin", "client"],
+        permission: "ticket.create",
         timestamp: new Date().toISOString(),
       });
       return errorResponse(
         res,
-        "Only admins and clients can create tickets",
+        "You do not have permission to create tickets",
         403
       );
     }
@@ -309,6 +408,7 @@ export const createTicket = async (req, res) => {
     }
 
     // Create ticket with creation_files
+    const createdAt = new Date();
     const ticketData = {
       ticket_number: finalTicketNumber,
       uid: finalUid,
@@ -320,6 +420,17 @@ export const createTicket = async (req, res) => {
       created_by: userId,
       points: points || [],
       creation_files: processedFiles,
+      // Explicit due date wins, otherwise derive it from priority + project type
+      due_date: dueDate
+        ? new Date(dueDate).toISOString()
+        : calculateDueDate(priority || "P3", projectType || "General", createdAt),
+      due_date_source: dueDate ? "manual" : "sla",
+      status_changed_at: createdAt.toISOString(),
+      status_durations: {},
+      // Payment stages come from the project type's template
+      payment_stages: buildPaymentStages(
+        await getPaymentStageTemplates(projectType || "General")
+      ),
     };
 
     console.log("💾 === INSERTING TICKET TO DATABASE ===");
@@ -328,12 +439,40 @@ export const createTicket = async (req, res) => {
       JSON.stringify(ticketData, null, 2)
     );
 
-    const { data: ticket, error: ticketError } = await supabaseAdmin
+    let { data: ticket, error: ticketError } = await supabaseAdmin
       .from("tickets")
       .insert([ticketData])
       .select()
       .single();
 
+    // Unique violation on ticket_number: a manually supplied number is a conflict,
+    // an allocated one (counter behind legacy data) just gets the next number
+    let numberRetries = 0;
+    while (
+      ticketError?.code === "23505" &&
+      `${ticketError.message} ${ticketError.details}`.includes("ticket_number")
+    ) {
+      if (ticketNumber) {
+        return errorResponse(
+          res,
+          `Ticket number "${ticketNumber}" is already in use`,
+          409
+        );
+      }
+
+      if (numberRetries >= 5) break;
+      numberRetries++;
+
+      ticketData.ticket_number = await generateTicketNumber();
+      console.log("🔁 Ticket number taken, retrying with:", ticketData.ticket_number);
+
+      ({ data: ticket, error: ticketError } = await supabaseAdmin
+        .from("tickets")
+        .insert([ticketData])
+        .select()
+        .single());
+    }
+
     console.log("📊 Insert result:", {
       success: !ticketError,
       hasTicket: !!ticket,
@@ -467,6 +606,13 @@ export const createTicket = async (req, res) => {
       // IMPORTANT: Notify admins/employees about new ticket creation
       // This will NOT notify the creator (handled inside the function)
       await createTicketCreationNotification(ticket.id, userId);
+
+      await autoAssignNewTicket({
+        ticket,
+        creator: user,
+        memberIds: allMemberIds,
+        override: autoAssign,
+      });
     } else {
       console.error(
         "❌ CRITICAL: No members to add to ticket! This should never happen."
@@ -577,6 +723,149 @@ export const createTicket = async (req, res) => {
   }
 };
 
+const TICKET_LIST_SORT_FIELDS = ["created_at", "updated_at", "priority", "ticket_number"];
+const TICKET_LIST_DEFAULT_LIMIT = 50;
+const TICKET_LIST_MAX_LIMIT = 100;
+
+/**
+ * Parse a comma-separated (or repeated) query param into a list
+ */
+const parseListParam = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  const values = Array.isArray(value) ? value : String(value).split(",");
+  return values.map((v) => String(v).trim()).filter(Boolean);
+};
+
+/**
+ * Opaque keyset cursor: base64url({ v: sort value, id })
+ */
+const encodeTicketCursor = (ticket, sortField) =>
+  Buffer.from(JSON.stringify({ v: ticket[sortField], id: ticket.id })).toString(
+    "base64url"
+  );
+
+const decodeTicketCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return decoded && decoded.id !== undefined ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Intersect an optional id restriction with another id list
+ */
+const intersectIds = (current, next) => {
+  const nextSet = new Set(next);
+  return current === null ? [...nextSet] : current.filter((id) => nextSet.has(id));
+};
+
+/**
+ * Ids of the tickets a user created or is a member of
+ */
+const getUserTicketIds = async (userId) => {
+  const [created, memberOf] = await Promise.all([
+    fetchAllPages(() =>
+      supabaseAdmin.from("tickets").select("id").eq("created_by", userId).order("id")
+    ),
+    fetchAllPages(() =>
+      supabaseAdmin.from("ticket_members").select("id, ticket_id").eq("user_id", userId).order("id")
+    ),
+  ]);
+
+  return [...new Set([...created.map((t) => t.id), ...memberOf.map((m) => m.ticket_id)])];
+};
+
+/**
+ * Comparator matching .order(sortField).order("id") - used to merge rows
+ * fetched per id chunk (Postgres sorts nulls last ascending, first descending)
+ */
+const compareTicketRows = (sortField, ascending) => {
+  const compareValues = (a, b) => {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    return a < b ? -1 : 1;
+  };
+
+  return (a, b) =>
+    (ascending ? 1 : -1) * (compareValues(a[sortField], b[sortField]) || compareValues(a.id, b.id));
+};
+
+/**
+ * Add members, creator, last message, star and SLA info to a page of tickets
+ */
+const enrichTicketListPage = async (tickets, userId, isClient) => {
+  if (tickets.length === 0) return [];
+
+  const ticketIds = tickets.map((t) => t.id);
+
+  // Manually fetch related users (safe from ambiguous FK constraints)
+  const userIds = new Set();
+  tickets.forEach((t) => {
+    if (t.created_by) userIds.add(t.created_by);
+    (t.ticket_members || []).forEach((m) => userIds.add(m.user_id));
+  });
+
+  const fetchUsers = (ids) =>
+    fetchAllIn(ids, (chunk) =>
+      supabaseAdmin
+        .from("users")
+        .select("id, name, email, role, profile_picture")
+        .in("id", chunk)
+        .order("id")
+    );
+
+  const usersData = await fetchUsers([...userIds]);
+  const userMap = new Map(usersData.map((u) => [u.id, u]));
+
+  // Last message per ticket - one get_last_ticket_messages call per chunk of tickets
+  const lastMessagesMap = new Map();
+  for (const chunk of chunkList(ticketIds)) {
+    const { data, error } = await supabaseAdmin.rpc("get_last_ticket_messages", {
+      ticket_ids: chunk,
+      // Client should not see internal notes
+      include_internal: !isClient,
+    });
+    if (error) throw error;
+    (data || []).forEach((m) => lastMessagesMap.set(m.ticket_id, m));
+  }
+
+  // Fetch any missing sender users
+  const senderIds = [...lastMessagesMap.values()]
+    .map((m) => m.sender_id)
+    .filter((id) => id && !userMap.has(id));
+  if (senderIds.length > 0) {
+    (await fetchUsers([...new Set(senderIds)])).forEach((u) => userMap.set(u.id, u));
+  }
+
+  return tickets.map((ticket) => {
+    const lastMsg = lastMessagesMap.get(ticket.id);
+    const lastMessageText = lastMsg ? (lastMsg.message_type === "text" ? lastMsg.message : (lastMsg.message_type === "file" ? "📎 Sent a file" : "🖼️ Sent an image")) : null;
+    const lastMessageSender = lastMsg ? (userMap.get(lastMsg.sender_id)?.name || "Unknown") : null;
+    const creator = userMap.get(ticket.created_by);
+    const members = (ticket.ticket_members || []).map((m) => {
+      const u = userMap.get(m.user_id);
+      return { ...m, users: u, id: u?.id, name: u?.name, email: u?.email, role: m.role || u?.role, profile_picture: u?.profile_picture };
+    });
+    return {
+      ...ticket,
+      members,
+      files: ticket.ticket_files,
+      createdBy: creator,
+      isStarred: (ticket.starred_tickets || []).some((st) => st.user_id === userId),
+      lastMessage: lastMessageText,
+      lastMessageSender: lastMessageSender,
+      creator_name: creator?.name,
+      creator_email: creator?.email,
+      payment_stages: normalizePaymentStages(ticket.payment_stages),
+      ...getSlaState(ticket),
+      status_durations: getStatusDurations(ticket),
+    };
+  });
+};
+
 /**
  * Get all tickets for a user
  * GET /api/tickets
@@ -584,104 +873,209 @@ export const createTicket = async (req, res) => {
  * - Employee: sees ALL tickets (read-only unless member)
  * - Client: ONLY sees tickets they created OR tickets they are members of
  * - Other users: only see tickets they are members of
+ *
+ * Query params (all optional):
+ * - status, priority, projectType: comma-separated lists
+ * - assignee: user id that must be a ticket member
+ * - client: client user id (creator or member)
+ * - starred=true: only tickets starred by the current user
+ * - overdue=true: only open tickets past their due date
+ * - createdFrom/createdTo, dueFrom/dueTo: ISO dates
+ * - q: search title, ticket number and UID
+ * - sort: created_at | updated_at | priority | ticket_number, order: asc | desc
+ * - limit, cursor: keyset pagination (omit both to get every ticket, fetched page by page)
  */
 export const getUserTickets = async (req, res) => {
   try {
     const userId = req.user.id;
+    const {
+      status,
+      priority,
+      projectType,
+      assignee,
+      client,
+      starred,
+      overdue,
+      createdFrom,
+      createdTo,
+      dueFrom,
+      dueTo,
+      q,
+      sort = "created_at",
+      order = "desc",
+      limit,
+      cursor,
+    } = req.query;
+
+    if (!TICKET_LIST_SORT_FIELDS.includes(sort)) {
+      return validationError(res, {
+        sort: `Invalid sort. Must be one of: ${TICKET_LIST_SORT_FIELDS.join(", ")}`,
+      });
+    }
+
+    const ascending = String(order).toLowerCase() === "asc";
+    const paginate = limit !== undefined || cursor !== undefined;
+    const pageSize = Math.min(
+      Math.max(parseInt(limit) || TICKET_LIST_DEFAULT_LIMIT, 1),
+      TICKET_LIST_MAX_LIMIT
+    );
+
+    let decodedCursor = null;
+    if (cursor) {
+      decodedCursor = decodeTicketCursor(cursor);
+      if (!decodedCursor) {
+        return validationError(res, { cursor: "Invalid cursor" });
+      }
+    }
+
+    for (const [key, value] of Object.entries({ createdFrom, createdTo, dueFrom, dueTo })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return validationError(res, { [key]: "Must be a valid date" });
+      }
+    }
 
     // 1. Get User Role
     const { data: user } = await supabaseAdmin.from("users").select("role").eq("id", userId).single();
-    // 2. Determine Ticket IDs based on permissions
-    let ticketIds = [];
-    if (user.role === "admin" || user.role === "employee") {
-      const { data } = await supabaseAdmin.from("tickets").select("id").order("created_at", { ascending: false });
-      ticketIds = data?.map(t => t.id) || [];
-    } else {
-      const { data: created } = await supabaseAdmin.from("tickets").select("id").eq("created_by", userId);
-      const { data: memberOf } = await supabaseAdmin.from("ticket_members").select("ticket_id").eq("user_id", userId);
-      ticketIds = [...new Set([...(created?.map(t => t.id) || []), ...(memberOf?.map(m => m.ticket_id) || [])])];
+    const isClient = user.role === "client";
+
+    // 2. Restrict to visible ticket ids (null = no restriction)
+    let restrictIds = null;
+    if (!(await hasPermission(user.role, "ticket.view_any"))) {
+      restrictIds = await getUserTicketIds(userId);
     }
-    if (!ticketIds.length) return successResponse(res, { tickets: [] }, "No tickets found");
-    // 3. Robust Fetch Strategy: Tickets -> Users (Avoids Ambiguous FK errors)
-    const BATCH_SIZE = 20;
-    const allTickets = [];
-    for (let i = 0; i < ticketIds.length; i += BATCH_SIZE) {
-      const chunkIds = ticketIds.slice(i, i + BATCH_SIZE);
 
-      // A. Fetch Tickets + Relations
-      const { data: tickets, error } = await supabaseAdmin
-        .from("tickets")
-        .select(`*, ticket_members(user_id, role, can_message_client), ticket_files(*), starred_tickets(user_id)`)
-        .in("id", chunkIds)
-        .order("created_at", { ascending: false });
-      if (error) throw error;
-      if (tickets) {
-        // B. Manually Fetch Related Users (100% Safe from ambiguous constraints)
-        const userIds = new Set();
-        tickets.forEach(t => {
-          if (t.created_by) userIds.add(t.created_by);
-          t.ticket_members.forEach(m => userIds.add(m.user_id));
-        });
+    if (assignee) {
+      const data = await fetchAllPages(() =>
+        supabaseAdmin.from("ticket_members").select("id, ticket_id").eq("user_id", assignee).order("id")
+      );
+      restrictIds = intersectIds(restrictIds, data.map((m) => m.ticket_id));
+    }
 
-        const { data: usersData } = await supabaseAdmin.from("users").select("id, name, email, role, profile_picture").in("id", [...userIds]);
-        const userMap = new Map(usersData?.map(u => [u.id, u]));
+    if (client) {
+      restrictIds = intersectIds(restrictIds, await getUserTicketIds(client));
+    }
 
-        // C. Batch fetch last messages for all tickets in this chunk (SINGLE QUERY)
-        const { data: allMessages } = await supabaseAdmin
-          .from("ticket_messages")
-          .select("ticket_id, message, message_type, message_mode, sender_id, created_at")
-          .in("ticket_id", chunkIds)
-          .order("created_at", { ascending: false });
-
-        // Build a map of ticket_id -> last message (client should not see internal notes)
-        const lastMessagesMap = new Map();
-        if (allMessages) {
-          const isClient = req.user?.role === 'client';
-          for (const msg of allMessages) {
-            // Skip internal messages for clients
-            if (isClient && msg.message_mode === 'internal') continue;
-            if (!lastMessagesMap.has(msg.ticket_id)) {
-              lastMessagesMap.set(msg.ticket_id, msg);
-            }
-          }
-        }
+    if (String(starred) === "true") {
+      const data = await fetchAllPages(() =>
+        supabaseAdmin.from("starred_tickets").select("ticket_id").eq("user_id", userId).order("ticket_id")
+      );
+      restrictIds = intersectIds(restrictIds, data.map((st) => st.ticket_id));
+    }
 
-        // Fetch any missing sender users
-        const senderIds = [...lastMessagesMap.values()].map(m => m.sender_id).filter(id => id && !userMap.has(id));
-        if (senderIds.length > 0) {
-          const { data: senderUsers } = await supabaseAdmin.from("users").select("id, name, email, role, profile_picture").in("id", [...new Set(senderIds)]);
-          if (senderUsers) senderUsers.forEach(u => userMap.set(u.id, u));
-        }
+    if (restrictIds !== null && restrictIds.length === 0) {
+      return successResponse(
+        res,
+        {
+          tickets: [],
+          pagination: { total: 0, limit: paginate ? pageSize : null, nextCursor: null, hasMore: false },
+        },
+        "No tickets found"
+      );
+    }
 
-        // D. Map Data (No more async calls per ticket)
-        const processed = tickets.map((ticket) => {
-          const lastMsg = lastMessagesMap.get(ticket.id);
-          let lastMessageText = lastMsg ? (lastMsg.message_type === 'text' ? lastMsg.message : (lastMsg.message_type === 'file' ? '📎 Sent a file' : '🖼️ Sent an image')) : null;
-          let lastMessageSender = lastMsg ? (userMap.get(lastMsg.sender_id)?.name || "Unknown") : null;
-          const creator = userMap.get(ticket.created_by);
-          const members = ticket.ticket_members.map(m => {
-            const u = userMap.get(m.user_id);
-            return { ...m, users: u, id: u?.id, name: u?.name, email: u?.email, role: m.role || u?.role, profile_picture: u?.profile_picture };
-          });
-          return {
-            ...ticket,
-            members,
-            files: ticket.ticket_files,
-            createdBy: creator,
-            isStarred: ticket.starred_tickets.some(st => st.user_id === userId),
-            lastMessage: lastMessageText,
-            lastMessageSender: lastMessageSender,
-            creator_name: creator?.name,
-            creator_email: creator?.email,
-            payment_stages: ticket.payment_stages
-          };
-        });
-        allTickets.push(...processed);
+    // Long id restrictions are queried chunk by chunk (null = no restriction)
+    const idChunks = restrictIds === null ? [null] : chunkList(restrictIds);
+
+    // 3. Shared filters (applied to both the count and the page query)
+    const applyFilters = (query, ids) => {
+      if (ids) query = query.in("id", ids);
+
+      const statuses = parseListParam(status);
+      if (statuses.length) query = query.in("status", statuses);
+
+      const priorities = parseListParam(priority);
+      if (priorities.length) query = query.in("priority", priorities);
+
+      const projectTypes = parseListParam(projectType);
+      if (projectTypes.length) query = query.in("project_type", projectTypes);
+
+      if (createdFrom) query = query.gte("created_at", new Date(createdFrom).toISOString());
+      if (createdTo) query = query.lte("created_at", new Date(createdTo).toISOString());
+      if (dueFrom) query = query.gte("due_date", new Date(dueFrom).toISOString());
+      if (dueTo) query = query.lte("due_date", new Date(dueTo).toISOString());
+
+      if (String(overdue) === "true") {
+        query = query
+          .lt("due_date", new Date().toISOString())
+          .not("status", "in", "(\"Completed\",\"Closed\")");
       }
+
+      if (q && String(q).trim()) {
+        // Strip characters that would break the PostgREST or() syntax
+        const term = String(q).trim().replace(/[,()*%\\]/g, " ");
+        query = query.or(
+          `title.ilike.%${term}%,ticket_number.ilike.%${term}%,uid.ilike.%${term}%`
+        );
+      }
+
+      return query;
+    };
+
+    // 4. Total count for the current filters
+    let total = 0;
+    for (const ids of idChunks) {
+      const { count, error: countError } = await applyFilters(
+        supabaseAdmin.from("tickets").select("id", { count: "exact", head: true }),
+        ids
+      );
+      if (countError) throw countError;
+      total += count || 0;
     }
 
-    allTickets.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-    return successResponse(res, { tickets: allTickets }, "Tickets fetched successfully");
+    // 5. Fetch the page (keyset on sort field + id)
+    const buildPageQuery = (ids) => {
+      let pageQuery = applyFilters(
+        supabaseAdmin
+          .from("tickets")
+          .select(`*, ticket_members(user_id, role, can_message_client), ticket_files(*), starred_tickets(user_id)`),
+        ids
+      );
+
+      if (decodedCursor) {
+        const op = ascending ? "gt" : "lt";
+        const value = JSON.stringify(decodedCursor.v);
+        const id = JSON.stringify(decodedCursor.id);
+        pageQuery = pageQuery.or(
+          `${sort}.${op}.${value},and(${sort}.eq.${value},id.${op}.${id})`
+        );
+      }
+
+      return pageQuery
+        .order(sort, { ascending })
+        .order("id", { ascending });
+    };
+
+    const rows = [];
+    for (const ids of idChunks) {
+      if (paginate) {
+        const { data, error } = await buildPageQuery(ids).limit(pageSize + 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+      } else {
+        rows.push(...(await fetchAllPages(() => buildPageQuery(ids))));
+      }
+    }
+
+    // Each chunk comes back sorted on its own - merge them
+    if (idChunks.length > 1) rows.sort(compareTicketRows(sort, ascending));
+
+    const hasMore = paginate && rows.length > pageSize;
+    const pageRows = hasMore ? rows.slice(0, pageSize) : rows;
+    const tickets = await enrichTicketListPage(pageRows, userId, isClient);
+
+    return successResponse(
+      res,
+      {
+        tickets,
+        pagination: {
+          total,
+          limit: paginate ? pageSize : null,
+          nextCursor: hasMore ? encodeTicketCursor(pageRows[pageRows.length - 1], sort) : null,
+          hasMore,
+        },
+      },
+      tickets.length ? "Tickets fetched successfully" : "No tickets found"
+    );
   } catch (error) {
     console.error("Get user tickets error:", error);
     return errorResponse(res, `Server error: ${error.message}`, 500);
@@ -712,8 +1106,8 @@ export const getTicketDetails = async (req, res) => {
       .eq("user_id", userId)
       .single();
 
-    // Allow access if user is admin, employee, or a member of the ticket
-    if (!membership && user.role !== "admin" && user.role !== "employee") {
+    // Allow access if user is a member of the ticket or may view any ticket
+    if (!membership && !(await hasPermission(user.role, "ticket.view_any"))) {
       return errorResponse(res, "You do not have access to this ticket", 403);
     }
 
@@ -915,14 +1309,30 @@ export const getTicketDetails = async (req, res) => {
       })
     );
 
+    const statusScope = await getPermissionScope(user.role, "ticket.status.update");
+
+    // Pinned messages / files (internal pins are staff-only, and pinned
+    // messages follow the same join date rule as the messages above)
+    const pinnedItems = await listTicketPins(ticketId, {
+      includeInternal: user.role !== "client",
+      visibleFrom: shouldFilterByJoinDate ? membership.added_at : null,
+    });
+
     const enrichedTicket = {
       ...ticket,
       created_by_user: createdByUserInfo, // Use createdByUserInfo instead of createdByUser
       ticket_members: validMembersWithDetails, // Use validMembersWithDetails instead of membersWithDetails
       ticket_files: filesWithUploader,
       ticket_messages: messagesWithSender,
+      pinned_items: pinnedItems,
       creation_files: ticket.creation_files || [], // Ensure creation_files are included
+      payment_stages: normalizePaymentStages(ticket.payment_stages),
       is_member: !!membership || user.role === "admin", // Include membership status for frontend
+      // Statuses this user may move the ticket to next (drives the status picker)
+      allowed_next_statuses:
+        statusScope === PERMISSION_SCOPES.ALL || (membership && statusScope)
+          ? getAllowedTransitions(ticket.status, await getBaseRole(user.role))
+          : [],
     };
 
     console.log(
@@ -942,6 +1352,112 @@ export const getTicketDetails = async (req, res) => {
   }
 };
 
+/**
+ * Get ticket activity timeline
+ * GET /api/tickets/:ticketId/timeline
+ * - Clients only see client-visible events (status, payment stages)
+ */
+export const getTicketTimeline = async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const { limit = 50, before } = req.query;
+    const userId = req.user.id;
+
+    // Get user details to check role
+    const { data: user } = await supabaseAdmin
+      .from("users")
+      .select("role")
+      .eq("id", userId)
+      .single();
+
+    const { data: membership } = await supabaseAdmin
+      .from("ticket_members")
+      .select("id")
+      .eq("ticket_id", ticketId)
+      .eq("user_id", userId)
+      .single();
+
+    // Same access rule as ticket details
+    if (!membership && !(await hasPermission(user.role, "ticket.view_any"))) {
+      return errorResponse(res, "You do not have access to this ticket", 403);
+    }
+
+    let query = supabaseAdmin
+      .from("ticket_events")
+      .select("*")
+      .eq("ticket_id", ticketId)
+      .order("created_at", { ascending: false })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    if (user.role === "client") {
+      query = query.eq("client_visible", true);
+    }
+
+    if (before) {
+      query = query.lt("created_at", before);
+    }
+
+    const { data: events, error: eventsError } = await query;
+
+    if (eventsError) {
+      console.error("Error fetching ticket events:", eventsError);
+      return errorResponse(res, "Failed to fetch ticket timeline", 500);
+    }
+
+    // Batch fetch actors and affected members
+    const userIds = new Set();
+    (events || []).forEach((event) => {
+      if (event.actor_id) userIds.add(event.actor_id);
+      const memberId = event.new_value?.user_id || event.old_value?.user_id;
+      if (memberId) userIds.add(memberId);
+    });
+
+    let usersMap = new Map();
+    if (userIds.size > 0) {
+      const { data: users } = await supabaseAdmin
+        .from("users")
+        .select("id, name, role, profile_picture")
+        .in("id", [...userIds]);
+
+      usersMap = new Map((users || []).map((u) => [u.id, u]));
+    }
+
+    const timeline = (events || []).map((event) => {
+      const memberId = event.new_value?.user_id || event.old_value?.user_id;
+
+      return {
+        id: event.id,
+        event_type: event.event_type,
+        old_value: event.old_value,
+        new_value: event.new_value,
+        metadata: event.metadata || {},
+        created_at: event.created_at,
+        actor: event.actor_id
+          ? usersMap.get(event.actor_id) || {
+            id: event.actor_id,
+            name: "Deleted User",
+            role: "unknown",
+            profile_picture: null,
+          }
+          : null,
+        member: memberId ? usersMap.get(memberId) || null : undefined,
+      };
+    });
+
+    return successResponse(
+      res,
+      {
+        events: timeline,
+        hasMore: timeline.length === Math.min(parseInt(limit) || 50, 200),
+      },
+      "Ticket timeline retrieved successfully"
+    );
+  } catch (error) {
+    console.error("Get ticket timeline error:", error);
+    return errorResponse(res, "Failed to fetch ticket timeline", 500);
+  }
+};
+
 /**
  * Add members to a ticket
  * POST /api/tickets/:ticketId/members
@@ -963,17 +1479,18 @@ export const addTicketMembers = async (req, res) => {
       .eq("id", userId)
       .single();
 
-    // Check permissions: Admin can always add members, employees can add members if they are already members of the ticket
-    if (user.role !== "admin" && user.role !== "employee") {
+    // Check permissions: ticket.members.manage - "all" on any ticket, "member" only on tickets they belong to
+    const manageScope = await getPermissionScope(user.role, "ticket.members.manage");
+    if (!manageScope) {
       return errorResponse(
         res,
-        "Only admin and employees can add members to tickets",
+        "You do not have permission to add members to tickets",
         403
       );
     }
 
-    // If user is an employee, verify they are a member of this ticket
-    if (user.role === "employee") {
+    // Member-scoped users must be a member of this ticket
+    if (manageScope === PERMISSION_SCOPES.MEMBER) {
       const { data: membership } = await supabaseAdmin
         .from("ticket_members")
         .select("*")
@@ -996,6 +1513,17 @@ export const addTicketMembers = async (req, res) => {
       }
     }
 
+    // Deactivated users can't be added
+    const { data: deactivatedMembers } = await supabaseAdmin
+      .from("users")
+      .select("id")
+      .in("id", memberIds)
+      .not("deactivated_at", "is", null);
+
+    if (deactivatedMembers?.length > 0) {
+      return errorResponse(res, "Deactivated users cannot be added to tickets", 400);
+    }
+
     // Get ticket details
     const { data: ticket } = await supabaseAdmin
       .from("tickets")
@@ -1020,6 +1548,17 @@ export const addTicketMembers = async (req, res) => {
       return errorResponse(res, "Failed to add members", 500);
     }
 
+    await Promise.all(
+      memberIds.map((memberId) =>
+        logTicketEvent({
+          ticketId,
+          actorId: userId,
+          eventType: TICKET_EVENT_TYPES.MEMBER_ADDED,
+          newValue: { user_id: memberId },
+        })
+      )
+    );
+
     // Create notifications for each new member
     const notifications = memberIds.map((memberId) => ({
       user_id: memberId,
@@ -1048,6 +1587,50 @@ export const addTicketMembers = async (req, res) => {
   }
 };
 
+/**
+ * Insert employees as ticket members and notify them
+ * (shared by addEmployeesToTicket and auto-assignment on create)
+ * @param {Object} params - { ticketId, ticket, employeeIds, addedBy, addedByName }
+ * @returns {Promise<Object|null>} Insert error, if any
+ */
+const addEmployeesAsMembers = async ({ ticketId, ticket, employeeIds, addedBy, addedByName }) => {
+  const members = employeeIds.map((employeeId) => ({
+    ticket_id: ticketId,
+    user_id: employeeId,
+    added_by: addedBy,
+    can_message_client: false, // Default to false, admin can grant permission later
+  }));
+
+  const { error: membersError } = await supabaseAdmin
+    .from("ticket_members")
+    .insert(members);
+
+  if (membersError) return membersError;
+
+  // Create notifications for each new employee
+  const notifications = employeeIds.map((employeeId) => ({
+    user_id: employeeId,
+    type: "ticket_assigned",
+    title: "Added to Ticket",
+    message: `${addedByName} added you to ticket "${ticket?.title || ticket?.ticket_number || "Untitled"
+      }"`,
+    related_ticket_id: ticketId,
+    related_user_id: addedBy,
+    is_read: false,
+  }));
+
+  const { error: notificationError } = await supabaseAdmin
+    .from("notifications")
+    .insert(notifications);
+
+  if (notificationError) {
+    console.error("Error creating notifications:", notificationError);
+    // Don't fail the request if notifications fail
+  }
+
+  return null;
+};
+
 /**
  * Add employees to a ticket (Employee-specific endpoint)
  * POST /api/tickets/:ticketId/add-employees
@@ -1079,17 +1662,18 @@ export const addEmployeesToTicket = async (req, res) => {
       return errorResponse(res, "User not found", 404);
     }
 
-    // Check if user is admin or employee
-    if (user.role !== "admin" && user.role !== "employee") {
+    // Check permissions: ticket.members.manage
+    const manageScope = await getPermissionScope(user.role, "ticket.members.manage");
+    if (!manageScope) {
       return errorResponse(
         res,
-        "Only admin and employees can add employees to tickets",
+        "You do not have permission to add employees to tickets",
         403
       );
     }
 
-    // If user is an employee, verify they are a member of this ticket
-    if (user.role === "employee") {
+    // Member-scoped users must be a member of this ticket
+    if (manageScope === PERMISSION_SCOPES.MEMBER) {
       const { data: membership } = await supabaseAdmin
         .from("ticket_members")
         .select("*")
@@ -1129,7 +1713,8 @@ export const addEmployeesToTicket = async (req, res) => {
       .select("id, name, email, role, profile_picture")
       .in("id", employeeIds)
       .in("role", ["employee", "admin"])
-      .eq("approval_status", "approved");
+      .eq("approval_status", "approved")
+      .is("deactivated_at", null);
 
     if (employeesError) {
       console.error("Error fetching employees:", employeesError);
@@ -1166,44 +1751,20 @@ export const addEmployeesToTicket = async (req, res) => {
       );
     }
 
-    // Add new employees as members
-    const members = newEmployeeIds.map((employeeId) => ({
-      ticket_id: ticketId,
-      user_id: employeeId,
-      added_by: userId,
-      can_message_client: false, // Default to false, admin can grant permission later
-    }));
-
-    const { error: membersError } = await supabaseAdmin
-      .from("ticket_members")
-      .insert(members);
+    // Add new employees as members (and notify them)
+    const membersError = await addEmployeesAsMembers({
+      ticketId,
+      ticket,
+      employeeIds: newEmployeeIds,
+      addedBy: userId,
+      addedByName: user.name,
+    });
 
     if (membersError) {
       console.error("Error adding employees to ticket:", membersError);
       return errorResponse(res, "Failed to add employees to ticket", 500);
     }
 
-    // Create notifications for each new employee
-    const notifications = newEmployeeIds.map((employeeId) => ({
-      user_id: employeeId,
-      type: "ticket_assigned",
-      title: "Added to Ticket",
-      message: `${user.name} added you to ticket "${ticket?.title || ticket?.ticket_number || "Untitled"
-        }"`,
-      related_ticket_id: ticketId,
-      related_user_id: userId,
-      is_read: false,
-    }));
-
-    const { error: notificationError } = await supabaseAdmin
-      .from("notifications")
-      .insert(notifications);
-
-    if (notificationError) {
-      console.error("Error creating notifications:", notificationError);
-      // Don't fail the request if notifications fail
-    }
-
     // Get details of added employees for response
     const addedEmployees = employeesToAdd.filter((emp) =>
       newEmployeeIds.includes(emp.id)
@@ -1242,8 +1803,10 @@ export const addEmployeesToTicket = async (req, res) => {
 };
 
 /**
- * Get available employees that can be added to a ticket
+ * Get available employees that can be added to a ticket, best match first
  * GET /api/tickets/:ticketId/available-employees
+ * - Ranked by open-ticket load, department vs project type, past completion
+ *   time on the same project type and availability (?rank=false: by name)
  */
 export const getAvailableEmployees = async (req, res) => {
   try {
@@ -1261,17 +1824,18 @@ export const getAvailableEmployees = async (req, res) => {
       return errorResponse(res, "User not found", 404);
     }
 
-    // Check permissions: Admin can always view, employees must be members
-    if (user.role !== "admin" && user.role !== "employee") {
+    // Check permissions: ticket.members.manage ("member" scope must be a member)
+    const manageScope = await getPermissionScope(user.role, "ticket.members.manage");
+    if (!manageScope) {
       return errorResponse(
         res,
-        "Only admin and employees can view available employees",
+        "You do not have permission to view available employees",
         403
       );
     }
 
-    // If user is an employee, verify they are a member of this ticket
-    if (user.role === "employee") {
+    // Member-scoped users must be a member of this ticket
+    if (manageScope === PERMISSION_SCOPES.MEMBER) {
       const { data: membership } = await supabaseAdmin
         .from("ticket_members")
         .select("*")
@@ -1288,12 +1852,23 @@ export const getAvailableEmployees = async (req, res) => {
       }
     }
 
+    const { data: ticket } = await supabaseAdmin
+      .from("tickets")
+      .select("id, project_type")
+      .eq("id", ticketId)
+      .maybeSingle();
+
+    if (!ticket) {
+      return errorResponse(res, "Ticket not found", 404);
+    }
+
     // Get all approved employees and admins
     const { data: allEmployees, error: employeesError } = await supabaseAdmin
       .from("users")
-      .select("id, name, email, role, profile_picture, department")
+      .select("id, name, email, role, profile_picture, department, availability_status")
       .in("role", ["employee", "admin"])
       .eq("approval_status", "approved")
+      .is("deactivated_at", null)
       .order("name", { ascending: true });
 
     if (employeesError) {
@@ -1312,10 +1887,15 @@ export const getAvailableEmployees = async (req, res) => {
     );
 
     // Filter out employees who are already members
-    const availableEmployees = (allEmployees || []).filter(
+    let availableEmployees = (allEmployees || []).filter(
       (emp) => !currentMemberIds.has(emp.id)
     );
 
+    const rank = req.query.rank !== "false";
+    if (rank) {
+      availableEmployees = await rankAssignmentCandidates(ticket, availableEmployees);
+    }
+
     return successResponse(
       res,
       {
@@ -1326,6 +1906,8 @@ export const getAvailableEmployees = async (req, res) => {
           role: emp.role,
           profilePicture: emp.profile_picture,
           department: emp.department,
+          availabilityStatus: emp.availability_status || "available",
+          ...(rank ? { ranking: emp.ranking } : {}),
         })),
         count: availableEmployees.length,
       },
@@ -1353,17 +1935,18 @@ export const removeTicketMember = async (req, res) => {
       .eq("id", requesterId)
       .single();
 
-    // Check permissions: Admin can remove anyone, employees can remove other employees if they are members
-    if (requester.role !== "admin" && requester.role !== "employee") {
+    // Check permissions: ticket.members.manage - admins remove anyone, others only non-admins
+    const manageScope = await getPermissionScope(requester.role, "ticket.members.manage");
+    if (!manageScope) {
       return errorResponse(
         res,
-        "Only admin and employees can remove members from tickets",
+        "You do not have permission to remove members from tickets",
         403
       );
     }
 
-    // If requester is an employee, verify they are a member of this ticket
-    if (requester.role === "employee") {
+    // Member-scoped users must be a member of this ticket
+    if (manageScope === PERMISSION_SCOPES.MEMBER) {
       const { data: requesterMembership } = await supabaseAdmin
         .from("ticket_members")
         .select("*")
@@ -1403,18 +1986,18 @@ export const removeTicketMember = async (req, res) => {
       .eq("id", userId)
       .single();
 
-    // Additional validation for employee requesters
-    if (requester.role === "employee") {
-      // Employees cannot remove admins
+    // Additional validation for non-admin requesters
+    if (requester.role !== "admin") {
+      // Only admins can remove admins
       if (user.role === "admin") {
         return errorResponse(
           res,
-          "Employees cannot remove admin users from tickets",
+          "Only admins can remove admin users from tickets",
           403
         );
       }
 
-      // Employees cannot remove themselves (they should use a different endpoint or UI)
+      // Non-admins cannot remove themselves (they should use a different endpoint or UI)
       if (userId === requesterId) {
         return errorResponse(
           res,
@@ -1423,9 +2006,9 @@ export const removeTicketMember = async (req, res) => {
         );
       }
 
-      // Employees can only remove other employees, freelancers, or clients
+      // Non-admins can only remove other employees, freelancers, or clients
       const removableRoles = ["employee", "freelancer", "client"];
-      if (!removableRoles.includes(user.role)) {
+      if (!removableRoles.includes(await getBaseRole(user.role))) {
         return errorResponse(
           res,
           `Cannot remove users with role: ${user.role}`,
@@ -1458,6 +2041,13 @@ export const removeTicketMember = async (req, res) => {
       return errorResponse(res, "Failed to remove member", 500);
     }
 
+    await logTicketEvent({
+      ticketId,
+      actorId: requesterId,
+      eventType: TICKET_EVENT_TYPES.MEMBER_REMOVED,
+      oldValue: { user_id: userId, name: user?.name, role: user?.role },
+    });
+
     // Create notification for the removed user
     await supabaseAdmin.from("notifications").insert([
       {
@@ -1519,17 +2109,18 @@ export const removeEmployeeFromTicket = async (req, res) => {
       return errorResponse(res, "Requester not found", 404);
     }
 
-    // Check if requester is admin or employee
-    if (requester.role !== "admin" && requester.role !== "employee") {
+    // Check permissions: ticket.members.manage
+    const manageScope = await getPermissionScope(requester.role, "ticket.members.manage");
+    if (!manageScope) {
       return errorResponse(
         res,
-        "Only admin and employees can remove employees from tickets",
+        "You do not have permission to remove employees from tickets",
         403
       );
     }
 
-    // If requester is an employee, verify they are a member of this ticket
-    if (requester.role === "employee") {
+    // Member-scoped users must be a member of this ticket
+    if (manageScope === PERMISSION_SCOPES.MEMBER) {
       const { data: requesterMembership } = await supabaseAdmin
         .from("ticket_members")
         .select("*")
@@ -1582,18 +2173,18 @@ export const removeEmployeeFromTicket = async (req, res) => {
       return errorResponse(res, "Target user not found", 404);
     }
 
-    // Validate target user role - employees can only remove other employees, freelancers, or clients
-    if (requester.role === "employee") {
+    // Validate target user role - non-admins can only remove other employees, freelancers, or clients
+    if (requester.role !== "admin") {
       if (targetUser.role === "admin") {
         return errorResponse(
           res,
-          "Employees cannot remove admin users from tickets",
+          "Only admins can remove admin users from tickets",
           403
         );
       }
 
       const removableRoles = ["employee", "freelancer", "client"];
-      if (!removableRoles.includes(targetUser.role)) {
+      if (!removableRoles.includes(await getBaseRole(targetUser.role))) {
         return errorResponse(
           res,
           `Cannot remove users with role: ${targetUser.role}`,
@@ -1699,11 +2290,11 @@ export const updateMemberClientPermission = async (req, res) => {
       .eq("id", userId)
       .single();
 
-    // Only admin can update permissions
-    if (admin.role !== "admin") {
+    // Only roles with ticket.members.permissions (admin by default)
+    if (!(await hasPermission(admin.role, "ticket.members.permissions"))) {
       return errorResponse(
         res,
-        "Only admin can update member permissions",
+        "You do not have permission to update member permissions",
         403
       );
     }
@@ -1728,6 +2319,13 @@ export const updateMemberClientPermission = async (req, res) => {
       );
     }
 
+    const { data: membership } = await supabaseAdmin
+      .from("ticket_members")
+      .select("can_message_client")
+      .eq("ticket_id", ticketId)
+      .eq("user_id", memberId)
+      .maybeSingle();
+
     // Update the permission
     const { error: updateError } = await supabaseAdmin
       .from("ticket_members")
@@ -1740,6 +2338,15 @@ export const updateMemberClientPermission = async (req, res) => {
       return errorResponse(res, "Failed to update permission", 500);
     }
 
+    await logAdminAction({
+      req,
+      actionType: "update_member_permissions",
+      targetUserId: memberId,
+      before: { can_message_client: membership?.can_message_client ?? null },
+      after: { can_message_client: canMessageClient },
+      details: { ticket_id: ticketId },
+    });
+
     return successResponse(
       res,
       { canMessageClient },
@@ -1769,36 +2376,20 @@ export const updateTicket = async (req, res) => {
       .eq("id", userId)
       .single();
 
-    // Admins can update any ticket
-    if (user.role === "admin") {
-      // Admin can proceed - no additional checks needed
-    } else if (user.role === "employee") {
-      // Employees can only update tickets they are members of
-      const { data: membership } = await supabaseAdmin
-        .from("ticket_members")
-        .select("id")
-        .eq("ticket_id", ticketId)
-        .eq("user_id", userId)
-        .single();
-
-      if (!membership) {
-        return errorResponse(
-          res,
-          "You must be a member of this ticket to update it",
-          403
-        );
-      }
-    } else {
-      // Freelancers, clients, and other roles cannot update tickets
+    // ticket.update: "all" updates any ticket, "member" only tickets they belong to
+    const access = await checkTicketPermission({ id: userId, role: user.role }, ticketId, "ticket.update");
+    if (!access.allowed) {
       return errorResponse(
         res,
-        "Only admins and employee members can update tickets",
+        access.scope
+          ? "You must be a member of this ticket to update it"
+          : "You do not have permission to update tickets",
         403
       );
     }
 
     // Whitelist allowed fields to prevent overwriting sensitive data (like id, created_by, etc.)
-    const allowedFields = ["title", "description", "priority", "status", "points"];
+    const allowedFields = ["title", "description", "priority", "status", "points", "due_date"];
     const filteredUpdates = {};
 
     // Only allow updates to fields that are present in the request and allowed
@@ -1812,6 +2403,100 @@ export const updateTicket = async (req, res) => {
       return errorResponse(res, "No valid fields to update", 400);
     }
 
+    // Status, priority and due date changes depend on the current ticket
+    let existingTicket = null;
+    if (
+      filteredUpdates.status !== undefined ||
+      filteredUpdates.priority !== undefined ||
+      filteredUpdates.due_date !== undefined
+    ) {
+      const { data } = await supabaseAdmin
+        .from("tickets")
+        .select(
+          "status, priority, project_type, created_at, updated_at, due_date_source, status_changed_at, status_durations"
+        )
+        .eq("id", ticketId)
+        .single();
+
+      if (!data) {
+        return errorResponse(res, "Ticket not found", 404);
+      }
+
+      existingTicket = data;
+    }
+
+    // Due date: explicit date = manual, null = back to the SLA-derived date
+    if (filteredUpdates.due_date !== undefined) {
+      if (filteredUpdates.due_date === null || filteredUpdates.due_date === "") {
+        filteredUpdates.due_date = calculateDueDate(
+          filteredUpdates.priority || existingTicket.priority,
+          existingTicket.project_type,
+          existingTicket.created_at
+        );
+        filteredUpdates.due_date_source = "sla";
+      } else if (isNaN(new Date(filteredUpdates.due_date).getTime())) {
+        return validationError(res, { due_date: "Due date must be a valid date" });
+      } else {
+        filteredUpdates.due_date = new Date(filteredUpdates.due_date).toISOString();
+        filteredUpdates.due_date_source = "manual";
+      }
+    } else if (
+      filteredUpdates.priority !== undefined &&
+      existingTicket.due_date_source !== "manual"
+    ) {
+      // SLA-derived due dates follow the priority
+      filteredUpdates.due_date = calculateDueDate(
+        filteredUpdates.priority,
+        existingTicket.project_type,
+        existingTicket.created_at
+      );
+    }
+
+    if (filteredUpdates.due_date !== undefined) {
+      // New deadline - let the SLA sweep alert again
+      filteredUpdates.sla_at_risk_notified_at = null;
+      filteredUpdates.sla_breached_notified_at = null;
+    }
+
+    // Status changes go through the same workflow as updateTicketStatus
+    let previousStatus = null;
+    if (filteredUpdates.status !== undefined) {
+      previousStatus = existingTicket.status;
+
+      if (filteredUpdates.status === existingTicket.status) {
+        delete filteredUpdates.status;
+      } else {
+        const transition = validateStatusTransition(
+          existingTicket.status,
+          filteredUpdates.status,
+          await getBaseRole(user.role),
+          { reason: updates.reason }
+        );
+
+        if (!transition.valid) {
+          if (transition.code === "MISSING_FIELDS") {
+            return validationError(res, {
+              field: transition.message,
+              missingFields: transition.missingFields,
+              allowedStatuses: transition.allowed,
+            });
+          }
+
+          return errorResponse(res, transition.message, 409, {
+            errorCode: transition.code,
+            currentStatus: existingTicket.status,
+            requestedStatus: filteredUpdates.status,
+            allowedStatuses: transition.allowed,
+          });
+        }
+
+        Object.assign(
+          filteredUpdates,
+          buildStatusDurationUpdate(existingTicket, filteredUpdates.status)
+        );
+      }
+    }
+
     // Explicitly handle updated_at
     filteredUpdates.updated_at = new Date().toISOString();
 
@@ -1827,6 +2512,17 @@ export const updateTicket = async (req, res) => {
       return errorResponse(res, "Failed to update ticket", 500);
     }
 
+    if (filteredUpdates.status !== undefined) {
+      await logTicketEvent({
+        ticketId,
+        actorId: userId,
+        eventType: TICKET_EVENT_TYPES.STATUS_CHANGED,
+        oldValue: previousStatus,
+        newValue: ticket.status,
+        metadata: updates.reason ? { reason: updates.reason } : {},
+      });
+    }
+
     // --- WHATSAPP NOTIFICATION LOGIC ---
     // If status is updated to "Pending with client", trigger WhatsApp notification
     if (filteredUpdates.status === "Pending with client" && ticket.created_by_user) {
@@ -2238,7 +2934,7 @@ export const getTicketMessages = async (req, res) => {
 
     // ⚡ OPTIMIZED: Parallel batch fetching for ALL related data
     console.time("BatchFetch");
-    const [usersResult, repliesResult, forwardedMsgsResult, forwardedTicketsResult, seenByResult] = await Promise.all([
+    const [usersResult, repliesResult, forwardedMsgsResult, forwardedTicketsResult, seenByResult, reactionsMap] = await Promise.all([
       // A. Fetch Senders
       uniqueSenderIds.length > 0
         ? supabaseAdmin
@@ -2273,7 +2969,9 @@ export const getTicketMessages = async (req, res) => {
           .from('message_seen_by')
           .select('message_id, user_id, seen_at, users!message_seen_by_user_id_fkey(id, name, email, role, profile_picture)')
           .in('message_id', messageIds)
-        : { data: [] }
+        : { data: [] },
+      // F. Aggregated reactions for all messages
+      getReactionSummaries(messageIds)
     ]);
     console.timeEnd("BatchFetch");
 
@@ -2376,26 +3074,202 @@ export const getTicketMessages = async (req, res) => {
       // 4. Get seenBy from map (NO DB CALL)
       const seenBy = seenByMap.get(message.id) || [];
 
-      return {
-        ...message,
-        sender: userData,
-        user: userData,
-        reply_to: replyToMessage,
-        forwarded_from: forwardedFrom,
-        forwardedFrom: forwardedFrom,
-        isForwarded: !!forwardedFrom,
-        seen_by: seenBy
-      };
+      // 5. Reactions - internal-mode reactions are never shown to clients
+      const reactions =
+        isClient && message.message_mode === "internal"
+          ? []
+          : reactionsMap.get(message.id) || [];
+
+      return {
+        ...message,
+        sender: userData,
+        user: userData,
+        reply_to: replyToMessage,
+        forwarded_from: forwardedFrom,
+        forwardedFrom: forwardedFrom,
+        isForwarded: !!forwardedFrom,
+        seen_by: seenBy,
+        reactions
+      };
+    });
+
+    return successResponse(
+      res,
+      { messages: messagesWithSender },
+      "Messages fetched successfully"
+    );
+  } catch (error) {
+    console.error("Get ticket messages error:", error);
+    return errorResponse(res, "Failed to fetch messages", 500);
+  }
+};
+
+/**
+ * Search messages in the given tickets (null = every ticket)
+ * - Clients only ever match client-mode messages
+ * - Soft-deleted messages are skipped
+ */
+const searchTicketMessages = async ({ q, userRole, ticketIds, limit, before }) => {
+  const term = normalizeSearchTerm(q);
+  const pattern = `%${escapeLikeTerm(term)}%`;
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+
+  let query = supabaseAdmin
+    .from("ticket_messages")
+    .select(
+      "id, ticket_id, sender_id, message, message_type, message_mode, file_name, created_at"
+    )
+    .eq("is_deleted", false)
+    .or(`message.ilike.${pattern},file_name.ilike.${pattern}`)
+    .order("created_at", { ascending: false })
+    .limit(pageSize + 1);
+
+  if (ticketIds) query = query.in("ticket_id", ticketIds);
+  if (userRole === "client") query = query.eq("message_mode", "client");
+  if (before) query = query.lt("created_at", before);
+
+  const { data: messages, error } = await query;
+  if (error) throw error;
+
+  const hasMore = messages.length > pageSize;
+  const page = hasMore ? messages.slice(0, pageSize) : messages;
+
+  // Batch fetch tickets and senders for the page
+  const pageTicketIds = [...new Set(page.map((m) => m.ticket_id))];
+  const senderIds = [...new Set(page.map((m) => m.sender_id).filter(Boolean))];
+
+  const [{ data: tickets }, { data: senders }] = await Promise.all([
+    pageTicketIds.length
+      ? supabaseAdmin.from("tickets").select("id, ticket_number, uid, title").in("id", pageTicketIds)
+      : Promise.resolve({ data: [] }),
+    senderIds.length
+      ? supabaseAdmin.from("users").select("id, name, role, profile_picture").in("id", senderIds)
+      : Promise.resolve({ data: [] }),
+  ]);
+
+  const ticketsMap = new Map((tickets || []).map((t) => [t.id, t]));
+  const sendersMap = new Map((senders || []).map((u) => [u.id, u]));
+
+  const results = page.map((message) => {
+    const textMatch = buildHighlightedSnippet(message.message, term);
+    const fileMatch = textMatch ? null : buildHighlightedSnippet(message.file_name, term);
+
+    return {
+      message_id: message.id,
+      ticket_id: message.ticket_id,
+      ticket: ticketsMap.get(message.ticket_id) || null,
+      sender: sendersMap.get(message.sender_id) || {
+        id: message.sender_id,
+        name: "Deleted User",
+        role: "unknown",
+        profile_picture: null,
+      },
+      message_type: message.message_type,
+      message_mode: message.message_mode,
+      file_name: message.file_name || null,
+      created_at: message.created_at,
+      matched_field: textMatch ? "message" : "file_name",
+      ...(textMatch || fileMatch || { snippet: "", highlights: [], highlighted_snippet: "" }),
+    };
+  });
+
+  return {
+    results,
+    hasMore,
+    nextBefore: hasMore ? page[page.length - 1].created_at : null,
+  };
+};
+
+/**
+ * Search messages across all tickets the user can access
+ * GET /api/tickets/search/messages?q=&limit=&before=
+ */
+export const searchMessages = async (req, res) => {
+  try {
+    const { q, limit, before } = req.query;
+    const userId = req.user.id;
+
+    if (normalizeSearchTerm(q).length < 2) {
+      return validationError(res, { q: "Search term must be at least 2 characters" });
+    }
+
+    const { data: user } = await supabaseAdmin
+      .from("users")
+      .select("role")
+      .eq("id", userId)
+      .single();
+
+    // message.search_all reads every ticket; others only their own
+    let ticketIds = null;
+    if (!(await hasPermission(user.role, "message.search_all"))) {
+      const { data: created } = await supabaseAdmin.from("tickets").select("id").eq("created_by", userId);
+      const { data: memberOf } = await supabaseAdmin.from("ticket_members").select("ticket_id").eq("user_id", userId);
+      ticketIds = [...new Set([...(created?.map((t) => t.id) || []), ...(memberOf?.map((m) => m.ticket_id) || [])])];
+
+      if (ticketIds.length === 0) {
+        return successResponse(res, { results: [], hasMore: false, nextBefore: null }, "No messages found");
+      }
+    }
+
+    const result = await searchTicketMessages({
+      q,
+      userRole: user.role,
+      ticketIds,
+      limit,
+      before,
+    });
+
+    return successResponse(res, result, "Messages searched successfully");
+  } catch (error) {
+    console.error("Search messages error:", error);
+    return errorResponse(res, "Failed to search messages", 500);
+  }
+};
+
+/**
+ * Search messages in a single ticket
+ * GET /api/tickets/:ticketId/messages/search?q=&limit=&before=
+ */
+export const searchTicketMessagesInTicket = async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const { q, limit, before } = req.query;
+    const userId = req.user.id;
+
+    if (normalizeSearchTerm(q).length < 2) {
+      return validationError(res, { q: "Search term must be at least 2 characters" });
+    }
+
+    const { data: user } = await supabaseAdmin
+      .from("users")
+      .select("role")
+      .eq("id", userId)
+      .single();
+
+    const { data: membership } = await supabaseAdmin
+      .from("ticket_members")
+      .select("id")
+      .eq("ticket_id", ticketId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    // Same access rule as getTicketMessages
+    if (!membership && !(await hasPermission(user.role, "ticket.view_any"))) {
+      return errorResponse(res, "You do not have access to this ticket", 403);
+    }
+
+    const result = await searchTicketMessages({
+      q,
+      userRole: user.role,
+      ticketIds: [ticketId],
+      limit,
+      before,
     });
 
-    return successResponse(
-      res,
-      { messages: messagesWithSender },
-      "Messages fetched successfully"
-    );
+    return successResponse(res, result, "Messages searched successfully");
   } catch (error) {
-    console.error("Get ticket messages error:", error);
-    return errorResponse(res, "Failed to fetch messages", 500);
+    console.error("Search ticket messages error:", error);
+    return errorResponse(res, "Failed to search messages", 500);
   }
 };
 
@@ -2478,34 +3352,25 @@ export const updateTicketPoints = async (req, res) => {
       .eq("id", userId)
       .single();
 
-    // Admins can update any ticket
-    if (user.role === "admin") {
-      // Admin can proceed - no additional checks needed
-    } else if (user.role === "employee") {
-      // Employees can only update tickets they are members of
-      const { data: membership } = await supabaseAdmin
-        .from("ticket_members")
-        .select("id")
-        .eq("ticket_id", id)
-        .eq("user_id", userId)
-        .single();
-
-      if (!membership) {
-        return errorResponse(
-          res,
-          "You must be a member of this ticket to update works to do",
-          403
-        );
-      }
-    } else {
-      // Freelancers, clients, and other roles cannot update works to do
+    // ticket.points.update: "all" on any ticket, "member" only tickets they belong to
+    const access = await checkTicketPermission({ id: userId, role: user.role }, id, "ticket.points.update");
+    if (!access.allowed) {
       return errorResponse(
         res,
-        "Only admins and employee members can update works to do",
+        access.scope
+          ? "You must be a member of this ticket to update works to do"
+          : "You do not have permission to update works to do",
         403
       );
     }
 
+    // Keep the previous list for the timeline
+    const { data: previousTicket } = await supabaseAdmin
+      .from("tickets")
+      .select("points")
+      .eq("id", id)
+      .single();
+
     // Update ticket points
     const { data: ticket, error: updateError } = await supabaseAdmin
       .from("tickets")
@@ -2519,6 +3384,14 @@ export const updateTicketPoints = async (req, res) => {
       return errorResponse(res, "Failed to update works to do", 500);
     }
 
+    await logTicketEvent({
+      ticketId: id,
+      actorId: userId,
+      eventType: TICKET_EVENT_TYPES.POINTS_UPDATED,
+      oldValue: previousTicket?.points ?? null,
+      newValue: ticket.points ?? null,
+    });
+
     // Get all members of this ticket (except admin)
     const { data: members } = await supabaseAdmin
       .from("ticket_members")
@@ -2559,62 +3432,34 @@ export const updateTicketPoints = async (req, res) => {
 export const updateTicketStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
     const userId = req.user.id;
 
-    // Check if user is admin, employee, or freelancer member
+    // Get user role and name
     const { data: user } = await supabaseAdmin
       .from("users")
       .select("role, name")
       .eq("id", userId)
       .single();
 
-    // If user is admin, allow immediately
-    if (user.role === "admin") {
-      console.log("✅ Admin user - status update authorized");
-    }
-    // If user is employee or freelancer, check if they are a member of this ticket
-    else if (user.role === "employee" || user.role === "freelancer") {
-      const { data: membership } = await supabaseAdmin
-        .from("ticket_members")
-        .select("id")
-        .eq("ticket_id", id)
-        .eq("user_id", userId)
-        .single();
-
-      if (!membership) {
-        console.log(`❌ ${user.role} is not a member of this ticket`);
-        return errorResponse(
-          res,
-          "Only admins or ticket members (employees/freelancers) can update ticket status",
-          403
-        );
-      }
-      console.log(`✅ ${user.role} member - status update authorized`);
-    }
-    // All other roles are not allowed
-    else {
-      console.log("❌ User role not authorized:", user.role);
+    // ticket.status.update: "all" on any ticket, "member" only tickets they belong to
+    const access = await checkTicketPermission({ id: userId, role: user.role }, id, "ticket.status.update");
+    if (!access.allowed) {
+      console.log(`❌ ${user.role} not authorized to update status (scope: ${access.scope})`);
       return errorResponse(
         res,
-        "Only admins or ticket members (employees/freelancers) can update ticket status",
+        access.scope
+          ? "You must be a member of this ticket to update its status"
+          : "You do not have permission to update ticket status",
         403
       );
     }
+    console.log(`✅ ${user.role} - status update authorized (${access.scope})`);
 
     // Validate status - map to database values
-    const validStatuses = [
-      "Created",
-      "Assigned",
-      "Ongoing",
-      "Pending with reviewer",
-      "Pending with client",
-      "Completed",
-      "Closed",
-    ];
-    if (!validStatuses.includes(status)) {
+    if (!TICKET_STATUSES.includes(status)) {
       return validationError(res, {
-        field: `Invalid status. Must be one of: ${validStatuses.join(", ")}`,
+        field: `Invalid status. Must be one of: ${TICKET_STATUSES.join(", ")}`,
       });
     }
 
@@ -2631,10 +3476,46 @@ export const updateTicketStatus = async (req, res) => {
       return errorResponse(res, "Ticket not found", 404);
     }
 
-    // Update ticket status
+    // Enforce the status workflow (allowed moves per role + required fields)
+    const workflowRole = await getBaseRole(user.role);
+    const transition = validateStatusTransition(
+      currentTicket.status,
+      status,
+      workflowRole,
+      { reason }
+    );
+
+    if (!transition.valid) {
+      console.log("❌ Status transition rejected:", {
+        from: currentTicket.status,
+        to: status,
+        role: user.role,
+        code: transition.code,
+      });
+
+      if (transition.code === "MISSING_FIELDS") {
+        return validationError(res, {
+          field: transition.message,
+          missingFields: transition.missingFields,
+          allowedStatuses: transition.allowed,
+        });
+      }
+
+      return errorResponse(res, transition.message, 409, {
+        errorCode: transition.code,
+        currentStatus: currentTicket.status,
+        requestedStatus: status,
+        allowedStatuses: transition.allowed,
+      });
+    }
+
+    // Update ticket status (and bank the time spent in the previous one)
     const { data: ticket, error: updateError } = await supabaseAdmin
       .from("tickets")
-      .update({ status: status })
+      .update({
+        status: status,
+        ...buildStatusDurationUpdate(currentTicket, status),
+      })
       .eq("id", id)
       .select(
         "*, created_by_user:users!created_by(id, name, email, phone, role)"
@@ -2646,6 +3527,15 @@ export const updateTicketStatus = async (req, res) => {
       return errorResponse(res, "Failed to update ticket status", 500);
     }
 
+    await logTicketEvent({
+      ticketId: id,
+      actorId: userId,
+      eventType: TICKET_EVENT_TYPES.STATUS_CHANGED,
+      oldValue: currentTicket.status,
+      newValue: ticket.status,
+      metadata: reason ? { reason } : {},
+    });
+
     // Get all members of this ticket (except admin)
     const { data: members } = await supabaseAdmin
       .from("ticket_members")
@@ -2666,7 +3556,7 @@ export const updateTicketStatus = async (req, res) => {
         user_id: member.user_id,
         type: "status_updated",
         title: "Ticket status updated",
-        message: `Status changed to "${status}" by ${changerName} for "${ticket.title}"`,
+        message: `Status changed to "${status}" by ${changerName} for "${ticket.title}"${reason ? ` (Reason: ${reason})` : ""}`,
         related_id: ticket.id,
         is_read: false,
       });
@@ -2746,13 +3636,18 @@ export const updateTicketStatus = async (req, res) => {
         .emit("ticket_updated", {
           id: ticket.id,
           status: ticket.status,
+          previousStatus: currentTicket.status,
+          reason: reason || null,
           updatedBy: user.name || "Admin",
         });
     }
 
     return successResponse(
       res,
-      { ticket },
+      {
+        ticket,
+        allowedNextStatuses: getAllowedTransitions(ticket.status, workflowRole),
+      },
       "Ticket status updated successfully"
     );
   } catch (error) {
@@ -2778,8 +3673,8 @@ export const updateTicketPriority = async (req, res) => {
       .eq("id", userId)
       .single();
 
-    if (user.role !== "admin") {
-      return errorResponse(res, "Only admins can update ticket priority", 403);
+    if (!(await hasPermission(user.role, "ticket.priority.update"))) {
+      return errorResponse(res, "You do not have permission to update ticket priority", 403);
     }
 
     // Validate priority - should be in P1, P2, P3, P4, P5 format
@@ -2790,10 +3685,30 @@ export const updateTicketPriority = async (req, res) => {
       });
     }
 
+    // Keep the previous priority for the timeline
+    const { data: previousTicket } = await supabaseAdmin
+      .from("tickets")
+      .select("priority, project_type, created_at, due_date_source")
+      .eq("id", id)
+      .single();
+
+    const priorityUpdate = { priority: String(priority) };
+
+    // SLA-derived due dates follow the priority (manual ones are kept)
+    if (previousTicket && previousTicket.due_date_source !== "manual") {
+      priorityUpdate.due_date = calculateDueDate(
+        String(priority),
+        previousTicket.project_type,
+        previousTicket.created_at
+      );
+      priorityUpdate.sla_at_risk_notified_at = null;
+      priorityUpdate.sla_breached_notified_at = null;
+    }
+
     // Update ticket priority
     const { data: ticket, error: updateError } = await supabaseAdmin
       .from("tickets")
-      .update({ priority: String(priority) })
+      .update(priorityUpdate)
       .eq("id", id)
       .select()
       .single();
@@ -2803,6 +3718,14 @@ export const updateTicketPriority = async (req, res) => {
       return errorResponse(res, "Failed to update ticket priority", 500);
     }
 
+    await logTicketEvent({
+      ticketId: id,
+      actorId: userId,
+      eventType: TICKET_EVENT_TYPES.PRIORITY_CHANGED,
+      oldValue: previousTicket?.priority ?? null,
+      newValue: ticket.priority,
+    });
+
     // Get all members of this ticket (except admin)
     const { data: members } = await supabaseAdmin
       .from("ticket_members")
@@ -2964,11 +3887,22 @@ export const generateUploadUrl = async (req, res) => {
  * POST /api/tickets/:ticketId/upload-confirm
  *
  * Called by frontend after successfully uploading to the signed URL
+ * Pass paymentStage (+ optional paymentAmount, paymentReference, paymentNote)
+ * to submit the file as payment proof for that stage
  */
 export const confirmUpload = async (req, res) => {
   try {
     const { ticketId } = req.params;
-    const { filePath, fileName, fileSize, mimeType } = req.body;
+    const {
+      filePath,
+      fileName,
+      fileSize,
+      mimeType,
+      paymentStage,
+      paymentAmount,
+      paymentReference,
+      paymentNote,
+    } = req.body;
     const userId = req.user.id;
 
     console.log("✅ Confirming upload request received:");
@@ -3095,6 +4029,36 @@ export const confirmUpload = async (req, res) => {
 
     console.log("✅ Upload confirmed successfully");
 
+    // Payment screenshot - attach to the stage and queue for verification
+    if (paymentStage) {
+      const { proof, paymentStages, error: proofError } = await submitPaymentProof({
+        ticketId,
+        stage: paymentStage,
+        file: fileRecord,
+        userId,
+        amount: paymentAmount,
+        reference: paymentReference,
+        note: paymentNote,
+      });
+
+      if (proofError) {
+        return proofError.errors
+          ? validationError(res, proofError.errors)
+          : errorResponse(res, proofError.message, proofError.status);
+      }
+
+      return successResponse(
+        res,
+        {
+          file: fileRecord,
+          fileUrl: fileUrl,
+          paymentProof: proof,
+          payment_stages: paymentStages,
+        },
+        "Payment proof uploaded and sent for verification"
+      );
+    }
+
     return successResponse(
       res,
       {
@@ -3313,10 +4277,10 @@ export const updateMemberPermissions = async (req, res) => {
       .eq("id", adminId)
       .single();
 
-    if (admin.role !== "admin") {
+    if (!(await hasPermission(admin.role, "ticket.members.permissions"))) {
       return errorResponse(
         res,
-        "Only admins can update member permissions",
+        "You do not have permission to update member permissions",
         403
       );
     }
@@ -3336,6 +4300,13 @@ export const updateMemberPermissions = async (req, res) => {
       );
     }
 
+    const { data: membership } = await supabaseAdmin
+      .from("ticket_members")
+      .select("can_message_client")
+      .eq("ticket_id", ticketId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
     // Update the ticket member permissions
     const { data, error } = await supabaseAdmin
       .from("ticket_members")
@@ -3350,6 +4321,16 @@ export const updateMemberPermissions = async (req, res) => {
       return errorResponse(res, "Failed to update permissions", 500);
     }
 
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: "update_member_permissions",
+      targetUserId: userId,
+      before: { can_message_client: membership?.can_message_client ?? null },
+      after: { can_message_client: data.can_message_client },
+      details: { ticket_id: ticketId },
+    });
+
     return successResponse(res, data, "Permissions updated successfully");
   } catch (error) {
     console.error("Error updating member permissions:", error);
@@ -3395,9 +4376,9 @@ export const starTicket = async (req, res) => {
     console.log("⭐ User role:", user.role);
     console.log("⭐ Is member:", !!membership);
 
-    // Allow access if user is admin, employee, or a member of the ticket
-    if (!membership && user.role !== "admin" && user.role !== "employee") {
-      console.log("⭐ Access denied - not a member and not admin/employee");
+    // Allow access if user is a member of the ticket or may view any ticket
+    if (!membership && !(await hasPermission(user.role, "ticket.view_any"))) {
+      console.log("⭐ Access denied - not a member and no ticket.view_any");
       return errorResponse(res, "You do not have access to this ticket", 403);
     }
 
@@ -3690,20 +4671,20 @@ export const deleteMessage = async (req, res) => {
       return errorResponse(res, "Message already deleted", 400);
     }
 
-    // Check permissions: sender can delete own messages, admins can delete ANY message
+    // Check permissions: sender can delete own messages, message.delete_any can delete ANY message
     const isMessageOwner = existingMessage.sender_id === userId;
-    const isAdmin = userRole === "admin";
+    const canDeleteAny = await hasPermission(userRole, "message.delete_any");
 
     console.log("🔐 Delete permission check:", {
       userId,
       userRole,
       messageSenderId: existingMessage.sender_id,
       isMessageOwner,
-      isAdmin,
-      canDelete: isMessageOwner || isAdmin,
+      canDeleteAny,
+      canDelete: isMessageOwner || canDeleteAny,
     });
 
-    if (!isMessageOwner && !isAdmin) {
+    if (!isMessageOwner && !canDeleteAny) {
       return errorResponse(
         res,
         "You can only delete your own messages. Admins can delete any message.",
@@ -3928,6 +4909,172 @@ export const forwardMessage = async (req, res) => {
   }
 };
 
+/**
+ * Add an emoji reaction to a message
+ * POST /api/tickets/:ticketId/messages/:messageId/reactions
+ * Body: { emoji: '👍' }
+ */
+export const addMessageReaction = async (req, res) => {
+  try {
+    const { ticketId, messageId } = req.params;
+
+    const { reactions, error } = await addReaction({
+      io: req.app.get("io"),
+      ticketId,
+      messageId,
+      user: req.user,
+      emoji: req.body.emoji,
+    });
+
+    if (error) {
+      return errorResponse(res, error.message, error.status);
+    }
+
+    return successResponse(res, { messageId, reactions }, "Reaction added");
+  } catch (error) {
+    console.error("Add reaction error:", error);
+    return errorResponse(res, "Failed to add reaction", 500);
+  }
+};
+
+/**
+ * Remove the current user's emoji reaction from a message
+ * DELETE /api/tickets/:ticketId/messages/:messageId/reactions/:emoji
+ */
+export const removeMessageReaction = async (req, res) => {
+  try {
+    const { ticketId, messageId, emoji } = req.params;
+
+    const { reactions, error } = await removeReaction({
+      io: req.app.get("io"),
+      ticketId,
+      messageId,
+      user: req.user,
+      emoji,
+    });
+
+    if (error) {
+      return errorResponse(res, error.message, error.status);
+    }
+
+    return successResponse(res, { messageId, reactions }, "Reaction removed");
+  } catch (error) {
+    console.error("Remove reaction error:", error);
+    return errorResponse(res, "Failed to remove reaction", 500);
+  }
+};
+
+/**
+ * Get pinned messages and files of a ticket
+ * GET /api/tickets/:ticketId/pins
+ */
+export const getTicketPins = async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const { id: userId, role } = req.user;
+
+    const [{ data: ticket }, { data: membership }] = await Promise.all([
+      supabaseAdmin.from("tickets").select("id, created_by").eq("id", ticketId).maybeSingle(),
+      supabaseAdmin
+        .from("ticket_members")
+        .select("added_at")
+        .eq("ticket_id", ticketId)
+        .eq("user_id", userId)
+        .maybeSingle(),
+    ]);
+
+    if (!ticket) {
+      return errorResponse(res, "Ticket not found", 404);
+    }
+
+    const isCreator = ticket.created_by === userId;
+    const canView = isCreator || !!membership || (await hasPermission(role, "ticket.view_any"));
+
+    if (!canView) {
+      return errorResponse(res, "You do not have access to this ticket", 403);
+    }
+
+    // Clients / freelancers only see pins of messages sent after they joined
+    // (same rule as getTicketDetails)
+    const filterByJoinDate =
+      role !== "admin" && role !== "employee" && !isCreator && membership?.added_at;
+
+    const pins = await listTicketPins(ticketId, {
+      includeInternal: role !== "client",
+      visibleFrom: filterByJoinDate ? membership.added_at : null,
+    });
+
+    return successResponse(res, { pins }, "Pins fetched successfully");
+  } catch (error) {
+    console.error("Get ticket pins error:", error);
+    return errorResponse(res, "Failed to fetch pins", 500);
+  }
+};
+
+/**
+ * Pin a message or a file in a ticket
+ * POST /api/tickets/:ticketId/pins
+ * Body: { messageId } or { fileId, messageMode: 'client'|'internal' }, optional note
+ */
+export const pinTicketItem = async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const { messageId, fileId, messageMode, note } = req.body;
+
+    const { allowed } = await checkTicketPermission(req.user, ticketId, "ticket.pins.manage");
+    if (!allowed) {
+      return errorResponse(res, "You do not have permission to pin items in this ticket", 403);
+    }
+
+    const { pin, error } = await createTicketPin({
+      io: req.app.get("io"),
+      ticketId,
+      user: req.user,
+      messageId,
+      fileId,
+      messageMode,
+      note,
+    });
+
+    if (error) {
+      return error.errors
+        ? validationError(res, error.errors)
+        : errorResponse(res, error.message, error.status);
+    }
+
+    return successResponse(res, { pin }, "Pinned successfully", 201);
+  } catch (error) {
+    console.error("Pin ticket item error:", error);
+    return errorResponse(res, "Failed to pin", 500);
+  }
+};
+
+/**
+ * Unpin a message or file
+ * DELETE /api/tickets/:ticketId/pins/:pinId
+ */
+export const unpinTicketItem = async (req, res) => {
+  try {
+    const { ticketId, pinId } = req.params;
+
+    const { allowed } = await checkTicketPermission(req.user, ticketId, "ticket.pins.manage");
+    if (!allowed) {
+      return errorResponse(res, "You do not have permission to unpin items in this ticket", 403);
+    }
+
+    const { error } = await removeTicketPin({ io: req.app.get("io"), ticketId, pinId });
+
+    if (error) {
+      return errorResponse(res, error.message, error.status);
+    }
+
+    return successResponse(res, { pinId }, "Unpinned successfully");
+  } catch (error) {
+    console.error("Unpin ticket item error:", error);
+    return errorResponse(res, "Failed to unpin", 500);
+  }
+};
+
 /**
  * Export tickets to Excel file
  * GET /api/tickets/export
@@ -3940,6 +5087,7 @@ export const forwardMessage = async (req, res) => {
  *   5. Ticket ID (uid)
  *   6. Ticket Link
  *   7. Client Last Message
+ * - Admins also get payment stage status and amount due / paid / outstanding
  */
 export const exportTicketsToExcel = async (req, res) => {
   try {
@@ -3958,13 +5106,13 @@ export const exportTicketsToExcel = async (req, res) => {
       return errorResponse(res, "Failed to fetch user details", 500);
     }
 
-    if (user.role !== "admin" && user.role !== "employee") {
-      return errorResponse(res, "Only admin and employees can export tickets", 403);
+    if (!(await hasPermission(user.role, "ticket.export"))) {
+      return errorResponse(res, "You do not have permission to export tickets", 403);
     }
 
-    // Store user role for conditional column display
+    // Payment columns only with ticket.export.financials
     const userRole = user.role;
-    const isAdmin = userRole === "admin";
+    const showFinancials = await hasPermission(userRole, "ticket.export.financials");
 
     // Fetch all tickets with created_by user
     const { data: tickets, error: ticketsError } = await supabaseAdmin
@@ -4005,6 +5153,9 @@ export const exportTicketsToExcel = async (req, res) => {
       });
     }
 
+    // Payment ledger is only exported to admins
+    const paymentsMap = showFinancials ? await getPaymentsByTicket(ticketIds) : new Map();
+
     // Process each ticket to get all required data
     const ticketData = await Promise.all(
       tickets.map(async (ticket) => {
@@ -4078,12 +5229,8 @@ export const exportTicketsToExcel = async (req, res) => {
           .filter(Boolean)
           .join(" | ") || "N/A";
 
-        // Get payment stages status
-        const paymentStages = ticket.payment_stages || {
-          part_a: { notified: false, completed: false },
-          statistical_results: { notified: false, completed: false },
-          part_b: { notified: false, completed: false },
-        };
+        // Get payment stages status (whatever stages this ticket has)
+        const paymentStages = getOrderedPaymentStages(ticket.payment_stages);
 
         const getStageStatus = (stage) => {
           if (!stage) return "Not Notified";
@@ -4092,6 +5239,17 @@ export const exportTicketsToExcel = async (req, res) => {
           return "Not Notified";
         };
 
+        const sla = getSlaState(ticket);
+        const slaLabels = {
+          overdue: "Overdue",
+          at_risk: "At Risk",
+          on_track: "On Track",
+          closed: "Closed",
+          no_due_date: "N/A",
+        };
+        const secondsInStatus = getStatusDurations(ticket)[ticket.status] || 0;
+        const ledger = buildTicketLedger(ticket, paymentsMap.get(ticket.id) || []);
+
         return {
           createdAt: new Date(ticket.created_at).toLocaleDateString("en-IN", {
             year: "numeric",
@@ -4103,12 +5261,26 @@ export const exportTicketsToExcel = async (req, res) => {
           clientName,
           staffNames,
           status: ticket.status,
+          dueDate: ticket.due_date
+            ? new Date(ticket.due_date).toLocaleDateString("en-IN", {
+              year: "numeric",
+              month: "short",
+              day: "numeric",
+            })
+            : "N/A",
+          slaStatus: slaLabels[sla.sla_status],
+          daysInStatus: Math.floor(secondsInStatus / 86400),
           ticketId: ticket.uid,
           ticketLink: `${frontendUrl}/dashboard?ticketId=${ticket.id}`,
           clientLastMessage,
-          partAStatus: getStageStatus(paymentStages.part_a),
-          statsStatus: getStageStatus(paymentStages.statistical_results),
-          partBStatus: getStageStatus(paymentStages.part_b),
+          paymentStages,
+          ...Object.fromEntries(
+            paymentStages.map((stage) => [`stage_${stage.key}`, getStageStatus(stage)])
+          ),
+          amountDue: ledger.total_due,
+          amountPaid: ledger.total_paid,
+          outstanding: ledger.balance,
+          currency: ledger.currency,
         };
       })
     );
@@ -4126,21 +5298,40 @@ export const exportTicketsToExcel = async (req, res) => {
       { header: "Client Name", key: "clientName", width: 20 },
       { header: "Employee / Freelancer Name", key: "staffNames", width: 35 },
       { header: "Current Status", key: "status", width: 20 },
+      { header: "Due Date", key: "dueDate", width: 15 },
+      { header: "SLA Status", key: "slaStatus", width: 12 },
+      { header: "Days in Current Status", key: "daysInStatus", width: 22 },
       { header: "Ticket ID", key: "ticketId", width: 15 },
       { header: "Ticket Link", key: "ticketLink", width: 50 },
       { header: "Client Last Message", key: "clientLastMessage", width: 40 },
     ];
 
-    // Payment columns (only for admins)
-    const paymentColumns = [
-      { header: "Part A Payment Status", key: "partAStatus", width: 22 },
-      { header: "Statistics Payment Status", key: "statsStatus", width: 25 },
-      { header: "Part B Payment Status", key: "partBStatus", width: 22 },
+    // Payment columns (only for admins) - one per stage key across all tickets
+    const stageColumns = new Map();
+    ticketData.forEach((row) => {
+      row.paymentStages.forEach((stage) => {
+        if (!stageColumns.has(stage.key)) stageColumns.set(stage.key, stage);
+      });
+    });
+
+    const paymentColumns = [...stageColumns.values()]
+      .sort((a, b) => a.order - b.order)
+      .map((stage) => ({
+        header: `${stage.name} Payment Status`,
+        key: `stage_${stage.key}`,
+        width: 25,
+      }));
+
+    const ledgerColumns = [
+      { header: "Currency", key: "currency", width: 10 },
+      { header: "Amount Due", key: "amountDue", width: 15 },
+      { header: "Amount Paid", key: "amountPaid", width: 15 },
+      { header: "Outstanding", key: "outstanding", width: 15 },
     ];
 
-    // Set columns based on user role
-    worksheet.columns = isAdmin
-      ? [...baseColumns, ...paymentColumns]
+    // Set columns based on user permissions
+    worksheet.columns = showFinancials
+      ? [...baseColumns, ...paymentColumns, ...ledgerColumns]
       : baseColumns;
 
     // Style the header row
@@ -4152,8 +5343,8 @@ export const exportTicketsToExcel = async (req, res) => {
     };
     worksheet.getRow(1).font = { bold: true, color: { argb: "FFFFFFFF" } };
 
-    // Add data rows
-    ticketData.forEach((row) => {
+    // Add data rows (stages a ticket doesn't have stay blank)
+    ticketData.forEach(({ paymentStages: _stages, ...row }) => {
       worksheet.addRow(row);
     });
 
@@ -4201,7 +5392,7 @@ export const exportTicketsToExcel = async (req, res) => {
  * Send payment stage notification to client via WhatsApp
  * POST /api/tickets/:ticketId/payment-stage/notify
  * - Admin and Employee only
- * - Stages: part_a, statistical_results, part_b
+ * - Stage: any stage key present on the ticket's payment_stages
  */
 export const sendPaymentStageNotification = async (req, res) => {
   try {
@@ -4211,12 +5402,8 @@ export const sendPaymentStageNotification = async (req, res) => {
 
     console.log("💰 Payment stage notification request:", { ticketId, stage, userId });
 
-    // Validate stage
-    const validStages = ["part_a", "statistical_results", "part_b"];
-    if (!stage || !validStages.includes(stage)) {
-      return validationError(res, {
-        stage: `Invalid stage. Must be one of: ${validStages.join(", ")}`,
-      });
+    if (!stage) {
+      return validationError(res, { stage: "Stage is required" });
     }
 
     // Get user role
@@ -4230,8 +5417,8 @@ export const sendPaymentStageNotification = async (req, res) => {
       return errorResponse(res, "Failed to fetch user details", 500);
     }
 
-    if (user.role !== "admin" && user.role !== "employee") {
-      return errorResponse(res, "Only admin and employees can send payment notifications", 403);
+    if (!(await hasPermission(user.role, "payment.notify"))) {
+      return errorResponse(res, "You do not have permission to send payment notifications", 403);
     }
 
     // Get ticket details
@@ -4245,6 +5432,14 @@ export const sendPaymentStageNotification = async (req, res) => {
       return errorResponse(res, "Ticket not found", 404);
     }
 
+    // Validate stage against the stages this ticket actually has
+    const currentStages = normalizePaymentStages(ticket.payment_stages);
+    if (!Object.hasOwn(currentStages, stage)) {
+      return validationError(res, {
+        stage: `Invalid stage. Must be one of: ${Object.keys(currentStages).join(", ")}`,
+      });
+    }
+
     // Get client's phone number
     // First check if creator is a client
     let clientPhone = null;
@@ -4288,7 +5483,18 @@ export const sendPaymentStageNotification = async (req, res) => {
       uid: ticket.uid,
     };
 
-    const whatsappResult = await sendPaymentStageWhatsApp(clientPhone, ticketInfo, stage);
+    const stageTemplate = await getTemplateForStage(
+      currentStages[stage],
+      stage,
+      ticket.project_type
+    );
+
+    const whatsappResult = await sendPaymentStageWhatsApp(
+      clientPhone,
+      { ...ticketInfo, clientName },
+      stage,
+      stageTemplate
+    );
 
     if (!whatsappResult.success) {
       console.error("WhatsApp send failed:", whatsappResult.error);
@@ -4296,17 +5502,16 @@ export const sendPaymentStageNotification = async (req, res) => {
     }
 
     // Update payment_stages in the ticket
-    const currentStages = ticket.payment_stages || {
-      part_a: { notified: false, completed: false },
-      statistical_results: { notified: false, completed: false },
-      part_b: { notified: false, completed: false },
-    };
+    const previousStage = { ...(currentStages[stage] || {}) };
 
     currentStages[stage] = {
       ...currentStages[stage],
       notified: true,
       notified_at: new Date().toISOString(),
       notified_by: userId,
+      // A fresh notification restarts the reminder cycle (history is kept)
+      reminder_count: 0,
+      last_reminder_at: null,
     };
 
     const { error: updateError } = await supabaseAdmin
@@ -4319,25 +5524,34 @@ export const sendPaymentStageNotification = async (req, res) => {
       return errorResponse(res, "Failed to update payment stage", 500);
     }
 
-    const stageNames = {
-      part_a: "Part A",
-      statistical_results: "Statistical Results",
-      part_b: "Part B",
-    };
+    const stageName = currentStages[stage].name;
+
+    await logTicketEvent({
+      ticketId,
+      actorId: userId,
+      eventType: TICKET_EVENT_TYPES.PAYMENT_STAGE_NOTIFIED,
+      oldValue: previousStage,
+      newValue: currentStages[stage],
+      metadata: {
+        stage,
+        stageName,
+        whatsappSent: whatsappResult.success,
+      },
+    });
 
-    console.log(`✅ Payment stage notification sent for ${stageNames[stage]}`);
+    console.log(`✅ Payment stage notification sent for ${stageName}`);
 
     return successResponse(
       res,
       {
         stage,
-        stageName: stageNames[stage],
+        stageName,
         notified: true,
         whatsappSent: whatsappResult.success,
         clientName,
         payment_stages: currentStages,
       },
-      `Payment notification sent for ${stageNames[stage]}`
+      `Payment notification sent for ${stageName}`
     );
   } catch (error) {
     console.error("Payment stage notification error:", error);
@@ -4349,7 +5563,7 @@ export const sendPaymentStageNotification = async (req, res) => {
  * Mark payment stage as completed
  * POST /api/tickets/:ticketId/payment-stage/complete
  * - Admin and Employee only
- * - Stages: part_a, statistical_results, part_b
+ * - Stage: any stage key present on the ticket's payment_stages
  */
 export const markPaymentStageCompleted = async (req, res) => {
   try {
@@ -4359,12 +5573,8 @@ export const markPaymentStageCompleted = async (req, res) => {
 
     console.log("✅ Payment stage completion request:", { ticketId, stage, userId });
 
-    // Validate stage
-    const validStages = ["part_a", "statistical_results", "part_b"];
-    if (!stage || !validStages.includes(stage)) {
-      return validationError(res, {
-        stage: `Invalid stage. Must be one of: ${validStages.join(", ")}`,
-      });
+    if (!stage) {
+      return validationError(res, { stage: "Stage is required" });
     }
 
     // Get user role
@@ -4378,8 +5588,8 @@ export const markPaymentStageCompleted = async (req, res) => {
       return errorResponse(res, "Failed to fetch user details", 500);
     }
 
-    if (user.role !== "admin" && user.role !== "employee") {
-      return errorResponse(res, "Only admin and employees can mark payment stages as completed", 403);
+    if (!(await hasPermission(user.role, "payment.stage.complete"))) {
+      return errorResponse(res, "You do not have permission to mark payment stages as completed", 403);
     }
 
     // Get ticket
@@ -4393,47 +5603,38 @@ export const markPaymentStageCompleted = async (req, res) => {
       return errorResponse(res, "Ticket not found", 404);
     }
 
-    // Update payment_stages
-    const currentStages = ticket.payment_stages || {
-      part_a: { notified: false, completed: false },
-      statistical_results: { notified: false, completed: false },
-      part_b: { notified: false, completed: false },
-    };
-
-    currentStages[stage] = {
-      ...currentStages[stage],
-      completed: true,
-      completed_at: new Date().toISOString(),
-      completed_by: userId,
-    };
+    // Validate stage against the stages this ticket actually has
+    const currentStages = normalizePaymentStages(ticket.payment_stages);
+    if (!Object.hasOwn(currentStages, stage)) {
+      return validationError(res, {
+        stage: `Invalid stage. Must be one of: ${Object.keys(currentStages).join(", ")}`,
+      });
+    }
 
-    const { error: updateError } = await supabaseAdmin
-      .from("tickets")
-      .update({ payment_stages: currentStages })
-      .eq("id", ticketId);
+    // Update payment_stages
+    const { paymentStages, stageName, error: updateError } = await completePaymentStage(
+      ticketId,
+      currentStages,
+      stage,
+      userId
+    );
 
     if (updateError) {
       console.error("Error updating payment stages:", updateError);
       return errorResponse(res, "Failed to mark stage as completed", 500);
     }
 
-    const stageNames = {
-      part_a: "Part A",
-      statistical_results: "Statistical Results",
-      part_b: "Part B",
-    };
-
-    console.log(`✅ Payment stage ${stageNames[stage]} marked as completed`);
+    console.log(`✅ Payment stage ${stageName} marked as completed`);
 
     return successResponse(
       res,
       {
         stage,
-        stageName: stageNames[stage],
+        stageName,
         completed: true,
-        payment_stages: currentStages,
+        payment_stages: paymentStages,
       },
-      `${stageNames[stage]} marked as completed`
+      `${stageName} marked as completed`
     );
   } catch (error) {
     console.error("Payment stage completion error:", error);
@@ -0,0 +1,564 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import {
+  successResponse,
+  errorResponse,
+  validationError,
+} from "../utils/responses.js";
+import bcrypt from "bcryptjs";
+import {
+  generateTotpSecret,
+  verifyTOTP,
+  buildOtpauthUri,
+  TOTP_DIGITS,
+  TOTP_STEP_SECONDS,
+} from "../utils/totp.js";
+import {
+  TWO_FACTOR_ROLES,
+  TWO_FACTOR_CHALLENGE_PURPOSES,
+  getTwoFactorIssuer,
+  isTwoFactorRequired,
+  encryptSecret,
+  decryptSecret,
+  generateBackupCodes,
+  countBackupCodes,
+  verifyUserTwoFactor,
+  verifyTwoFactorChallenge,
+} from "../utils/twoFactor.js";
+import { logAdminAction } from "../utils/adminAudit.js";
+import {
+  AUTH_ACTIONS,
+  getClientIp,
+  checkAuthLimit,
+  recordAuthAttempt,
+  clearAuthAttempts,
+  sendRateLimited,
+} from "../utils/authRateLimit.js";
+import { createSession } from "../utils/sessions.js";
+import { isUserDeactivated, sendAccountDeactivated } from "../utils/userStatus.js";
+
+// Columns cleared when 2FA is turned off or reset by an admin
+const TWO_FACTOR_CLEARED = {
+  two_factor_enabled: false,
+  two_factor_secret: null,
+  two_factor_pending_secret: null,
+  two_factor_enabled_at: null,
+  two_factor_last_counter: null,
+  two_factor_backup_codes: [],
+};
+
+/**
+ * User enrolling in 2FA: the logged-in user, or - during a login that
+ * requires 2FA setup - the user named by the setup challengeToken
+ */
+const resolveEnrollingUser = async (req) => {
+  if (req.user) return { user: req.user, challenge: null };
+
+  const challenge = verifyTwoFactorChallenge(
+    req.body.challengeToken,
+    TWO_FACTOR_CHALLENGE_PURPOSES.SETUP
+  );
+  if (!challenge) return { user: null, challenge: null };
+
+  const { data: user } = await supabaseAdmin
+    .from("users")
+    .select("*")
+    .eq("id", challenge.userId)
+    .single();
+
+  // Deactivated while the challenge was pending
+  if (isUserDeactivated(user)) return { user: null, challenge: null };
+
+  return { user, challenge };
+};
+
+/**
+ * Count a wrong code; 429 once it triggers a lockout
+ */
+const respondToInvalidCode = async (res, attempt, message = "Invalid verification code") => {
+  const { locked, retryAfterSeconds } = await recordAuthAttempt(attempt);
+  if (locked) return sendRateLimited(res, retryAfterSeconds);
+  return errorResponse(res, message, 400);
+};
+
+/**
+ * Same payload as loginWithPassword
+ */
+const buildLoginPayload = (user, tokens) => ({
+  token: tokens.accessToken,
+  accessToken: tokens.accessToken,
+  refreshToken: tokens.refreshToken,
+  expiresIn: tokens.expiresIn,
+  refreshExpiresIn: tokens.refreshExpiresIn,
+  user: {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    profile_picture: user.profile_picture,
+    isVerified: user.is_verified,
+    approvalStatus: user.approval_status,
+  },
+});
+
+/**
+ * Get 2FA status for the current user
+ * GET /api/auth/2fa/status
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = req.user;
+
+    return successResponse(
+      res,
+      {
+        available: TWO_FACTOR_ROLES.includes(user.role),
+        enabled: !!user.two_factor_enabled,
+        required: isTwoFactorRequired(user),
+        enabledAt: user.two_factor_enabled_at || null,
+        backupCodesRemaining: countBackupCodes(user.two_factor_backup_codes),
+      },
+      "Two-factor status retrieved successfully"
+    );
+  } catch (error) {
+    console.error("Get 2FA status error:", error);
+    return errorResponse(res, "Failed to fetch two-factor status", 500);
+  }
+};
+
+/**
+ * Start 2FA enrollment: new secret + otpauth URI (shown as QR code)
+ * POST /api/auth/2fa/setup
+ * POST /api/auth/2fa/login/setup (with setup challengeToken)
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const { user } = await resolveEnrollingUser(req);
+
+    if (!user) {
+      return errorResponse(res, "Invalid or expired challenge. Please login again.", 401);
+    }
+
+    if (!TWO_FACTOR_ROLES.includes(user.role)) {
+      return errorResponse(res, "Two-factor authentication is only available for staff accounts", 403);
+    }
+
+    if (user.two_factor_enabled) {
+      return errorResponse(res, "Two-factor authentication is already enabled", 409);
+    }
+
+    const secret = generateTotpSecret();
+
+    const { error } = await supabaseAdmin
+      .from("users")
+      .update({ two_factor_pending_secret: encryptSecret(secret) })
+      .eq("id", user.id);
+
+    if (error) {
+      console.error("Error saving 2FA secret:", error);
+      return errorResponse(res, "Failed to start two-factor setup", 500);
+    }
+
+    const issuer = getTwoFactorIssuer();
+
+    return successResponse(
+      res,
+      {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer }),
+        issuer,
+        digits: TOTP_DIGITS,
+        period: TOTP_STEP_SECONDS,
+      },
+      "Scan the QR code and enter the code from your authenticator app"
+    );
+  } catch (error) {
+    console.error("Setup 2FA error:", error);
+    return errorResponse(res, "Failed to start two-factor setup", 500);
+  }
+};
+
+/**
+ * Finish enrollment: check the first code, enable 2FA, return backup codes.
+ * In the login flow this also signs the user in.
+ * POST /api/auth/2fa/enable
+ * POST /api/auth/2fa/login/enable (with setup challengeToken)
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return validationError(res, { code: "Verification code is required" });
+    }
+
+    const { user, challenge } = await resolveEnrollingUser(req);
+
+    if (!user) {
+      return errorResponse(res, "Invalid or expired challenge. Please login again.", 401);
+    }
+
+    if (user.two_factor_enabled) {
+      return errorResponse(res, "Two-factor authentication is already enabled", 409);
+    }
+
+    if (!user.two_factor_pending_secret) {
+      return errorResponse(res, "Please start two-factor setup first", 400);
+    }
+
+    const attempt = { action: AUTH_ACTIONS.TWO_FACTOR, identifier: user.id, ip: getClientIp(req) };
+    const limit = await checkAuthLimit(attempt);
+    if (!limit.allowed) {
+      return sendRateLimited(res, limit.retryAfterSeconds);
+    }
+
+    const secret = decryptSecret(user.two_factor_pending_secret);
+    const counter = verifyTOTP(secret, code, { now: new Date() });
+
+    if (counter === null) {
+      return respondToInvalidCode(res, attempt);
+    }
+
+    await clearAuthAttempts(attempt);
+
+    const { codes, stored } = generateBackupCodes();
+
+    const { error } = await supabaseAdmin
+      .from("users")
+      .update({
+        two_factor_enabled: true,
+        two_factor_secret: user.two_factor_pending_secret,
+        two_factor_pending_secret: null,
+        two_factor_enabled_at: new Date().toISOString(),
+        two_factor_last_counter: counter,
+        two_factor_backup_codes: stored,
+      })
+      .eq("id", user.id);
+
+    if (error) {
+      console.error("Error enabling 2FA:", error);
+      return errorResponse(res, "Failed to enable two-factor authentication", 500);
+    }
+
+    console.log(`🔑 2FA enabled for user ${user.id}`);
+
+    // Login flow - enrollment completes the sign in
+    const login = challenge
+      ? buildLoginPayload(user, (await createSession(user, req, challenge.rememberMe)).tokens)
+      : {};
+
+    return successResponse(
+      res,
+      { ...login, backupCodes: codes },
+      "Two-factor authentication enabled. Store your backup codes somewhere safe."
+    );
+  } catch (error) {
+    console.error("Enable 2FA error:", error);
+    return errorResponse(res, "Failed to enable two-factor authentication", 500);
+  }
+};
+
+/**
+ * Second login step: check the TOTP (or a backup code) and issue tokens
+ * POST /api/auth/2fa/login/verify
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return validationError(res, {
+        field: "challengeToken and a code or backupCode are required",
+      });
+    }
+
+    const challenge = verifyTwoFactorChallenge(challengeToken, TWO_FACTOR_CHALLENGE_PURPOSES.LOGIN);
+    if (!challenge) {
+      return errorResponse(res, "Invalid or expired challenge. Please login again.", 401);
+    }
+
+    const attempt = { action: AUTH_ACTIONS.TWO_FACTOR, identifier: challenge.userId, ip: getClientIp(req) };
+    const limit = await checkAuthLimit(attempt);
+    if (!limit.allowed) {
+      return sendRateLimited(res, limit.retryAfterSeconds);
+    }
+
+    const { data: user, error: userError } = await supabaseAdmin
+      .from("users")
+      .select("*")
+      .eq("id", challenge.userId)
+      .single();
+
+    if (userError || !user) {
+      return errorResponse(res, "User not found", 404);
+    }
+
+    if (isUserDeactivated(user)) {
+      return sendAccountDeactivated(res);
+    }
+
+    if (user.approval_status !== "approved") {
+      return errorResponse(res, "Your account is not approved yet", 403);
+    }
+
+    const result = await verifyUserTwoFactor(user, { code, backupCode }, new Date());
+
+    if (!result.valid) {
+      return respondToInvalidCode(
+        res,
+        attempt,
+        result.method === "backup_code" ? "Invalid or already used backup code" : "Invalid verification code"
+      );
+    }
+
+    await clearAuthAttempts(attempt);
+
+    const { session, tokens } = await createSession(user, req, challenge.rememberMe);
+
+    console.log("🔐 2FA login successful:", {
+      userId: user.id,
+      method: result.method,
+      sessionId: session.id,
+    });
+
+    return successResponse(
+      res,
+      {
+        ...buildLoginPayload(user, tokens),
+        backupCodesRemaining: result.backupCodesRemaining,
+      },
+      "Login successful",
+      200
+    );
+  } catch (error) {
+    console.error("Verify 2FA login error:", error);
+    return errorResponse(res, "Failed to verify two-factor code", 500);
+  }
+};
+
+/**
+ * Turn off 2FA (not allowed while it is required for the user)
+ * POST /api/auth/2fa/disable
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    const user = req.user;
+
+    if (!user.two_factor_enabled) {
+      return errorResponse(res, "Two-factor authentication is not enabled", 400);
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return errorResponse(res, "Two-factor authentication is required for your account", 403);
+    }
+
+    if (!password || (!code && !backupCode)) {
+      return validationError(res, { field: "Password and a code or backupCode are required" });
+    }
+
+    if (!user.password || !(await bcrypt.compare(password, user.password))) {
+      return errorResponse(res, "Incorrect password", 401);
+    }
+
+    const attempt = { action: AUTH_ACTIONS.TWO_FACTOR, identifier: user.id, ip: getClientIp(req) };
+    const limit = await checkAuthLimit(attempt);
+    if (!limit.allowed) {
+      return sendRateLimited(res, limit.retryAfterSeconds);
+    }
+
+    const result = await verifyUserTwoFactor(user, { code, backupCode }, new Date());
+    if (!result.valid) {
+      return respondToInvalidCode(res, attempt);
+    }
+
+    await clearAuthAttempts(attempt);
+
+    const { error } = await supabaseAdmin
+      .from("users")
+      .update(TWO_FACTOR_CLEARED)
+      .eq("id", user.id);
+
+    if (error) {
+      console.error("Error disabling 2FA:", error);
+      return errorResponse(res, "Failed to disable two-factor authentication", 500);
+    }
+
+    console.log(`🔓 2FA disabled by user ${user.id}`);
+
+    return successResponse(res, { enabled: false }, "Two-factor authentication disabled");
+  } catch (error) {
+    console.error("Disable 2FA error:", error);
+    return errorResponse(res, "Failed to disable two-factor authentication", 500);
+  }
+};
+
+/**
+ * Replace all backup codes (old ones stop working)
+ * POST /api/auth/2fa/backup-codes
+ */
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (!user.two_factor_enabled) {
+      return errorResponse(res, "Two-factor authentication is not enabled", 400);
+    }
+
+    if (!code) {
+      return validationError(res, { code: "Verification code is required" });
+    }
+
+    const attempt = { action: AUTH_ACTIONS.TWO_FACTOR, identifier: user.id, ip: getClientIp(req) };
+    const limit = await checkAuthLimit(attempt);
+    if (!limit.allowed) {
+      return sendRateLimited(res, limit.retryAfterSeconds);
+    }
+
+    const result = await verifyUserTwoFactor(user, { code }, new Date());
+    if (!result.valid) {
+      return respondToInvalidCode(res, attempt);
+    }
+
+    await clearAuthAttempts(attempt);
+
+    const { codes, stored } = generateBackupCodes();
+
+    const { error } = await supabaseAdmin
+      .from("users")
+      .update({ two_factor_backup_codes: stored })
+      .eq("id", user.id);
+
+    if (error) {
+      console.error("Error saving backup codes:", error);
+      return errorResponse(res, "Failed to generate backup codes", 500);
+    }
+
+    return successResponse(res, { backupCodes: codes }, "New backup codes generated");
+  } catch (error) {
+    console.error("Regenerate backup codes error:", error);
+    return errorResponse(res, "Failed to generate backup codes", 500);
+  }
+};
+
+/**
+ * Reset a user's 2FA (lost device). If 2FA is required for them
+ * they will be asked to enroll again at their next login.
+ * POST /api/admin/users/:userId/2fa/reset
+ */
+export const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body || {};
+    const adminId = req.user.id;
+
+    const { data: user } = await supabaseAdmin
+      .from("users")
+      .select("id, email, two_factor_enabled")
+      .eq("id", userId)
+      .maybeSingle();
+
+    if (!user) {
+      return errorResponse(res, "User not found", 404);
+    }
+
+    const { error } = await supabaseAdmin
+      .from("users")
+      .update(TWO_FACTOR_CLEARED)
+      .eq("id", userId);
+
+    if (error) {
+      console.error("Error resetting 2FA:", error);
+      return errorResponse(res, "Failed to reset two-factor authentication", 500);
+    }
+
+    // Log admin action
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: "reset_2fa",
+      targetUserId: userId,
+      before: { two_factor_enabled: !!user.two_factor_enabled },
+      after: { two_factor_enabled: false },
+      details: { email: user.email, reason: reason || null },
+    });
+
+    console.log(`🔓 Admin ${adminId} reset 2FA for user ${userId}`);
+
+    return successResponse(res, { userId, enabled: false }, "Two-factor authentication reset");
+  } catch (error) {
+    console.error("Reset user 2FA error:", error);
+    return errorResponse(res, "Failed to reset two-factor authentication", 500);
+  }
+};
+
+/**
+ * Require (or stop requiring) 2FA for a staff user
+ * PUT /api/admin/users/:userId/2fa/required
+ */
+export const setUserTwoFactorRequired = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { required } = req.body;
+    const adminId = req.user.id;
+
+    if (typeof required !== "boolean") {
+      return validationError(res, { required: "required must be true or false" });
+    }
+
+    const { data: user } = await supabaseAdmin
+      .from("users")
+      .select("id, email, role, two_factor_required")
+      .eq("id", userId)
+      .maybeSingle();
+
+    if (!user) {
+      return errorResponse(res, "User not found", 404);
+    }
+
+    if (!TWO_FACTOR_ROLES.includes(user.role)) {
+      return errorResponse(res, "Two-factor authentication is only available for staff accounts", 400);
+    }
+
+    const { error } = await supabaseAdmin
+      .from("users")
+      .update({ two_factor_required: required })
+      .eq("id", userId);
+
+    if (error) {
+      console.error("Error updating 2FA requirement:", error);
+      return errorResponse(res, "Failed to update two-factor requirement", 500);
+    }
+
+    // Log admin action
+    await logAdminAction({
+      req,
+      adminId,
+      actionType: required ? "require_2fa" : "unrequire_2fa",
+      targetUserId: userId,
+      before: { two_factor_required: !!user.two_factor_required },
+      after: { two_factor_required: required },
+      details: { email: user.email },
+    });
+
+    return successResponse(
+      res,
+      { userId, required },
+      required ? "Two-factor authentication is now required" : "Two-factor authentication is now optional"
+    );
+  } catch (error) {
+    console.error("Set 2FA requirement error:", error);
+    return errorResponse(res, "Failed to update two-factor requirement", 500);
+  }
+};
+
+export default {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  resetUserTwoFactor,
+  setUserTwoFactorRequired,
+};
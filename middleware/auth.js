@@ -2,6 +2,9 @@ import jwt from "jsonwebtoken";
 import { errorResponse } from "../utils/responses.js";
 import { supabase, supabaseAdmin } from "../config/supabase.js";
 import { checkTokenExpiration } from "../utils/tokenUtils.js";
+import { getActiveSession, touchSession } from "../utils/sessions.js";
+import { hasPermission } from "../utils/permissions.js";
+import { isUserDeactivated, sendAccountDeactivated } from "../utils/userStatus.js";
 
 /**
  * Verify JWT token and attach user to request
@@ -18,6 +21,17 @@ export const authenticateToken = async (req, res, next) => {
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Tokens issued before sessions existed have no sid and cannot be
+    // refreshed either - the user logs in again
+    const session = await getActiveSession(decoded.sid);
+    if (!session || session.user_id !== decoded.userId) {
+      return errorResponse(res, "Session has been revoked", 401, {
+        errorCode: "SESSION_REVOKED",
+        needsRefresh: false,
+        message: "Please login again",
+      });
+    }
+
     // Get user from Supabase using admin client for full access
     const { data: user, error } = await supabaseAdmin
       .from("users")
@@ -29,8 +43,16 @@ export const authenticateToken = async (req, res, next) => {
       return errorResponse(res, "Invalid or expired token", 401);
     }
 
-    // Attach user to request
+    if (isUserDeactivated(user)) {
+      return sendAccountDeactivated(res);
+    }
+
+    // Attach user and session to request
     req.user = user;
+    req.authSession = session;
+    touchSession(session, req).catch((err) =>
+      console.error("❌ Error updating session last seen:", err)
+    );
     next();
   } catch (error) {
     if (error.name === "TokenExpiredError") {
@@ -85,3 +107,29 @@ export const requireRole = (requiredRole) => {
     next();
   };
 };
+
+/**
+ * Check if user's role has a permission (see utils/permissions.js)
+ * Ticket-scoped checks ("member" grants) are done in the controller
+ * with checkTicketPermission.
+ */
+export const requirePermission = (permission) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return errorResponse(res, "Authentication required", 401);
+    }
+
+    try {
+      if (!(await hasPermission(req.user.role, permission))) {
+        return errorResponse(res, "You do not have permission to perform this action", 403, {
+          permission,
+        });
+      }
+    } catch (error) {
+      console.error("Permission check error:", error);
+      return errorResponse(res, "Failed to check permissions", 500);
+    }
+
+    next();
+  };
+};
@@ -6,20 +6,58 @@ import {
   rejectUser,
   getAdminStats,
   getAllUsers,
+  getUserDirectory,
   getUserTickets,
   updateUserEmail,
   sendUserOTP,
   addUser,
   createUserSimple,
+  importUsers,
   createTicketInvite,
   deleteUser,
+  getDeactivatedUsers,
+  restoreUser,
+  anonymizeUser,
   sendEmailChangeOTP,
   verifyEmailChangeOTP,
   starUser,
   unstarUser,
-  getStarredUsers
+  getStarredUsers,
+  getDuplicateTicketNumbers,
+  repairDuplicateTicketNumbers,
+  triggerSlaSweep,
+  triggerPaymentReminderSweep,
+  getAuthLockouts,
+  unlockAuthLockout,
+  getUserSessions,
+  forceLogoutUser
 } from '../controllers/adminController.js';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import {
+  getPaymentStageTemplateList,
+  createPaymentStageTemplate,
+  updatePaymentStageTemplate,
+  deletePaymentStageTemplate,
+  syncTicketPaymentStages
+} from '../controllers/paymentStageController.js';
+import {
+  getClientBalances,
+  getClientBalance,
+  getPendingPaymentProofs,
+} from '../controllers/paymentController.js';
+import {
+  resetUserTwoFactor,
+  setUserTwoFactorRequired,
+} from '../controllers/twoFactorController.js';
+import {
+  getPermissions,
+  createRole,
+  updateRolePermissions,
+  resetRolePermissions,
+  deleteRole,
+} from '../controllers/permissionController.js';
+import { getAuditLog } from '../controllers/auditLogController.js';
+import { getWorkloadReport } from '../controllers/reportController.js';
+import { authenticateToken, requireRole, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -29,16 +67,72 @@ router.use(authenticateToken);
 /**
  * @route   GET /api/admin/users
  * @desc    Get all approved users (for adding to tickets)
- * @access  Admin and Employee
+ * @access  Permission user.list (Admin and Employee by default)
  */
-router.get('/users', requireRole(['admin', 'employee']), getAllUsers);
+router.get('/users', requirePermission('user.list'), getAllUsers);
 
 /**
  * @route   GET /api/admin/users/:userId/tickets
  * @desc    Get all tickets for a specific user
- * @access  Admin and Employee
+ * @access  Permission user.list (Admin and Employee by default)
  */
-router.get('/users/:userId/tickets', requireRole(['admin', 'employee']), getUserTickets);
+router.get('/users/:userId/tickets', requirePermission('user.list'), getUserTickets);
+
+/**
+ * @route   GET /api/admin/payment-proofs/pending
+ * @desc    Get client payment proofs awaiting verification
+ * @access  Permission payment.proof.review (Admin and Employee by default)
+ */
+router.get('/payment-proofs/pending', requirePermission('payment.proof.review'), getPendingPaymentProofs);
+
+/**
+ * @route   GET /api/admin/client-balances
+ * @desc    Get outstanding balances for all clients (?outstandingOnly=true)
+ * @access  Permission payment.balances.view (Admin by default)
+ */
+router.get('/client-balances', requirePermission('payment.balances.view'), getClientBalances);
+
+/**
+ * @route   GET /api/admin/clients/:userId/balance
+ * @desc    Get outstanding balance per ticket for one client
+ * @access  Permission payment.balances.view (Admin by default)
+ */
+router.get('/clients/:userId/balance', requirePermission('payment.balances.view'), getClientBalance);
+
+/**
+ * @route   GET /api/admin/permissions
+ * @desc    Get the permission registry and every role's grants
+ * @access  Permission admin.permissions.manage (Admin by default)
+ */
+router.get('/permissions', requirePermission('admin.permissions.manage'), getPermissions);
+
+/**
+ * @route   POST /api/admin/roles
+ * @desc    Create a role with its permissions
+ * @access  Permission admin.permissions.manage (Admin by default)
+ */
+router.post('/roles', requirePermission('admin.permissions.manage'), createRole);
+
+/**
+ * @route   PUT /api/admin/roles/:role/permissions
+ * @desc    Replace a role's permissions
+ * @access  Permission admin.permissions.manage (Admin by default)
+ */
+router.put('/roles/:role/permissions', requirePermission('admin.permissions.manage'), updateRolePermissions);
+
+/**
+ * @route   DELETE /api/admin/roles/:role/permissions
+ * @desc    Reset a built-in role to the default permissions
+ * @access  Permission admin.permissions.manage (Admin by default)
+ */
+router.delete('/roles/:role/permissions', requirePermission('admin.permissions.manage'), resetRolePermissions);
+
+/**
+ * @route   DELETE /api/admin/roles/:role
+ * @desc    Delete a custom role (no users may have it)
+ * @access  Permission admin.permissions.manage (Admin by default)
+ */
+router.delete('/roles/:role', requirePermission('admin.permissions.manage'), deleteRole);
 
 // All other routes require admin role only
 router.use(requireRole('admin'));
@@ -78,6 +172,27 @@ router.post('/reject-user', rejectUser);
  */
 router.get('/stats', getAdminStats);
 
+/**
+ * @route   GET /api/admin/users/directory
+ * @desc    User directory: search, filters, sorting, cursor pagination, per-user counts
+ * @access  Admin only
+ */
+router.get('/users/directory', getUserDirectory);
+
+/**
+ * @route   GET /api/admin/audit-log
+ * @desc    Get the admin audit log (filters, cursor pagination, ?format=csv export)
+ * @access  Admin only
+ */
+router.get('/audit-log', getAuditLog);
+
+/**
+ * @route   GET /api/admin/reports/workload
+ * @desc    Workload per employee / freelancer (date range, ?format=xlsx export)
+ * @access  Admin only
+ */
+router.get('/reports/workload', getWorkloadReport);
+
 /**
  * @route   PUT /api/admin/users/:userId/email
  * @desc    Update user email address
@@ -106,13 +221,41 @@ router.post('/add-user', addUser);
  */
 router.post('/create-user-simple', createUserSimple);
 
+/**
+ * @route   POST /api/admin/users/import
+ * @desc    Bulk import users from .xlsx/.csv (mode: dry-run | commit, format: json | xlsx)
+ * @access  Admin only
+ */
+router.post('/users/import', importUsers);
+
 /**
  * @route   DELETE /api/admin/users/:userId
- * @desc    Delete a user and remove from all tickets
+ * @desc    Deactivate a user (soft delete - history is kept, can be restored)
  * @access  Admin only
  */
 router.delete('/users/:userId', deleteUser);
 
+/**
+ * @route   GET /api/admin/deactivated-users
+ * @desc    Get deactivated users
+ * @access  Admin only
+ */
+router.get('/deactivated-users', getDeactivatedUsers);
+
+/**
+ * @route   POST /api/admin/users/:userId/restore
+ * @desc    Restore a deactivated user
+ * @access  Admin only
+ */
+router.post('/users/:userId/restore', restoreUser);
+
+/**
+ * @route   POST /api/admin/users/:userId/anonymize
+ * @desc    Irreversibly erase a user's personal data (body: { confirm: true })
+ * @access  Admin only
+ */
+router.post('/users/:userId/anonymize', anonymizeUser);
+
 /**
  * @route   POST /api/admin/create-ticket-invite
  * @desc    Create one-time invite link for a ticket
@@ -155,4 +298,109 @@ router.delete('/users/:userId/star', unstarUser);
  */
 router.get('/starred-users', getStarredUsers);
 
+/**
+ * @route   GET /api/admin/tickets/duplicate-numbers
+ * @desc    Detect tickets sharing the same ticket number
+ * @access  Admin only
+ */
+router.get('/tickets/duplicate-numbers', getDuplicateTicketNumbers);
+
+/**
+ * @route   POST /api/admin/tickets/repair-numbers
+ * @desc    Renumber duplicate tickets (oldest keeps its number; supports dryRun)
+ * @access  Admin only
+ */
+router.post('/tickets/repair-numbers', repairDuplicateTicketNumbers);
+
+/**
+ * @route   POST /api/admin/sla/sweep
+ * @desc    Run the SLA due-date sweep now (at-risk / overdue notifications)
+ * @access  Admin only
+ */
+router.post('/sla/sweep', triggerSlaSweep);
+
+/**
+ * @route   POST /api/admin/payment-reminders/run
+ * @desc    Send due payment reminders now (for cron / serverless deployments)
+ * @access  Admin only
+ */
+router.post('/payment-reminders/run', triggerPaymentReminderSweep);
+
+/**
+ * @route   GET /api/admin/auth-lockouts
+ * @desc    Get active login / OTP lockouts
+ * @access  Admin only
+ */
+router.get('/auth-lockouts', getAuthLockouts);
+
+/**
+ * @route   POST /api/admin/auth-lockouts/unlock
+ * @desc    Clear lockouts for a user (userId or email) and/or an IP
+ * @access  Admin only
+ */
+router.post('/auth-lockouts/unlock', unlockAuthLockout);
+
+/**
+ * @route   GET /api/admin/users/:userId/sessions
+ * @desc    Get a user's active sessions (devices)
+ * @access  Admin only
+ */
+router.get('/users/:userId/sessions', getUserSessions);
+
+/**
+ * @route   POST /api/admin/users/:userId/force-logout
+ * @desc    Revoke all of a user's sessions and disconnect their sockets
+ * @access  Admin only
+ */
+router.post('/users/:userId/force-logout', forceLogoutUser);
+
+/**
+ * @route   POST /api/admin/users/:userId/2fa/reset
+ * @desc    Reset a user's two-factor authentication (lost device)
+ * @access  Admin only
+ */
+router.post('/users/:userId/2fa/reset', resetUserTwoFactor);
+
+/**
+ * @route   PUT /api/admin/users/:userId/2fa/required
+ * @desc    Require or stop requiring 2FA for a staff user
+ * @access  Admin only
+ */
+router.put('/users/:userId/2fa/required', setUserTwoFactorRequired);
+
+/**
+ * @route   GET /api/admin/payment-stage-templates
+ * @desc    List payment stage templates (?projectType=&includeInactive=true)
+ * @access  Admin only
+ */
+router.get('/payment-stage-templates', getPaymentStageTemplateList);
+
+/**
+ * @route   POST /api/admin/payment-stage-templates
+ * @desc    Create a payment stage template for a project type
+ * @access  Admin only
+ */
+router.post('/payment-stage-templates', createPaymentStageTemplate);
+
+/**
+ * @route   PUT /api/admin/payment-stage-templates/:templateId
+ * @desc    Update a payment stage template
+ * @access  Admin only
+ */
+router.put('/payment-stage-templates/:templateId', updatePaymentStageTemplate);
+
+/**
+ * @route   DELETE /api/admin/payment-stage-templates/:templateId
+ * @desc    Deactivate a payment stage template
+ * @access  Admin only
+ */
+router.delete('/payment-stage-templates/:templateId', deletePaymentStageTemplate);
+
+/**
+ * @route   POST /api/admin/tickets/:ticketId/payment-stages/sync
+ * @desc    Add missing template stages to an existing ticket
+ * @access  Admin only
+ */
+router.post('/tickets/:ticketId/payment-stages/sync', syncTicketPaymentStages);
+
 export default router;
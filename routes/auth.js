@@ -6,6 +6,7 @@ import {
   updateName,
   updateDepartment,
   updatePhone,
+  updateAvailability,
   uploadProfilePicture,
   adminLogin,
   changeEmailSendOTP,
@@ -23,8 +24,19 @@ import {
   validateInviteToken,
   refreshToken,
   logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
   checkTokenStatus,
 } from "../controllers/authController.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} from "../controllers/twoFactorController.js";
 import { authenticateToken } from "../middleware/auth.js";
 
 const router = express.Router();
@@ -120,6 +132,13 @@ router.put("/department", authenticateToken, updateDepartment);
  */
 router.put("/phone", authenticateToken, updatePhone);
 
+/**
+ * @route   PUT /api/auth/availability
+ * @desc    Update own availability (staff only, used for ticket assignment)
+ * @access  Private (requires authentication)
+ */
+router.put("/availability", authenticateToken, updateAvailability);
+
 /**
  * @route   POST /api/auth/profile-picture
  * @desc    Upload profile picture
@@ -185,11 +204,88 @@ router.post("/refresh-token", refreshToken);
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user and revoke refresh token
+ * @desc    Logout user and revoke the current session
  * @access  Private (requires authentication)
  */
 router.post("/logout", authenticateToken, logout);
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (devices) of the current user
+ * @access  Private
+ */
+router.get("/sessions", authenticateToken, getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one session of the current user
+ * @access  Private
+ */
+router.delete("/sessions/:sessionId", authenticateToken, revokeSession);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Revoke all sessions of the current user (?keepCurrent=false includes this one)
+ * @access  Private
+ */
+router.delete("/sessions", authenticateToken, revokeAllSessions);
+
+/**
+ * @route   POST /api/auth/2fa/login/verify
+ * @desc    Second login step - check TOTP or backup code and issue tokens
+ * @access  Public (uses challengeToken from the password login)
+ */
+router.post("/2fa/login/verify", verifyTwoFactorLogin);
+
+/**
+ * @route   POST /api/auth/2fa/login/setup
+ * @desc    Start 2FA enrollment during a login that requires it
+ * @access  Public (uses setup challengeToken from the password login)
+ */
+router.post("/2fa/login/setup", setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/login/enable
+ * @desc    Finish 2FA enrollment during login and issue tokens
+ * @access  Public (uses setup challengeToken from the password login)
+ */
+router.post("/2fa/login/enable", enableTwoFactor);
+
+/**
+ * @route   GET /api/auth/2fa/status
+ * @desc    Get 2FA status for the current user
+ * @access  Private
+ */
+router.get("/2fa/status", authenticateToken, getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment (returns secret and otpauth URI)
+ * @access  Private (admin / employee)
+ */
+router.post("/2fa/setup", authenticateToken, setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Verify the first code, enable 2FA and return backup codes
+ * @access  Private (admin / employee)
+ */
+router.post("/2fa/enable", authenticateToken, enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA (password and code required)
+ * @access  Private
+ */
+router.post("/2fa/disable", authenticateToken, disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Replace backup codes
+ * @access  Private
+ */
+router.post("/2fa/backup-codes", authenticateToken, regenerateBackupCodes);
+
 /**
  * @route   GET /api/auth/token-status
  * @desc    Check current token status and expiration
@@ -5,8 +5,21 @@ import {
   getChatGroupDetails,
   addMembersToGroup,
   getChatMessages,
-  deleteChatGroup
+  updateChatGroup,
+  uploadChatGroupAvatar,
+  removeGroupMember,
+  leaveChatGroup,
+  updateGroupMemberRole,
+  muteChatGroup,
+  archiveChatGroup,
+  unarchiveChatGroup
 } from '../controllers/chatController.js';
+import {
+  getDirectConversations,
+  getDirectMessages,
+  sendDirectMessageToUser,
+  markDirectMessagesRead
+} from '../controllers/directMessageController.js';
 import { authenticateToken } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -20,7 +33,7 @@ router.post('/groups', authenticateToken, createChatGroup);
 
 /**
  * @route   GET /api/chat/groups
- * @desc    Get all chat groups for current user
+ * @desc    Get all chat groups for current user (?archived=true for archived groups)
  * @access  Private
  */
 router.get('/groups', authenticateToken, getUserChatGroups);
@@ -32,13 +45,69 @@ router.get('/groups', authenticateToken, getUserChatGroups);
  */
 router.get('/groups/:groupId', authenticateToken, getChatGroupDetails);
 
+/**
+ * @route   PATCH /api/chat/groups/:groupId
+ * @desc    Rename a chat group / change its avatar URL
+ * @access  Private (Group admin)
+ */
+router.patch('/groups/:groupId', authenticateToken, updateChatGroup);
+
+/**
+ * @route   POST /api/chat/groups/:groupId/avatar
+ * @desc    Upload a chat group avatar (base64 image)
+ * @access  Private (Group admin)
+ */
+router.post('/groups/:groupId/avatar', authenticateToken, uploadChatGroupAvatar);
+
 /**
  * @route   POST /api/chat/groups/:groupId/members
- * @desc    Add members to existing chat group (Admin only)
- * @access  Private (Admin)
+ * @desc    Add members to existing chat group
+ * @access  Private (Group admin)
  */
 router.post('/groups/:groupId/members', authenticateToken, addMembersToGroup);
 
+/**
+ * @route   DELETE /api/chat/groups/:groupId/members/:userId
+ * @desc    Remove a member from a chat group
+ * @access  Private (Group admin)
+ */
+router.delete('/groups/:groupId/members/:userId', authenticateToken, removeGroupMember);
+
+/**
+ * @route   PATCH /api/chat/groups/:groupId/members/:userId/role
+ * @desc    Promote / demote a group admin
+ * @access  Private (Group admin)
+ */
+router.patch('/groups/:groupId/members/:userId/role', authenticateToken, updateGroupMemberRole);
+
+/**
+ * @route   POST /api/chat/groups/:groupId/leave
+ * @desc    Leave a chat group
+ * @access  Private
+ */
+router.post('/groups/:groupId/leave', authenticateToken, leaveChatGroup);
+
+/**
+ * @route   PUT /api/chat/groups/:groupId/mute
+ * @desc    Mute / unmute a chat group for the current user
+ * @access  Private
+ */
+router.put('/groups/:groupId/mute', authenticateToken, muteChatGroup);
+
+/**
+ * @route   POST /api/chat/groups/:groupId/archive
+ * @desc    Archive a chat group (read-only, hidden from the default list)
+ * @access  Private (Group admin)
+ */
+router.post('/groups/:groupId/archive', authenticateToken, archiveChatGroup);
+
+/**
+ * @route   POST /api/chat/groups/:groupId/unarchive
+ * @desc    Unarchive a chat group
+ * @access  Private (Group admin)
+ */
+router.post('/groups/:groupId/unarchive', authenticateToken, unarchiveChatGroup);
+
 /**
  * @route   GET /api/chat/groups/:groupId/messages
  * @desc    Get messages for a chat group
@@ -48,9 +117,37 @@ router.get('/groups/:groupId/messages', authenticateToken, getChatMessages);
 
 /**
  * @route   DELETE /api/chat/groups/:groupId
- * @desc    Delete a chat group (Admin only)
- * @access  Private (Admin)
+ * @desc    Archive a chat group (groups are archived, not deleted)
+ * @access  Private (Group admin)
+ */
+router.delete('/groups/:groupId', authenticateToken, archiveChatGroup);
+
+/**
+ * @route   GET /api/chat/direct
+ * @desc    Get direct message conversations with unread counts
+ * @access  Private (Staff)
+ */
+router.get('/direct', authenticateToken, getDirectConversations);
+
+/**
+ * @route   GET /api/chat/direct/:userId/messages
+ * @desc    Get direct message history with a user
+ * @access  Private (Staff)
+ */
+router.get('/direct/:userId/messages', authenticateToken, getDirectMessages);
+
+/**
+ * @route   POST /api/chat/direct/:userId/messages
+ * @desc    Send a direct message to a user
+ * @access  Private (Staff)
+ */
+router.post('/direct/:userId/messages', authenticateToken, sendDirectMessageToUser);
+
+/**
+ * @route   POST /api/chat/direct/:userId/read
+ * @desc    Mark a direct message conversation as read
+ * @access  Private (Staff)
  */
-router.delete('/groups/:groupId', authenticateToken, deleteChatGroup);
+router.post('/direct/:userId/read', authenticateToken, markDirectMessagesRead);
 
 export default router;
@@ -26,11 +26,31 @@ import {
   editMessage,
   deleteMessage,
   forwardMessage,
+  addMessageReaction,
+  removeMessageReaction,
+  getTicketPins,
+  pinTicketItem,
+  unpinTicketItem,
   exportTicketsToExcel,
   sendPaymentStageNotification,
   markPaymentStageCompleted,
+  getTicketTimeline,
+  searchMessages,
+  searchTicketMessagesInTicket,
 } from "../controllers/ticketController.js";
-import { authenticateToken } from "../middleware/auth.js";
+import {
+  getTicketPayments,
+  recordTicketPayment,
+  voidTicketPayment,
+  updatePaymentStageAmount,
+  downloadTicketInvoice,
+  getPaymentProofs,
+  submitTicketPaymentProof,
+  approvePaymentProof,
+  rejectPaymentProof,
+  updatePaymentReminderSettings,
+} from "../controllers/paymentController.js";
+import { authenticateToken, requirePermission } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -43,7 +63,8 @@ router.post("/", authenticateToken, createTicket);
 
 /**
  * @route   GET /api/tickets
- * @desc    Get all tickets for current user
+ * @desc    Get tickets for current user (filters: status, priority, projectType, assignee,
+ *          client, starred, overdue, created/due date ranges, q; sort/order; limit + cursor)
  * @access  Private
  */
 router.get("/", authenticateToken, getUserTickets);
@@ -51,15 +72,22 @@ router.get("/", authenticateToken, getUserTickets);
 /**
  * @route   GET /api/tickets/export
  * @desc    Export all tickets to Excel file
- * @access  Private (Admin and Employee only)
+ * @access  Permission ticket.export (Admin and Employee by default)
  */
-router.get("/export", authenticateToken, exportTicketsToExcel);
+router.get("/export", authenticateToken, requirePermission("ticket.export"), exportTicketsToExcel);
 
 /**
  * IMPORTANT: Specific routes must come BEFORE generic :ticketId route
  * Otherwise Express will match /:ticketId first and return 404
  */
 
+/**
+ * @route   GET /api/tickets/search/messages
+ * @desc    Search message text and file names across accessible tickets (?q=&limit=&before=)
+ * @access  Private (clients only match client-mode messages)
+ */
+router.get("/search/messages", authenticateToken, searchMessages);
+
 /**
  * @route   POST /api/tickets/:ticketId/upload-url
  * @desc    Generate signed URL for direct upload to Supabase (supports up to 50MB)
@@ -69,7 +97,7 @@ router.post("/:ticketId/upload-url", authenticateToken, generateUploadUrl);
 
 /**
  * @route   POST /api/tickets/:ticketId/upload-confirm
- * @desc    Confirm file upload after direct Supabase upload
+ * @desc    Confirm file upload after direct Supabase upload (paymentStage submits it as payment proof)
  * @access  Private
  */
 router.post("/:ticketId/upload-confirm", authenticateToken, confirmUpload);
@@ -132,6 +160,20 @@ router.get("/:ticketId/membership", authenticateToken, checkTicketMembership);
  */
 router.get("/:ticketId/messages", authenticateToken, getTicketMessages);
 
+/**
+ * @route   GET /api/tickets/:ticketId/messages/search
+ * @desc    Search messages within a ticket (?q=&limit=&before=)
+ * @access  Private (Ticket members, Admin, Employee)
+ */
+router.get("/:ticketId/messages/search", authenticateToken, searchTicketMessagesInTicket);
+
+/**
+ * @route   GET /api/tickets/:ticketId/timeline
+ * @desc    Get ticket activity timeline (status, priority, works to do, members, payment stages)
+ * @access  Private (Ticket members, Admin, Employee; clients see client-visible events only)
+ */
+router.get("/:ticketId/timeline", authenticateToken, getTicketTimeline);
+
 /**
  * @route   POST /api/tickets/:ticketId/messages
  * @desc    Add message to ticket
@@ -168,6 +210,49 @@ router.post(
   forwardMessage
 );
 
+/**
+ * @route   POST /api/tickets/:ticketId/messages/:messageId/reactions
+ * @desc    Add an emoji reaction to a message
+ * @access  Private (Ticket members; clients only on client-mode messages)
+ */
+router.post(
+  "/:ticketId/messages/:messageId/reactions",
+  authenticateToken,
+  addMessageReaction
+);
+
+/**
+ * @route   DELETE /api/tickets/:ticketId/messages/:messageId/reactions/:emoji
+ * @desc    Remove own emoji reaction from a message (emoji URL-encoded)
+ * @access  Private (Ticket members; clients only on client-mode messages)
+ */
+router.delete(
+  "/:ticketId/messages/:messageId/reactions/:emoji",
+  authenticateToken,
+  removeMessageReaction
+);
+
+/**
+ * @route   GET /api/tickets/:ticketId/pins
+ * @desc    Get pinned messages and files (clients only see client-mode pins)
+ * @access  Private (Ticket members or ticket.view_any)
+ */
+router.get("/:ticketId/pins", authenticateToken, getTicketPins);
+
+/**
+ * @route   POST /api/tickets/:ticketId/pins
+ * @desc    Pin a message or file
+ * @access  Private (ticket.pins.manage - Admin, Employee members)
+ */
+router.post("/:ticketId/pins", authenticateToken, pinTicketItem);
+
+/**
+ * @route   DELETE /api/tickets/:ticketId/pins/:pinId
+ * @desc    Unpin a message or file
+ * @access  Private (ticket.pins.manage - Admin, Employee members)
+ */
+router.delete("/:ticketId/pins/:pinId", authenticateToken, unpinTicketItem);
+
 /**
  * @route   POST /api/tickets/:ticketId/members
  * @desc    Add members to ticket
@@ -250,7 +335,7 @@ router.put("/:id/points", authenticateToken, updateTicketPoints);
 
 /**
  * @route   PUT /api/tickets/:id/status
- * @desc    Update ticket status
+ * @desc    Update ticket status (validated against the status workflow; 409 on illegal moves)
  * @access  Private (Admin or Employee Members)
  */
 router.put("/:id/status", authenticateToken, updateTicketStatus);
@@ -262,6 +347,88 @@ router.put("/:id/status", authenticateToken, updateTicketStatus);
  */
 router.put("/:id/priority", authenticateToken, updateTicketPriority);
 
+/**
+ * @route   GET /api/tickets/:ticketId/payments
+ * @desc    Get ticket payment ledger (amounts due, payments received, balance)
+ * @access  Private (Admin, Employee, Client on own tickets)
+ */
+router.get("/:ticketId/payments", authenticateToken, getTicketPayments);
+
+/**
+ * @route   POST /api/tickets/:ticketId/payments
+ * @desc    Record a payment received (method, reference, date, optional stage)
+ * @access  Private (Admin, Employee)
+ */
+router.post("/:ticketId/payments", authenticateToken, recordTicketPayment);
+
+/**
+ * @route   DELETE /api/tickets/:ticketId/payments/:paymentId
+ * @desc    Void a recorded payment
+ * @access  Private (Admin only)
+ */
+router.delete("/:ticketId/payments/:paymentId", authenticateToken, voidTicketPayment);
+
+/**
+ * @route   PUT /api/tickets/:ticketId/payment-stages/:stage/amount
+ * @desc    Set the amount due for a payment stage
+ * @access  Private (Admin only)
+ */
+router.put(
+  "/:ticketId/payment-stages/:stage/amount",
+  authenticateToken,
+  updatePaymentStageAmount
+);
+
+/**
+ * @route   GET /api/tickets/:ticketId/invoice
+ * @desc    Download PDF invoice (?type=invoice) or receipt (?type=receipt&paymentId=)
+ * @access  Private (Admin, Employee, Client on own tickets)
+ */
+router.get("/:ticketId/invoice", authenticateToken, downloadTicketInvoice);
+
+/**
+ * @route   PUT /api/tickets/:ticketId/payment-reminders
+ * @desc    Enable/disable automated payment reminders for a ticket
+ * @access  Private (Admin, Employee)
+ */
+router.put("/:ticketId/payment-reminders", authenticateToken, updatePaymentReminderSettings);
+
+/**
+ * @route   GET /api/tickets/:ticketId/payment-proofs
+ * @desc    Get payment proofs uploaded for a ticket (?status=pending|approved|rejected)
+ * @access  Private (Admin, Employee, Client on own tickets)
+ */
+router.get("/:ticketId/payment-proofs", authenticateToken, getPaymentProofs);
+
+/**
+ * @route   POST /api/tickets/:ticketId/payment-proofs
+ * @desc    Submit an uploaded file as payment proof for a stage (stage -> verification pending)
+ * @access  Private (Admin, Employee, Client on own tickets)
+ */
+router.post("/:ticketId/payment-proofs", authenticateToken, submitTicketPaymentProof);
+
+/**
+ * @route   POST /api/tickets/:ticketId/payment-proofs/:proofId/approve
+ * @desc    Approve payment proof (completes the stage, records the payment)
+ * @access  Private (Admin, Employee)
+ */
+router.post(
+  "/:ticketId/payment-proofs/:proofId/approve",
+  authenticateToken,
+  approvePaymentProof
+);
+
+/**
+ * @route   POST /api/tickets/:ticketId/payment-proofs/:proofId/reject
+ * @desc    Reject payment proof with a reason
+ * @access  Private (Admin, Employee)
+ */
+router.post(
+  "/:ticketId/payment-proofs/:proofId/reject",
+  authenticateToken,
+  rejectPaymentProof
+);
+
 /**
  * Generic routes - MUST come last to avoid matching specific routes
  */
@@ -13,6 +13,9 @@ import notificationRoutes from "./routes/notifications.js";
 import chatRoutes from "./routes/chat.js";
 import whatsappRoutes from "./routes/whatsapp.js";
 import { setupChatHandlers } from "./socket/chatHandler.js";
+import { startSlaSweep } from "./utils/ticketSla.js";
+import { startPaymentReminderSweep } from "./utils/paymentReminders.js";
+import { getTrustProxyHops } from "./utils/authRateLimit.js";
 
 // Get __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -64,6 +67,9 @@ console.log(
 // Initialize express app
 const app = express();
 
+// req.ip = client address as seen by our trusted proxy hops (rate limits, sessions, audit log)
+app.set("trust proxy", getTrustProxyHops());
+
 // Create HTTP server
 const httpServer = createServer(app);
 
@@ -205,9 +211,17 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
     console.log(`🌍 Environment: ${process.env.NODE_ENV || "development"}`);
   });
 
+  // Background SLA sweep (serverless deployments use POST /api/admin/sla/sweep)
+  const slaSweepHandle = startSlaSweep();
+
+  // Payment reminders (serverless deployments use POST /api/admin/payment-reminders/run)
+  const paymentReminderHandle = startPaymentReminderSweep();
+
   // Graceful shutdown
   const gracefulShutdown = (signal) => {
     console.log(`\n${signal} received. Starting graceful shutdown...`);
+    clearInterval(slaSweepHandle);
+    clearInterval(paymentReminderHandle);
     httpServer.close(() => {
       console.log("✅ HTTP server closed");
       io.close(() => {
@@ -2,6 +2,11 @@ import jwt from 'jsonwebtoken';
 import { supabaseAdmin } from '../config/supabase.js';
 import { createTicketMessageNotification } from '../utils/notificationHelper.js';
 import { sendTicketMessageEmail } from '../utils/emailService.js';
+import { getActiveSession } from '../utils/sessions.js';
+import { hasPermission } from '../utils/permissions.js';
+import { registerGroupHandlers, isLegacyGroupPayload, EMIT_LEGACY_GROUP_EVENTS } from './groupChatHandler.js';
+import { registerDirectMessageHandlers } from './directMessageHandler.js';
+import { addReaction, removeReaction } from '../utils/messageReactions.js';
 
 /**
  * ============================================
@@ -117,6 +122,13 @@ export const setupChatHandlers = (io) => {
       // Verify JWT token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Same revocation rules as REST: the token's session must still be active
+      const session = await getActiveSession(decoded.sid);
+      if (!session || session.user_id !== decoded.userId) {
+        console.error('❌ Socket session revoked or missing:', decoded.sid);
+        return next(new Error('Session revoked'));
+      }
+
       // OPTIMIZATION: Use decoded token data instead of DB fetch to reduce latency
       // The token contains: userId, email, role, name
       const user = {
@@ -132,8 +144,9 @@ export const setupChatHandlers = (io) => {
         id: user.id
       });
 
-      // Attach user to socket
+      // Attach user and session to socket
       socket.user = user;
+      socket.sessionId = session.id;
       next();
     } catch (error) {
       console.error('❌ Socket authentication error:', error.message);
@@ -148,6 +161,23 @@ export const setupChatHandlers = (io) => {
     // Join user's personal room for private notifications
     socket.join(`user:${socket.user.id}`);
 
+    // Session room - used to disconnect this socket when the session is revoked
+    socket.join(`session:${socket.sessionId}`);
+
+    // Chat groups use their own `group:` events (see groupChatHandler.js).
+    // DEPRECATED: group payloads ({ groupId }) on the shared events below are
+    // still routed there for one release.
+    const legacyGroupHandlers = registerGroupHandlers(io, socket);
+    const routeLegacyGroupEvent = (event, data) => {
+      if (!isLegacyGroupPayload(data)) return false;
+      console.warn(`⚠️ Deprecated: '${event}' with groupId - use 'group:${event}' instead`);
+      legacyGroupHandlers[event](data);
+      return true;
+    };
+
+    // Staff direct messages (`dm:` events, see directMessageHandler.js)
+    registerDirectMessageHandlers(io, socket);
+
     /**
      * Join a ticket chat room
      * Client emits: { ticketId: 'uuid' }
@@ -182,11 +212,11 @@ export const setupChatHandlers = (io) => {
           return;
         }
 
-        // For TEAM MEMBERS (admin, employee, freelancer): Check membership
-        // ADMINS and EMPLOYEES can view all tickets (read-only if not member)
-        // FREELANCERS must be added as members
-        if (!membershipResult.isMember && socket.user.role !== 'admin' && socket.user.role !== 'employee') {
-          console.log(`❌ Freelancer ${socket.user.email} not authorized for ticket ${ticketId}`);
+        // For TEAM MEMBERS (admin, employee, freelancer, custom roles): Check membership
+        // Roles with ticket.view_any can view all tickets (read-only if not member)
+        // Everyone else (e.g. freelancers) must be added as members
+        if (!membershipResult.isMember && !(await hasPermission(socket.user.role, 'ticket.view_any'))) {
+          console.log(`❌ ${socket.user.role} ${socket.user.email} not authorized for ticket ${ticketId}`);
           socket.emit('error', { message: 'You must be added to this ticket by an admin to access it' });
           return;
         }
@@ -234,6 +264,8 @@ export const setupChatHandlers = (io) => {
      */
     socket.on('send_message', async (data) => {
       try {
+        if (routeLegacyGroupEvent('send_message', data)) return;
+
         const {
           ticketId,
           message,
@@ -388,6 +420,8 @@ export const setupChatHandlers = (io) => {
      * Client emits: { ticketId: 'uuid', isTyping: true/false }
      */
     socket.on('typing', (data) => {
+      if (routeLegacyGroupEvent('typing', data)) return;
+
       const { ticketId, isTyping } = data;
 
       // Broadcast to others in the ticket (not to sender)
@@ -406,6 +440,8 @@ export const setupChatHandlers = (io) => {
      */
     socket.on('mark_as_read', async (data) => {
       try {
+        if (routeLegacyGroupEvent('mark_as_read', data)) return;
+
         const { ticketId, messageIds } = data;
 
         if (!messageIds || messageIds.length === 0) {
@@ -586,20 +622,20 @@ export const setupChatHandlers = (io) => {
           return;
         }
 
-        // Check permissions: sender can delete own messages, admins can delete ANY message
+        // Check permissions: sender can delete own messages, message.delete_any can delete ANY message
         const isMessageOwner = existingMessage.sender_id === socket.user.id;
-        const isAdmin = socket.user.role === 'admin';
+        const canDeleteAny = await hasPermission(socket.user.role, 'message.delete_any');
 
         console.log('🔐 Delete permission check:', {
           userId: socket.user.id,
           userRole: socket.user.role,
           messageSenderId: existingMessage.sender_id,
           isMessageOwner,
-          isAdmin,
-          canDelete: isMessageOwner || isAdmin
+          canDeleteAny,
+          canDelete: isMessageOwner || canDeleteAny
         });
 
-        if (!isMessageOwner && !isAdmin) {
+        if (!isMessageOwner && !canDeleteAny) {
           socket.emit('error', { message: 'You can only delete your own messages. Admins can delete any message.' });
           return;
         }
@@ -657,6 +693,44 @@ export const setupChatHandlers = (io) => {
       }
     });
 
+    /**
+     * React to a message in a ticket (broadcast as reaction_added)
+     * Client emits: { ticketId: 'uuid', messageId: 'uuid', emoji: '👍' }
+     */
+    socket.on('add_reaction', async (data = {}) => {
+      try {
+        const { ticketId, messageId, emoji } = data;
+
+        const { error } = await addReaction({ io, ticketId, messageId, user: socket.user, emoji });
+
+        if (error) {
+          socket.emit('error', { message: error.message, messageId });
+        }
+      } catch (error) {
+        console.error('Error adding reaction:', error);
+        socket.emit('error', { message: 'Failed to add reaction' });
+      }
+    });
+
+    /**
+     * Remove own reaction from a message (broadcast as reaction_removed)
+     * Client emits: { ticketId: 'uuid', messageId: 'uuid', emoji: '👍' }
+     */
+    socket.on('remove_reaction', async (data = {}) => {
+      try {
+        const { ticketId, messageId, emoji } = data;
+
+        const { error } = await removeReaction({ io, ticketId, messageId, user: socket.user, emoji });
+
+        if (error) {
+          socket.emit('error', { message: error.message, messageId });
+        }
+      } catch (error) {
+        console.error('Error removing reaction:', error);
+        socket.emit('error', { message: 'Failed to remove reaction' });
+      }
+    });
+
     /**
      * Forward a message to another ticket
      * Client emits: { sourceTicketId: 'uuid', targetTicketId: 'uuid', messageId: 'uuid', messageMode: 'client'|'internal' }
@@ -869,6 +943,8 @@ export const setupChatHandlers = (io) => {
      */
     socket.on('get_online_users', async (data) => {
       try {
+        if (routeLegacyGroupEvent('get_online_users', data)) return;
+
         const { ticketId } = data;
 
         // Get all sockets in this ticket room
@@ -886,215 +962,6 @@ export const setupChatHandlers = (io) => {
       }
     });
 
-    /**
-     * Join a chat group room
-     * Client emits: { groupId: 'uuid' }
-     */
-    socket.on('join_group', async (data) => {
-      try {
-        const { groupId } = data;
-
-        console.log(`🎯 join_group attempt: userId=${socket.user.id}, groupId=${groupId}, role=${socket.user.role}`);
-
-        // Verify user is a member of this group
-        const { data: membership, error } = await supabaseAdmin
-          .from('chat_members')
-          .select('*')
-          .eq('chat_group_id', groupId)
-          .eq('user_id', socket.user.id)
-          .single();
-
-        if (error) {
-          console.error(`❌ Error checking group membership:`, error);
-        }
-
-        if (error || !membership) {
-          console.log(`❌ User ${socket.user.email} not authorized for group ${groupId}`);
-          console.log(`💡 HINT: Frontend might be calling 'join_group' instead of 'join_ticket'. Check if groupId is actually a ticketId.`);
-          socket.emit('error', {
-            message: 'You are not a member of this group',
-            hint: 'If you are trying to join a ticket, use join_ticket event instead',
-            groupId: groupId,
-            userId: socket.user.id
-          });
-          return;
-        }
-
-        // Join the group room
-        socket.join(`group:${groupId}`);
-        console.log(`User ${socket.user.email} joined group ${groupId}`);
-
-        // Notify others in the group
-        socket.to(`group:${groupId}`).emit('user_joined', {
-          userId: socket.user.id,
-          userName: socket.user.name,
-          groupId
-        });
-
-        // Send confirmation to user
-        socket.emit('joined_group', { groupId });
-      } catch (error) {
-        console.error('Error joining group:', error);
-        socket.emit('error', { message: 'Failed to join group' });
-      }
-    });
-
-    /**
-     * Leave a chat group room
-     * Client emits: { groupId: 'uuid' }
-     */
-    socket.on('leave_group', (data) => {
-      const { groupId } = data;
-      socket.leave(`group:${groupId}`);
-
-      // Notify others in the group
-      socket.to(`group:${groupId}`).emit('user_left', {
-        userId: socket.user.id,
-        userName: socket.user.name,
-        groupId
-      });
-
-      console.log(`User ${socket.user.email} left group ${groupId}`);
-    });
-
-    /**
-     * Send a message to a group
-     * Client emits: { groupId: 'uuid', message: 'text', messageType: 'text' }
-     */
-    socket.on('send_message', async (data) => {
-      try {
-        const { groupId, message, messageType = 'text', fileUrl = null } = data;
-
-        // Verify user is a member
-        const { data: membership } = await supabaseAdmin
-          .from('chat_members')
-          .select('*')
-          .eq('chat_group_id', groupId)
-          .eq('user_id', socket.user.id)
-          .single();
-
-        if (!membership) {
-          socket.emit('error', { message: 'You are not a member of this group' });
-          return;
-        }
-
-        // Save message to database
-        const { data: newMessage, error } = await supabaseAdmin
-          .from('chat_messages')
-          .insert([{
-            chat_group_id: groupId,
-            sender_id: socket.user.id,
-            message,
-            message_type: messageType,
-            file_url: fileUrl,
-            is_read: false
-          }])
-          .select(`
-            *,
-            sender:users!chat_messages_sender_id_fkey (
-              id,
-              email,
-              name,
-              profile_picture
-            )
-          `)
-          .single();
-
-        if (error) {
-          console.error('Error saving message:', error);
-          socket.emit('error', { message: 'Failed to send message' });
-          return;
-        }
-
-        // Broadcast message to all users in the group (including sender)
-        io.to(`group:${groupId}`).emit('new_message', newMessage);
-
-        // Update group's updated_at timestamp
-        await supabaseAdmin
-          .from('chat_groups')
-          .update({ updated_at: new Date().toISOString() })
-          .eq('id', groupId);
-
-      } catch (error) {
-        console.error('Error sending message:', error);
-        socket.emit('error', { message: 'Failed to send message' });
-      }
-    });
-
-    /**
-     * User is typing indicator
-     * Client emits: { groupId: 'uuid', isTyping: true/false }
-     */
-    socket.on('typing', (data) => {
-      const { groupId, isTyping } = data;
-
-      // Broadcast to others in the group (not to sender)
-      socket.to(`group:${groupId}`).emit('user_typing', {
-        userId: socket.user.id,
-        userName: socket.user.name,
-        groupId,
-        isTyping
-      });
-    });
-
-    /**
-     * Mark messages as read
-     * Client emits: { groupId: 'uuid', messageIds: ['uuid1', 'uuid2'] }
-     */
-    socket.on('mark_as_read', async (data) => {
-      try {
-        const { groupId, messageIds } = data;
-
-        if (!messageIds || messageIds.length === 0) {
-          return;
-        }
-
-        // Update messages as read
-        const { error } = await supabaseAdmin
-          .from('chat_messages')
-          .update({ is_read: true })
-          .eq('chat_group_id', groupId)
-          .in('id', messageIds);
-
-        if (error) {
-          console.error('Error marking messages as read:', error);
-          return;
-        }
-
-        // Notify others in the group
-        socket.to(`group:${groupId}`).emit('messages_read', {
-          userId: socket.user.id,
-          messageIds,
-          groupId
-        });
-
-      } catch (error) {
-        console.error('Error in mark_as_read:', error);
-      }
-    });
-
-    /**
-     * Get online users in a group
-     * Client emits: { groupId: 'uuid' }
-     */
-    socket.on('get_online_users', async (data) => {
-      try {
-        const { groupId } = data;
-
-        // Get all sockets in this group room
-        const socketsInRoom = await io.in(`group:${groupId}`).fetchSockets();
-
-        // Extract unique user IDs
-        const onlineUserIds = [...new Set(socketsInRoom.map(s => s.user.id))];
-
-        socket.emit('online_users', {
-          groupId,
-          userIds: onlineUserIds
-        });
-      } catch (error) {
-        console.error('Error getting online users:', error);
-      }
-    });
     /**
      * Handle disconnection
      */
@@ -1104,10 +971,13 @@ export const setupChatHandlers = (io) => {
       // Notify all groups this user was in
       socket.rooms.forEach((room) => {
         if (room.startsWith('group:')) {
-          socket.to(room).emit('user_offline', {
+          const payload = {
             userId: socket.user.id,
-            userName: socket.user.name
-          });
+            userName: socket.user.name,
+            groupId: room.slice('group:'.length)
+          };
+          socket.to(room).emit('group:user_offline', payload);
+          if (EMIT_LEGACY_GROUP_EVENTS) socket.to(room).emit('user_offline', payload);
         }
       });
     });
@@ -0,0 +1,85 @@
+import { hasPermission } from '../utils/permissions.js';
+import { sendDirectMessage, markConversationRead } from '../utils/directMessages.js';
+
+/**
+ * ============================================
+ * DIRECT MESSAGE SOCKET HANDLERS
+ * ============================================
+ * 1:1 staff messages are delivered through each user's `user:${id}` room
+ * (joined on connect), so there is no conversation room to join.
+ *
+ *   dm:send_message, dm:typing, dm:mark_as_read
+ *
+ * Server emits: dm:new_message, dm:typing, dm:messages_read
+ */
+
+/**
+ * Register the `dm:` event handlers on a connected socket
+ * @param {Object} io - Socket.IO server
+ * @param {Object} socket - Authenticated socket (socket.user set)
+ */
+export const registerDirectMessageHandlers = (io, socket) => {
+  /**
+   * Send a direct message
+   * Client emits: { recipientId, message, messageType, fileUrl, fileName, fileSize, fileMimeType, replyToId }
+   */
+  socket.on('dm:send_message', async (data = {}) => {
+    try {
+      const { recipientId, ...payload } = data;
+
+      const { error } = await sendDirectMessage({
+        io,
+        senderId: socket.user.id,
+        recipientId,
+        payload
+      });
+
+      if (error) {
+        socket.emit('error', { message: error.message, recipientId });
+      }
+    } catch (error) {
+      console.error('Error sending direct message:', error);
+      socket.emit('error', { message: 'Failed to send message' });
+    }
+  });
+
+  /**
+   * Typing indicator
+   * Client emits: { recipientId, isTyping }
+   */
+  socket.on('dm:typing', async (data = {}) => {
+    try {
+      const { recipientId, isTyping } = data;
+      if (!recipientId || recipientId === socket.user.id) return;
+      if (!(await hasPermission(socket.user.role, 'chat.direct'))) return;
+
+      io.to(`user:${recipientId}`).emit('dm:typing', {
+        userId: socket.user.id,
+        userName: socket.user.name,
+        isTyping: !!isTyping
+      });
+    } catch (error) {
+      console.error('Error sending direct message typing:', error);
+    }
+  });
+
+  /**
+   * Mark the conversation with a user as read
+   * Client emits: { userId }
+   */
+  socket.on('dm:mark_as_read', async (data = {}) => {
+    try {
+      const { userId } = data;
+      if (!userId) return;
+
+      await markConversationRead({ io, userId: socket.user.id, otherUserId: userId });
+    } catch (error) {
+      console.error('Error marking direct messages as read:', error);
+      socket.emit('error', { message: 'Failed to mark messages as read' });
+    }
+  });
+};
+
+export default {
+  registerDirectMessageHandlers
+};
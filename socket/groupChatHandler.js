@@ -0,0 +1,533 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { hasPermission } from '../utils/permissions.js';
+
+/**
+ * ============================================
+ * CHAT GROUP SOCKET HANDLERS
+ * ============================================
+ * Group chat uses its own `group:`-prefixed events so group traffic never
+ * runs through the ticket handlers (and vice versa):
+ *
+ *   group:join, group:leave, group:send_message, group:typing,
+ *   group:mark_as_read, group:edit_message, group:delete_message,
+ *   group:get_online_users
+ *
+ * Server emits: group:joined, group:user_joined, group:user_left,
+ * group:new_message, group:user_typing, group:message_seen,
+ * group:message_edited, group:message_deleted, group:online_users,
+ * group:user_offline
+ *
+ * Group management (REST, chatController.js) emits: group:updated,
+ * group:members_added, group:member_removed, group:member_left,
+ * group:member_role_changed, group:archived, group:unarchived,
+ * group:mute_changed (to the user's own room). Archived groups are read-only.
+ *
+ * DEPRECATED (kept for one release): join_group / leave_group and the
+ * shared send_message / typing / mark_as_read / get_online_users events
+ * with a `groupId` payload are routed here by chatHandler.js, and the old
+ * un-prefixed events are still emitted alongside the new ones.
+ */
+
+// Emit the pre-`group:` event names too, for clients that haven't migrated
+export const EMIT_LEGACY_GROUP_EVENTS = true;
+
+const SENDER_SELECT = `
+  sender:users!chat_messages_sender_id_fkey (
+    id,
+    email,
+    name,
+    profile_picture,
+    role
+  )
+`;
+
+/**
+ * Emit a group event (plus the legacy name when there is one)
+ */
+const emitGroupEvent = (target, event, payload, legacyEvent = null) => {
+  target.emit(`group:${event}`, payload);
+  if (EMIT_LEGACY_GROUP_EVENTS && legacyEvent) {
+    target.emit(legacyEvent, payload);
+  }
+};
+
+/**
+ * Membership of an active group, or null
+ */
+const getGroupMembership = async (groupId, userId) => {
+  if (!groupId) return null;
+
+  const { data: membership } = await supabaseAdmin
+    .from('chat_members')
+    .select('*, chat_groups!inner(id, is_active, is_archived)')
+    .eq('chat_group_id', groupId)
+    .eq('user_id', userId)
+    .eq('chat_groups.is_active', true)
+    .maybeSingle();
+
+  return membership || null;
+};
+
+/**
+ * Reply preview for a group message
+ */
+const getGroupReplyPreview = async (groupId, replyToId) => {
+  if (!replyToId) return null;
+
+  const { data: replyMsg } = await supabaseAdmin
+    .from('chat_messages')
+    .select(`id, sender_id, message, message_type, file_name, is_deleted, created_at, ${SENDER_SELECT}`)
+    .eq('id', replyToId)
+    .eq('chat_group_id', groupId)
+    .maybeSingle();
+
+  if (!replyMsg) return null;
+
+  return {
+    id: replyMsg.id,
+    sender_id: replyMsg.sender_id,
+    sender_name: replyMsg.sender?.name || 'Unknown User',
+    message: replyMsg.is_deleted ? 'Message deleted' : replyMsg.message,
+    message_type: replyMsg.message_type,
+    file_name: replyMsg.file_name,
+    created_at: replyMsg.created_at
+  };
+};
+
+/**
+ * Register the group chat handlers on a connected socket
+ * @param {Object} io - Socket.IO server
+ * @param {Object} socket - Authenticated socket (socket.user set)
+ * @returns {Object} Handlers by legacy event name, for chatHandler.js to route
+ *   old `groupId` payloads to
+ */
+export const registerGroupHandlers = (io, socket) => {
+  /**
+   * Join a chat group room
+   * Client emits: { groupId: 'uuid' }
+   */
+  const joinGroup = async (data = {}) => {
+    try {
+      const { groupId } = data;
+
+      console.log(`🎯 group:join attempt: userId=${socket.user.id}, groupId=${groupId}`);
+
+      const membership = await getGroupMembership(groupId, socket.user.id);
+
+      if (!membership) {
+        console.log(`❌ User ${socket.user.email} not authorized for group ${groupId}`);
+        socket.emit('error', {
+          message: 'You are not a member of this group',
+          groupId,
+          userId: socket.user.id
+        });
+        return;
+      }
+
+      socket.join(`group:${groupId}`);
+      console.log(`User ${socket.user.email} joined group ${groupId}`);
+
+      emitGroupEvent(socket.to(`group:${groupId}`), 'user_joined', {
+        userId: socket.user.id,
+        userName: socket.user.name,
+        groupId
+      }, 'user_joined');
+
+      emitGroupEvent(socket, 'joined', { groupId }, 'joined_group');
+    } catch (error) {
+      console.error('Error joining group:', error);
+      socket.emit('error', { message: 'Failed to join group' });
+    }
+  };
+
+  /**
+   * Leave a chat group room
+   * Client emits: { groupId: 'uuid' }
+   */
+  const leaveGroup = (data = {}) => {
+    const { groupId } = data;
+    socket.leave(`group:${groupId}`);
+
+    emitGroupEvent(socket.to(`group:${groupId}`), 'user_left', {
+      userId: socket.user.id,
+      userName: socket.user.name,
+      groupId
+    }, 'user_left');
+
+    console.log(`User ${socket.user.email} left group ${groupId}`);
+  };
+
+  /**
+   * Send a message to a group
+   * Client emits: { groupId, message, messageType, fileUrl, fileName, fileSize, fileMimeType, replyToId }
+   */
+  const sendMessage = async (data = {}) => {
+    try {
+      const {
+        groupId,
+        message,
+        messageType = 'text',
+        fileUrl = null,
+        fileName = null,
+        fileSize = null,
+        fileMimeType = null,
+        replyToId = null
+      } = data;
+
+      const membership = await getGroupMembership(groupId, socket.user.id);
+      if (!membership) {
+        socket.emit('error', { message: 'You are not a member of this group' });
+        return;
+      }
+
+      // Archived groups are read-only
+      if (membership.chat_groups.is_archived) {
+        socket.emit('error', { message: 'This chat group is archived' });
+        return;
+      }
+
+      if (messageType === 'text' && !String(message || '').trim()) {
+        socket.emit('error', { message: 'Message cannot be empty' });
+        return;
+      }
+
+      const replyTo = await getGroupReplyPreview(groupId, replyToId);
+
+      const { data: newMessage, error } = await supabaseAdmin
+        .from('chat_messages')
+        .insert([{
+          chat_group_id: groupId,
+          sender_id: socket.user.id,
+          message,
+          message_type: messageType,
+          file_url: fileUrl,
+          file_name: fileName,
+          file_size: fileSize,
+          file_mime_type: fileMimeType,
+          reply_to_message_id: replyTo ? replyTo.id : null,
+          is_read: false
+        }])
+        .select(`*, ${SENDER_SELECT}`)
+        .single();
+
+      if (error) {
+        console.error('Error saving group message:', error);
+        socket.emit('error', { message: 'Failed to send message' });
+        return;
+      }
+
+      const messageWithSender = {
+        ...newMessage,
+        user: newMessage.sender,
+        reply_to: replyTo,
+        seen_by: []
+      };
+
+      // Broadcast to everyone in the group (including sender)
+      emitGroupEvent(io.to(`group:${groupId}`), 'new_message', messageWithSender, 'new_message');
+
+      await supabaseAdmin
+        .from('chat_groups')
+        .update({ updated_at: new Date().toISOString() })
+        .eq('id', groupId);
+    } catch (error) {
+      console.error('Error sending group message:', error);
+      socket.emit('error', { message: 'Failed to send message' });
+    }
+  };
+
+  /**
+   * Typing indicator
+   * Client emits: { groupId: 'uuid', isTyping: true/false }
+   */
+  const typing = (data = {}) => {
+    const { groupId, isTyping } = data;
+
+    // Only broadcast to rooms the socket actually joined
+    if (!socket.rooms.has(`group:${groupId}`)) return;
+
+    emitGroupEvent(socket.to(`group:${groupId}`), 'user_typing', {
+      userId: socket.user.id,
+      userName: socket.user.name,
+      groupId,
+      isTyping
+    }, 'user_typing');
+  };
+
+  /**
+   * Mark group messages as seen (read receipts)
+   * Client emits: { groupId: 'uuid', messageIds: ['uuid1', 'uuid2'] }
+   */
+  const markAsRead = async (data = {}) => {
+    try {
+      const { groupId, messageIds } = data;
+
+      if (!messageIds || messageIds.length === 0) {
+        return;
+      }
+
+      const membership = await getGroupMembership(groupId, socket.user.id);
+      if (!membership) return;
+
+      const seenAt = new Date().toISOString();
+
+      // Only messages of this group, not sent by the reader
+      const { data: messages } = await supabaseAdmin
+        .from('chat_messages')
+        .select('id')
+        .eq('chat_group_id', groupId)
+        .neq('sender_id', socket.user.id)
+        .in('id', messageIds);
+
+      const seenIds = (messages || []).map((m) => m.id);
+      if (seenIds.length === 0) return;
+
+      const { error: seenError } = await supabaseAdmin
+        .from('chat_message_seen_by')
+        .upsert(
+          seenIds.map((messageId) => ({
+            message_id: messageId,
+            user_id: socket.user.id,
+            seen_at: seenAt
+          })),
+          { onConflict: 'message_id,user_id', ignoreDuplicates: true }
+        );
+
+      if (seenError) {
+        console.error('Error inserting group seen records:', seenError);
+      }
+
+      // Legacy flag + per-member read marker
+      await supabaseAdmin
+        .from('chat_messages')
+        .update({ is_read: true })
+        .in('id', seenIds);
+
+      await supabaseAdmin
+        .from('chat_members')
+        .update({ last_read_at: seenAt })
+        .eq('chat_group_id', groupId)
+        .eq('user_id', socket.user.id);
+
+      socket.to(`group:${groupId}`).emit('group:message_seen', {
+        userId: socket.user.id,
+        userName: socket.user.name,
+        userRole: socket.user.role,
+        messageIds: seenIds,
+        groupId,
+        seenAt
+      });
+
+      if (EMIT_LEGACY_GROUP_EVENTS) {
+        socket.to(`group:${groupId}`).emit('messages_read', {
+          userId: socket.user.id,
+          messageIds: seenIds,
+          groupId
+        });
+      }
+    } catch (error) {
+      console.error('Error in group:mark_as_read:', error);
+    }
+  };
+
+  /**
+   * Edit own text message
+   * Client emits: { groupId: 'uuid', messageId: 'uuid', message: 'new text' }
+   */
+  const editMessage = async (data = {}) => {
+    try {
+      const { groupId, messageId, message } = data;
+
+      if (!String(message || '').trim()) {
+        socket.emit('error', { message: 'Message cannot be empty' });
+        return;
+      }
+
+      const membership = await getGroupMembership(groupId, socket.user.id);
+      if (!membership) {
+        socket.emit('error', { message: 'You are not a member of this group' });
+        return;
+      }
+
+      if (membership.chat_groups.is_archived) {
+        socket.emit('error', { message: 'This chat group is archived' });
+        return;
+      }
+
+      const { data: existingMessage } = await supabaseAdmin
+        .from('chat_messages')
+        .select('sender_id, message, is_deleted, message_type')
+        .eq('id', messageId)
+        .eq('chat_group_id', groupId)
+        .maybeSingle();
+
+      if (!existingMessage) {
+        socket.emit('error', { message: 'Message not found' });
+        return;
+      }
+
+      if (existingMessage.sender_id !== socket.user.id) {
+        socket.emit('error', { message: 'You can only edit your own messages' });
+        return;
+      }
+
+      if (existingMessage.is_deleted) {
+        socket.emit('error', { message: 'Cannot edit deleted message' });
+        return;
+      }
+
+      if (existingMessage.message_type !== 'text') {
+        socket.emit('error', { message: 'Only text messages can be edited' });
+        return;
+      }
+
+      const { data: updatedMessage, error: updateError } = await supabaseAdmin
+        .from('chat_messages')
+        .update({
+          message: message.trim(),
+          is_edited: true,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', messageId)
+        .select(`*, ${SENDER_SELECT}`)
+        .single();
+
+      if (updateError) {
+        socket.emit('error', { message: 'Failed to update message' });
+        return;
+      }
+
+      io.to(`group:${groupId}`).emit('group:message_edited', {
+        ...updatedMessage,
+        user: updatedMessage.sender
+      });
+    } catch (error) {
+      console.error('Error editing group message:', error);
+      socket.emit('error', { message: 'Failed to edit message' });
+    }
+  };
+
+  /**
+   * Delete a message (own, group admins, or message.delete_any)
+   * Client emits: { groupId: 'uuid', messageId: 'uuid' }
+   */
+  const deleteMessage = async (data = {}) => {
+    try {
+      const { groupId, messageId } = data;
+
+      const membership = await getGroupMembership(groupId, socket.user.id);
+      if (!membership) {
+        socket.emit('error', { message: 'You are not a member of this group' });
+        return;
+      }
+
+      if (membership.chat_groups.is_archived) {
+        socket.emit('error', { message: 'This chat group is archived' });
+        return;
+      }
+
+      const { data: existingMessage } = await supabaseAdmin
+        .from('chat_messages')
+        .select('sender_id, is_deleted')
+        .eq('id', messageId)
+        .eq('chat_group_id', groupId)
+        .maybeSingle();
+
+      if (!existingMessage) {
+        socket.emit('error', { message: 'Message not found' });
+        return;
+      }
+
+      if (existingMessage.is_deleted) {
+        socket.emit('error', { message: 'Message already deleted' });
+        return;
+      }
+
+      const isMessageOwner = existingMessage.sender_id === socket.user.id;
+      const canDelete =
+        isMessageOwner ||
+        membership.is_admin ||
+        (await hasPermission(socket.user.role, 'message.delete_any'));
+
+      if (!canDelete) {
+        socket.emit('error', { message: 'You can only delete your own messages' });
+        return;
+      }
+
+      // Soft delete - keeps the row for replies / history
+      const { data: deletedMessage, error: deleteError } = await supabaseAdmin
+        .from('chat_messages')
+        .update({
+          is_deleted: true,
+          deleted_at: new Date().toISOString(),
+          deleted_by: socket.user.id,
+          message: 'This message was deleted',
+          file_url: null
+        })
+        .eq('id', messageId)
+        .select(`*, ${SENDER_SELECT}`)
+        .single();
+
+      if (deleteError) {
+        socket.emit('error', { message: 'Failed to delete message' });
+        return;
+      }
+
+      io.to(`group:${groupId}`).emit('group:message_deleted', {
+        ...deletedMessage,
+        user: deletedMessage.sender
+      });
+    } catch (error) {
+      console.error('Error deleting group message:', error);
+      socket.emit('error', { message: 'Failed to delete message' });
+    }
+  };
+
+  /**
+   * Online users in a group
+   * Client emits: { groupId: 'uuid' }
+   */
+  const getOnlineUsers = async (data = {}) => {
+    try {
+      const { groupId } = data;
+
+      const socketsInRoom = await io.in(`group:${groupId}`).fetchSockets();
+      const onlineUserIds = [...new Set(socketsInRoom.map(s => s.user.id))];
+
+      emitGroupEvent(socket, 'online_users', { groupId, userIds: onlineUserIds }, 'online_users');
+    } catch (error) {
+      console.error('Error getting group online users:', error);
+    }
+  };
+
+  socket.on('group:join', joinGroup);
+  socket.on('group:leave', leaveGroup);
+  socket.on('group:send_message', sendMessage);
+  socket.on('group:typing', typing);
+  socket.on('group:mark_as_read', markAsRead);
+  socket.on('group:edit_message', editMessage);
+  socket.on('group:delete_message', deleteMessage);
+  socket.on('group:get_online_users', getOnlineUsers);
+
+  // DEPRECATED aliases
+  socket.on('join_group', joinGroup);
+  socket.on('leave_group', leaveGroup);
+
+  return {
+    send_message: sendMessage,
+    typing,
+    mark_as_read: markAsRead,
+    get_online_users: getOnlineUsers
+  };
+};
+
+/**
+ * Whether a payload on a shared (legacy) event is meant for a group
+ */
+export const isLegacyGroupPayload = (data) => !!(data && data.groupId && !data.ticketId);
+
+export default {
+  EMIT_LEGACY_GROUP_EVENTS,
+  registerGroupHandlers,
+  isLegacyGroupPayload
+};
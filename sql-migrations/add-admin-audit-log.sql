@@ -0,0 +1,72 @@
+-- =============================================
+-- ADD ADMIN AUDIT LOG
+-- =============================================
+-- Extends admin_actions into a full audit log for admin / user-management
+-- operations (see utils/adminAudit.js and GET /api/admin/audit-log).
+--   action_type   - no longer limited to four values (add_user,
+--                   update_role, update_member_permissions, ...)
+--   target_type   - 'user', 'ticket', 'role', 'payment_stage_template', ...
+--   target_id     - id of the target, kept after the target is deleted
+--   changes       - field diff: { field: { before, after } }
+--   ip_address    - client IP of the request
+--   user_agent    - client user agent
+-- target_user_id now becomes NULL instead of deleting the audit row when
+-- the user is deleted.
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE admin_actions
+DROP CONSTRAINT IF EXISTS admin_actions_action_type_check;
+
+ALTER TABLE admin_actions
+ALTER COLUMN action_type TYPE VARCHAR(100);
+
+ALTER TABLE admin_actions
+ADD COLUMN IF NOT EXISTS target_type VARCHAR(50),
+ADD COLUMN IF NOT EXISTS target_id TEXT,
+ADD COLUMN IF NOT EXISTS changes JSONB,
+ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64),
+ADD COLUMN IF NOT EXISTS user_agent TEXT;
+
+-- Keep audit rows when the target user is deleted
+ALTER TABLE admin_actions
+DROP CONSTRAINT IF EXISTS admin_actions_target_user_id_fkey;
+
+ALTER TABLE admin_actions
+ADD CONSTRAINT admin_actions_target_user_id_fkey
+FOREIGN KEY (target_user_id) REFERENCES users(id) ON DELETE SET NULL;
+
+-- Backfill target columns for existing rows
+UPDATE admin_actions
+SET target_type = 'user',
+    target_id = target_user_id::TEXT
+WHERE target_user_id IS NOT NULL
+  AND target_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_admin_actions_created_at ON admin_actions(created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_actions_admin_id ON admin_actions(admin_id);
+CREATE INDEX IF NOT EXISTS idx_admin_actions_action_type ON admin_actions(action_type);
+CREATE INDEX IF NOT EXISTS idx_admin_actions_target_user_id ON admin_actions(target_user_id);
+CREATE INDEX IF NOT EXISTS idx_admin_actions_target ON admin_actions(target_type, target_id);
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ ADMIN AUDIT LOG SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'admin_actions Columns Added:';
+  RAISE NOTICE '  ✅ target_type, target_id';
+  RAISE NOTICE '  ✅ changes (before/after diff)';
+  RAISE NOTICE '  ✅ ip_address, user_agent';
+  RAISE NOTICE '';
+  RAISE NOTICE 'Constraints Changed:';
+  RAISE NOTICE '  ✅ action_type check removed';
+  RAISE NOTICE '  ✅ target_user_id ON DELETE SET NULL';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
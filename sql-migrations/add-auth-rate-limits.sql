@@ -0,0 +1,127 @@
+-- =============================================
+-- ADD AUTH RATE LIMITS
+-- =============================================
+-- Per-email and per-IP attempt counters with progressive lockouts for
+-- password login and OTP endpoints, plus per-code attempt counters on
+-- otp_verifications (a code is invalidated after OTP_MAX_ATTEMPTS failures).
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS auth_rate_limits (
+  key TEXT PRIMARY KEY,
+  scope TEXT NOT NULL CHECK (scope IN ('email', 'ip')),
+  action TEXT NOT NULL,
+  identifier TEXT NOT NULL,
+  attempts INTEGER DEFAULT 0 NOT NULL,
+  window_started_at TIMESTAMP WITH TIME ZONE,
+  lockout_count INTEGER DEFAULT 0 NOT NULL,
+  locked_until TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_rate_limits_identifier ON auth_rate_limits(scope, identifier);
+CREATE INDEX IF NOT EXISTS idx_auth_rate_limits_locked ON auth_rate_limits(locked_until)
+  WHERE locked_until IS NOT NULL;
+
+-- Backend (service role) only - no policies for regular users
+ALTER TABLE auth_rate_limits ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE otp_verifications
+ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0 NOT NULL,
+ADD COLUMN IF NOT EXISTS invalidated_at TIMESTAMP WITH TIME ZONE;
+
+-- Count one attempt atomically (row lock, so parallel attempts can't all
+-- write the same count) and lock the key once it reaches its limit.
+-- Lockout n lasts lockout_base_minutes * 2^(n-1), capped at lockout_max_minutes.
+CREATE OR REPLACE FUNCTION record_auth_attempt(
+  attempt_key TEXT,
+  attempt_scope TEXT,
+  attempt_action TEXT,
+  attempt_identifier TEXT,
+  max_attempts INTEGER,
+  window_minutes INTEGER,
+  lockout_base_minutes INTEGER,
+  lockout_max_minutes INTEGER
+)
+RETURNS TABLE (attempts INTEGER, lockout_count INTEGER, locked_until TIMESTAMP WITH TIME ZONE, locked_now BOOLEAN)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  counter auth_rate_limits%ROWTYPE;
+BEGIN
+  INSERT INTO auth_rate_limits AS l (key, scope, action, identifier, attempts, window_started_at, updated_at)
+  VALUES (attempt_key, attempt_scope, attempt_action, attempt_identifier, 1, NOW(), NOW())
+  ON CONFLICT (key) DO UPDATE
+  SET attempts = CASE
+        WHEN l.window_started_at IS NULL
+          OR l.window_started_at < NOW() - window_minutes * INTERVAL '1 minute'
+        THEN 1 ELSE l.attempts + 1 END,
+      window_started_at = CASE
+        WHEN l.window_started_at IS NULL
+          OR l.window_started_at < NOW() - window_minutes * INTERVAL '1 minute'
+        THEN NOW() ELSE l.window_started_at END,
+      updated_at = NOW()
+  RETURNING l.* INTO counter;
+
+  IF counter.attempts < max_attempts THEN
+    RETURN QUERY SELECT counter.attempts, counter.lockout_count, counter.locked_until, false;
+    RETURN;
+  END IF;
+
+  UPDATE auth_rate_limits AS l
+  SET lockout_count = l.lockout_count + 1,
+      locked_until = NOW() + LEAST(
+        lockout_base_minutes * power(2, LEAST(l.lockout_count, 30)),
+        lockout_max_minutes
+      ) * INTERVAL '1 minute',
+      attempts = 0,
+      window_started_at = NULL,
+      updated_at = NOW()
+  WHERE l.key = attempt_key
+  RETURNING l.* INTO counter;
+
+  RETURN QUERY SELECT counter.attempts, counter.lockout_count, counter.locked_until, true;
+END;
+$$;
+
+-- Count a wrong code atomically; invalidates the code at max_attempts
+CREATE OR REPLACE FUNCTION record_otp_failure(otp_id UUID, max_attempts INTEGER)
+RETURNS TABLE (attempts INTEGER, invalidated BOOLEAN)
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE otp_verifications AS o
+  SET attempts = o.attempts + 1,
+      invalidated_at = CASE
+        WHEN o.attempts + 1 >= max_attempts THEN COALESCE(o.invalidated_at, NOW())
+        ELSE o.invalidated_at END
+  WHERE o.id = otp_id
+  RETURNING o.attempts, o.invalidated_at IS NOT NULL;
+$$;
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ AUTH RATE LIMITS SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Table Created:';
+  RAISE NOTICE '  ✅ auth_rate_limits';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Columns Added:';
+  RAISE NOTICE '  ✅ otp_verifications.attempts';
+  RAISE NOTICE '  ✅ otp_verifications.invalidated_at';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Functions:';
+  RAISE NOTICE '  ✅ record_auth_attempt(...)';
+  RAISE NOTICE '  ✅ record_otp_failure(otp_id, max_attempts)';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,43 @@
+-- =============================================
+-- ADD CHAT GROUP MANAGEMENT
+-- =============================================
+-- Rename / avatar, archive instead of delete, per-member mute.
+-- Group admins (chat_members.is_admin) manage their own group.
+--   chat_groups  - avatar_url, is_archived, archived_at, archived_by
+--   chat_members - is_muted, muted_until
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE chat_groups
+ADD COLUMN IF NOT EXISTS avatar_url TEXT,
+ADD COLUMN IF NOT EXISTS is_archived BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS archived_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+UPDATE chat_groups SET is_archived = false WHERE is_archived IS NULL;
+
+ALTER TABLE chat_members
+ADD COLUMN IF NOT EXISTS is_muted BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS muted_until TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_chat_groups_active_archived ON chat_groups(is_active, is_archived);
+CREATE INDEX IF NOT EXISTS idx_chat_members_group_admin ON chat_members(chat_group_id) WHERE is_admin = true;
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ CHAT GROUP MANAGEMENT SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'chat_groups Columns Added:';
+  RAISE NOTICE '  ✅ avatar_url, is_archived, archived_at, archived_by';
+  RAISE NOTICE '';
+  RAISE NOTICE 'chat_members Columns Added:';
+  RAISE NOTICE '  ✅ is_muted, muted_until';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,67 @@
+-- =============================================
+-- ADD DIRECT CONVERSATION SUMMARIES FUNCTION
+-- =============================================
+-- Last message and unread count for many direct conversations in one query
+-- (GET /api/chat/direct), instead of one last-message query per conversation
+-- and counting unread rows in the backend.
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+CREATE OR REPLACE FUNCTION get_direct_conversation_summaries(
+  viewer_id UUID,
+  conversation_ids UUID[]
+)
+RETURNS TABLE (
+  conversation_id UUID,
+  last_message_id UUID,
+  last_message_sender_id UUID,
+  last_message TEXT,
+  last_message_type VARCHAR,
+  last_message_is_deleted BOOLEAN,
+  last_message_created_at TIMESTAMP WITH TIME ZONE,
+  unread_count BIGINT
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT
+    c.id,
+    last.id,
+    last.sender_id,
+    last.message,
+    last.message_type::VARCHAR,
+    last.is_deleted,
+    last.created_at,
+    (
+      SELECT COUNT(*)
+      FROM direct_messages u
+      WHERE u.conversation_id = c.id
+        AND u.recipient_id = viewer_id
+        AND u.read_at IS NULL
+    )
+  FROM unnest(conversation_ids) AS c(id)
+  LEFT JOIN LATERAL (
+    SELECT m.id, m.sender_id, m.message, m.message_type, m.is_deleted, m.created_at
+    FROM direct_messages m
+    WHERE m.conversation_id = c.id
+    ORDER BY m.created_at DESC
+    LIMIT 1
+  ) last ON true;
+$$;
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ DIRECT CONVERSATION SUMMARIES CREATED!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Function:';
+  RAISE NOTICE '  ✅ get_direct_conversation_summaries(viewer_id, conversation_ids)';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
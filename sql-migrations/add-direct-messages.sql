@@ -0,0 +1,82 @@
+-- =============================================
+-- ADD DIRECT MESSAGES
+-- =============================================
+-- Private 1:1 conversations between staff (permission "chat.direct").
+--   direct_conversations - one row per pair (user_a_id < user_b_id),
+--                          created on the first message
+--   direct_messages      - messages with read state, file metadata, replies
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS direct_conversations (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_a_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  user_b_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  last_message_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (user_a_id < user_b_id),
+  UNIQUE(user_a_id, user_b_id)
+);
+
+CREATE TABLE IF NOT EXISTS direct_messages (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  conversation_id UUID REFERENCES direct_conversations(id) ON DELETE CASCADE NOT NULL,
+  sender_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  recipient_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  message TEXT,
+  message_type VARCHAR(20) DEFAULT 'text' CHECK (message_type IN ('text', 'file', 'image')),
+  file_url TEXT,
+  file_name TEXT,
+  file_size BIGINT,
+  file_mime_type TEXT,
+  reply_to_message_id UUID REFERENCES direct_messages(id) ON DELETE SET NULL,
+  is_read BOOLEAN DEFAULT false,
+  read_at TIMESTAMP WITH TIME ZONE,
+  is_edited BOOLEAN DEFAULT false,
+  is_deleted BOOLEAN DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_direct_conversations_user_a ON direct_conversations(user_a_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_direct_conversations_user_b ON direct_conversations(user_b_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_direct_messages_conversation_created ON direct_messages(conversation_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_direct_messages_recipient_unread ON direct_messages(recipient_id, conversation_id) WHERE read_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_direct_messages_reply_to ON direct_messages(reply_to_message_id);
+
+-- Enable RLS (written by the backend with the service role)
+ALTER TABLE direct_conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE direct_messages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Participants can view their direct conversations" ON direct_conversations;
+CREATE POLICY "Participants can view their direct conversations"
+ON direct_conversations FOR SELECT
+USING (
+  user_a_id = (select auth.uid())
+  OR user_b_id = (select auth.uid())
+);
+
+DROP POLICY IF EXISTS "Participants can view their direct messages" ON direct_messages;
+CREATE POLICY "Participants can view their direct messages"
+ON direct_messages FOR SELECT
+USING (
+  sender_id = (select auth.uid())
+  OR recipient_id = (select auth.uid())
+);
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ DIRECT MESSAGES SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Tables Created:';
+  RAISE NOTICE '  ✅ direct_conversations';
+  RAISE NOTICE '  ✅ direct_messages';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,77 @@
+-- =============================================
+-- ADD GROUP CHAT FEATURES
+-- =============================================
+-- Group chat now has its own socket events (group:send_message, ...)
+-- with reply, edit / delete and read receipts like ticket chat.
+--   chat_messages          - reply_to_message_id, file metadata,
+--                            is_edited, is_deleted, deleted_at, deleted_by
+--   chat_members           - last_read_at
+--   chat_message_seen_by   - per-user read receipts
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE chat_messages
+ADD COLUMN IF NOT EXISTS reply_to_message_id UUID REFERENCES chat_messages(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS file_name TEXT,
+ADD COLUMN IF NOT EXISTS file_size BIGINT,
+ADD COLUMN IF NOT EXISTS file_mime_type TEXT,
+ADD COLUMN IF NOT EXISTS is_edited BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS is_deleted BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+ALTER TABLE chat_members
+ADD COLUMN IF NOT EXISTS last_read_at TIMESTAMP WITH TIME ZONE;
+
+-- Read receipts
+CREATE TABLE IF NOT EXISTS chat_message_seen_by (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  message_id UUID REFERENCES chat_messages(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(message_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_message_seen_by_message ON chat_message_seen_by(message_id);
+CREATE INDEX IF NOT EXISTS idx_chat_message_seen_by_user ON chat_message_seen_by(user_id);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_group_created ON chat_messages(chat_group_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_reply_to ON chat_messages(reply_to_message_id);
+
+-- Enable RLS (written by the backend with the service role)
+ALTER TABLE chat_message_seen_by ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Members can view group read receipts" ON chat_message_seen_by;
+CREATE POLICY "Members can view group read receipts"
+ON chat_message_seen_by FOR SELECT
+USING (
+  EXISTS (
+    SELECT 1 FROM chat_messages m
+    JOIN chat_members cm ON cm.chat_group_id = m.chat_group_id
+    WHERE m.id = chat_message_seen_by.message_id
+    AND cm.user_id = (select auth.uid())
+  )
+);
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ GROUP CHAT FEATURES SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'chat_messages Columns Added:';
+  RAISE NOTICE '  ✅ reply_to_message_id, file_name, file_size, file_mime_type';
+  RAISE NOTICE '  ✅ is_edited, is_deleted, deleted_at, deleted_by, updated_at';
+  RAISE NOTICE '';
+  RAISE NOTICE 'chat_members Columns Added:';
+  RAISE NOTICE '  ✅ last_read_at';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Table Created:';
+  RAISE NOTICE '  ✅ chat_message_seen_by';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
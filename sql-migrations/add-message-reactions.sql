@@ -0,0 +1,55 @@
+-- =============================================
+-- ADD MESSAGE REACTIONS
+-- =============================================
+-- Emoji reactions on ticket messages, one row per message / user / emoji.
+-- Reactions on internal messages are only shown to staff.
+--   ticket_message_reactions - message_id, ticket_id, user_id, emoji
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS ticket_message_reactions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  message_id UUID REFERENCES ticket_messages(id) ON DELETE CASCADE NOT NULL,
+  ticket_id UUID REFERENCES tickets(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  emoji VARCHAR(32) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(message_id, user_id, emoji)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_message_reactions_message ON ticket_message_reactions(message_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ticket_message_reactions_ticket ON ticket_message_reactions(ticket_id);
+CREATE INDEX IF NOT EXISTS idx_ticket_message_reactions_user ON ticket_message_reactions(user_id);
+
+-- Enable RLS (written by the backend with the service role)
+ALTER TABLE ticket_message_reactions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Members can view reactions on visible messages" ON ticket_message_reactions;
+CREATE POLICY "Members can view reactions on visible messages"
+ON ticket_message_reactions FOR SELECT
+USING (
+  EXISTS (
+    SELECT 1 FROM ticket_messages m
+    JOIN ticket_members tm ON tm.ticket_id = m.ticket_id
+    JOIN users u ON u.id = tm.user_id
+    WHERE m.id = ticket_message_reactions.message_id
+    AND tm.user_id = (select auth.uid())
+    AND (m.message_mode = 'client' OR u.role <> 'client')
+  )
+);
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ MESSAGE REACTIONS SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Table Created:';
+  RAISE NOTICE '  ✅ ticket_message_reactions';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
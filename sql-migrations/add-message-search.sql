@@ -0,0 +1,31 @@
+-- =============================================
+-- ADD MESSAGE SEARCH INDEXES
+-- =============================================
+-- Trigram indexes so ILIKE '%term%' searches on ticket messages stay fast
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_ticket_messages_message_trgm
+  ON ticket_messages USING GIN (message gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_messages_file_name_trgm
+  ON ticket_messages USING GIN (file_name gin_trgm_ops);
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ MESSAGE SEARCH INDEXES CREATED!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'Indexes Created:';
+  RAISE NOTICE '  ✅ idx_ticket_messages_message_trgm';
+  RAISE NOTICE '  ✅ idx_ticket_messages_file_name_trgm';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
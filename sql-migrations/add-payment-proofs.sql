@@ -0,0 +1,70 @@
+-- =============================================
+-- ADD PAYMENT PROOFS
+-- =============================================
+-- Clients upload a payment screenshot against a payment stage. The stage
+-- moves to verification pending until an admin/employee approves (stage
+-- completed) or rejects it.
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS payment_proofs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  ticket_id UUID REFERENCES tickets(id) ON DELETE CASCADE NOT NULL,
+  stage_key TEXT NOT NULL,
+  file_id UUID REFERENCES ticket_files(id) ON DELETE SET NULL,
+  file_url TEXT NOT NULL,
+  file_name TEXT,
+  amount NUMERIC(12, 2) CHECK (amount IS NULL OR amount > 0),
+  reference TEXT,
+  note TEXT,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'rejected')),
+  submitted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  rejection_reason TEXT,
+  payment_id UUID REFERENCES ticket_payments(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_proofs_ticket ON payment_proofs(ticket_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payment_proofs_pending ON payment_proofs(status) WHERE status = 'pending';
+
+-- Only one proof awaiting verification per stage
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_proofs_one_pending
+  ON payment_proofs(ticket_id, stage_key) WHERE status = 'pending';
+
+ALTER TABLE payment_proofs ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: admins and ticket members can view proofs
+CREATE POLICY "Members can view payment proofs"
+ON payment_proofs FOR SELECT
+USING (
+  EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+  )
+  OR
+  EXISTS (
+    SELECT 1 FROM ticket_members tmem
+    WHERE tmem.ticket_id = payment_proofs.ticket_id
+    AND tmem.user_id = auth.uid()
+  )
+);
+
+-- Proofs are written by the backend (service role) only
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ PAYMENT PROOFS SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Table Created:';
+  RAISE NOTICE '  ✅ payment_proofs';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
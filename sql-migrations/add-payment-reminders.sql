@@ -0,0 +1,31 @@
+-- =============================================
+-- ADD PAYMENT REMINDERS
+-- =============================================
+-- Per-ticket opt-out for automated payment reminders. Reminder history is
+-- stored on each stage in tickets.payment_stages (reminder_count,
+-- last_reminder_at, reminders[]).
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE tickets
+ADD COLUMN IF NOT EXISTS payment_reminders_enabled BOOLEAN DEFAULT TRUE NOT NULL;
+
+-- Sweep only looks at tickets with reminders enabled
+CREATE INDEX IF NOT EXISTS idx_tickets_payment_reminders
+  ON tickets(payment_reminders_enabled) WHERE payment_reminders_enabled = TRUE;
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ PAYMENT REMINDERS SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Column Added:';
+  RAISE NOTICE '  ✅ tickets.payment_reminders_enabled';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,94 @@
+-- =============================================
+-- ADD PAYMENT STAGE TEMPLATES
+-- =============================================
+-- Admin-managed payment stages per project_type. New tickets copy the
+-- stages of their project type (or the 'default' set) into payment_stages.
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS payment_stage_templates (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  project_type TEXT NOT NULL DEFAULT 'default',
+  stage_key TEXT NOT NULL,
+  name TEXT NOT NULL,
+  stage_order INTEGER NOT NULL DEFAULT 1,
+  amount NUMERIC(12, 2),
+  currency TEXT DEFAULT 'INR',
+  message_template TEXT,
+  image_url TEXT,
+  is_active BOOLEAN DEFAULT true NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (project_type, stage_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_stage_templates_project_type
+  ON payment_stage_templates(project_type, stage_order);
+
+ALTER TABLE payment_stage_templates ENABLE ROW LEVEL SECURITY;
+-- No policies: templates are managed through the backend (service role)
+
+-- Seed the default set with the stages/messages that used to be hard-coded
+INSERT INTO payment_stage_templates (project_type, stage_key, name, stage_order, currency, message_template, image_url)
+VALUES
+(
+  'default', 'part_a', 'Part A', 1, 'INR',
+  $msg$Greetings from MedZen writes !
+
+Dear Author!
+
+Part A Introduction, Review Of Literature , Materials & Methods is completed.
+Kindly complete the Payment using the above payment method to proceed further with the next steps.
+If you are facing any issues please reach out to us on +91 9176365161.
+
+Pos.11386702@indus$msg$,
+  'partA/paymentA.jpeg'
+),
+(
+  'default', 'statistical_results', 'Statistical Results', 2, 'INR',
+  $msg$*Stats Completed*
+
+Greetings from MedZen writes !
+
+Dear Author!
+
+Stats for the thesis is completed.
+Please check out the Application for updates.
+If you are facing any issues please reach out to us on +91 9176365161.$msg$,
+  NULL
+),
+(
+  'default', 'part_b', 'Part B', 3, 'INR',
+  $msg$Part B Completed -
+
+Greetings from MedZen writes !
+
+Dear Author!
+
+Part B Discussion, Conclusion is completed.
+Kindly complete the Payment using the above payment method to proceed further with the next steps.
+If you are facing any issues please reach out to us on +91 9176365161.
+
+9841499979-2@ybl$msg$,
+  'partB/paymentB.jpeg'
+)
+ON CONFLICT (project_type, stage_key) DO NOTHING;
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ PAYMENT STAGE TEMPLATES SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Table Created:';
+  RAISE NOTICE '  ✅ payment_stage_templates';
+  RAISE NOTICE '';
+  RAISE NOTICE 'Seeded default stages: part_a, statistical_results, part_b';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
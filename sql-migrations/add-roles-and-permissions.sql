@@ -0,0 +1,106 @@
+-- =============================================
+-- ADD ROLES AND PERMISSIONS
+-- =============================================
+-- Admin-configurable permission model. The permission keys and their
+-- default grants live in utils/permissions.js; these tables hold the
+-- roles admins create and the grants they customise.
+--   roles.base_role          - built-in role a custom role behaves like
+--                              (ticket workflow moves)
+--   roles.custom_permissions - false: use the defaults from the registry
+--                              true:  use the role_permissions rows
+--   role_permissions.scope   - 'all' (any ticket) or 'member' (tickets the
+--                              user belongs to)
+-- users.role is no longer limited to the four built-in roles.
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS roles (
+  name TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  description TEXT,
+  base_role TEXT NOT NULL CHECK (base_role IN ('admin', 'employee', 'freelancer', 'client')),
+  is_system BOOLEAN DEFAULT false NOT NULL,
+  custom_permissions BOOLEAN DEFAULT false NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role TEXT NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+  permission TEXT NOT NULL,
+  scope TEXT NOT NULL DEFAULT 'all' CHECK (scope IN ('all', 'member')),
+  granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (role, permission)
+);
+
+ALTER TABLE roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE role_permissions ENABLE ROW LEVEL SECURITY;
+-- No policies: managed through the backend (service role)
+
+-- Built-in roles
+INSERT INTO roles (name, label, base_role, is_system)
+VALUES
+  ('admin', 'Admin', 'admin', true),
+  ('employee', 'Employee', 'employee', true),
+  ('freelancer', 'Freelancer', 'freelancer', true),
+  ('client', 'Client', 'client', true)
+ON CONFLICT (name) DO NOTHING;
+
+-- Roles are validated by the backend against the roles table
+ALTER TABLE users
+DROP CONSTRAINT IF EXISTS users_role_check;
+
+-- Replace a role's grants in one transaction (never leaves a customised
+-- role with its old grants deleted and the new ones missing)
+CREATE OR REPLACE FUNCTION replace_role_permissions(
+  role_name TEXT,
+  grants JSONB,
+  admin_id UUID DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE roles
+  SET custom_permissions = true,
+      updated_at = NOW()
+  WHERE name = role_name;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Role % not found', role_name;
+  END IF;
+
+  DELETE FROM role_permissions WHERE role = role_name;
+
+  INSERT INTO role_permissions (role, permission, scope, granted_by)
+  SELECT role_name, g.key, g.value, admin_id
+  FROM jsonb_each_text(COALESCE(grants, '{}'::jsonb)) AS g;
+END;
+$$;
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ ROLES AND PERMISSIONS SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Tables Created:';
+  RAISE NOTICE '  ✅ roles (seeded with admin, employee, freelancer, client)';
+  RAISE NOTICE '  ✅ role_permissions';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Function:';
+  RAISE NOTICE '  ✅ replace_role_permissions(role_name, grants, admin_id)';
+  RAISE NOTICE '';
+  RAISE NOTICE 'Constraint Removed:';
+  RAISE NOTICE '  ✅ users_role_check';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
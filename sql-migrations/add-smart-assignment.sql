@@ -0,0 +1,43 @@
+-- =============================================
+-- ADD SMART TICKET ASSIGNMENT
+-- =============================================
+-- Ranking in GET /api/tickets/:ticketId/available-employees and
+-- auto-assignment of new tickets (AUTO_ASSIGN_STRATEGY).
+--   availability_status    - available | busy | away | on_leave
+--                            (set via PUT /api/auth/availability)
+--   last_auto_assigned_at  - round-robin order for auto-assignment
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS availability_status VARCHAR(20) DEFAULT 'available' NOT NULL,
+ADD COLUMN IF NOT EXISTS last_auto_assigned_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_availability_status_check;
+ALTER TABLE users
+ADD CONSTRAINT users_availability_status_check
+CHECK (availability_status IN ('available', 'busy', 'away', 'on_leave'));
+
+-- Auto-assign candidate lookup
+CREATE INDEX IF NOT EXISTS idx_users_auto_assign
+ON users(role, availability_status, last_auto_assigned_at);
+
+-- Open-ticket load per member
+CREATE INDEX IF NOT EXISTS idx_ticket_members_user_id ON ticket_members(user_id);
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ SMART ASSIGNMENT SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'users Columns Added:';
+  RAISE NOTICE '  ✅ availability_status';
+  RAISE NOTICE '  ✅ last_auto_assigned_at';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,68 @@
+-- =============================================
+-- ADD TICKET EVENTS (ACTIVITY / AUDIT TIMELINE)
+-- =============================================
+-- This script adds an append-only log of everything that happens to a ticket
+-- (status, priority, points, members, payment stages)
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+-- Create the ticket_events table
+CREATE TABLE IF NOT EXISTS ticket_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  ticket_id UUID REFERENCES tickets(id) ON DELETE CASCADE NOT NULL,
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  event_type TEXT NOT NULL,
+  old_value JSONB,
+  new_value JSONB,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  client_visible BOOLEAN DEFAULT false NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_ticket_events_ticket_created ON ticket_events(ticket_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ticket_events_actor ON ticket_events(actor_id);
+CREATE INDEX IF NOT EXISTS idx_ticket_events_type ON ticket_events(event_type);
+
+-- Enable RLS
+ALTER TABLE ticket_events ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Members see events for their tickets (clients only the client-visible ones)
+CREATE POLICY "Members can view ticket events"
+ON ticket_events FOR SELECT
+USING (
+  EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+  )
+  OR
+  EXISTS (
+    SELECT 1 FROM ticket_members tmem
+    JOIN users u ON u.id = tmem.user_id
+    WHERE tmem.ticket_id = ticket_events.ticket_id
+    AND tmem.user_id = auth.uid()
+    AND (u.role <> 'client' OR ticket_events.client_visible = true)
+  )
+);
+
+-- Events are written by the backend (service role) only
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ TICKET EVENTS SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Table Created:';
+  RAISE NOTICE '  ✅ ticket_events';
+  RAISE NOTICE '';
+  RAISE NOTICE 'Indexes Created:';
+  RAISE NOTICE '  ✅ idx_ticket_events_ticket_created';
+  RAISE NOTICE '  ✅ idx_ticket_events_actor';
+  RAISE NOTICE '  ✅ idx_ticket_events_type';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,51 @@
+-- =============================================
+-- ADD TICKET LAST MESSAGES FUNCTION
+-- =============================================
+-- Latest message of many tickets in one query (ticket list previews),
+-- instead of one "order by created_at desc limit 1" query per ticket.
+-- Runs as the caller, so RLS still applies outside the service role.
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_ticket_messages_ticket_created
+  ON ticket_messages(ticket_id, created_at DESC);
+
+CREATE OR REPLACE FUNCTION get_last_ticket_messages(
+  ticket_ids UUID[],
+  include_internal BOOLEAN DEFAULT true
+)
+RETURNS TABLE (
+  ticket_id UUID,
+  message TEXT,
+  message_type VARCHAR,
+  message_mode VARCHAR,
+  sender_id UUID,
+  created_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT DISTINCT ON (m.ticket_id)
+    m.ticket_id, m.message, m.message_type::VARCHAR, m.message_mode::VARCHAR, m.sender_id, m.created_at
+  FROM ticket_messages m
+  WHERE m.ticket_id = ANY(ticket_ids)
+    AND (include_internal OR m.message_mode IS DISTINCT FROM 'internal')
+  ORDER BY m.ticket_id, m.created_at DESC;
+$$;
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ TICKET LAST MESSAGES FUNCTION CREATED!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Function:';
+  RAISE NOTICE '  ✅ get_last_ticket_messages(ticket_ids, include_internal)';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,82 @@
+-- =============================================
+-- ADD ATOMIC TICKET NUMBER COUNTER
+-- =============================================
+-- Replaces "read latest ticket_number + 1" with an atomic counter so two
+-- tickets created at the same moment can never get the same number.
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+-- Counter rows (one per numbering scheme, e.g. 'ticket_number')
+CREATE TABLE IF NOT EXISTS ticket_counters (
+  name TEXT PRIMARY KEY,
+  value BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE ticket_counters ENABLE ROW LEVEL SECURITY;
+-- No policies: only the backend (service role) touches counters
+
+-- Seed the counter from the highest existing ticket number
+INSERT INTO ticket_counters (name, value)
+SELECT 'ticket_number', COALESCE(MAX((substring(ticket_number FROM '(\d+)\s*$'))::BIGINT), 0)
+FROM tickets
+WHERE ticket_number ~ '\d+\s*$'
+ON CONFLICT (name) DO UPDATE
+SET value = GREATEST(ticket_counters.value, EXCLUDED.value),
+    updated_at = NOW();
+
+-- Atomically increment and return the next value (row lock = no races)
+CREATE OR REPLACE FUNCTION next_ticket_counter(counter_name TEXT DEFAULT 'ticket_number')
+RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  next_value BIGINT;
+BEGIN
+  INSERT INTO ticket_counters (name, value)
+  VALUES (counter_name, 1)
+  ON CONFLICT (name) DO UPDATE
+  SET value = ticket_counters.value + 1,
+      updated_at = NOW()
+  RETURNING value INTO next_value;
+
+  RETURN next_value;
+END;
+$$;
+
+-- Enforce uniqueness once existing duplicates are repaired
+-- (POST /api/admin/tickets/repair-numbers, then re-run this script)
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT ticket_number FROM tickets
+    GROUP BY ticket_number HAVING COUNT(*) > 1
+  ) THEN
+    RAISE NOTICE '⚠️ Duplicate ticket numbers exist - unique index NOT created.';
+    RAISE NOTICE '   Run POST /api/admin/tickets/repair-numbers and re-run this script.';
+  ELSE
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_tickets_ticket_number_unique ON tickets(ticket_number);
+    RAISE NOTICE '✅ Unique index on tickets.ticket_number in place';
+  END IF;
+END $$;
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ TICKET NUMBER COUNTER SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Table Created:';
+  RAISE NOTICE '  ✅ ticket_counters';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Function:';
+  RAISE NOTICE '  ✅ next_ticket_counter(counter_name)';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,64 @@
+-- =============================================
+-- ADD TICKET PAYMENTS LEDGER
+-- =============================================
+-- Records payments received against tickets (optionally against a payment
+-- stage). Amounts due live on each stage in tickets.payment_stages.
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS ticket_payments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  ticket_id UUID REFERENCES tickets(id) ON DELETE CASCADE NOT NULL,
+  stage_key TEXT,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  currency TEXT DEFAULT 'INR' NOT NULL,
+  method TEXT NOT NULL DEFAULT 'other'
+    CHECK (method IN ('upi', 'bank_transfer', 'cash', 'card', 'cheque', 'other')),
+  reference TEXT,
+  notes TEXT,
+  paid_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+  receipt_number TEXT UNIQUE,
+  recorded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  voided_at TIMESTAMP WITH TIME ZONE,
+  voided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  void_reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_payments_ticket ON ticket_payments(ticket_id, paid_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ticket_payments_stage ON ticket_payments(ticket_id, stage_key);
+
+ALTER TABLE ticket_payments ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: admins and ticket members can view payments
+CREATE POLICY "Members can view ticket payments"
+ON ticket_payments FOR SELECT
+USING (
+  EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin'
+  )
+  OR
+  EXISTS (
+    SELECT 1 FROM ticket_members tmem
+    WHERE tmem.ticket_id = ticket_payments.ticket_id
+    AND tmem.user_id = auth.uid()
+  )
+);
+
+-- Payments are recorded by the backend (service role) only
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ TICKET PAYMENTS LEDGER SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Table Created:';
+  RAISE NOTICE '  ✅ ticket_payments';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,61 @@
+-- =============================================
+-- ADD TICKET PINS
+-- =============================================
+-- Pinned messages and files per ticket.
+--   ticket_pins - pin_type 'message' (message_id) or 'file' (file_id),
+--                 message_mode decides visibility (clients: 'client' only)
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS ticket_pins (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  ticket_id UUID REFERENCES tickets(id) ON DELETE CASCADE NOT NULL,
+  pin_type VARCHAR(20) NOT NULL CHECK (pin_type IN ('message', 'file')),
+  message_id UUID REFERENCES ticket_messages(id) ON DELETE CASCADE,
+  file_id UUID REFERENCES ticket_files(id) ON DELETE CASCADE,
+  message_mode VARCHAR(20) NOT NULL DEFAULT 'client' CHECK (message_mode IN ('client', 'internal')),
+  note TEXT,
+  pinned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  pinned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (
+    (pin_type = 'message' AND message_id IS NOT NULL AND file_id IS NULL)
+    OR (pin_type = 'file' AND file_id IS NOT NULL AND message_id IS NULL)
+  )
+);
+
+-- Each message / file can be pinned once per ticket
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ticket_pins_message_unique ON ticket_pins(ticket_id, message_id) WHERE message_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ticket_pins_file_unique ON ticket_pins(ticket_id, file_id) WHERE file_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_ticket_pins_ticket ON ticket_pins(ticket_id, pinned_at DESC);
+
+-- Enable RLS (written by the backend with the service role)
+ALTER TABLE ticket_pins ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Members can view visible ticket pins" ON ticket_pins;
+CREATE POLICY "Members can view visible ticket pins"
+ON ticket_pins FOR SELECT
+USING (
+  EXISTS (
+    SELECT 1 FROM ticket_members tm
+    JOIN users u ON u.id = tm.user_id
+    WHERE tm.ticket_id = ticket_pins.ticket_id
+    AND tm.user_id = (select auth.uid())
+    AND (ticket_pins.message_mode = 'client' OR u.role <> 'client')
+  )
+);
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ TICKET PINS SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Table Created:';
+  RAISE NOTICE '  ✅ ticket_pins';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
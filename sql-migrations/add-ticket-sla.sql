@@ -0,0 +1,46 @@
+-- =============================================
+-- ADD TICKET SLA / DUE DATE TRACKING
+-- =============================================
+-- Adds due dates, time-in-status tracking and SLA alert bookkeeping to tickets
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+-- Due date (manual, or derived from priority + project_type)
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS due_date TIMESTAMP WITH TIME ZONE;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS due_date_source TEXT DEFAULT 'sla'
+  CHECK (due_date_source IN ('manual', 'sla'));
+
+-- Time spent in each status: { "Ongoing": 86400, ... } (seconds)
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS status_durations JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE;
+
+-- When the SLA sweep last alerted (cleared whenever the due date changes)
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS sla_at_risk_notified_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS sla_breached_notified_at TIMESTAMP WITH TIME ZONE;
+
+-- Existing tickets: start the status clock from their last update
+UPDATE tickets
+SET status_changed_at = COALESCE(updated_at, created_at)
+WHERE status_changed_at IS NULL;
+
+-- Index for the SLA sweep (open tickets with a due date)
+CREATE INDEX IF NOT EXISTS idx_tickets_due_date ON tickets(due_date)
+  WHERE due_date IS NOT NULL;
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ TICKET SLA TRACKING SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'Columns added to tickets:';
+  RAISE NOTICE '  - due_date, due_date_source';
+  RAISE NOTICE '  - status_durations, status_changed_at';
+  RAISE NOTICE '  - sla_at_risk_notified_at, sla_breached_notified_at';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,40 @@
+-- =============================================
+-- ADD TWO-FACTOR AUTHENTICATION
+-- =============================================
+-- TOTP 2FA for admin and employee accounts. Secrets are stored encrypted
+-- by the backend; backup codes are stored as sha256 hashes only.
+-- two_factor_required lets an admin enforce 2FA per user (whole roles can
+-- be enforced with the TWO_FACTOR_REQUIRED_ROLES env var).
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT false NOT NULL,
+ADD COLUMN IF NOT EXISTS two_factor_required BOOLEAN DEFAULT false NOT NULL,
+ADD COLUMN IF NOT EXISTS two_factor_secret TEXT,
+ADD COLUMN IF NOT EXISTS two_factor_pending_secret TEXT,
+ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS two_factor_last_counter BIGINT,
+ADD COLUMN IF NOT EXISTS two_factor_backup_codes JSONB DEFAULT '[]'::jsonb NOT NULL;
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ TWO-FACTOR AUTH SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Columns Added:';
+  RAISE NOTICE '  ✅ users.two_factor_enabled';
+  RAISE NOTICE '  ✅ users.two_factor_required';
+  RAISE NOTICE '  ✅ users.two_factor_secret';
+  RAISE NOTICE '  ✅ users.two_factor_pending_secret';
+  RAISE NOTICE '  ✅ users.two_factor_enabled_at';
+  RAISE NOTICE '  ✅ users.two_factor_last_counter';
+  RAISE NOTICE '  ✅ users.two_factor_backup_codes';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,39 @@
+-- =============================================
+-- ADD USER DEACTIVATION (SOFT DELETE)
+-- =============================================
+-- DELETE /api/admin/users/:userId now deactivates instead of deleting,
+-- so messages, ticket memberships and history keep their author.
+--   deactivated_at      - set: can't log in, hidden from user pickers
+--   deactivated_by      - admin who deactivated the user
+--   deactivation_reason - optional note from the admin
+--   anonymized_at       - personal data erased (irreversible, see
+--                         POST /api/admin/users/:userId/anonymize)
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS deactivated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS deactivation_reason TEXT,
+ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP WITH TIME ZONE;
+
+-- Most queries only want active users
+CREATE INDEX IF NOT EXISTS idx_users_deactivated_at ON users(deactivated_at)
+WHERE deactivated_at IS NOT NULL;
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ USER DEACTIVATION SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'users Columns Added:';
+  RAISE NOTICE '  ✅ deactivated_at, deactivated_by, deactivation_reason';
+  RAISE NOTICE '  ✅ anonymized_at';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,91 @@
+-- =============================================
+-- ADD USER DIRECTORY FUNCTIONS
+-- =============================================
+-- Moves the user directory's ticket lookups into SQL:
+--   has_open_tickets(users)   - computed column, so hasOpenTickets filters with
+--                               an EXISTS subquery instead of long id lists
+--   get_user_directory_stats  - ticket counts and last message time for a page
+--                               of users in one call
+-- Closed statuses match SLA_CLOSED_STATUSES in utils/ticketSla.js.
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_tickets_created_by ON tickets(created_by);
+CREATE INDEX IF NOT EXISTS idx_ticket_members_user_id ON ticket_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_ticket_messages_sender_created ON ticket_messages(sender_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_sender_created ON chat_messages(sender_id, created_at DESC);
+
+-- Usable as a column: /users?has_open_tickets=eq.true
+CREATE OR REPLACE FUNCTION has_open_tickets(users)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM tickets t
+    WHERE t.created_by = $1.id
+      AND t.status NOT IN ('Completed', 'Closed')
+  )
+  OR EXISTS (
+    SELECT 1
+    FROM ticket_members tm
+    JOIN tickets t ON t.id = tm.ticket_id
+    WHERE tm.user_id = $1.id
+      AND t.status NOT IN ('Completed', 'Closed')
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION get_user_directory_stats(
+  user_ids UUID[],
+  closed_statuses TEXT[] DEFAULT ARRAY['Completed', 'Closed']
+)
+RETURNS TABLE (
+  user_id UUID,
+  total_tickets BIGINT,
+  open_tickets BIGINT,
+  last_message_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  WITH user_tickets AS (
+    SELECT t.created_by AS user_id, t.id AS ticket_id
+    FROM tickets t
+    WHERE t.created_by = ANY(user_ids)
+    UNION
+    SELECT tm.user_id, tm.ticket_id
+    FROM ticket_members tm
+    WHERE tm.user_id = ANY(user_ids)
+  )
+  SELECT
+    u.id,
+    COUNT(t.id),
+    COUNT(t.id) FILTER (WHERE t.status IS NULL OR t.status <> ALL(closed_statuses)),
+    GREATEST(
+      (SELECT MAX(m.created_at) FROM ticket_messages m WHERE m.sender_id = u.id),
+      (SELECT MAX(c.created_at) FROM chat_messages c WHERE c.sender_id = u.id)
+    )
+  FROM unnest(user_ids) AS u(id)
+  LEFT JOIN user_tickets ut ON ut.user_id = u.id
+  LEFT JOIN tickets t ON t.id = ut.ticket_id
+  GROUP BY u.id;
+$$;
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ USER DIRECTORY FUNCTIONS CREATED!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Functions:';
+  RAISE NOTICE '  ✅ has_open_tickets(users)';
+  RAISE NOTICE '  ✅ get_user_directory_stats(user_ids, closed_statuses)';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,45 @@
+-- =============================================
+-- ADD USER DIRECTORY SUPPORT
+-- =============================================
+-- GET /api/admin/users/directory filters and sorts on last activity.
+--   last_active_at - updated when a session is created, refreshed or seen
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS last_active_at TIMESTAMP WITH TIME ZONE;
+
+-- Backfill from existing sessions
+UPDATE users u
+SET last_active_at = s.last_seen_at
+FROM (
+  SELECT user_id, MAX(last_seen_at) AS last_seen_at
+  FROM user_sessions
+  GROUP BY user_id
+) s
+WHERE s.user_id = u.id
+  AND u.last_active_at IS NULL;
+
+-- Directory filters / sorting
+CREATE INDEX IF NOT EXISTS idx_users_last_active_at ON users(last_active_at DESC);
+CREATE INDEX IF NOT EXISTS idx_users_department ON users(department);
+CREATE INDEX IF NOT EXISTS idx_users_approval_status ON users(approval_status);
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ USER DIRECTORY SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'users Columns Added:';
+  RAISE NOTICE '  ✅ last_active_at (backfilled from user_sessions)';
+  RAISE NOTICE '';
+  RAISE NOTICE 'Indexes Added:';
+  RAISE NOTICE '  ✅ last_active_at, department, approval_status';
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,51 @@
+-- =============================================
+-- ADD USER SESSIONS
+-- =============================================
+-- Server-side login sessions. Access tokens are short-lived and carry the
+-- session id (sid); a session can be revoked by the user (device list) or
+-- by an admin (force logout), which also cuts off refresh and sockets.
+-- Refresh tokens are stored hashed (sha256) and rotated on every refresh.
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash TEXT NOT NULL,
+  previous_refresh_token_hash TEXT,
+  rotated_at TIMESTAMP WITH TIME ZONE,
+  device_name TEXT,
+  user_agent TEXT,
+  ip_address TEXT,
+  remember_me BOOLEAN DEFAULT false NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  revoke_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_active ON user_sessions(user_id, last_seen_at DESC)
+  WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires ON user_sessions(expires_at);
+
+-- Backend (service role) only - no policies for regular users
+ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ USER SESSIONS SETUP COMPLETE!';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '';
+  RAISE NOTICE 'New Table Created:';
+  RAISE NOTICE '  ✅ user_sessions';
+  RAISE NOTICE '';
+  RAISE NOTICE 'Existing 90-day tokens must refresh once to get a session.';
+  RAISE NOTICE '========================================';
+END $$;
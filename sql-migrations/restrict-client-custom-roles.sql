@@ -0,0 +1,37 @@
+-- =============================================
+-- RESTRICT CLIENT-BASED CUSTOM ROLES
+-- =============================================
+-- Client visibility is still decided by role = 'client', so a custom role
+-- based on "client" would see internal messages, pins and reactions.
+-- New custom roles may not use base_role 'client' (the built-in client role
+-- itself is unaffected). Existing rows are listed below for review.
+-- Run this in your Supabase SQL Editor
+-- =============================================
+
+ALTER TABLE roles DROP CONSTRAINT IF EXISTS roles_custom_not_client_base;
+ALTER TABLE roles
+ADD CONSTRAINT roles_custom_not_client_base
+CHECK (is_system OR base_role <> 'client') NOT VALID;
+
+-- =============================================
+-- SUCCESS MESSAGE
+-- =============================================
+DO $$
+DECLARE
+  existing_roles TEXT;
+BEGIN
+  SELECT string_agg(name, ', ') INTO existing_roles
+  FROM roles
+  WHERE NOT is_system AND base_role = 'client';
+
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✅ CLIENT-BASED CUSTOM ROLES RESTRICTED!';
+  RAISE NOTICE '========================================';
+  IF existing_roles IS NOT NULL THEN
+    RAISE NOTICE '';
+    RAISE NOTICE '⚠️ Existing client-based custom roles (move their users to "client"): %', existing_roles;
+  END IF;
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,224 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import { getClientIp } from "./authRateLimit.js";
+import { fetchAllPages } from "./queryPaging.js";
+
+/**
+ * Admin Audit Log
+ * Records admin / user-management operations in admin_actions: who did it,
+ * to whom, what changed (before/after per field), from which IP and when.
+ *
+ * admin_actions columns: admin_id, action_type, target_user_id, target_type,
+ * target_id, changes ({ field: { before, after } }), details, ip_address,
+ * user_agent, created_at
+ */
+
+// Never copied into the log
+const REDACTED_FIELDS = [
+  "password",
+  "password_hash",
+  "password_setup_token",
+  "password_setup_token_expiry",
+  "two_factor_secret",
+  "two_factor_pending_secret",
+  "two_factor_backup_codes",
+  "otp_hash",
+];
+
+const REDACTED = "[redacted]";
+
+// Personal data of the target user, scrubbed when the user is anonymized
+const PERSONAL_FIELDS = ["name", "email", "phone", "department", "profile_picture", "user_name", "user_email"];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field-level diff between two snapshots
+ * @param {Object} before - State before the change (null for creations)
+ * @param {Object} after - State after the change (null for deletions)
+ * @returns {Object|null} { field: { before, after } } or null when nothing changed
+ */
+export const diffChanges = (before, after) => {
+  const oldState = before || {};
+  const newState = after || {};
+  const fields = new Set([...Object.keys(oldState), ...Object.keys(newState)]);
+  const changes = {};
+
+  fields.forEach((field) => {
+    if (sameValue(oldState[field], newState[field])) return;
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { before: REDACTED, after: REDACTED }
+      : { before: oldState[field] ?? null, after: newState[field] ?? null };
+  });
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Write an audit entry. Never throws - a failed log must not fail the action.
+ * @param {Object} params
+ * @param {Object} params.req - Express request (actor, IP, user agent)
+ * @param {string} params.adminId - Actor (defaults to req.user.id)
+ * @param {string} params.actionType - e.g. "add_user", "update_role"
+ * @param {string} params.targetUserId - Affected user (must still exist)
+ * @param {string} params.targetType - "user", "ticket", "role", ... (default "user" when targetUserId is set)
+ * @param {string} params.targetId - Id of the target (kept even after the target is deleted)
+ * @param {Object} params.before - Snapshot before the change
+ * @param {Object} params.after - Snapshot after the change
+ * @param {Object} params.details - Extra context
+ */
+export const logAdminAction = async ({
+  req,
+  adminId,
+  actionType,
+  targetUserId = null,
+  targetType = null,
+  targetId = null,
+  before = null,
+  after = null,
+  details = {},
+}) => {
+  try {
+    const { error } = await supabaseAdmin.from("admin_actions").insert([
+      {
+        admin_id: adminId || req?.user?.id || null,
+        action_type: actionType,
+        target_user_id: targetUserId,
+        target_type: targetType || (targetUserId ? "user" : null),
+        target_id: targetId || targetUserId,
+        changes: before || after ? diffChanges(before, after) : null,
+        details,
+        ip_address: req ? getClientIp(req) : null,
+        user_agent: req?.headers?.["user-agent"] || null,
+      },
+    ]);
+
+    if (error) {
+      console.error(`❌ Error writing audit log (${actionType}):`, error);
+    }
+  } catch (error) {
+    console.error(`❌ Error writing audit log (${actionType}):`, error);
+  }
+};
+
+const collectEmail = (value, emails) => {
+  if (typeof value === "string" && value.includes("@")) emails.add(value.trim().toLowerCase());
+};
+
+const redactDetails = (details, emails) => {
+  if (!details || typeof details !== "object") return details;
+
+  return Object.fromEntries(
+    Object.entries(details).map(([key, value]) => {
+      if (!PERSONAL_FIELDS.includes(key) || value === null || value === undefined) return [key, value];
+      collectEmail(value, emails);
+      return [key, REDACTED];
+    })
+  );
+};
+
+const redactChanges = (changes, emails) => {
+  if (!changes || typeof changes !== "object") return changes;
+
+  return Object.fromEntries(
+    Object.entries(changes).map(([field, diff]) => {
+      if (!PERSONAL_FIELDS.includes(field)) return [field, diff];
+      collectEmail(diff?.before, emails);
+      collectEmail(diff?.after, emails);
+      return [field, { before: REDACTED, after: REDACTED }];
+    })
+  );
+};
+
+/**
+ * Scrub a user's personal data from the audit entries about them (anonymization).
+ * Entries are kept; personal fields in details / changes become [redacted].
+ * @param {string} userId - Anonymized user
+ * @returns {Promise<Object>} { redacted, emails } - entries changed, emails found in them
+ */
+export const redactUserAuditEntries = async (userId) => {
+  const entries = await fetchAllPages(() =>
+    supabaseAdmin
+      .from("admin_actions")
+      .select("id, changes, details")
+      .or(`target_user_id.eq.${userId},target_id.eq.${userId}`)
+      .order("id", { ascending: true })
+  );
+
+  const emails = new Set();
+  let redacted = 0;
+
+  for (const entry of entries) {
+    const details = redactDetails(entry.details, emails);
+    const changes = redactChanges(entry.changes, emails);
+
+    if (sameValue(details, entry.details) && sameValue(changes, entry.changes)) continue;
+
+    const { error } = await supabaseAdmin
+      .from("admin_actions")
+      .update({ details, changes })
+      .eq("id", entry.id);
+
+    if (error) throw error;
+    redacted++;
+  }
+
+  return { redacted, emails: [...emails] };
+};
+
+/**
+ * CSV cell, quoted when needed
+ * Text starting with =, +, -, @, tab or CR is prefixed with ' so spreadsheet
+ * apps don't run it as a formula (names, user agents etc. are user-controlled).
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (typeof value !== "number" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV export of audit entries (rows from admin_actions joined with admin / target)
+ * @returns {string}
+ */
+export const buildAuditCsv = (entries) => {
+  const header = [
+    "Timestamp",
+    "Action",
+    "Admin Name",
+    "Admin Email",
+    "Target Type",
+    "Target ID",
+    "Target Name",
+    "Target Email",
+    "Changes",
+    "Details",
+    "IP Address",
+    "User Agent",
+  ];
+
+  const rows = entries.map((entry) => [
+    entry.created_at,
+    entry.action_type,
+    entry.admin?.name,
+    entry.admin?.email,
+    entry.target_type,
+    entry.target_id || entry.target_user_id,
+    entry.target?.name,
+    entry.target?.email,
+    entry.changes,
+    entry.details,
+    entry.ip_address,
+    entry.user_agent,
+  ]);
+
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n");
+};
+
+export default {
+  diffChanges,
+  logAdminAction,
+  redactUserAuditEntries,
+  buildAuditCsv,
+};
@@ -0,0 +1,262 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import { getOTPMaxAttempts } from "./otp.js";
+import { errorResponse } from "./responses.js";
+
+/**
+ * Auth Rate Limiting
+ * Per-email and per-IP attempt counters with progressive lockouts.
+ * Counters live in auth_rate_limits so they hold across serverless instances.
+ *
+ * Row key: "<scope>:<value>:<action>", e.g. "email:a@b.com:login", "ip:1.2.3.4:otp_verify"
+ */
+
+/**
+ * Limited actions (endpoints sharing an action share the counter)
+ */
+export const AUTH_ACTIONS = {
+  LOGIN: "login", // loginWithPassword, adminLogin
+  OTP_SEND: "otp_send", // sendOTP, forgotPassword
+  OTP_VERIFY: "otp_verify", // verifyOTPController, verifyResetOTP
+  TWO_FACTOR: "2fa_verify", // 2FA login / enrollment codes (keyed by user id)
+};
+
+/**
+ * Limits from env
+ * - AUTH_MAX_FAILURES_PER_EMAIL (default 5) / AUTH_MAX_FAILURES_PER_IP (default 20)
+ * - OTP_SEND_LIMIT_PER_EMAIL (default 5) / OTP_SEND_LIMIT_PER_IP (default 20)
+ * - AUTH_FAILURE_WINDOW_MINUTES (default 15): counters reset after this much quiet time
+ * - AUTH_LOCKOUT_BASE_MINUTES (default 15): first lockout, doubled on each repeat
+ * - AUTH_LOCKOUT_MAX_MINUTES (default 1440): lockout cap
+ */
+export const getAuthLimitConfig = () => {
+  const num = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+  return {
+    maxPerEmail: num("AUTH_MAX_FAILURES_PER_EMAIL", 5),
+    maxPerIp: num("AUTH_MAX_FAILURES_PER_IP", 20),
+    sendPerEmail: num("OTP_SEND_LIMIT_PER_EMAIL", 5),
+    sendPerIp: num("OTP_SEND_LIMIT_PER_IP", 20),
+    windowMinutes: num("AUTH_FAILURE_WINDOW_MINUTES", 15),
+    lockoutBaseMinutes: num("AUTH_LOCKOUT_BASE_MINUTES", 15),
+    lockoutMaxMinutes: num("AUTH_LOCKOUT_MAX_MINUTES", 24 * 60),
+  };
+};
+
+/**
+ * Lockout length for the nth lockout (1-based): base * 2^(n-1), capped
+ */
+export const getLockoutMinutes = (lockoutCount, config = getAuthLimitConfig()) =>
+  Math.min(config.lockoutBaseMinutes * 2 ** Math.max(0, lockoutCount - 1), config.lockoutMaxMinutes);
+
+/**
+ * Express "trust proxy" hop count (TRUST_PROXY_HOPS, default 1 for the Render/Vercel edge)
+ * Only hops appended by our own proxies are trusted; anything further left in
+ * X-Forwarded-For is client-supplied and ignored. Set 0 when not behind a proxy.
+ */
+export const getTrustProxyHops = () => {
+  const hops = parseInt(process.env.TRUST_PROXY_HOPS, 10);
+  return Number.isInteger(hops) && hops >= 0 ? hops : 1;
+};
+
+/**
+ * Client IP, as resolved by Express from the trusted proxy hops (see getTrustProxyHops)
+ */
+export const getClientIp = (req) => req.ip || req.socket?.remoteAddress || "unknown";
+
+const normalizeIdentifier = (identifier) => String(identifier || "").trim().toLowerCase();
+
+const buildKeys = (action, identifier, ip) =>
+  [
+    identifier ? { key: `email:${normalizeIdentifier(identifier)}:${action}`, scope: "email" } : null,
+    ip ? { key: `ip:${ip}:${action}`, scope: "ip" } : null,
+  ].filter(Boolean);
+
+const getLimit = (action, scope, config) => {
+  if (action === AUTH_ACTIONS.OTP_SEND) {
+    return scope === "email" ? config.sendPerEmail : config.sendPerIp;
+  }
+  return scope === "email" ? config.maxPerEmail : config.maxPerIp;
+};
+
+/**
+ * Check whether an attempt is allowed right now
+ * @param {Object} params
+ * @param {string} params.action - One of AUTH_ACTIONS
+ * @param {string} params.identifier - Email (or user id when no email is posted)
+ * @param {string} params.ip - Client IP
+ * @returns {Promise<Object>} { allowed, retryAfterSeconds, scope }
+ */
+export const checkAuthLimit = async ({ action, identifier, ip }) => {
+  const keys = buildKeys(action, identifier, ip);
+
+  const { data: rows, error } = await supabaseAdmin
+    .from("auth_rate_limits")
+    .select("key, scope, locked_until")
+    .in("key", keys.map((k) => k.key));
+
+  // Fail open - a broken limiter must not lock everyone out
+  if (error) {
+    console.error("❌ Auth rate limit check failed:", error);
+    return { allowed: true, retryAfterSeconds: 0, scope: null };
+  }
+
+  const now = Date.now();
+  const locked = (rows || [])
+    .filter((row) => row.locked_until && new Date(row.locked_until).getTime() > now)
+    .sort((a, b) => new Date(b.locked_until) - new Date(a.locked_until))[0];
+
+  if (!locked) return { allowed: true, retryAfterSeconds: 0, scope: null };
+
+  return {
+    allowed: false,
+    retryAfterSeconds: Math.ceil((new Date(locked.locked_until).getTime() - now) / 1000),
+    scope: locked.scope,
+  };
+};
+
+/**
+ * Count an attempt (a failure, or a send for OTP_SEND) and lock the key
+ * once it goes over its limit. Each lockout is longer than the previous one.
+ * Counting happens in record_auth_attempt() so parallel attempts can't race.
+ * @returns {Promise<Object>} { locked, retryAfterSeconds }
+ */
+export const recordAuthAttempt = async ({ action, identifier, ip }) => {
+  const config = getAuthLimitConfig();
+  const keys = buildKeys(action, identifier, ip);
+  let retryAfterSeconds = 0;
+
+  for (const { key, scope } of keys) {
+    const { data, error } = await supabaseAdmin.rpc("record_auth_attempt", {
+      attempt_key: key,
+      attempt_scope: scope,
+      attempt_action: action,
+      attempt_identifier: scope === "email" ? normalizeIdentifier(identifier) : ip,
+      max_attempts: getLimit(action, scope, config),
+      window_minutes: config.windowMinutes,
+      lockout_base_minutes: config.lockoutBaseMinutes,
+      lockout_max_minutes: config.lockoutMaxMinutes,
+    });
+
+    if (error) {
+      console.error("❌ Error recording auth attempt:", error);
+      continue;
+    }
+
+    const counter = Array.isArray(data) ? data[0] : data;
+    if (!counter?.locked_now) continue;
+
+    const seconds = Math.max(0, Math.ceil((new Date(counter.locked_until).getTime() - Date.now()) / 1000));
+    retryAfterSeconds = Math.max(retryAfterSeconds, seconds);
+
+    console.log(
+      `🔒 Auth lockout: ${key} for ${getLockoutMinutes(counter.lockout_count, config)} minutes (lockout #${counter.lockout_count})`
+    );
+  }
+
+  return { locked: retryAfterSeconds > 0, retryAfterSeconds };
+};
+
+/**
+ * Reset the per-email counter after a successful attempt
+ * (IP counters are left to expire so one valid account can't reset a spraying IP)
+ */
+export const clearAuthAttempts = async ({ action, identifier }) => {
+  if (!identifier) return;
+
+  await supabaseAdmin
+    .from("auth_rate_limits")
+    .delete()
+    .eq("key", `email:${normalizeIdentifier(identifier)}:${action}`);
+};
+
+/**
+ * Remove every counter and lockout for the given emails / IPs (admin unlock)
+ * @param {Object} params
+ * @param {string[]} params.identifiers - Emails / user ids
+ * @param {string[]} params.ips - IP addresses
+ * @returns {Promise<number>} Rows removed
+ */
+export const unlockAuth = async ({ identifiers = [], ips = [] }) => {
+  const filters = [
+    ...identifiers.filter(Boolean).map((id) => `and(scope.eq.email,identifier.eq.${JSON.stringify(normalizeIdentifier(id))})`),
+    ...ips.filter(Boolean).map((ip) => `and(scope.eq.ip,identifier.eq.${JSON.stringify(String(ip))})`),
+  ];
+
+  if (filters.length === 0) return 0;
+
+  const { data, error } = await supabaseAdmin
+    .from("auth_rate_limits")
+    .delete()
+    .or(filters.join(","))
+    .select("key");
+
+  if (error) throw error;
+  return data?.length || 0;
+};
+
+/**
+ * Send a 429 with Retry-After
+ */
+export const sendRateLimited = (res, retryAfterSeconds, message) => {
+  const minutes = Math.max(1, Math.ceil(retryAfterSeconds / 60));
+  res.setHeader("Retry-After", String(retryAfterSeconds));
+  return errorResponse(
+    res,
+    message || `Too many attempts. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+    429,
+    { retryAfterSeconds }
+  );
+};
+
+/**
+ * Count a wrong code against an OTP record; invalidates it at OTP_MAX_ATTEMPTS
+ * (record_otp_failure() increments in SQL, so parallel guesses all count)
+ * @param {Object} otpRecord - otp_verifications row
+ * @returns {Promise<Object>} { attemptsLeft, invalidated }
+ */
+export const recordOTPFailure = async (otpRecord) => {
+  const maxAttempts = getOTPMaxAttempts();
+
+  const { data, error } = await supabaseAdmin.rpc("record_otp_failure", {
+    otp_id: otpRecord.id,
+    max_attempts: maxAttempts,
+  });
+
+  if (error) {
+    console.error("❌ Error recording OTP failure:", error);
+    return { attemptsLeft: Math.max(0, maxAttempts - (otpRecord.attempts || 0) - 1), invalidated: false };
+  }
+
+  const counter = Array.isArray(data) ? data[0] : data;
+  const attempts = counter?.attempts ?? (otpRecord.attempts || 0) + 1;
+
+  return { attemptsLeft: Math.max(0, maxAttempts - attempts), invalidated: !!counter?.invalidated };
+};
+
+/**
+ * Invalidate a user's outstanding codes before issuing a new one
+ * (stops attackers spreading guesses across several live codes)
+ */
+export const invalidatePendingOTPs = async (userId) => {
+  await supabaseAdmin
+    .from("otp_verifications")
+    .update({ invalidated_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .eq("verified", false)
+    .is("invalidated_at", null);
+};
+
+export default {
+  AUTH_ACTIONS,
+  getAuthLimitConfig,
+  getLockoutMinutes,
+  getTrustProxyHops,
+  getClientIp,
+  checkAuthLimit,
+  recordAuthAttempt,
+  clearAuthAttempts,
+  unlockAuth,
+  sendRateLimited,
+  recordOTPFailure,
+  invalidatePendingOTPs,
+};
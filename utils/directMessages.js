@@ -0,0 +1,260 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import { hasPermission } from "./permissions.js";
+import { isUserDeactivated } from "./userStatus.js";
+import { createDirectMessageNotification } from "./notificationHelper.js";
+
+/**
+ * Direct Messages
+ * Private 1:1 conversations between staff (permission "chat.direct").
+ * One direct_conversations row per pair (user_a_id < user_b_id), created on
+ * the first message. Delivery is real-time through each user's `user:${id}`
+ * socket room, so nobody has to join a conversation room.
+ *
+ * Socket events (server -> client): dm:new_message, dm:messages_read, dm:typing
+ */
+
+export const DIRECT_MESSAGE_TYPES = ["text", "file", "image"];
+
+export const DM_MESSAGE_SELECT = `
+  *,
+  sender:users!direct_messages_sender_id_fkey (
+    id,
+    name,
+    email,
+    profile_picture,
+    role
+  )
+`;
+
+/**
+ * Canonical (sorted) pair so each pair has exactly one conversation
+ */
+const orderPair = (userId, otherUserId) =>
+  userId < otherUserId ? [userId, otherUserId] : [otherUserId, userId];
+
+/**
+ * The other participant of a conversation row
+ */
+export const getOtherParticipantId = (conversation, userId) =>
+  conversation.user_a_id === userId ? conversation.user_b_id : conversation.user_a_id;
+
+/**
+ * Check both users may message each other
+ * @returns {Promise<Object>} { sender, recipient } or { error: { status, message } }
+ */
+export const checkDirectMessageAccess = async (senderId, recipientId) => {
+  if (!recipientId) return { error: { status: 400, message: "Recipient is required" } };
+  if (senderId === recipientId) {
+    return { error: { status: 400, message: "You cannot message yourself" } };
+  }
+
+  const { data: users, error } = await supabaseAdmin
+    .from("users")
+    .select("id, name, email, role, profile_picture, approval_status, deactivated_at, anonymized_at")
+    .in("id", [senderId, recipientId]);
+
+  if (error) {
+    console.error("❌ Error fetching direct message participants:", error);
+    return { error: { status: 500, message: "Failed to check recipient" } };
+  }
+
+  const sender = (users || []).find((u) => u.id === senderId);
+  const recipient = (users || []).find((u) => u.id === recipientId);
+
+  if (!sender || !recipient) return { error: { status: 404, message: "User not found" } };
+
+  if (!(await hasPermission(sender.role, "chat.direct"))) {
+    return {
+      error: { status: 403, message: "You do not have permission to send direct messages" },
+    };
+  }
+
+  if (
+    isUserDeactivated(recipient) ||
+    recipient.approval_status !== "approved" ||
+    !(await hasPermission(recipient.role, "chat.direct"))
+  ) {
+    return { error: { status: 403, message: "This user can't receive direct messages" } };
+  }
+
+  return { sender, recipient };
+};
+
+/**
+ * Conversation between two users
+ * @param {boolean} create - Create it when missing
+ * @returns {Promise<Object|null>} direct_conversations row
+ */
+export const getConversation = async (userId, otherUserId, { create = false } = {}) => {
+  const [userA, userB] = orderPair(userId, otherUserId);
+
+  const { data: existing, error } = await supabaseAdmin
+    .from("direct_conversations")
+    .select("*")
+    .eq("user_a_id", userA)
+    .eq("user_b_id", userB)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (existing || !create) return existing || null;
+
+  const { data: created, error: createError } = await supabaseAdmin
+    .from("direct_conversations")
+    .insert([{ user_a_id: userA, user_b_id: userB }])
+    .select("*")
+    .single();
+
+  // Created concurrently by the other side - use that one
+  if (createError?.code === "23505") {
+    return getConversation(userId, otherUserId);
+  }
+  if (createError) throw createError;
+
+  return created;
+};
+
+/**
+ * Save a direct message, push it to both users and notify the recipient
+ * @param {Object} params
+ * @param {Object} params.io - Socket.IO server (optional, for real-time delivery)
+ * @param {string} params.senderId
+ * @param {string} params.recipientId
+ * @param {Object} params.payload - { message, messageType, fileUrl, fileName, fileSize, fileMimeType, replyToId }
+ * @returns {Promise<Object>} { conversation, message } or { error: { status, message } }
+ */
+export const sendDirectMessage = async ({ io, senderId, recipientId, payload = {} }) => {
+  const {
+    message = null,
+    messageType = "text",
+    fileUrl = null,
+    fileName = null,
+    fileSize = null,
+    fileMimeType = null,
+    replyToId = null,
+  } = payload;
+
+  if (!DIRECT_MESSAGE_TYPES.includes(messageType)) {
+    return {
+      error: {
+        status: 400,
+        message: `Invalid message type. Must be one of: ${DIRECT_MESSAGE_TYPES.join(", ")}`,
+      },
+    };
+  }
+  if (messageType === "text" && !String(message || "").trim()) {
+    return { error: { status: 400, message: "Message cannot be empty" } };
+  }
+  if (messageType !== "text" && !fileUrl) {
+    return { error: { status: 400, message: "File URL is required for file messages" } };
+  }
+
+  const { sender, error: accessError } = await checkDirectMessageAccess(senderId, recipientId);
+  if (accessError) return { error: accessError };
+
+  const conversation = await getConversation(senderId, recipientId, { create: true });
+
+  // Replies must point into the same conversation
+  let replyTo = null;
+  if (replyToId) {
+    const { data: reply } = await supabaseAdmin
+      .from("direct_messages")
+      .select("id, sender_id, message, message_type, file_name, is_deleted, created_at")
+      .eq("id", replyToId)
+      .eq("conversation_id", conversation.id)
+      .maybeSingle();
+
+    if (reply) {
+      replyTo = {
+        ...reply,
+        message: reply.is_deleted ? "Message deleted" : reply.message,
+      };
+    }
+  }
+
+  const now = new Date().toISOString();
+  const { data: saved, error } = await supabaseAdmin
+    .from("direct_messages")
+    .insert([
+      {
+        conversation_id: conversation.id,
+        sender_id: senderId,
+        recipient_id: recipientId,
+        message: messageType === "text" ? String(message).trim() : message,
+        message_type: messageType,
+        file_url: fileUrl,
+        file_name: fileName,
+        file_size: fileSize,
+        file_mime_type: fileMimeType,
+        reply_to_message_id: replyTo ? replyTo.id : null,
+      },
+    ])
+    .select(DM_MESSAGE_SELECT)
+    .single();
+
+  if (error) {
+    console.error("❌ Error saving direct message:", error);
+    return { error: { status: 500, message: "Failed to send message" } };
+  }
+
+  await supabaseAdmin
+    .from("direct_conversations")
+    .update({ last_message_at: now })
+    .eq("id", conversation.id);
+
+  const directMessage = { ...saved, reply_to: replyTo };
+
+  if (io) {
+    io.to(`user:${senderId}`).to(`user:${recipientId}`).emit("dm:new_message", {
+      conversationId: conversation.id,
+      message: directMessage,
+    });
+  }
+
+  await createDirectMessageNotification(recipientId, sender, conversation.id, directMessage);
+
+  return { conversation, message: directMessage };
+};
+
+/**
+ * Mark every unread message from the other user as read
+ * @returns {Promise<Array>} IDs of messages marked read
+ */
+export const markConversationRead = async ({ io, userId, otherUserId }) => {
+  const conversation = await getConversation(userId, otherUserId);
+  if (!conversation) return [];
+
+  const readAt = new Date().toISOString();
+  const { data: updated, error } = await supabaseAdmin
+    .from("direct_messages")
+    .update({ is_read: true, read_at: readAt })
+    .eq("conversation_id", conversation.id)
+    .eq("recipient_id", userId)
+    .is("read_at", null)
+    .select("id");
+
+  if (error) throw error;
+
+  const messageIds = (updated || []).map((m) => m.id);
+
+  if (io && messageIds.length > 0) {
+    // Read receipt for the sender, sync for the reader's other devices
+    io.to(`user:${otherUserId}`).to(`user:${userId}`).emit("dm:messages_read", {
+      conversationId: conversation.id,
+      readerId: userId,
+      messageIds,
+      readAt,
+    });
+  }
+
+  return messageIds;
+};
+
+export default {
+  DIRECT_MESSAGE_TYPES,
+  DM_MESSAGE_SELECT,
+  getOtherParticipantId,
+  checkDirectMessageAccess,
+  getConversation,
+  sendDirectMessage,
+  markConversationRead,
+};
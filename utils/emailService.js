@@ -460,6 +460,74 @@ export const sendTicketMessageEmail = async (email, recipientName, ticketDetails
   );
 };
 
+/**
+ * Send payment reminder email (fallback when WhatsApp is unavailable)
+ * @param {string} email - Client email
+ * @param {string} recipientName - Client name
+ * @param {object} ticketDetails - Ticket details (title, ticket_number, uid)
+ * @param {string} stageName - Payment stage display name
+ * @param {string} amountText - Formatted amount due (optional)
+ */
+export const sendPaymentReminderEmail = async (email, recipientName, ticketDetails, stageName, amountText = null) => {
+  const frontendUrl = getFrontendUrl();
+  const ticketLink = `${frontendUrl}/tickets/${ticketDetails.uid}`;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9; }
+        .header { background-color: #4A7EFC; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+        .content { background-color: white; padding: 30px; border-radius: 0 0 5px 5px; }
+        .button { display: inline-block; padding: 15px 40px; background-color: #4A7EFC; color: white !important; text-decoration: none; border-radius: 5px; margin: 20px 0; font-weight: bold; text-align: center; }
+        .ticket-info { background-color: #f0f7ff; border-left: 4px solid #4A7EFC; padding: 15px; margin: 20px 0; border-radius: 3px; }
+        .footer { text-align: center; margin-top: 20px; font-size: 12px; color: #777; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>💰 Payment Reminder</h1>
+        </div>
+        <div class="content">
+          <h2>Hello ${recipientName || "there"}!</h2>
+          <p>This is a gentle reminder that the payment for <strong>${stageName}</strong> is still pending.</p>
+
+          <div class="ticket-info">
+            <p><strong>Ticket:</strong> ${ticketDetails.title}</p>
+            <p><strong>Ticket Number:</strong> ${ticketDetails.ticket_number}</p>
+            ${amountText ? `<p><strong>Amount:</strong> ${amountText}</p>` : ""}
+          </div>
+
+          <p>Kindly complete the payment using the payment details shared earlier and upload the payment screenshot on the ticket.</p>
+
+          <div style="text-align: center;">
+            <a href="${ticketLink}" class="button">View Ticket</a>
+          </div>
+
+          <p>If you have already paid, please ignore this email.</p>
+
+          <p>Best regards,<br>
+          <strong>Medzen Innovations Team</strong></p>
+        </div>
+        <div class="footer">
+          <p>This is an automated message, please do not reply to this email.</p>
+          <p>&copy; 2025 Medzen Innovations. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail(
+    email,
+    `Payment reminder: ${stageName} for ${ticketDetails.title}`,
+    html
+  );
+};
+
 export default {
   sendEmail,
   sendOTPEmail,
@@ -467,4 +535,5 @@ export default {
   sendWelcomeEmail,
   sendPasswordSetupEmail,
   sendTicketMessageEmail,
+  sendPaymentReminderEmail,
 };
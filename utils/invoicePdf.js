@@ -0,0 +1,163 @@
+import PDFDocument from "pdfkit";
+
+/**
+ * Invoice PDF
+ * Renders ticket invoices and payment receipts
+ */
+
+const COMPANY_NAME = "Medzen Innovations";
+const HEADER_COLOR = "#4F81BD";
+
+/**
+ * Format an amount with its currency code (standard PDF fonts have no ₹ glyph)
+ */
+const formatMoney = (amount, currency) =>
+  amount === null || amount === undefined
+    ? "-"
+    : `${currency} ${Number(amount).toLocaleString("en-IN", {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    })}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+/**
+ * Draw a simple table row
+ */
+const drawRow = (doc, y, columns, { bold = false } = {}) => {
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+  columns.forEach(({ text, x, width, align = "left" }) => {
+    doc.text(String(text), x, y, { width, align });
+  });
+  return y + 20;
+};
+
+/**
+ * Generate an invoice (all stages + balance) or a receipt (single payment)
+ * @param {Object} params
+ * @param {string} params.type - "invoice" or "receipt"
+ * @param {Object} params.ticket - Ticket row (ticket_number, uid, title)
+ * @param {Object} params.client - Client user (name, email) or null
+ * @param {Object} params.ledger - Result of buildTicketLedger
+ * @param {Object} params.payment - ticket_payments row (receipts only)
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+export const generateInvoicePdf = ({ type, ticket, client, ledger, payment }) =>
+  new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: "A4", margin: 50 });
+      const chunks = [];
+
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      const isReceipt = type === "receipt";
+      const currency = payment?.currency || ledger.currency;
+
+      // Header
+      doc.rect(0, 0, doc.page.width, 80).fill(HEADER_COLOR);
+      doc
+        .fillColor("#FFFFFF")
+        .font("Helvetica-Bold")
+        .fontSize(20)
+        .text(COMPANY_NAME, 50, 28);
+      doc
+        .fontSize(14)
+        .text(isReceipt ? "PAYMENT RECEIPT" : "INVOICE", 50, 32, { align: "right" });
+      doc.fillColor("#000000");
+
+      // Meta
+      let y = 110;
+      doc.font("Helvetica").fontSize(10);
+      const meta = [
+        [isReceipt ? "Receipt No." : "Invoice For", isReceipt ? payment.receipt_number || payment.id : ticket.ticket_number],
+        ["Ticket", `${ticket.ticket_number} (${ticket.uid || "-"})`],
+        ["Title", ticket.title || "-"],
+        ["Billed To", client ? `${client.name || "-"} <${client.email || "-"}>` : "-"],
+        ["Date", formatDate(isReceipt ? payment.paid_at : new Date())],
+      ];
+      meta.forEach(([label, value]) => {
+        doc.font("Helvetica-Bold").text(label, 50, y, { width: 100 });
+        doc.font("Helvetica").text(value, 150, y, { width: 395 });
+        y += 18;
+      });
+
+      y += 20;
+
+      if (isReceipt) {
+        const stage = ledger.stages.find((s) => s.key === payment.stage_key);
+        const rows = [
+          ["Amount Received", formatMoney(payment.amount, currency)],
+          ["Payment For", stage ? stage.name : "General payment"],
+          ["Method", String(payment.method || "other").replace(/_/g, " ").toUpperCase()],
+          ["Reference", payment.reference || "-"],
+          ["Outstanding Balance", formatMoney(ledger.balance, ledger.currency)],
+        ];
+        rows.forEach(([label, value]) => {
+          y = drawRow(doc, y, [
+            { text: label, x: 50, width: 200 },
+            { text: value, x: 250, width: 295, align: "right" },
+          ], { bold: label === "Amount Received" });
+        });
+      } else {
+        y = drawRow(doc, y, [
+          { text: "Stage", x: 50, width: 185 },
+          { text: "Amount Due", x: 235, width: 100, align: "right" },
+          { text: "Paid", x: 340, width: 100, align: "right" },
+          { text: "Balance", x: 445, width: 100, align: "right" },
+        ], { bold: true });
+        doc.moveTo(50, y - 5).lineTo(545, y - 5).stroke();
+
+        ledger.stages.forEach((stage) => {
+          y = drawRow(doc, y, [
+            { text: stage.name, x: 50, width: 185 },
+            { text: formatMoney(stage.amount_due, ledger.currency), x: 235, width: 100, align: "right" },
+            { text: formatMoney(stage.amount_paid, ledger.currency), x: 340, width: 100, align: "right" },
+            { text: formatMoney(stage.balance, ledger.currency), x: 445, width: 100, align: "right" },
+          ]);
+        });
+
+        if (ledger.unallocated_paid > 0) {
+          y = drawRow(doc, y, [
+            { text: "Other payments", x: 50, width: 185 },
+            { text: "-", x: 235, width: 100, align: "right" },
+            { text: formatMoney(ledger.unallocated_paid, ledger.currency), x: 340, width: 100, align: "right" },
+            { text: "-", x: 445, width: 100, align: "right" },
+          ]);
+        }
+
+        doc.moveTo(50, y - 5).lineTo(545, y - 5).stroke();
+        y = drawRow(doc, y, [
+          { text: "Total", x: 50, width: 185 },
+          { text: formatMoney(ledger.total_due, ledger.currency), x: 235, width: 100, align: "right" },
+          { text: formatMoney(ledger.total_paid, ledger.currency), x: 340, width: 100, align: "right" },
+          { text: formatMoney(ledger.balance, ledger.currency), x: 445, width: 100, align: "right" },
+        ], { bold: true });
+      }
+
+      doc
+        .font("Helvetica")
+        .fontSize(8)
+        .fillColor("#666666")
+        .text(
+          "This is a computer generated document and does not require a signature.",
+          50,
+          doc.page.height - 80,
+          { align: "center", width: 495 }
+        );
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+export default {
+  generateInvoicePdf,
+};
@@ -0,0 +1,177 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import { emitToTicketRoom } from "./ticketRoom.js";
+import { hasPermission, isTicketMember } from "./permissions.js";
+
+/**
+ * Message Reactions
+ * Emoji reactions on ticket messages, one row per message / user / emoji.
+ * Reactions follow the message's mode: reactions on internal messages are
+ * never sent to clients, over REST or sockets.
+ *
+ * Socket events (server -> client): reaction_added, reaction_removed
+ */
+
+const MAX_EMOJI_LENGTH = 16;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+/**
+ * Validate a reaction (one emoji, incl. skin tone / ZWJ sequences)
+ * @returns {string|null} Trimmed emoji, or null when invalid
+ */
+export const normalizeReactionEmoji = (emoji) => {
+  const value = String(emoji || "").trim();
+
+  if (!value || value.length > MAX_EMOJI_LENGTH || /\s/.test(value)) return null;
+  return EMOJI_PATTERN.test(value) ? value : null;
+};
+
+/**
+ * Message the user can react to (members and creator, or ticket.view_any)
+ * @returns {Promise<Object>} { message } or { error: { status, message } }
+ */
+const getReactableMessage = async (ticketId, messageId, user) => {
+  const { data: message } = await supabaseAdmin
+    .from("ticket_messages")
+    .select("id, ticket_id, message_mode, is_deleted")
+    .eq("id", messageId)
+    .eq("ticket_id", ticketId)
+    .maybeSingle();
+
+  // Clients never see internal messages
+  if (!message || (user.role === "client" && message.message_mode === "internal")) {
+    return { error: { status: 404, message: "Message not found" } };
+  }
+
+  if (message.is_deleted) {
+    return { error: { status: 400, message: "Cannot react to a deleted message" } };
+  }
+
+  const canView =
+    (await isTicketMember(user.id, ticketId)) ||
+    (await hasPermission(user.role, "ticket.view_any"));
+
+  if (!canView) {
+    return { error: { status: 403, message: "You do not have access to this ticket" } };
+  }
+
+  return { message };
+};
+
+/**
+ * Aggregated reactions per message, emojis in order of first use
+ * @param {Array} messageIds - Ticket message IDs
+ * @returns {Promise<Map>} messageId -> [{ emoji, count, userIds, users: [{ id, name }] }]
+ */
+export const getReactionSummaries = async (messageIds) => {
+  const byMessage = new Map();
+  if (messageIds.length === 0) return byMessage;
+
+  const { data, error } = await supabaseAdmin
+    .from("ticket_message_reactions")
+    .select("message_id, emoji, user_id, users!ticket_message_reactions_user_id_fkey(id, name)")
+    .in("message_id", messageIds)
+    .order("created_at", { ascending: true });
+
+  if (error) throw error;
+
+  (data || []).forEach((reaction) => {
+    if (!byMessage.has(reaction.message_id)) byMessage.set(reaction.message_id, new Map());
+    const byEmoji = byMessage.get(reaction.message_id);
+
+    if (!byEmoji.has(reaction.emoji)) {
+      byEmoji.set(reaction.emoji, { emoji: reaction.emoji, count: 0, userIds: [], users: [] });
+    }
+    const entry = byEmoji.get(reaction.emoji);
+    entry.count += 1;
+    entry.userIds.push(reaction.user_id);
+    entry.users.push({ id: reaction.user_id, name: reaction.users?.name || "Unknown" });
+  });
+
+  return new Map([...byMessage].map(([id, byEmoji]) => [id, [...byEmoji.values()]]));
+};
+
+/**
+ * Add a reaction (adding the same emoji twice is a no-op)
+ * @param {Object} params - { io, ticketId, messageId, user, emoji }
+ * @returns {Promise<Object>} { messageId, reactions } or { error: { status, message } }
+ */
+export const addReaction = async ({ io, ticketId, messageId, user, emoji }) => {
+  const value = normalizeReactionEmoji(emoji);
+  if (!value) return { error: { status: 400, message: "A single emoji is required" } };
+
+  const { message, error: accessError } = await getReactableMessage(ticketId, messageId, user);
+  if (accessError) return { error: accessError };
+
+  const { error } = await supabaseAdmin
+    .from("ticket_message_reactions")
+    .insert([{ message_id: messageId, ticket_id: ticketId, user_id: user.id, emoji: value }]);
+
+  // 23505 = already reacted with this emoji
+  if (error && error.code !== "23505") {
+    console.error("❌ Error adding reaction:", error);
+    return { error: { status: 500, message: "Failed to add reaction" } };
+  }
+
+  const reactions = (await getReactionSummaries([messageId])).get(messageId) || [];
+
+  if (!error) {
+    await emitToTicketRoom(io, ticketId, "reaction_added", {
+      ticketId,
+      messageId,
+      emoji: value,
+      userId: user.id,
+      userName: user.name,
+      reactions,
+    }, message.message_mode);
+  }
+
+  return { messageId, reactions };
+};
+
+/**
+ * Remove the user's reaction (removing a missing reaction is a no-op)
+ * @param {Object} params - { io, ticketId, messageId, user, emoji }
+ * @returns {Promise<Object>} { messageId, reactions } or { error: { status, message } }
+ */
+export const removeReaction = async ({ io, ticketId, messageId, user, emoji }) => {
+  const value = normalizeReactionEmoji(emoji);
+  if (!value) return { error: { status: 400, message: "A single emoji is required" } };
+
+  const { message, error: accessError } = await getReactableMessage(ticketId, messageId, user);
+  if (accessError) return { error: accessError };
+
+  const { data: removed, error } = await supabaseAdmin
+    .from("ticket_message_reactions")
+    .delete()
+    .eq("message_id", messageId)
+    .eq("user_id", user.id)
+    .eq("emoji", value)
+    .select("id");
+
+  if (error) {
+    console.error("❌ Error removing reaction:", error);
+    return { error: { status: 500, message: "Failed to remove reaction" } };
+  }
+
+  const reactions = (await getReactionSummaries([messageId])).get(messageId) || [];
+
+  if (removed && removed.length > 0) {
+    await emitToTicketRoom(io, ticketId, "reaction_removed", {
+      ticketId,
+      messageId,
+      emoji: value,
+      userId: user.id,
+      userName: user.name,
+      reactions,
+    }, message.message_mode);
+  }
+
+  return { messageId, reactions };
+};
+
+export default {
+  normalizeReactionEmoji,
+  getReactionSummaries,
+  addReaction,
+  removeReaction,
+};
@@ -0,0 +1,92 @@
+/**
+ * Message Search
+ * Helpers for searching ticket messages and building highlighted snippets
+ */
+
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Normalize a user search term (drops characters that break the PostgREST
+ * or() filter syntax and collapses whitespace)
+ * @param {string} term - Raw search term
+ * @returns {string} Normalized term, used for matching and highlighting
+ */
+export const normalizeSearchTerm = (term) =>
+  String(term || "")
+    .replace(/[,()"\\*]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Escape LIKE wildcards in a normalized term for use in ilike
+ * @param {string} term - Normalized search term
+ * @returns {string} Pattern-safe term
+ */
+export const escapeLikeTerm = (term) =>
+  term.replace(/[%_]/g, (char) => `\\${char}`);
+
+/**
+ * Escape text for safe HTML output
+ */
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Build a snippet around the matches of a term
+ * @param {string} text - Full message text or file name
+ * @param {string} term - Search term (case-insensitive)
+ * @returns {Object|null} { snippet, highlights: [{start, end}], highlighted_snippet }
+ *   highlights are offsets into snippet; highlighted_snippet is HTML-escaped
+ *   text with matches wrapped in <mark>
+ */
+export const buildHighlightedSnippet = (text, term) => {
+  if (!text || !term) return null;
+
+  const lowerText = text.toLowerCase();
+  const lowerTerm = term.toLowerCase();
+  const firstMatch = lowerText.indexOf(lowerTerm);
+
+  if (firstMatch === -1) return null;
+
+  const start = Math.max(0, firstMatch - SNIPPET_RADIUS);
+  const end = Math.min(text.length, firstMatch + term.length + SNIPPET_RADIUS);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+  const body = text.slice(start, end);
+
+  // Collect every match inside the snippet window
+  const highlights = [];
+  const lowerBody = body.toLowerCase();
+  let index = lowerBody.indexOf(lowerTerm);
+  while (index !== -1) {
+    highlights.push({
+      start: prefix.length + index,
+      end: prefix.length + index + term.length,
+    });
+    index = lowerBody.indexOf(lowerTerm, index + term.length);
+  }
+
+  const snippet = `${prefix}${body}${suffix}`;
+
+  let highlighted = "";
+  let cursor = 0;
+  highlights.forEach(({ start: hStart, end: hEnd }) => {
+    highlighted += escapeHtml(snippet.slice(cursor, hStart));
+    highlighted += `<mark>${escapeHtml(snippet.slice(hStart, hEnd))}</mark>`;
+    cursor = hEnd;
+  });
+  highlighted += escapeHtml(snippet.slice(cursor));
+
+  return { snippet, highlights, highlighted_snippet: highlighted };
+};
+
+export default {
+  normalizeSearchTerm,
+  escapeLikeTerm,
+  buildHighlightedSnippet,
+};
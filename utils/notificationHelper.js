@@ -666,3 +666,222 @@ export const createUserRejectedNotification = async (userId) => {
     console.error("Error creating user rejected notification:", error);
   }
 };
+
+/**
+ * Create notification when a ticket is about to breach or has breached its SLA
+ * NOTE: Clients are not notified - SLA alerts are internal
+ * @param {string} ticketId - The ticket ID
+ * @param {string} level - "at_risk" or "breached"
+ */
+export const createTicketSlaNotification = async (ticketId, level) => {
+  try {
+    const { data: ticket } = await supabaseAdmin
+      .from("tickets")
+      .select("id, title, ticket_number, due_date")
+      .eq("id", ticketId)
+      .single();
+
+    if (!ticket) return;
+
+    const { data: members } = await supabaseAdmin
+      .from("ticket_members")
+      .select("user_id, users!inner(role)")
+      .eq("ticket_id", ticketId);
+
+    const recipients = (members || []).filter((m) => m.users.role !== "client");
+
+    if (recipients.length === 0) {
+      console.log(`⚠️ No staff members to notify for SLA on ticket ${ticketId}`);
+      return;
+    }
+
+    const dueDate = new Date(ticket.due_date).toLocaleDateString("en-IN", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+
+    const isBreached = level === "breached";
+
+    // NOTE: SLA alerts are ALWAYS enabled (not user-configurable)
+    const notifications = recipients.map((member) => ({
+      user_id: member.user_id,
+      type: isBreached ? "sla_breached" : "sla_at_risk",
+      title: isBreached ? "Ticket Overdue" : "Ticket Due Soon",
+      message: isBreached
+        ? `"${ticket.title}" (${ticket.ticket_number}) missed its due date of ${dueDate}`
+        : `"${ticket.title}" (${ticket.ticket_number}) is due on ${dueDate}`,
+      related_ticket_id: ticketId,
+      is_read: false,
+    }));
+
+    await supabaseAdmin.from("notifications").insert(notifications);
+
+    console.log(
+      `✅ Created SLA ${level} notifications for ${recipients.length} members`
+    );
+  } catch (error) {
+    console.error("Error creating ticket SLA notification:", error);
+  }
+};
+
+/**
+ * Create notification for admins when a client uploads a payment proof
+ * @param {string} ticketId - The ticket ID
+ * @param {string} stageName - Payment stage display name
+ * @param {string} submittedBy - The client who uploaded the proof
+ */
+export const createPaymentProofSubmittedNotification = async (
+  ticketId,
+  stageName,
+  submittedBy
+) => {
+  try {
+    const { data: ticket } = await supabaseAdmin
+      .from("tickets")
+      .select("id, title, ticket_number")
+      .eq("id", ticketId)
+      .single();
+
+    if (!ticket) return;
+
+    const { data: submitter } = await supabaseAdmin
+      .from("users")
+      .select("name, email")
+      .eq("id", submittedBy)
+      .single();
+
+    const { data: admins } = await supabaseAdmin
+      .from("users")
+      .select("id")
+      .eq("role", "admin")
+      .eq("approval_status", "approved");
+
+    if (!admins || admins.length === 0) return;
+
+    const notifications = admins.map((admin) => ({
+      user_id: admin.id,
+      type: "payment_proof_submitted",
+      title: "Payment Proof Uploaded",
+      message: `${submitter?.name || submitter?.email || "Client"} uploaded payment proof for ${stageName} on "${ticket.title}" (${ticket.ticket_number})`,
+      related_ticket_id: ticketId,
+      related_user_id: submittedBy,
+      is_read: false,
+    }));
+
+    await supabaseAdmin.from("notifications").insert(notifications);
+
+    console.log(
+      `✅ Created payment proof notifications for ${admins.length} admins`
+    );
+  } catch (error) {
+    console.error("Error creating payment proof notification:", error);
+  }
+};
+
+/**
+ * Create notification for the client when their payment proof is reviewed
+ * @param {string} ticketId - The ticket ID
+ * @param {string} clientId - The client who uploaded the proof
+ * @param {string} stageName - Payment stage display name
+ * @param {boolean} approved - Whether the proof was approved
+ * @param {string} reason - Rejection reason (optional)
+ */
+export const createPaymentProofReviewedNotification = async (
+  ticketId,
+  clientId,
+  stageName,
+  approved,
+  reason = null
+) => {
+  try {
+    const { data: ticket } = await supabaseAdmin
+      .from("tickets")
+      .select("id, title, ticket_number")
+      .eq("id", ticketId)
+      .single();
+
+    if (!ticket || !clientId) return;
+
+    await supabaseAdmin.from("notifications").insert([
+      {
+        user_id: clientId,
+        type: approved ? "payment_proof_approved" : "payment_proof_rejected",
+        title: approved ? "Payment Verified" : "Payment Proof Rejected",
+        message: approved
+          ? `Your ${stageName} payment for "${ticket.title}" (${ticket.ticket_number}) has been verified`
+          : `Your ${stageName} payment proof for "${ticket.title}" (${ticket.ticket_number}) was rejected${reason ? `: ${reason}` : ""}`,
+        related_ticket_id: ticketId,
+        is_read: false,
+      },
+    ]);
+
+    console.log(`✅ Created payment proof review notification for user ${clientId}`);
+  } catch (error) {
+    console.error("Error creating payment proof review notification:", error);
+  }
+};
+
+/**
+ * Create (or refresh) the notification for a direct message
+ * Unread DM notifications from the same sender are collapsed into one.
+ * @param {string} recipientId - The user receiving the message
+ * @param {Object} sender - Sender users row (id, name, email)
+ * @param {string} conversationId - direct_conversations ID
+ * @param {Object} message - The saved direct message
+ */
+export const createDirectMessageNotification = async (
+  recipientId,
+  sender,
+  conversationId,
+  message
+) => {
+  try {
+    // Direct messages follow the internal chat preference
+    if (!(await isNotificationEnabled(recipientId, "chat_internal"))) {
+      console.log(`⏭️ User ${recipientId} has disabled internal chat notifications`);
+      return;
+    }
+
+    const senderName = sender.name || sender.email || "Someone";
+    const preview =
+      message.message_type === "text"
+        ? String(message.message || "").slice(0, 100)
+        : message.message_type === "image"
+          ? "🖼️ Sent an image"
+          : "📎 Sent a file";
+
+    const { data: existing } = await supabaseAdmin
+      .from("notifications")
+      .select("id")
+      .eq("type", "direct_message")
+      .eq("user_id", recipientId)
+      .eq("related_user_id", sender.id)
+      .eq("is_read", false)
+      .limit(1);
+
+    if (existing && existing.length > 0) {
+      await supabaseAdmin
+        .from("notifications")
+        .update({ message: preview, created_at: new Date().toISOString() })
+        .eq("id", existing[0].id);
+      return;
+    }
+
+    await supabaseAdmin.from("notifications").insert([
+      {
+        user_id: recipientId,
+        type: "direct_message",
+        title: `New message from ${senderName}`,
+        message: preview,
+        related_id: conversationId,
+        related_user_id: sender.id,
+        is_read: false,
+      },
+    ]);
+
+    console.log(`✅ Created direct message notification for user ${recipientId}`);
+  } catch (error) {
+    console.error("Error creating direct message notification:", error);
+  }
+};
@@ -1,10 +1,25 @@
 import crypto from "crypto";
 
 /**
- * Generate a 4-digit OTP
+ * OTP length (OTP_LENGTH, 4-8 digits, default 4)
  */
-export const generateOTP = () => {
-  return Math.floor(1000 + Math.random() * 9000).toString();
+export const getOTPLength = () => {
+  const length = parseInt(process.env.OTP_LENGTH, 10);
+  return length >= 4 && length <= 8 ? length : 4;
+};
+
+/**
+ * Failed verifications allowed before a code is invalidated (OTP_MAX_ATTEMPTS, default 5)
+ */
+export const getOTPMaxAttempts = () => parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+
+/**
+ * Generate a numeric OTP of the configured length
+ */
+export const generateOTP = (length = getOTPLength()) => {
+  return crypto
+    .randomInt(10 ** (length - 1), 10 ** length)
+    .toString();
 };
 
 /**
@@ -25,7 +40,6 @@ export const verifyOTP = (otp, hash) => {
   const otpHash = hashOTP(otpString);
 
   console.log("🔐 OTP Verification:", {
-    providedOTP: otpString,
     providedOTPLength: otpString.length,
     providedHash: otpHash.substring(0, 20) + "...",
     storedHash: hash ? hash.substring(0, 20) + "..." : "null",
@@ -36,9 +50,9 @@ export const verifyOTP = (otp, hash) => {
 };
 
 /**
- * Calculate OTP expiry time (default 10 minutes)
+ * Calculate OTP expiry time (default OTP_EXPIRY_MINUTES, else 10 minutes)
  */
-export const getOTPExpiry = (minutes = 10) => {
+export const getOTPExpiry = (minutes = parseInt(process.env.OTP_EXPIRY_MINUTES, 10) || 10) => {
   return new Date(Date.now() + minutes * 60 * 1000).toISOString();
 };
 
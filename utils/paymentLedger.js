@@ -0,0 +1,156 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import { getOrderedPaymentStages } from "./paymentStages.js";
+import { allocateCounterValue } from "./ticketNumber.js";
+import { fetchAllIn } from "./queryPaging.js";
+
+/**
+ * Payment Ledger
+ * Amounts due (from payment_stages), payments received (ticket_payments)
+ * and outstanding balances
+ */
+
+export const PAYMENT_METHODS = ["upi", "bank_transfer", "cash", "card", "cheque", "other"];
+
+const DEFAULT_CURRENCY = "INR";
+
+const RECEIPT_COUNTER_NAME = "receipt_number";
+
+/**
+ * Round money to 2 decimals
+ */
+const toMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Build the ledger for a ticket from its stages and payments
+ * @param {Object} ticket - Ticket row (needs payment_stages)
+ * @param {Array} payments - ticket_payments rows for the ticket (voided ones are ignored)
+ * @returns {Object} { currency, stages, total_due, total_paid, unallocated_paid, balance }
+ */
+export const buildTicketLedger = (ticket, payments = []) => {
+  const activePayments = payments.filter((p) => !p.voided_at);
+  const stages = getOrderedPaymentStages(ticket.payment_stages);
+
+  const currency =
+    stages.find((s) => s.currency)?.currency ||
+    activePayments[0]?.currency ||
+    DEFAULT_CURRENCY;
+
+  const stageRows = stages.map((stage) => {
+    const paid = activePayments
+      .filter((p) => p.stage_key === stage.key)
+      .reduce((sum, p) => sum + Number(p.amount), 0);
+    const due = stage.amount === null || stage.amount === undefined ? null : toMoney(stage.amount);
+
+    return {
+      key: stage.key,
+      name: stage.name,
+      order: stage.order,
+      amount_due: due,
+      amount_paid: toMoney(paid),
+      balance: due === null ? null : toMoney(due - paid),
+      notified: !!stage.notified,
+      completed: !!stage.completed,
+      verification_status: stage.verification_status || null,
+    };
+  });
+
+  const totalDue = stageRows.reduce((sum, s) => sum + (s.amount_due || 0), 0);
+  const totalPaid = activePayments.reduce((sum, p) => sum + Number(p.amount), 0);
+  const stageKeys = new Set(stages.map((s) => s.key));
+  const unallocated = activePayments
+    .filter((p) => !p.stage_key || !stageKeys.has(p.stage_key))
+    .reduce((sum, p) => sum + Number(p.amount), 0);
+
+  return {
+    currency,
+    stages: stageRows,
+    total_due: toMoney(totalDue),
+    total_paid: toMoney(totalPaid),
+    unallocated_paid: toMoney(unallocated),
+    balance: toMoney(totalDue - totalPaid),
+  };
+};
+
+/**
+ * Fetch payments for tickets, grouped by ticket id
+ * @param {string[]} ticketIds - Ticket ids
+ * @returns {Promise<Map<string, Array>>} ticket id -> payments
+ */
+export const getPaymentsByTicket = async (ticketIds) => {
+  const map = new Map();
+  if (!ticketIds || ticketIds.length === 0) return map;
+
+  let payments;
+  try {
+    payments = await fetchAllIn(ticketIds, (ids) =>
+      supabaseAdmin
+        .from("ticket_payments")
+        .select("*")
+        .in("ticket_id", ids)
+        .is("voided_at", null)
+        .order("paid_at", { ascending: true })
+        .order("id", { ascending: true })
+    );
+  } catch (error) {
+    console.error("❌ Error fetching ticket payments:", error);
+    return map;
+  }
+
+  payments.forEach((payment) => {
+    if (!map.has(payment.ticket_id)) map.set(payment.ticket_id, []);
+    map.get(payment.ticket_id).push(payment);
+  });
+
+  return map;
+};
+
+/**
+ * Allocate a receipt number from the receipt_number counter, e.g. "RCPT-20261019-000042"
+ * (6+ digits, so it can never collide with older random 4-digit receipts)
+ * @returns {Promise<string>} Unique receipt number
+ */
+export const allocateReceiptNumber = async () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  const value = await allocateCounterValue(RECEIPT_COUNTER_NAME);
+  return `RCPT-${date}-${String(value).padStart(6, "0")}`;
+};
+
+/**
+ * Find the client for a ticket: a client creator, else a client member
+ * @param {Object} ticket - Ticket row (needs id, created_by)
+ * @returns {Promise<Object|null>} Client user (id, name, email, phone) or null
+ */
+export const getTicketClient = async (ticket) => {
+  const { data: creator } = await supabaseAdmin
+    .from("users")
+    .select("id, name, email, phone, role")
+    .eq("id", ticket.created_by)
+    .maybeSingle();
+
+  if (creator?.role === "client") return creator;
+
+  const { data: members } = await supabaseAdmin
+    .from("ticket_members")
+    .select("user_id")
+    .eq("ticket_id", ticket.id);
+
+  if (!members || members.length === 0) return null;
+
+  const { data: clientMember } = await supabaseAdmin
+    .from("users")
+    .select("id, name, email, phone, role")
+    .in("id", members.map((m) => m.user_id))
+    .eq("role", "client")
+    .limit(1)
+    .maybeSingle();
+
+  return clientMember || null;
+};
+
+export default {
+  PAYMENT_METHODS,
+  buildTicketLedger,
+  getPaymentsByTicket,
+  allocateReceiptNumber,
+  getTicketClient,
+};
@@ -0,0 +1,132 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import { normalizePaymentStages } from "./paymentStages.js";
+import { logTicketEvent, TICKET_EVENT_TYPES } from "./ticketEvents.js";
+import { createPaymentProofSubmittedNotification } from "./notificationHelper.js";
+
+/**
+ * Payment Proofs
+ * Client-uploaded payment screenshots awaiting admin/employee verification
+ */
+
+export const PAYMENT_PROOF_STATUSES = ["pending", "approved", "rejected"];
+
+/**
+ * Attach an uploaded ticket file as payment proof for a stage.
+ * Puts the stage into verification pending and notifies admins.
+ * @param {Object} params
+ * @param {string} params.ticketId - Ticket ID
+ * @param {string} params.stage - Payment stage key
+ * @param {Object} params.file - ticket_files row (id, file_url, file_name)
+ * @param {string} params.userId - User submitting the proof
+ * @param {number} params.amount - Amount paid (optional)
+ * @param {string} params.reference - UPI / bank reference (optional)
+ * @param {string} params.note - Note for the reviewer (optional)
+ * @returns {Promise<Object>} { proof, paymentStages } or { error: { status, message, errors } }
+ */
+export const submitPaymentProof = async ({
+  ticketId,
+  stage,
+  file,
+  userId,
+  amount,
+  reference,
+  note,
+}) => {
+  if (!stage) {
+    return { error: { status: 400, errors: { stage: "Stage is required" } } };
+  }
+  if (amount !== undefined && amount !== null && amount !== "" && (isNaN(Number(amount)) || Number(amount) <= 0)) {
+    return { error: { status: 400, errors: { amount: "Amount must be greater than 0" } } };
+  }
+
+  const { data: ticket, error: ticketError } = await supabaseAdmin
+    .from("tickets")
+    .select("id, payment_stages")
+    .eq("id", ticketId)
+    .single();
+
+  if (ticketError || !ticket) {
+    return { error: { status: 404, message: "Ticket not found" } };
+  }
+
+  const stages = normalizePaymentStages(ticket.payment_stages);
+  if (!Object.hasOwn(stages, stage)) {
+    return {
+      error: {
+        status: 400,
+        errors: { stage: `Invalid stage. Must be one of: ${Object.keys(stages).join(", ")}` },
+      },
+    };
+  }
+
+  if (stages[stage].completed) {
+    return { error: { status: 409, message: `${stages[stage].name} is already completed` } };
+  }
+
+  const { data: proof, error: insertError } = await supabaseAdmin
+    .from("payment_proofs")
+    .insert({
+      ticket_id: ticketId,
+      stage_key: stage,
+      file_id: file.id || null,
+      file_url: file.file_url,
+      file_name: file.file_name || null,
+      amount: amount ? Number(amount) : null,
+      reference: reference || null,
+      note: note || null,
+      submitted_by: userId,
+    })
+    .select()
+    .single();
+
+  if (insertError) {
+    if (insertError.code === "23505") {
+      return {
+        error: {
+          status: 409,
+          message: `A payment proof for ${stages[stage].name} is already awaiting verification`,
+        },
+      };
+    }
+    console.error("❌ Error creating payment proof:", insertError);
+    return { error: { status: 500, message: "Failed to submit payment proof" } };
+  }
+
+  const paymentStages = {
+    ...stages,
+    [stage]: {
+      ...stages[stage],
+      verification_status: "pending",
+      proof_id: proof.id,
+      verification_requested_at: proof.created_at,
+    },
+  };
+
+  const { error: updateError } = await supabaseAdmin
+    .from("tickets")
+    .update({ payment_stages: paymentStages })
+    .eq("id", ticketId);
+
+  if (updateError) {
+    console.error("❌ Error updating payment stage verification:", updateError);
+  }
+
+  await logTicketEvent({
+    ticketId,
+    actorId: userId,
+    eventType: TICKET_EVENT_TYPES.PAYMENT_PROOF_SUBMITTED,
+    newValue: { status: "pending", amount: proof.amount },
+    metadata: { stage, stageName: stages[stage].name, proofId: proof.id, fileUrl: proof.file_url },
+  });
+
+  await createPaymentProofSubmittedNotification(ticketId, stages[stage].name, userId);
+
+  console.log(`✅ Payment proof submitted for ${stages[stage].name} on ticket ${ticketId}`);
+
+  return { proof, paymentStages };
+};
+
+export default {
+  PAYMENT_PROOF_STATUSES,
+  submitPaymentProof,
+};
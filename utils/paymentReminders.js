@@ -0,0 +1,280 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import { normalizePaymentStages } from "./paymentStages.js";
+import { getTicketClient } from "./paymentLedger.js";
+import { sendPaymentReminderWhatsApp } from "./whatsappService.js";
+import { sendPaymentReminderEmail } from "./emailService.js";
+import { logTicketEvent, TICKET_EVENT_TYPES } from "./ticketEvents.js";
+
+/**
+ * Payment Reminders
+ * Follow-ups for stages that were notified but not paid
+ *
+ * Each reminder is recorded on the stage in payment_stages:
+ *   reminder_count, last_reminder_at,
+ *   reminders: [{ sent_at, channel ("whatsapp" | "email" | null), success, error }]
+ */
+
+/**
+ * Ticket statuses that never get reminders
+ */
+export const PAYMENT_REMINDER_SKIP_STATUSES = ["Closed"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reminder settings from env
+ * - PAYMENT_REMINDER_AFTER_DAYS: days after notification before the first reminder (default 3)
+ * - PAYMENT_REMINDER_INTERVAL_DAYS: days between reminders (default: same as after days)
+ * - PAYMENT_REMINDER_MAX: reminders per stage (default 3, 0 disables reminders)
+ */
+export const getPaymentReminderConfig = () => {
+  const afterDays = parseFloat(process.env.PAYMENT_REMINDER_AFTER_DAYS);
+  const intervalDays = parseFloat(process.env.PAYMENT_REMINDER_INTERVAL_DAYS);
+  const maxReminders = parseInt(process.env.PAYMENT_REMINDER_MAX, 10);
+
+  const resolvedAfterDays = afterDays > 0 ? afterDays : 3;
+
+  return {
+    afterDays: resolvedAfterDays,
+    intervalDays: intervalDays > 0 ? intervalDays : resolvedAfterDays,
+    maxReminders: maxReminders >= 0 ? maxReminders : 3,
+  };
+};
+
+/**
+ * Whether a stage is due for its next reminder
+ * @param {Object} stage - Stage from payment_stages
+ * @param {Object} config - Result of getPaymentReminderConfig
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const isReminderDue = (stage, config, now = new Date()) => {
+  if (!stage?.notified || stage.completed || !stage.notified_at) return false;
+  // Client already uploaded proof - waiting on us, not on them
+  if (stage.verification_status === "pending") return false;
+
+  const sent = stage.reminder_count || 0;
+  if (sent >= config.maxReminders) return false;
+
+  const since = new Date(sent > 0 && stage.last_reminder_at ? stage.last_reminder_at : stage.notified_at);
+  const waitDays = sent > 0 ? config.intervalDays : config.afterDays;
+
+  return now.getTime() - since.getTime() >= waitDays * DAY_MS;
+};
+
+/**
+ * Email fallback - never throws
+ */
+const sendEmailSafely = async (client, ticket, stageName, amountText) => {
+  try {
+    return await sendPaymentReminderEmail(
+      client.email,
+      client.name,
+      { title: ticket.title, ticket_number: ticket.ticket_number, uid: ticket.uid },
+      stageName,
+      amountText
+    );
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send one reminder: WhatsApp first, email if WhatsApp fails
+ * @returns {Promise<Object>} { sent_at, channel, success, error }
+ */
+const sendReminder = async (ticket, client, stage, now) => {
+  const amountText =
+    stage.amount !== null && stage.amount !== undefined
+      ? `${stage.currency || "INR"} ${Number(stage.amount).toLocaleString("en-IN")}`
+      : null;
+
+  if (client?.phone) {
+    const whatsappResult = await sendPaymentReminderWhatsApp(
+      client.phone,
+      {
+        ticketNumber: ticket.ticket_number,
+        title: ticket.title,
+        uid: ticket.uid,
+        clientName: client.name,
+      },
+      stage.name,
+      amountText
+    );
+
+    if (whatsappResult.success) {
+      return { sent_at: now.toISOString(), channel: "whatsapp", success: true, error: null };
+    }
+    console.log(`⚠️ WhatsApp reminder failed for ticket ${ticket.id}, trying email`);
+  }
+
+  if (client?.email) {
+    const emailResult = await sendEmailSafely(client, ticket, stage.name, amountText);
+    return {
+      sent_at: now.toISOString(),
+      channel: "email",
+      success: !!emailResult.success,
+      error: emailResult.success ? null : emailResult.error || "Email failed",
+    };
+  }
+
+  return { sent_at: now.toISOString(), channel: null, success: false, error: "No client contact" };
+};
+
+const PAGE_SIZE = 1000;
+const MAX_RECORD_ATTEMPTS = 3;
+
+/**
+ * Record sent reminders on the ticket's current payment_stages
+ * Sending takes a while, so the stages are re-read and only the reminder fields
+ * are merged in; the write is conditional on updated_at and retried when the
+ * ticket changed in between (stage edits, payments, verification).
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} remindersByKey - Stage key -> reminder entry
+ * @returns {Promise<boolean>} Whether the reminders were recorded
+ */
+const recordStageReminders = async (ticketId, remindersByKey) => {
+  for (let attempt = 1; attempt <= MAX_RECORD_ATTEMPTS; attempt++) {
+    const { data: ticket, error: fetchError } = await supabaseAdmin
+      .from("tickets")
+      .select("payment_stages, updated_at")
+      .eq("id", ticketId)
+      .maybeSingle();
+
+    if (fetchError || !ticket) {
+      console.error(`❌ Payment reminder sweep: failed to re-read ticket ${ticketId}:`, fetchError);
+      return false;
+    }
+
+    const stages = normalizePaymentStages(ticket.payment_stages);
+
+    Object.entries(remindersByKey).forEach(([key, reminder]) => {
+      // Stage removed while we were sending
+      if (!Object.hasOwn(stages, key)) return;
+
+      stages[key] = {
+        ...stages[key],
+        reminder_count: (stages[key].reminder_count || 0) + 1,
+        last_reminder_at: reminder.sent_at,
+        reminders: [...(stages[key].reminders || []), reminder],
+      };
+    });
+
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from("tickets")
+      .update({ payment_stages: stages })
+      .eq("id", ticketId)
+      .eq("updated_at", ticket.updated_at)
+      .select("id");
+
+    if (updateError) {
+      console.error(`❌ Payment reminder sweep: failed to record reminders for ${ticketId}:`, updateError);
+      return false;
+    }
+    if (updated && updated.length > 0) return true;
+  }
+
+  console.error(`❌ Payment reminder sweep: ticket ${ticketId} kept changing, reminders not recorded`);
+  return false;
+};
+
+/**
+ * Send due reminders for every ticket with notified-but-unpaid stages
+ * Failed attempts are recorded too and count towards the cap
+ * @param {Date} now - Reference time (injectable for manual runs)
+ * @returns {Promise<Object>} { checked, sent, failed }
+ */
+export const runPaymentReminderSweep = async (now = new Date()) => {
+  const result = { checked: 0, sent: 0, failed: 0 };
+  const config = getPaymentReminderConfig();
+
+  if (config.maxReminders === 0) return result;
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: tickets, error } = await supabaseAdmin
+      .from("tickets")
+      .select("id, ticket_number, uid, title, status, created_by, payment_stages")
+      .eq("payment_reminders_enabled", true)
+      .not("payment_stages", "is", null)
+      .not("status", "in", `(${PAYMENT_REMINDER_SKIP_STATUSES.map((s) => `"${s}"`).join(",")})`)
+      .order("id", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      console.error("❌ Payment reminder sweep: error fetching tickets:", error);
+      break;
+    }
+
+    for (const ticket of tickets || []) {
+      const stages = normalizePaymentStages(ticket.payment_stages);
+      const dueKeys = Object.keys(stages).filter((key) => isReminderDue(stages[key], config, now));
+
+      if (dueKeys.length === 0) continue;
+      result.checked++;
+
+      const client = await getTicketClient(ticket);
+      const remindersByKey = {};
+
+      for (const key of dueKeys) {
+        const reminder = await sendReminder(ticket, client, stages[key], now);
+        remindersByKey[key] = reminder;
+
+        if (reminder.success) result.sent++;
+        else result.failed++;
+
+        await logTicketEvent({
+          ticketId: ticket.id,
+          actorId: null,
+          eventType: TICKET_EVENT_TYPES.PAYMENT_REMINDER_SENT,
+          newValue: reminder,
+          metadata: {
+            stage: key,
+            stageName: stages[key].name,
+            reminderNumber: (stages[key].reminder_count || 0) + 1,
+          },
+        });
+      }
+
+      await recordStageReminders(ticket.id, remindersByKey);
+    }
+
+    if (!tickets || tickets.length < PAGE_SIZE) break;
+  }
+
+  if (result.sent || result.failed) {
+    console.log(
+      `💰 Payment reminder sweep: ${result.checked} tickets, ${result.sent} sent, ${result.failed} failed`
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Start the periodic payment reminder sweep (long-running servers only)
+ * Interval: PAYMENT_REMINDER_SWEEP_INTERVAL_MINUTES (default 60)
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const startPaymentReminderSweep = () => {
+  const minutes = parseInt(process.env.PAYMENT_REMINDER_SWEEP_INTERVAL_MINUTES, 10) || 60;
+
+  const run = () =>
+    runPaymentReminderSweep().catch((error) =>
+      console.error("❌ Payment reminder sweep failed:", error)
+    );
+
+  run();
+  const handle = setInterval(run, minutes * 60 * 1000);
+  handle.unref?.();
+
+  console.log(`💰 Payment reminder sweep scheduled every ${minutes} minutes`);
+  return handle;
+};
+
+export default {
+  PAYMENT_REMINDER_SKIP_STATUSES,
+  getPaymentReminderConfig,
+  isReminderDue,
+  runPaymentReminderSweep,
+  startPaymentReminderSweep,
+};
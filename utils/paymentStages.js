@@ -0,0 +1,213 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import { logTicketEvent, TICKET_EVENT_TYPES } from "./ticketEvents.js";
+
+/**
+ * Payment Stages
+ * Template lookup and helpers for the per-ticket payment_stages JSONB
+ *
+ * payment_stages shape (keyed by stage_key):
+ * {
+ *   part_a: {
+ *     name, order, amount, currency, template_id,
+ *     notified, notified_at, notified_by, completed, completed_at, completed_by,
+ *     verification_status ("pending" | "approved" | "rejected"), proof_id,
+ *     verification_requested_at
+ *   },
+ *   ...
+ * }
+ */
+
+/**
+ * Project type whose templates apply when a project type has none of its own
+ */
+export const DEFAULT_TEMPLATE_PROJECT_TYPE = "default";
+
+/**
+ * Built-in stages used before any templates are configured
+ */
+export const LEGACY_PAYMENT_STAGES = [
+  { stage_key: "part_a", name: "Part A", stage_order: 1 },
+  { stage_key: "statistical_results", name: "Statistical Results", stage_order: 2 },
+  { stage_key: "part_b", name: "Part B", stage_order: 3 },
+];
+
+const emptyStageState = () => ({
+  notified: false,
+  completed: false,
+  notified_at: null,
+  completed_at: null,
+});
+
+/**
+ * Get active templates for a project type (falls back to the default set,
+ * then to the built-in legacy stages)
+ * @param {string} projectType - Ticket project_type
+ * @returns {Promise<Array>} Templates ordered by stage_order
+ */
+export const getPaymentStageTemplates = async (projectType) => {
+  const fetchFor = async (type) => {
+    const { data, error } = await supabaseAdmin
+      .from("payment_stage_templates")
+      .select("*")
+      .eq("project_type", type)
+      .eq("is_active", true)
+      .order("stage_order", { ascending: true });
+
+    if (error) {
+      console.error("❌ Error fetching payment stage templates:", error);
+      return [];
+    }
+    return data || [];
+  };
+
+  if (projectType) {
+    const templates = await fetchFor(projectType);
+    if (templates.length > 0) return templates;
+  }
+
+  const defaults = await fetchFor(DEFAULT_TEMPLATE_PROJECT_TYPE);
+  return defaults.length > 0 ? defaults : LEGACY_PAYMENT_STAGES;
+};
+
+/**
+ * Build a fresh payment_stages object from templates
+ * @param {Array} templates - Templates from getPaymentStageTemplates
+ * @returns {Object} payment_stages keyed by stage_key
+ */
+export const buildPaymentStages = (templates) =>
+  templates.reduce((stages, template) => {
+    stages[template.stage_key] = {
+      name: template.name,
+      order: template.stage_order,
+      amount: template.amount ?? null,
+      currency: template.currency || null,
+      template_id: template.id || null,
+      ...emptyStageState(),
+    };
+    return stages;
+  }, {});
+
+/**
+ * Fill in name/order for stages stored before templates existed
+ * @param {Object} paymentStages - Ticket payment_stages (may be null)
+ * @returns {Object} payment_stages with display metadata on every stage
+ */
+export const normalizePaymentStages = (paymentStages) => {
+  const stages =
+    paymentStages && Object.keys(paymentStages).length > 0
+      ? paymentStages
+      : buildPaymentStages(LEGACY_PAYMENT_STAGES);
+
+  return Object.fromEntries(
+    Object.entries(stages).map(([key, stage], index) => {
+      const legacy = LEGACY_PAYMENT_STAGES.find((s) => s.stage_key === key);
+      return [
+        key,
+        {
+          ...stage,
+          name: stage?.name || legacy?.name || key,
+          order: stage?.order ?? legacy?.stage_order ?? index + 1,
+        },
+      ];
+    })
+  );
+};
+
+/**
+ * Stages as an array ordered by their configured order
+ * @param {Object} paymentStages - Ticket payment_stages
+ * @returns {Array<Object>} [{ key, name, order, ... }]
+ */
+export const getOrderedPaymentStages = (paymentStages) =>
+  Object.entries(normalizePaymentStages(paymentStages))
+    .map(([key, stage]) => ({ key, ...stage }))
+    .sort((a, b) => a.order - b.order);
+
+/**
+ * Fetch the template behind a ticket stage (by id, else by project type + key)
+ * @param {Object} stage - Ticket stage object
+ * @param {string} stageKey - Stage key
+ * @param {string} projectType - Ticket project_type
+ * @returns {Promise<Object|null>} Template row or null
+ */
+export const getTemplateForStage = async (stage, stageKey, projectType) => {
+  if (stage?.template_id) {
+    const { data } = await supabaseAdmin
+      .from("payment_stage_templates")
+      .select("*")
+      .eq("id", stage.template_id)
+      .maybeSingle();
+    if (data) return data;
+  }
+
+  const templates = await getPaymentStageTemplates(projectType);
+  return templates.find((t) => t.stage_key === stageKey && t.id) || null;
+};
+
+/**
+ * Mark a stage completed and log the event
+ * (shared by manual completion and payment proof approval)
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} paymentStages - Normalized payment_stages (stage already validated)
+ * @param {string} stage - Stage key
+ * @param {string} userId - User completing the stage
+ * @param {Object} extra - Extra fields stored on the stage / event metadata
+ * @returns {Promise<Object>} { paymentStages, stageName, error }
+ */
+export const completePaymentStage = async (ticketId, paymentStages, stage, userId, extra = {}) => {
+  const previousStage = { ...(paymentStages[stage] || {}) };
+  const updatedStages = {
+    ...paymentStages,
+    [stage]: {
+      ...paymentStages[stage],
+      ...extra,
+      completed: true,
+      completed_at: new Date().toISOString(),
+      completed_by: userId,
+    },
+  };
+
+  const { error } = await supabaseAdmin
+    .from("tickets")
+    .update({ payment_stages: updatedStages })
+    .eq("id", ticketId);
+
+  const stageName = updatedStages[stage].name;
+
+  if (error) return { paymentStages, stageName, error };
+
+  await logTicketEvent({
+    ticketId,
+    actorId: userId,
+    eventType: TICKET_EVENT_TYPES.PAYMENT_STAGE_COMPLETED,
+    oldValue: previousStage,
+    newValue: updatedStages[stage],
+    metadata: { stage, stageName, ...extra },
+  });
+
+  return { paymentStages: updatedStages, stageName, error: null };
+};
+
+/**
+ * Fill {{placeholders}} in a stage message template
+ * Supported: ticketNumber, uid, title, stageName, amount, currency, clientName
+ * @param {string} template - Message template
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered message
+ */
+export const renderPaymentMessage = (template, values = {}) =>
+  String(template || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : ""
+  );
+
+export default {
+  DEFAULT_TEMPLATE_PROJECT_TYPE,
+  LEGACY_PAYMENT_STAGES,
+  getPaymentStageTemplates,
+  buildPaymentStages,
+  normalizePaymentStages,
+  getOrderedPaymentStages,
+  getTemplateForStage,
+  completePaymentStage,
+  renderPaymentMessage,
+};
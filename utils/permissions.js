@@ -0,0 +1,328 @@
+import { supabaseAdmin } from "../config/supabase.js";
+
+/**
+ * Permissions
+ * Central registry of what each role may do. Code asks for a permission key
+ * (e.g. "ticket.status.update"), never for a role name, so new roles
+ * ("reviewer", "accounts", ...) can be created and configured by admins
+ * without code changes.
+ *
+ * A grant has a scope:
+ * - "all":    on every ticket
+ * - "member": only on tickets the user is a member (or the creator) of
+ *
+ * Tables: roles (name, label, description, base_role, is_system, custom_permissions)
+ *         role_permissions (role, permission, scope)
+ * Roles without custom_permissions use the defaults below. "admin" always has
+ * every permission so admins can't lock themselves out.
+ */
+
+export const PERMISSION_SCOPES = {
+  ALL: "all",
+  MEMBER: "member",
+};
+
+/**
+ * Built-in roles. base_role of a custom role must be one of these - it decides
+ * which status moves the role gets from the ticket workflow.
+ */
+export const SYSTEM_ROLES = ["admin", "employee", "freelancer", "client"];
+
+export const SUPER_ROLE = "admin";
+
+/**
+ * Base roles a custom role may use. Client visibility (internal messages,
+ * pins, reactions, notifications) is still decided by role === "client", so
+ * client-based custom roles would be treated as staff - not allowed until
+ * those checks go through getBaseRole.
+ */
+export const CUSTOM_ROLE_BASES = SYSTEM_ROLES.filter((role) => role !== "client");
+
+const { ALL, MEMBER } = PERMISSION_SCOPES;
+
+/**
+ * Permission registry: key -> { description, defaults: { role: scope } }
+ * Add new keys here; admins then grant them to roles.
+ */
+export const PERMISSIONS = {
+  "ticket.create": {
+    description: "Create tickets",
+    defaults: { admin: ALL, client: ALL },
+  },
+  "ticket.view_any": {
+    description: "Open any ticket without being a member",
+    defaults: { admin: ALL, employee: ALL },
+  },
+  "ticket.update": {
+    description: "Edit ticket title, description, due date",
+    defaults: { admin: ALL, employee: MEMBER },
+  },
+  "ticket.status.update": {
+    description: "Change ticket status",
+    defaults: { admin: ALL, employee: MEMBER, freelancer: MEMBER },
+  },
+  "ticket.priority.update": {
+    description: "Change ticket priority",
+    defaults: { admin: ALL },
+  },
+  "ticket.points.update": {
+    description: "Edit works to do (ticket points)",
+    defaults: { admin: ALL, employee: MEMBER },
+  },
+  "ticket.members.manage": {
+    description: "Add and remove ticket members",
+    defaults: { admin: ALL, employee: MEMBER },
+  },
+  "ticket.members.permissions": {
+    description: "Change what ticket members may do (e.g. message the client)",
+    defaults: { admin: ALL },
+  },
+  "ticket.export": {
+    description: "Export tickets to Excel",
+    defaults: { admin: ALL, employee: ALL },
+  },
+  "ticket.export.financials": {
+    description: "Include payment columns in ticket exports",
+    defaults: { admin: ALL },
+  },
+  "ticket.pins.manage": {
+    description: "Pin and unpin messages and files in a ticket",
+    defaults: { admin: ALL, employee: MEMBER },
+  },
+  "message.search_all": {
+    description: "Search messages across all tickets",
+    defaults: { admin: ALL, employee: ALL },
+  },
+  "message.delete_any": {
+    description: "Delete other users' messages",
+    defaults: { admin: ALL },
+  },
+  "payment.view": {
+    description: "View ticket payments and ledger",
+    defaults: { admin: ALL, employee: ALL, client: MEMBER },
+  },
+  "payment.notify": {
+    description: "Send payment stage notifications to clients",
+    defaults: { admin: ALL, employee: ALL },
+  },
+  "payment.stage.complete": {
+    description: "Mark payment stages as completed",
+    defaults: { admin: ALL, employee: ALL },
+  },
+  "payment.record": {
+    description: "Record received payments",
+    defaults: { admin: ALL, employee: ALL },
+  },
+  "payment.void": {
+    description: "Void recorded payments",
+    defaults: { admin: ALL },
+  },
+  "payment.amount.update": {
+    description: "Set payment stage amounts",
+    defaults: { admin: ALL },
+  },
+  "payment.proof.review": {
+    description: "Approve or reject client payment proofs",
+    defaults: { admin: ALL, employee: ALL },
+  },
+  "payment.reminders.manage": {
+    description: "Turn payment reminders on or off for a ticket",
+    defaults: { admin: ALL, employee: ALL },
+  },
+  "payment.balances.view": {
+    description: "View outstanding balances per client",
+    defaults: { admin: ALL },
+  },
+  "user.list": {
+    description: "List users and their tickets (assignment pickers)",
+    defaults: { admin: ALL, employee: ALL },
+  },
+  "chat_group.create": {
+    description: "Create staff chat groups",
+    defaults: { admin: ALL },
+  },
+  "chat_group.manage_any": {
+    description: "Manage any staff chat group (rename, members, group admins, archive)",
+    defaults: { admin: ALL },
+  },
+  "chat.direct": {
+    description: "Send and receive direct messages with other staff",
+    defaults: { admin: ALL, employee: ALL, freelancer: ALL },
+  },
+  "admin.permissions.manage": {
+    description: "Manage roles and permissions",
+    defaults: { admin: ALL },
+  },
+};
+
+// Role config cache (refreshed every minute, cleared on admin changes)
+const CACHE_TTL = 60 * 1000;
+let cache = null;
+
+/**
+ * Drop the cached role config (call after changing roles / role_permissions)
+ */
+export const invalidatePermissionCache = () => {
+  cache = null;
+};
+
+/**
+ * Default grants for a role from the registry
+ * @returns {Object} { permission: scope }
+ */
+export const getDefaultPermissions = (role) =>
+  Object.fromEntries(
+    Object.entries(PERMISSIONS)
+      .filter(([, def]) => def.defaults[role])
+      .map(([key, def]) => [key, def.defaults[role]])
+  );
+
+/**
+ * Load roles and grants (cached)
+ * @returns {Promise<Object>} { roles: { name: row }, grants: { role: { permission: scope } } }
+ */
+const loadPermissionConfig = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL) return cache;
+
+  const [{ data: roles, error: rolesError }, { data: rows, error: rowsError }] = await Promise.all([
+    supabaseAdmin.from("roles").select("*"),
+    supabaseAdmin.from("role_permissions").select("role, permission, scope"),
+  ]);
+
+  // Tables missing or unreachable - fall back to the registry defaults
+  if (rolesError || rowsError) {
+    console.error("❌ Error loading permissions, using defaults:", rolesError || rowsError);
+  }
+
+  const roleMap = Object.fromEntries(
+    SYSTEM_ROLES.map((name) => [name, { name, base_role: name, is_system: true, custom_permissions: false }])
+  );
+  (roles || []).forEach((role) => {
+    roleMap[role.name] = role;
+  });
+
+  const grants = {};
+  Object.values(roleMap).forEach((role) => {
+    grants[role.name] = role.custom_permissions ? {} : getDefaultPermissions(role.name);
+  });
+  (rows || []).forEach((row) => {
+    if (roleMap[row.role]?.custom_permissions) {
+      grants[row.role][row.permission] = row.scope;
+    }
+  });
+
+  cache = { roles: roleMap, grants, loadedAt: Date.now() };
+  return cache;
+};
+
+const getAllPermissions = () =>
+  Object.fromEntries(Object.keys(PERMISSIONS).map((key) => [key, ALL]));
+
+/**
+ * All roles with their grants (admin matrix)
+ */
+export const getPermissionConfig = async () => {
+  const config = await loadPermissionConfig();
+  return {
+    roles: config.roles,
+    grants: { ...config.grants, [SUPER_ROLE]: getAllPermissions() },
+  };
+};
+
+/**
+ * Scope a role has for a permission
+ * @param {string} role - users.role
+ * @param {string} permission - Key from PERMISSIONS
+ * @returns {Promise<string|null>} "all" | "member" | null
+ */
+export const getPermissionScope = async (role, permission) => {
+  if (!PERMISSIONS[permission]) {
+    console.error(`❌ Unknown permission: ${permission}`);
+    return null;
+  }
+  if (role === SUPER_ROLE) return ALL;
+
+  const config = await loadPermissionConfig();
+  return config.grants[role]?.[permission] || null;
+};
+
+/**
+ * Whether a role has a permission (any scope)
+ */
+export const hasPermission = async (role, permission) =>
+  !!(await getPermissionScope(role, permission));
+
+/**
+ * Check a ticket-level permission for a user: "all" passes, "member" needs
+ * the user to be a ticket member or the ticket creator
+ * @param {Object} user - { id, role }
+ * @param {string} ticketId - Ticket ID
+ * @param {string} permission - Key from PERMISSIONS
+ * @returns {Promise<Object>} { allowed, scope, isMember }
+ */
+export const checkTicketPermission = async (user, ticketId, permission) => {
+  const scope = await getPermissionScope(user.role, permission);
+  if (!scope) return { allowed: false, scope: null, isMember: false };
+  if (scope === ALL) return { allowed: true, scope, isMember: null };
+
+  const isMember = await isTicketMember(user.id, ticketId);
+  return { allowed: isMember, scope, isMember };
+};
+
+/**
+ * Member or creator of a ticket
+ */
+export const isTicketMember = async (userId, ticketId) => {
+  const { data: membership } = await supabaseAdmin
+    .from("ticket_members")
+    .select("id")
+    .eq("ticket_id", ticketId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (membership) return true;
+
+  const { data: ticket } = await supabaseAdmin
+    .from("tickets")
+    .select("created_by")
+    .eq("id", ticketId)
+    .maybeSingle();
+
+  return ticket?.created_by === userId;
+};
+
+/**
+ * Built-in role a role behaves like (ticket workflow moves, visibility)
+ * @returns {Promise<string>} One of SYSTEM_ROLES (unknown roles -> the role itself)
+ */
+export const getBaseRole = async (role) => {
+  if (SYSTEM_ROLES.includes(role)) return role;
+  const config = await loadPermissionConfig();
+  return config.roles[role]?.base_role || role;
+};
+
+/**
+ * Whether a role exists (system or created by an admin)
+ */
+export const isKnownRole = async (role) => {
+  if (SYSTEM_ROLES.includes(role)) return true;
+  const config = await loadPermissionConfig();
+  return !!config.roles[role];
+};
+
+export default {
+  PERMISSION_SCOPES,
+  SYSTEM_ROLES,
+  SUPER_ROLE,
+  CUSTOM_ROLE_BASES,
+  PERMISSIONS,
+  invalidatePermissionCache,
+  getDefaultPermissions,
+  getPermissionConfig,
+  getPermissionScope,
+  hasPermission,
+  checkTicketPermission,
+  isTicketMember,
+  getBaseRole,
+  isKnownRole,
+};
@@ -0,0 +1,65 @@
+/**
+ * Query Paging
+ * Supabase caps every response at 1000 rows and long .in() lists overflow the
+ * request URL, so bulk reads page with .range() and split id lists into chunks.
+ */
+
+export const PAGE_SIZE = 1000;
+
+export const IN_CHUNK_SIZE = 200;
+
+/**
+ * Split a list into .in()-sized chunks
+ * @param {Array} values - Ids
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>} Chunks
+ */
+export const chunkList = (values, size = IN_CHUNK_SIZE) => {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) chunks.push(values.slice(i, i + size));
+  return chunks;
+};
+
+/**
+ * Page through a query until it runs out of rows
+ * The query needs a stable order (e.g. .order("id")) for pages not to overlap.
+ * @param {Function} buildQuery - () => query builder (called once per page)
+ * @returns {Promise<Array>} All rows
+ */
+export const fetchAllPages = async (buildQuery) => {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return rows;
+};
+
+/**
+ * Run a query for every chunk of ids and page through each chunk
+ * @param {Array} ids - Values for the .in() filter
+ * @param {Function} buildQuery - (idsChunk) => query builder
+ * @returns {Promise<Array>} All rows
+ */
+export const fetchAllIn = async (ids, buildQuery) => {
+  const rows = [];
+
+  for (const chunk of chunkList(ids)) {
+    rows.push(...(await fetchAllPages(() => buildQuery(chunk))));
+  }
+
+  return rows;
+};
+
+export default {
+  PAGE_SIZE,
+  IN_CHUNK_SIZE,
+  chunkList,
+  fetchAllPages,
+  fetchAllIn,
+};
@@ -0,0 +1,261 @@
+import crypto from "crypto";
+import { supabaseAdmin } from "../config/supabase.js";
+import { generateTokenPair } from "./tokenUtils.js";
+import { getClientIp } from "./authRateLimit.js";
+
+/**
+ * Sessions
+ * Server-side login sessions backing short-lived access tokens.
+ * Every access/refresh token carries the session id (sid); revoking the
+ * session invalidates both, for REST and sockets alike.
+ */
+
+// How often last_seen_at is written (avoid a DB write on every request)
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// A just-rotated refresh token is still accepted this long (parallel tabs refreshing)
+const REFRESH_GRACE_MS = 60 * 1000;
+
+/**
+ * Record activity on users.last_active_at (user directory filters / sorting)
+ */
+const markUserActive = async (userId, at = new Date()) => {
+  const { error } = await supabaseAdmin
+    .from("users")
+    .update({ last_active_at: at.toISOString() })
+    .eq("id", userId);
+
+  if (error) console.error("❌ Error updating user last active:", error);
+};
+
+/**
+ * Hash a token for storage (the plain token is never stored)
+ */
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token), "utf8").digest("hex");
+
+/**
+ * Human readable device name from a user agent, e.g. "Chrome on Windows"
+ */
+export const describeDevice = (userAgent = "") => {
+  const ua = String(userAgent);
+
+  const browser =
+    (/Edg\//.test(ua) && "Edge") ||
+    (/OPR\/|Opera/.test(ua) && "Opera") ||
+    (/Chrome\//.test(ua) && "Chrome") ||
+    (/Firefox\//.test(ua) && "Firefox") ||
+    (/Safari\//.test(ua) && "Safari") ||
+    (/okhttp|Dart|Expo|ReactNative/i.test(ua) && "App") ||
+    null;
+
+  const os =
+    (/Android/.test(ua) && "Android") ||
+    (/iPhone|iPad|iPod/.test(ua) && "iOS") ||
+    (/Windows/.test(ua) && "Windows") ||
+    (/Mac OS X|Macintosh/.test(ua) && "macOS") ||
+    (/Linux/.test(ua) && "Linux") ||
+    null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || "Unknown device";
+};
+
+/**
+ * Create a session and issue its token pair
+ * @param {Object} user - User row (id, email, role, name)
+ * @param {Object} req - Express request (user agent / IP)
+ * @param {boolean} rememberMe - Longer refresh token / session
+ * @returns {Promise<Object>} { session, tokens }
+ */
+export const createSession = async (user, req, rememberMe = false) => {
+  const userAgent = req.headers["user-agent"] || null;
+  const sessionId = crypto.randomUUID();
+  const tokens = generateTokenPair(user, rememberMe, sessionId);
+  const now = new Date();
+
+  const { data: session, error } = await supabaseAdmin
+    .from("user_sessions")
+    .insert({
+      id: sessionId,
+      user_id: user.id,
+      refresh_token_hash: hashToken(tokens.refreshToken),
+      device_name: req.body?.deviceName || describeDevice(userAgent),
+      user_agent: userAgent,
+      ip_address: getClientIp(req),
+      remember_me: !!rememberMe,
+      last_seen_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + tokens.refreshExpiresIn * 1000).toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await markUserActive(user.id, now);
+
+  console.log(`🔐 Session ${sessionId} created for user ${user.id} (${session.device_name})`);
+  return { session, tokens };
+};
+
+/**
+ * Get a session if it is still active (not revoked, not expired)
+ * @param {string} sessionId - Session ID (token sid)
+ * @returns {Promise<Object|null>} Session row or null
+ */
+export const getActiveSession = async (sessionId) => {
+  if (!sessionId) return null;
+
+  const { data: session } = await supabaseAdmin
+    .from("user_sessions")
+    .select("*")
+    .eq("id", sessionId)
+    .maybeSingle();
+
+  if (!session || session.revoked_at) return null;
+  if (new Date(session.expires_at) <= new Date()) return null;
+
+  return session;
+};
+
+/**
+ * Update last_seen_at / IP (at most every TOUCH_INTERVAL_MS)
+ */
+export const touchSession = async (session, req) => {
+  const lastSeen = new Date(session.last_seen_at || 0).getTime();
+  if (Date.now() - lastSeen < TOUCH_INTERVAL_MS) return;
+
+  const now = new Date();
+
+  await supabaseAdmin
+    .from("user_sessions")
+    .update({ last_seen_at: now.toISOString(), ip_address: getClientIp(req) })
+    .eq("id", session.id);
+
+  await markUserActive(session.user_id, now);
+};
+
+/**
+ * Issue a new token pair for a session, rotating its refresh token.
+ * Presenting an already rotated refresh token (outside the grace window)
+ * means it was copied - the session is revoked.
+ * @param {Object} session - Active session row
+ * @param {Object} user - User row
+ * @param {string} presentedToken - Refresh token sent by the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { tokens } or { error: "reused" }
+ */
+export const rotateSessionTokens = async (session, user, presentedToken, req) => {
+  const presentedHash = hashToken(presentedToken);
+  const isCurrent = presentedHash === session.refresh_token_hash;
+  const isRecentPrevious =
+    presentedHash === session.previous_refresh_token_hash &&
+    Date.now() - new Date(session.rotated_at || 0).getTime() < REFRESH_GRACE_MS;
+
+  if (!isCurrent && !isRecentPrevious) {
+    await revokeSessions({ sessionIds: [session.id], reason: "refresh_token_reuse" });
+    console.log(`🚨 Refresh token reuse detected, session ${session.id} revoked`);
+    return { error: "reused" };
+  }
+
+  const tokens = generateTokenPair(user, session.remember_me, session.id);
+
+  await supabaseAdmin
+    .from("user_sessions")
+    .update({
+      refresh_token_hash: hashToken(tokens.refreshToken),
+      previous_refresh_token_hash: session.refresh_token_hash,
+      rotated_at: new Date().toISOString(),
+      last_seen_at: new Date().toISOString(),
+      ip_address: getClientIp(req),
+    })
+    .eq("id", session.id);
+
+  await markUserActive(session.user_id);
+
+  return { tokens };
+};
+
+/**
+ * Revoke sessions by id, or all of a user's active sessions
+ * @param {Object} params
+ * @param {string} params.userId - Revoke all sessions of this user...
+ * @param {string[]} params.sessionIds - ...or just these sessions
+ * @param {string} params.exceptSessionId - Keep this session (e.g. the current one)
+ * @param {string} params.revokedBy - User performing the revoke
+ * @param {string} params.reason - logout | revoked | revoke_all | admin_force_logout |
+ *   password_changed | password_reset | refresh_token_reuse
+ * @returns {Promise<string[]>} Revoked session ids
+ */
+export const revokeSessions = async ({
+  userId,
+  sessionIds,
+  exceptSessionId,
+  revokedBy = null,
+  reason = "revoked",
+}) => {
+  let query = supabaseAdmin
+    .from("user_sessions")
+    .update({
+      revoked_at: new Date().toISOString(),
+      revoked_by: revokedBy,
+      revoke_reason: reason,
+    })
+    .is("revoked_at", null);
+
+  if (sessionIds) query = query.in("id", sessionIds);
+  if (userId) query = query.eq("user_id", userId);
+  if (exceptSessionId) query = query.neq("id", exceptSessionId);
+
+  const { data, error } = await query.select("id");
+
+  if (error) {
+    console.error("❌ Error revoking sessions:", error);
+    throw error;
+  }
+
+  return (data || []).map((s) => s.id);
+};
+
+/**
+ * Tell connected sockets of revoked sessions and disconnect them
+ * @param {Object} io - Socket.IO server (req.app.get("io"))
+ * @param {string[]} sessionIds - Revoked session ids
+ */
+export const disconnectSessionSockets = (io, sessionIds = []) => {
+  if (!io) return;
+
+  sessionIds.forEach((sessionId) => {
+    const room = `session:${sessionId}`;
+    io.to(room).emit("session_revoked", { sessionId });
+    io.in(room).disconnectSockets(true);
+  });
+};
+
+/**
+ * Active sessions for a user, most recently used first
+ */
+export const listActiveSessions = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from("user_sessions")
+    .select("id, device_name, user_agent, ip_address, remember_me, created_at, last_seen_at, expires_at")
+    .eq("user_id", userId)
+    .is("revoked_at", null)
+    .gt("expires_at", new Date().toISOString())
+    .order("last_seen_at", { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+export default {
+  hashToken,
+  describeDevice,
+  createSession,
+  getActiveSession,
+  touchSession,
+  rotateSessionTokens,
+  revokeSessions,
+  disconnectSessionSockets,
+  listActiveSessions,
+};
@@ -0,0 +1,246 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import { SLA_CLOSED_STATUSES } from "./ticketSla.js";
+
+/**
+ * Ticket Assignment
+ * Ranks employees for a ticket (open-ticket load, department vs project type,
+ * past completion time on the same project type, availability) and picks
+ * auto-assignees for new tickets.
+ */
+
+/**
+ * Values of users.availability_status
+ */
+export const AVAILABILITY_STATUSES = ["available", "busy", "away", "on_leave"];
+
+/**
+ * Auto-assign strategies
+ */
+export const ASSIGNMENT_STRATEGIES = {
+  ROUND_ROBIN: "round_robin",
+  LEAST_LOADED: "least_loaded",
+};
+
+// Score adjustments
+const LOAD_PENALTY_PER_TICKET = 10;
+const DEPARTMENT_MATCH_BONUS = 25;
+const COMPLETION_SPEED_WEIGHT = 15;
+const AVAILABILITY_ADJUSTMENT = {
+  available: 0,
+  busy: -20,
+  away: -40,
+  on_leave: -100,
+};
+
+// Only these can be picked automatically
+const AUTO_ASSIGNABLE_AVAILABILITY = ["available"];
+
+// Time in these statuses doesn't count as work on the ticket
+const NON_WORK_STATUSES = ["Created", ...SLA_CLOSED_STATUSES];
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Auto-assign settings from env
+ * - AUTO_ASSIGN_STRATEGY: round_robin | least_loaded (unset / anything else disables)
+ * - AUTO_ASSIGN_COUNT: employees added per new ticket (default 1)
+ */
+export const getAutoAssignConfig = () => {
+  const strategy = String(process.env.AUTO_ASSIGN_STRATEGY || "").trim().toLowerCase();
+  const count = parseInt(process.env.AUTO_ASSIGN_COUNT, 10);
+
+  return {
+    strategy: Object.values(ASSIGNMENT_STRATEGIES).includes(strategy) ? strategy : null,
+    count: count > 0 ? count : 1,
+  };
+};
+
+const normalize = (value) => String(value || "").trim().toLowerCase();
+
+/**
+ * Open-ticket load and completion history for a set of users
+ * @param {Array} userIds - Candidate IDs
+ * @param {string} projectType - Project type of the ticket being staffed
+ * @returns {Promise<Map>} userId -> { openTickets, completionHours: [] }
+ */
+const getAssignmentHistory = async (userIds, projectType) => {
+  const history = new Map(userIds.map((id) => [id, { openTickets: 0, completionHours: [] }]));
+  if (userIds.length === 0) return history;
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabaseAdmin
+      .from("ticket_members")
+      .select("user_id, tickets!inner(status, project_type, status_durations)")
+      .in("user_id", userIds)
+      .order("id", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    (data || []).forEach(({ user_id: userId, tickets: ticket }) => {
+      const entry = history.get(userId);
+      if (!entry || !ticket) return;
+
+      if (!SLA_CLOSED_STATUSES.includes(ticket.status)) {
+        entry.openTickets += 1;
+        return;
+      }
+
+      // Similar ticket = same project type, finished
+      if (normalize(ticket.project_type) !== normalize(projectType)) return;
+
+      const workedSeconds = Object.entries(ticket.status_durations || {})
+        .filter(([status]) => !NON_WORK_STATUSES.includes(status))
+        .reduce((sum, [, seconds]) => sum + (Number(seconds) || 0), 0);
+
+      if (workedSeconds > 0) entry.completionHours.push(workedSeconds / 3600);
+    });
+
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return history;
+};
+
+/**
+ * Score candidates for a ticket, best first
+ * @param {Object} ticket - Ticket row (needs project_type)
+ * @param {Array} candidates - users rows (id, department, availability_status, ...)
+ * @returns {Promise<Array>} Candidates with { ranking: { score, openTickets,
+ *   departmentMatch, avgCompletionHours, availabilityStatus, reasons } }
+ */
+export const rankAssignmentCandidates = async (ticket, candidates) => {
+  const history = await getAssignmentHistory(
+    candidates.map((c) => c.id),
+    ticket.project_type
+  );
+
+  const averages = new Map(
+    [...history].map(([id, { completionHours }]) => [
+      id,
+      completionHours.length > 0
+        ? completionHours.reduce((sum, h) => sum + h, 0) / completionHours.length
+        : null,
+    ])
+  );
+  const known = [...averages.values()].filter((v) => v !== null);
+  const teamAverage =
+    known.length > 0 ? known.reduce((sum, h) => sum + h, 0) / known.length : null;
+
+  const ranked = candidates.map((candidate) => {
+    const { openTickets } = history.get(candidate.id);
+    const avgCompletionHours = averages.get(candidate.id);
+    const availabilityStatus = candidate.availability_status || "available";
+    const departmentMatch =
+      !!candidate.department &&
+      !!ticket.project_type &&
+      normalize(candidate.department) === normalize(ticket.project_type);
+
+    const reasons = [];
+    let score = 100;
+
+    score -= openTickets * LOAD_PENALTY_PER_TICKET;
+    reasons.push(`${openTickets} open ticket(s)`);
+
+    if (departmentMatch) {
+      score += DEPARTMENT_MATCH_BONUS;
+      reasons.push(`Department matches ${ticket.project_type}`);
+    }
+
+    if (avgCompletionHours !== null && teamAverage) {
+      // Faster than the team average on this project type scores higher
+      const relative = Math.max(-1, Math.min(1, (teamAverage - avgCompletionHours) / teamAverage));
+      score += relative * COMPLETION_SPEED_WEIGHT;
+      reasons.push(
+        `Avg ${Math.round(avgCompletionHours * 10) / 10}h on ${ticket.project_type} tickets`
+      );
+    }
+
+    score += AVAILABILITY_ADJUSTMENT[availabilityStatus] ?? 0;
+    if (availabilityStatus !== "available") {
+      reasons.push(`Currently ${availabilityStatus.replace("_", " ")}`);
+    }
+
+    return {
+      ...candidate,
+      ranking: {
+        score: Math.round(score * 10) / 10,
+        openTickets,
+        departmentMatch,
+        avgCompletionHours:
+          avgCompletionHours === null ? null : Math.round(avgCompletionHours * 10) / 10,
+        availabilityStatus,
+        reasons,
+      },
+    };
+  });
+
+  return ranked.sort(
+    (a, b) => b.ranking.score - a.ranking.score || String(a.name).localeCompare(String(b.name))
+  );
+};
+
+/**
+ * Pick employees to auto-assign to a new ticket
+ * - round_robin: whoever was auto-assigned longest ago (users.last_auto_assigned_at)
+ * - least_loaded: fewest open tickets, round robin between ties
+ * @param {Object} ticket - Ticket row
+ * @param {Object} options - { strategy, count, excludeIds }
+ * @returns {Promise<Array>} Picked users (id, name, email, role)
+ */
+export const pickAutoAssignees = async (ticket, { strategy, count = 1, excludeIds = [] }) => {
+  if (!Object.values(ASSIGNMENT_STRATEGIES).includes(strategy)) return [];
+
+  const { data: employees, error } = await supabaseAdmin
+    .from("users")
+    .select("id, name, email, role, department, availability_status, last_auto_assigned_at")
+    .eq("role", "employee")
+    .eq("approval_status", "approved")
+    .is("deactivated_at", null)
+    .in("availability_status", AUTO_ASSIGNABLE_AVAILABILITY)
+    .order("last_auto_assigned_at", { ascending: true, nullsFirst: true })
+    .order("id", { ascending: true });
+
+  if (error) throw error;
+
+  const excluded = new Set(excludeIds);
+  let candidates = (employees || []).filter((e) => !excluded.has(e.id));
+
+  if (strategy === ASSIGNMENT_STRATEGIES.LEAST_LOADED) {
+    const history = await getAssignmentHistory(
+      candidates.map((c) => c.id),
+      ticket.project_type
+    );
+    // Stable sort keeps the round-robin order between equally loaded employees
+    candidates = [...candidates].sort(
+      (a, b) => history.get(a.id).openTickets - history.get(b.id).openTickets
+    );
+  }
+
+  return candidates.slice(0, count);
+};
+
+/**
+ * Remember who was auto-assigned, for the round-robin order
+ */
+export const markAutoAssigned = async (userIds) => {
+  if (userIds.length === 0) return;
+
+  const { error } = await supabaseAdmin
+    .from("users")
+    .update({ last_auto_assigned_at: new Date().toISOString() })
+    .in("id", userIds);
+
+  if (error) {
+    console.error("❌ Error updating last_auto_assigned_at:", error);
+  }
+};
+
+export default {
+  AVAILABILITY_STATUSES,
+  ASSIGNMENT_STRATEGIES,
+  getAutoAssignConfig,
+  rankAssignmentCandidates,
+  pickAutoAssignees,
+  markAutoAssigned,
+};
@@ -0,0 +1,83 @@
+import { supabaseAdmin } from "../config/supabase.js";
+
+/**
+ * Ticket Events
+ * Append-only activity log for tickets (backs the ticket timeline)
+ */
+
+/**
+ * Event types written to ticket_events
+ */
+export const TICKET_EVENT_TYPES = {
+  STATUS_CHANGED: "status_changed",
+  PRIORITY_CHANGED: "priority_changed",
+  POINTS_UPDATED: "points_updated",
+  MEMBER_ADDED: "member_added",
+  MEMBER_REMOVED: "member_removed",
+  PAYMENT_STAGE_NOTIFIED: "payment_stage_notified",
+  PAYMENT_STAGE_COMPLETED: "payment_stage_completed",
+  NUMBER_CHANGED: "ticket_number_changed",
+  PAYMENT_RECORDED: "payment_recorded",
+  PAYMENT_VOIDED: "payment_voided",
+  PAYMENT_AMOUNT_UPDATED: "payment_amount_updated",
+  PAYMENT_PROOF_SUBMITTED: "payment_proof_submitted",
+  PAYMENT_PROOF_REJECTED: "payment_proof_rejected",
+  PAYMENT_REMINDER_SENT: "payment_reminder_sent",
+  PAYMENT_REMINDERS_TOGGLED: "payment_reminders_toggled",
+};
+
+/**
+ * Event types clients are allowed to see on their timeline
+ */
+export const CLIENT_VISIBLE_EVENT_TYPES = [
+  TICKET_EVENT_TYPES.STATUS_CHANGED,
+  TICKET_EVENT_TYPES.PAYMENT_STAGE_NOTIFIED,
+  TICKET_EVENT_TYPES.PAYMENT_STAGE_COMPLETED,
+  TICKET_EVENT_TYPES.NUMBER_CHANGED,
+  TICKET_EVENT_TYPES.PAYMENT_RECORDED,
+  TICKET_EVENT_TYPES.PAYMENT_PROOF_SUBMITTED,
+  TICKET_EVENT_TYPES.PAYMENT_PROOF_REJECTED,
+];
+
+/**
+ * Record a ticket event. Never throws - a failed log must not fail the action.
+ * @param {Object} event
+ * @param {string} event.ticketId - Ticket the event belongs to
+ * @param {string} event.actorId - User who performed the action
+ * @param {string} event.eventType - One of TICKET_EVENT_TYPES
+ * @param {*} event.oldValue - Value before the change
+ * @param {*} event.newValue - Value after the change
+ * @param {Object} event.metadata - Extra context (reason, member info, stage...)
+ */
+export const logTicketEvent = async ({
+  ticketId,
+  actorId,
+  eventType,
+  oldValue = null,
+  newValue = null,
+  metadata = {},
+}) => {
+  try {
+    const { error } = await supabaseAdmin.from("ticket_events").insert({
+      ticket_id: ticketId,
+      actor_id: actorId || null,
+      event_type: eventType,
+      old_value: oldValue,
+      new_value: newValue,
+      metadata,
+      client_visible: CLIENT_VISIBLE_EVENT_TYPES.includes(eventType),
+    });
+
+    if (error) {
+      console.error("❌ Error logging ticket event:", eventType, error);
+    }
+  } catch (error) {
+    console.error("❌ Error logging ticket event:", eventType, error);
+  }
+};
+
+export default {
+  TICKET_EVENT_TYPES,
+  CLIENT_VISIBLE_EVENT_TYPES,
+  logTicketEvent,
+};
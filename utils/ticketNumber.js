@@ -0,0 +1,112 @@
+import { supabaseAdmin } from "../config/supabase.js";
+
+/**
+ * Ticket Number Allocation
+ * Atomic, race-free sequential ticket numbers (e.g. "MZI 0001").
+ * The same ticket_counters rows back other sequences (receipt numbers).
+ */
+
+const COUNTER_NAME = "ticket_number";
+const MAX_RETRIES = 5;
+
+/**
+ * Numbering config (override with TICKET_NUMBER_PREFIX / TICKET_NUMBER_PADDING)
+ */
+export const getTicketNumberConfig = () => ({
+  prefix: process.env.TICKET_NUMBER_PREFIX || "MZI",
+  padding: parseInt(process.env.TICKET_NUMBER_PADDING, 10) || 4,
+});
+
+/**
+ * Format a counter value as a ticket number
+ * @param {number} value - Counter value
+ * @returns {string} e.g. "MZI 0042"
+ */
+export const formatTicketNumber = (value) => {
+  const { prefix, padding } = getTicketNumberConfig();
+  return `${prefix} ${String(value).padStart(padding, "0")}`;
+};
+
+/**
+ * Extract the numeric part of a ticket number
+ * @param {string} ticketNumber - e.g. "MZI 0042"
+ * @returns {number|null} 42, or null if it cannot be parsed
+ */
+export const parseTicketNumber = (ticketNumber) => {
+  const match = String(ticketNumber || "").match(/(\d+)\s*$/);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Fallback allocator: compare-and-swap on the counter row with retry.
+ * Used when the next_ticket_counter() function is not installed.
+ */
+const allocateWithCounterRow = async (counterName) => {
+  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    const { data: counter, error: readError } = await supabaseAdmin
+      .from("ticket_counters")
+      .select("value")
+      .eq("name", counterName)
+      .maybeSingle();
+
+    if (readError) throw readError;
+
+    if (!counter) {
+      // First value ever - create the row; a concurrent insert just retries
+      const { error: insertError } = await supabaseAdmin
+        .from("ticket_counters")
+        .insert({ name: counterName, value: 1 });
+
+      if (!insertError) return 1;
+      continue;
+    }
+
+    const nextValue = Number(counter.value) + 1;
+
+    // Only succeeds if nobody else bumped the counter since we read it
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from("ticket_counters")
+      .update({ value: nextValue, updated_at: new Date().toISOString() })
+      .eq("name", counterName)
+      .eq("value", counter.value)
+      .select("value");
+
+    if (updateError) throw updateError;
+    if (updated && updated.length === 1) return nextValue;
+
+    console.log(`⚠️ Counter "${counterName}" contention, retrying (${attempt}/${MAX_RETRIES})`);
+  }
+
+  throw new Error(`Could not allocate "${counterName}" value after retries`);
+};
+
+/**
+ * Next value of a ticket_counters sequence. Throws instead of guessing on failure.
+ * @param {string} counterName - Counter row name, e.g. "ticket_number"
+ * @returns {Promise<number>} Unique counter value
+ */
+export const allocateCounterValue = async (counterName) => {
+  const { data, error } = await supabaseAdmin.rpc("next_ticket_counter", {
+    counter_name: counterName,
+  });
+
+  if (!error && data !== null && data !== undefined) return Number(data);
+
+  console.error("⚠️ next_ticket_counter RPC unavailable, using counter row:", error);
+  return allocateWithCounterRow(counterName);
+};
+
+/**
+ * Allocate the next ticket number. Throws instead of guessing on failure.
+ * @returns {Promise<string>} Unique ticket number
+ */
+export const allocateTicketNumber = async () =>
+  formatTicketNumber(await allocateCounterValue(COUNTER_NAME));
+
+export default {
+  getTicketNumberConfig,
+  formatTicketNumber,
+  parseTicketNumber,
+  allocateCounterValue,
+  allocateTicketNumber,
+};
@@ -0,0 +1,223 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import { emitToTicketRoom } from "./ticketRoom.js";
+
+/**
+ * Ticket Pins
+ * Pinned messages and files per ticket (decisions, final deliverables).
+ * A pin has the visibility of what it points to: message pins take the
+ * message's message_mode, file pins are "client" unless pinned as internal.
+ * Clients never see internal pins.
+ *
+ * Socket events (server -> client): pin_added, pin_removed
+ */
+
+export const PIN_TYPES = ["message", "file"];
+
+export const PIN_MESSAGE_MODES = ["client", "internal"];
+
+const PIN_MESSAGE_SELECT =
+  "id, sender_id, message, message_type, message_mode, file_url, file_name, file_size, file_mime_type, is_deleted, created_at, sender:users!ticket_messages_sender_id_fkey(id, name, role)";
+
+const PIN_FILE_SELECT =
+  "id, file_name, file_url, file_size, file_type, uploaded_by, uploaded_at, uploader:users!ticket_files_uploaded_by_fkey(id, name)";
+
+/**
+ * Attach the pinned message / file and pinner to pin rows
+ * (pins of deleted messages are dropped)
+ */
+const enrichPins = async (pins) => {
+  const messageIds = pins.map((p) => p.message_id).filter(Boolean);
+  const fileIds = pins.map((p) => p.file_id).filter(Boolean);
+  const pinnerIds = [...new Set(pins.map((p) => p.pinned_by).filter(Boolean))];
+
+  const [{ data: messages }, { data: files }, { data: pinners }] = await Promise.all([
+    messageIds.length > 0
+      ? supabaseAdmin.from("ticket_messages").select(PIN_MESSAGE_SELECT).in("id", messageIds)
+      : { data: [] },
+    fileIds.length > 0
+      ? supabaseAdmin.from("ticket_files").select(PIN_FILE_SELECT).in("id", fileIds)
+      : { data: [] },
+    pinnerIds.length > 0
+      ? supabaseAdmin.from("users").select("id, name, role").in("id", pinnerIds)
+      : { data: [] },
+  ]);
+
+  const messagesById = new Map((messages || []).map((m) => [m.id, m]));
+  const filesById = new Map((files || []).map((f) => [f.id, f]));
+  const pinnersById = new Map((pinners || []).map((u) => [u.id, u]));
+
+  return pins
+    .map((pin) => ({
+      ...pin,
+      message: pin.message_id ? messagesById.get(pin.message_id) || null : null,
+      file: pin.file_id ? filesById.get(pin.file_id) || null : null,
+      pinned_by_user: pinnersById.get(pin.pinned_by) || null,
+    }))
+    .filter((pin) => (pin.pin_type === "message" ? pin.message && !pin.message.is_deleted : pin.file));
+};
+
+/**
+ * Pins of a ticket, newest first
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} options - { includeInternal, visibleFrom }
+ *   includeInternal: false for clients
+ *   visibleFrom: the viewer's join date when they only see messages sent after
+ *   they were added (clients / freelancers), drops pins of older messages
+ * @returns {Promise<Array>} Pins with message / file / pinned_by_user
+ */
+export const listTicketPins = async (ticketId, { includeInternal = false, visibleFrom = null } = {}) => {
+  let query = supabaseAdmin
+    .from("ticket_pins")
+    .select("*")
+    .eq("ticket_id", ticketId)
+    .order("pinned_at", { ascending: false });
+
+  if (!includeInternal) query = query.eq("message_mode", "client");
+
+  const { data: pins, error } = await query;
+  if (error) throw error;
+
+  const enriched = await enrichPins(pins || []);
+  if (!visibleFrom) return enriched;
+
+  const cutoff = new Date(visibleFrom).getTime();
+  return enriched.filter(
+    (pin) => pin.pin_type !== "message" || new Date(pin.message.created_at).getTime() >= cutoff
+  );
+};
+
+/**
+ * Pin a message or a file
+ * @param {Object} params
+ * @param {Object} params.io - Socket.IO server (optional)
+ * @param {string} params.ticketId
+ * @param {Object} params.user - Pinning user
+ * @param {string} params.messageId - Message to pin (or fileId)
+ * @param {string} params.fileId - ticket_files row to pin (or messageId)
+ * @param {string} params.messageMode - File pins only: "client" (default) or "internal"
+ * @param {string} params.note - Why it's pinned (optional)
+ * @returns {Promise<Object>} { pin } or { error: { status, message, errors } }
+ */
+export const createTicketPin = async ({
+  io,
+  ticketId,
+  user,
+  messageId = null,
+  fileId = null,
+  messageMode = "client",
+  note = null,
+}) => {
+  if (!!messageId === !!fileId) {
+    return {
+      error: { status: 400, message: "Validation failed", errors: { target: "Provide either messageId or fileId" } },
+    };
+  }
+
+  let pinMode = messageMode;
+
+  if (messageId) {
+    const { data: message } = await supabaseAdmin
+      .from("ticket_messages")
+      .select("id, message_mode, is_deleted")
+      .eq("id", messageId)
+      .eq("ticket_id", ticketId)
+      .maybeSingle();
+
+    if (!message || message.is_deleted) {
+      return { error: { status: 404, message: "Message not found" } };
+    }
+
+    // Message pins are exactly as visible as the message
+    pinMode = message.message_mode || "client";
+  } else {
+    if (!PIN_MESSAGE_MODES.includes(messageMode)) {
+      return {
+        error: {
+          status: 400,
+          message: "Validation failed",
+          errors: { messageMode: `Must be one of: ${PIN_MESSAGE_MODES.join(", ")}` },
+        },
+      };
+    }
+
+    const { data: file } = await supabaseAdmin
+      .from("ticket_files")
+      .select("id")
+      .eq("id", fileId)
+      .eq("ticket_id", ticketId)
+      .maybeSingle();
+
+    if (!file) return { error: { status: 404, message: "File not found" } };
+  }
+
+  const { data: pin, error } = await supabaseAdmin
+    .from("ticket_pins")
+    .insert([
+      {
+        ticket_id: ticketId,
+        pin_type: messageId ? "message" : "file",
+        message_id: messageId,
+        file_id: fileId,
+        message_mode: pinMode,
+        note: note ? String(note).trim().slice(0, 500) || null : null,
+        pinned_by: user.id,
+      },
+    ])
+    .select("*")
+    .single();
+
+  if (error?.code === "23505") {
+    return {
+      error: { status: 409, message: messageId ? "Message is already pinned" : "File is already pinned" },
+    };
+  }
+  if (error) {
+    console.error("❌ Error pinning ticket item:", error);
+    return { error: { status: 500, message: "Failed to pin" } };
+  }
+
+  const [enriched] = await enrichPins([pin]);
+
+  await emitToTicketRoom(io, ticketId, "pin_added", { ticketId, pin: enriched }, pinMode);
+
+  return { pin: enriched };
+};
+
+/**
+ * Unpin
+ * @param {Object} params - { io, ticketId, pinId }
+ * @returns {Promise<Object>} { pin } or { error: { status, message } }
+ */
+export const removeTicketPin = async ({ io, ticketId, pinId }) => {
+  const { data: pin, error } = await supabaseAdmin
+    .from("ticket_pins")
+    .delete()
+    .eq("id", pinId)
+    .eq("ticket_id", ticketId)
+    .select("*")
+    .maybeSingle();
+
+  if (error) {
+    console.error("❌ Error unpinning ticket item:", error);
+    return { error: { status: 500, message: "Failed to unpin" } };
+  }
+  if (!pin) return { error: { status: 404, message: "Pin not found" } };
+
+  await emitToTicketRoom(
+    io,
+    ticketId,
+    "pin_removed",
+    { ticketId, pinId: pin.id, messageId: pin.message_id, fileId: pin.file_id },
+    pin.message_mode
+  );
+
+  return { pin };
+};
+
+export default {
+  PIN_TYPES,
+  PIN_MESSAGE_MODES,
+  listTicketPins,
+  createTicketPin,
+  removeTicketPin,
+};
@@ -0,0 +1,33 @@
+/**
+ * Ticket Room
+ * Broadcasts to the `ticket:${id}` socket room that respect message_mode:
+ * anything tied to an internal message only reaches staff sockets.
+ */
+
+/**
+ * Emit an event to a ticket room
+ * @param {Object} io - Socket.IO server (no-op when missing)
+ * @param {string} ticketId - Ticket ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ * @param {string} messageMode - "client" (everyone) or "internal" (staff only)
+ */
+export const emitToTicketRoom = async (io, ticketId, event, payload, messageMode = "client") => {
+  if (!io) return;
+
+  const room = `ticket:${ticketId}`;
+
+  if (messageMode !== "internal") {
+    io.to(room).emit(event, payload);
+    return;
+  }
+
+  const sockets = await io.in(room).fetchSockets();
+  sockets
+    .filter((s) => s.user && s.user.role !== "client")
+    .forEach((s) => s.emit(event, payload));
+};
+
+export default {
+  emitToTicketRoom,
+};
@@ -0,0 +1,237 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import { createTicketSlaNotification } from "./notificationHelper.js";
+import { fetchAllPages } from "./queryPaging.js";
+
+/**
+ * Ticket SLA
+ * Due-date derivation, time-in-status tracking and the SLA alert sweep
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Default turnaround (in days) per priority
+ */
+export const SLA_DAYS_BY_PRIORITY = {
+  P1: 3,
+  P2: 7,
+  P3: 14,
+  P4: 21,
+  P5: 30,
+};
+
+/**
+ * Per project_type overrides (project type -> priority -> days).
+ * Project types not listed here use SLA_DAYS_BY_PRIORITY.
+ */
+export const SLA_DAYS_BY_PROJECT_TYPE = {
+  General: SLA_DAYS_BY_PRIORITY,
+};
+
+/**
+ * A ticket is "at risk" once this share of its SLA window is left
+ */
+export const SLA_AT_RISK_RATIO = 0.2;
+
+/**
+ * Statuses where the SLA clock has stopped
+ */
+export const SLA_CLOSED_STATUSES = ["Completed", "Closed"];
+
+/**
+ * Derive a due date from priority and project type
+ * @param {string} priority - P1..P5
+ * @param {string} projectType - Ticket project_type
+ * @param {Date|string} from - Start of the SLA window (defaults to now)
+ * @returns {string} ISO due date
+ */
+export const calculateDueDate = (priority, projectType, from = new Date()) => {
+  const table = SLA_DAYS_BY_PROJECT_TYPE[projectType] || SLA_DAYS_BY_PRIORITY;
+  const days = table[priority] ?? SLA_DAYS_BY_PRIORITY[priority] ?? SLA_DAYS_BY_PRIORITY.P3;
+
+  return new Date(new Date(from).getTime() + days * DAY_MS).toISOString();
+};
+
+/**
+ * Compute SLA flags for a ticket
+ * @param {Object} ticket - Ticket row (needs due_date, created_at, status)
+ * @param {Date} now - Reference time
+ * @returns {Object} { is_overdue, is_at_risk, sla_status, sla_hours_remaining }
+ */
+export const getSlaState = (ticket, now = new Date()) => {
+  if (!ticket?.due_date) {
+    return {
+      is_overdue: false,
+      is_at_risk: false,
+      sla_status: "no_due_date",
+      sla_hours_remaining: null,
+    };
+  }
+
+  const due = new Date(ticket.due_date).getTime();
+  const start = new Date(ticket.created_at || now).getTime();
+  const remaining = due - now.getTime();
+  const hoursRemaining = Math.round((remaining / HOUR_MS) * 10) / 10;
+
+  if (SLA_CLOSED_STATUSES.includes(ticket.status)) {
+    return {
+      is_overdue: false,
+      is_at_risk: false,
+      sla_status: "closed",
+      sla_hours_remaining: hoursRemaining,
+    };
+  }
+
+  if (remaining <= 0) {
+    return {
+      is_overdue: true,
+      is_at_risk: false,
+      sla_status: "overdue",
+      sla_hours_remaining: hoursRemaining,
+    };
+  }
+
+  const window = Math.max(due - start, HOUR_MS);
+  const isAtRisk = remaining <= window * SLA_AT_RISK_RATIO;
+
+  return {
+    is_overdue: false,
+    is_at_risk: isAtRisk,
+    sla_status: isAtRisk ? "at_risk" : "on_track",
+    sla_hours_remaining: hoursRemaining,
+  };
+};
+
+/**
+ * Build the column updates for a status change, adding the time spent in
+ * the previous status to status_durations (seconds per status)
+ * @param {Object} ticket - Current ticket row
+ * @param {string} nextStatus - New status
+ * @param {Date} now - Time of the change
+ * @returns {Object} { status_durations, status_changed_at }
+ */
+export const buildStatusDurationUpdate = (ticket, nextStatus, now = new Date()) => {
+  const durations = { ...(ticket.status_durations || {}) };
+  const since = new Date(
+    ticket.status_changed_at || ticket.updated_at || ticket.created_at || now
+  ).getTime();
+  const elapsedSeconds = Math.max(0, Math.round((now.getTime() - since) / 1000));
+
+  if (ticket.status && ticket.status !== nextStatus) {
+    durations[ticket.status] = (durations[ticket.status] || 0) + elapsedSeconds;
+  }
+
+  return {
+    status_durations: durations,
+    status_changed_at: now.toISOString(),
+  };
+};
+
+/**
+ * Time spent in each status including the running one (seconds)
+ * @param {Object} ticket - Ticket row
+ * @param {Date} now - Reference time
+ * @returns {Object} status -> seconds
+ */
+export const getStatusDurations = (ticket, now = new Date()) => {
+  const durations = { ...(ticket.status_durations || {}) };
+  const since = ticket.status_changed_at || ticket.updated_at || ticket.created_at;
+
+  if (ticket.status && since) {
+    const elapsed = Math.max(0, Math.round((now.getTime() - new Date(since).getTime()) / 1000));
+    durations[ticket.status] = (durations[ticket.status] || 0) + elapsed;
+  }
+
+  return durations;
+};
+
+/**
+ * Sweep open tickets and notify members when a ticket is at risk of, or has
+ * breached, its SLA. Each alert is sent once per due date.
+ * @returns {Promise<Object>} { checked, atRisk, breached }
+ */
+export const runSlaSweep = async (now = new Date()) => {
+  const result = { checked: 0, atRisk: 0, breached: 0 };
+
+  // Read every page before notifying - alerts change sla_breached_notified_at,
+  // which would shift later pages of this same filter
+  let tickets;
+  try {
+    tickets = await fetchAllPages(() =>
+      supabaseAdmin
+        .from("tickets")
+        .select(
+          "id, status, created_at, due_date, sla_at_risk_notified_at, sla_breached_notified_at"
+        )
+        .not("due_date", "is", null)
+        .not("status", "in", `(${SLA_CLOSED_STATUSES.map((s) => `"${s}"`).join(",")})`)
+        .is("sla_breached_notified_at", null)
+        .order("id", { ascending: true })
+    );
+  } catch (error) {
+    console.error("❌ SLA sweep: error fetching tickets:", error);
+    return result;
+  }
+
+  for (const ticket of tickets) {
+    result.checked++;
+    const sla = getSlaState(ticket, now);
+
+    if (sla.is_overdue) {
+      await createTicketSlaNotification(ticket.id, "breached");
+      await supabaseAdmin
+        .from("tickets")
+        .update({ sla_breached_notified_at: now.toISOString() })
+        .eq("id", ticket.id);
+      result.breached++;
+    } else if (sla.is_at_risk && !ticket.sla_at_risk_notified_at) {
+      await createTicketSlaNotification(ticket.id, "at_risk");
+      await supabaseAdmin
+        .from("tickets")
+        .update({ sla_at_risk_notified_at: now.toISOString() })
+        .eq("id", ticket.id);
+      result.atRisk++;
+    }
+  }
+
+  if (result.atRisk || result.breached) {
+    console.log(
+      `⏰ SLA sweep: ${result.checked} checked, ${result.atRisk} at risk, ${result.breached} breached`
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Start the periodic SLA sweep (long-running servers only)
+ * Interval: SLA_SWEEP_INTERVAL_MINUTES (default 15)
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const startSlaSweep = () => {
+  const minutes = parseInt(process.env.SLA_SWEEP_INTERVAL_MINUTES, 10) || 15;
+
+  const run = () =>
+    runSlaSweep().catch((error) => console.error("❌ SLA sweep failed:", error));
+
+  run();
+  const handle = setInterval(run, minutes * 60 * 1000);
+  handle.unref?.();
+
+  console.log(`⏰ SLA sweep scheduled every ${minutes} minutes`);
+  return handle;
+};
+
+export default {
+  SLA_DAYS_BY_PRIORITY,
+  SLA_DAYS_BY_PROJECT_TYPE,
+  SLA_AT_RISK_RATIO,
+  SLA_CLOSED_STATUSES,
+  calculateDueDate,
+  getSlaState,
+  buildStatusDurationUpdate,
+  getStatusDurations,
+  runSlaSweep,
+  startSlaSweep,
+};
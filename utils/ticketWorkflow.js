@@ -0,0 +1,121 @@
+/**
+ * Ticket Workflow
+ * Status transition graph for tickets and helpers to validate status changes
+ */
+
+/**
+ * All valid ticket statuses (must match tickets_status_check constraint)
+ */
+export const TICKET_STATUSES = [
+  "Created",
+  "Assigned",
+  "Ongoing",
+  "Pending with reviewer",
+  "Pending with client",
+  "Completed",
+  "Closed",
+];
+
+/**
+ * Transition graph: current status -> list of allowed moves
+ * - to: target status
+ * - roles: roles allowed to perform this move
+ * - requires: body fields that must be provided for this move
+ *
+ * Edit this map to change the workflow; everything else reads from it.
+ */
+export const TICKET_WORKFLOW = {
+  Created: [
+    { to: "Assigned", roles: ["admin", "employee"] },
+    { to: "Ongoing", roles: ["admin", "employee"] },
+    { to: "Closed", roles: ["admin"], requires: ["reason"] },
+  ],
+  Assigned: [
+    { to: "Ongoing", roles: ["admin", "employee", "freelancer"] },
+    { to: "Created", roles: ["admin"] },
+    { to: "Closed", roles: ["admin"], requires: ["reason"] },
+  ],
+  Ongoing: [
+    { to: "Pending with reviewer", roles: ["admin", "employee", "freelancer"] },
+    { to: "Pending with client", roles: ["admin", "employee"] },
+    { to: "Completed", roles: ["admin", "employee"] },
+  ],
+  "Pending with reviewer": [
+    { to: "Ongoing", roles: ["admin", "employee"], requires: ["reason"] },
+    { to: "Pending with client", roles: ["admin", "employee"] },
+    { to: "Completed", roles: ["admin", "employee"] },
+  ],
+  "Pending with client": [
+    { to: "Ongoing", roles: ["admin", "employee"], requires: ["reason"] },
+    { to: "Completed", roles: ["admin", "employee"] },
+  ],
+  Completed: [
+    { to: "Closed", roles: ["admin", "employee"] },
+    { to: "Ongoing", roles: ["admin", "employee"], requires: ["reason"] },
+  ],
+  Closed: [{ to: "Ongoing", roles: ["admin"], requires: ["reason"] }],
+};
+
+/**
+ * Get the moves a role may make from a status
+ * @param {string} currentStatus - Current ticket status
+ * @param {string} role - Role of the user making the change
+ * @returns {Array<{status: string, requires: string[]}>} Allowed next states
+ */
+export const getAllowedTransitions = (currentStatus, role) => {
+  const moves = TICKET_WORKFLOW[currentStatus] || [];
+
+  return moves
+    .filter((move) => move.roles.includes(role))
+    .map((move) => ({ status: move.to, requires: move.requires || [] }));
+};
+
+/**
+ * Validate a status change against the workflow
+ * @param {string} currentStatus - Current ticket status
+ * @param {string} nextStatus - Requested status
+ * @param {string} role - Role of the user making the change
+ * @param {Object} fields - Extra request fields (e.g. { reason })
+ * @returns {Object} { valid, code, message, allowed, missingFields }
+ */
+export const validateStatusTransition = (
+  currentStatus,
+  nextStatus,
+  role,
+  fields = {}
+) => {
+  const allowed = getAllowedTransitions(currentStatus, role);
+  const move = allowed.find((m) => m.status === nextStatus);
+
+  if (!move) {
+    return {
+      valid: false,
+      code: "INVALID_TRANSITION",
+      message: `Cannot move ticket from "${currentStatus}" to "${nextStatus}"`,
+      allowed: allowed.map((m) => m.status),
+    };
+  }
+
+  const missingFields = move.requires.filter(
+    (field) => !fields[field] || String(fields[field]).trim() === ""
+  );
+
+  if (missingFields.length > 0) {
+    return {
+      valid: false,
+      code: "MISSING_FIELDS",
+      message: `${missingFields.join(", ")} required to move ticket to "${nextStatus}"`,
+      allowed: allowed.map((m) => m.status),
+      missingFields,
+    };
+  }
+
+  return { valid: true, allowed: allowed.map((m) => m.status) };
+};
+
+export default {
+  TICKET_STATUSES,
+  TICKET_WORKFLOW,
+  getAllowedTransitions,
+  validateStatusTransition,
+};
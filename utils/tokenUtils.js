@@ -7,12 +7,24 @@ import jwt from "jsonwebtoken";
 import { supabaseAdmin } from "../config/supabase.js";
 
 /**
- * Generate access token (long-lived for better UX)
+ * "type" claim on refresh tokens - other tokens signed with the same secret
+ * (access tokens, 2FA challenges) must never pass as refresh tokens
+ */
+export const REFRESH_TOKEN_TYPE = "refresh";
+
+/**
+ * Access token lifetime (short-lived, backed by a server-side session)
+ * Env ACCESS_TOKEN_EXPIRES_IN, default 15m
+ */
+export const getAccessTokenExpiry = () => process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+
+/**
+ * Generate access token
  * @param {Object} payload - User data to include in token
- * @param {string} expiresIn - Token expiration time (default: 90d)
+ * @param {string} expiresIn - Token expiration time (default: ACCESS_TOKEN_EXPIRES_IN)
  * @returns {string} JWT access token
  */
-export const generateAccessToken = (payload, expiresIn = "90d") => {
+export const generateAccessToken = (payload, expiresIn = getAccessTokenExpiry()) => {
   return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
 };
 
@@ -24,7 +36,7 @@ export const generateAccessToken = (payload, expiresIn = "90d") => {
  */
 export const generateRefreshToken = (payload, expiresIn = "180d") => {
   return jwt.sign(
-    payload,
+    { ...payload, type: REFRESH_TOKEN_TYPE },
     process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
     { expiresIn }
   );
@@ -33,19 +45,22 @@ export const generateRefreshToken = (payload, expiresIn = "180d") => {
 /**
  * Generate both access and refresh tokens
  * @param {Object} user - User object
- * @param {boolean} rememberMe - Whether to extend token life
+ * @param {boolean} rememberMe - Whether to extend refresh token life
+ * @param {string} sessionId - user_sessions id, embedded as "sid"
  * @returns {Object} Object containing access and refresh tokens
  */
-export const generateTokenPair = (user, rememberMe = false) => {
+export const generateTokenPair = (user, rememberMe = false, sessionId = null) => {
   const payload = {
     userId: user.id,
     email: user.email,
     role: user.role,
     name: user.name,
+    ...(sessionId && { sid: sessionId }),
   };
 
-  // Access token - 90 days for better UX (users stay logged in)
-  const accessToken = generateAccessToken(payload, "90d");
+  // Access token - short-lived, revocation is enforced through the session
+  const accessToken = generateAccessToken(payload);
+  const { iat, exp } = jwt.decode(accessToken);
 
   // Refresh token - longer lived, extended if "remember me"
   const refreshTokenExpiry = rememberMe ? "365d" : "180d";
@@ -54,7 +69,7 @@ export const generateTokenPair = (user, rememberMe = false) => {
   return {
     accessToken,
     refreshToken,
-    expiresIn: 90 * 24 * 60 * 60, // 90 days in seconds
+    expiresIn: exp - iat, // in seconds
     refreshExpiresIn: rememberMe ? 365 * 24 * 60 * 60 : 180 * 24 * 60 * 60, // in seconds
   };
 };
@@ -75,15 +90,23 @@ export const verifyAccessToken = (token) => {
 
 /**
  * Verify refresh token
+ * Only session refresh tokens (type "refresh" with a sid) pass. Tokens from
+ * before sessions existed, access tokens and 2FA challenges are rejected -
+ * those users log in again.
  * @param {string} token - JWT refresh token
  * @returns {Object|null} Decoded token payload or null if invalid
  */
 export const verifyRefreshToken = (token) => {
   try {
-    return jwt.verify(
+    const decoded = jwt.verify(
       token,
       process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
     );
+
+    if (decoded.type !== REFRESH_TOKEN_TYPE || !decoded.sid) return null;
+    if (decoded.purpose || decoded.aud) return null;
+
+    return decoded;
   } catch (error) {
     console.error("Refresh token verification failed:", error.message);
     return null;
@@ -226,6 +249,8 @@ export const cleanupExpiredTokens = async () => {
 };
 
 export default {
+  REFRESH_TOKEN_TYPE,
+  getAccessTokenExpiry,
   generateAccessToken,
   generateRefreshToken,
   generateTokenPair,
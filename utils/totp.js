@@ -0,0 +1,168 @@
+import crypto from "crypto";
+
+/**
+ * TOTP (RFC 6238) / HOTP (RFC 4226)
+ * Pure functions - no DB, no network. Every time-based function takes `now`
+ * so codes can be generated and checked against a fixed clock.
+ *
+ * Defaults match Google Authenticator / Authy: SHA1, 6 digits, 30s step.
+ */
+
+export const TOTP_DIGITS = 6;
+export const TOTP_STEP_SECONDS = 30;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Base32 encode (RFC 4648, no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Base32 decode (case-insensitive, ignores spaces and padding)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random secret, base32 (160 bits as recommended by RFC 4226)
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * HOTP code for a counter
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @param {number} digits - Code length
+ * @returns {string} Zero-padded code
+ */
+export const generateHOTP = (secret, counter, digits = TOTP_DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+};
+
+/**
+ * Time step counter for a moment
+ * @param {Date|number} now - Date or epoch milliseconds
+ */
+export const getTotpCounter = (now = Date.now(), step = TOTP_STEP_SECONDS) =>
+  Math.floor(new Date(now).getTime() / 1000 / step);
+
+/**
+ * TOTP code at a moment
+ * @param {string} secret - Base32 secret
+ * @param {Date|number} now - Date or epoch milliseconds
+ * @returns {string}
+ */
+export const generateTOTP = (secret, now = Date.now()) =>
+  generateHOTP(secret, getTotpCounter(now));
+
+/**
+ * Check a TOTP code, allowing `window` steps of clock drift either side
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options
+ * @param {Date|number} options.now - Reference time
+ * @param {number} options.window - Steps of drift allowed (default 1 = ±30s)
+ * @param {number} options.afterCounter - Reject counters at or below this (replay protection)
+ * @returns {number|null} Matched counter, or null
+ */
+export const verifyTOTP = (secret, code, { now = Date.now(), window = 1, afterCounter = null } = {}) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const current = getTotpCounter(now);
+  const expected = Buffer.from(normalized);
+
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (afterCounter !== null && afterCounter !== undefined && counter <= afterCounter) continue;
+    if (crypto.timingSafeEqual(Buffer.from(generateHOTP(secret, counter)), expected)) {
+      return counter;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps (render as QR code on the client)
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.accountName - Usually the user's email
+ * @param {string} params.issuer - App name shown in the authenticator
+ * @returns {string}
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export default {
+  TOTP_DIGITS,
+  TOTP_STEP_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateHOTP,
+  getTotpCounter,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthUri,
+};
@@ -0,0 +1,233 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { supabaseAdmin } from "../config/supabase.js";
+import { verifyTOTP } from "./totp.js";
+
+/**
+ * Two-Factor Authentication
+ * TOTP 2FA for staff accounts, backup codes and the login challenge.
+ *
+ * users columns: two_factor_enabled, two_factor_required, two_factor_secret
+ * (encrypted), two_factor_pending_secret (encrypted, during enrollment),
+ * two_factor_enabled_at, two_factor_last_counter, two_factor_backup_codes
+ * ([{ hash, used_at }]).
+ */
+
+/**
+ * Roles that can enroll in 2FA
+ */
+export const TWO_FACTOR_ROLES = ["admin", "employee"];
+
+export const BACKUP_CODE_COUNT = 10;
+
+// Login challenge lifetime (password accepted, waiting for the code)
+const CHALLENGE_EXPIRES_IN = "5m";
+
+// Challenge tokens get their own audience so they are never accepted as
+// access / refresh tokens (same JWT_SECRET)
+const CHALLENGE_AUDIENCE = "two-factor-challenge";
+
+export const TWO_FACTOR_CHALLENGE_PURPOSES = {
+  LOGIN: "2fa_login", // enrolled - send a code to /2fa/login/verify
+  SETUP: "2fa_setup", // required but not enrolled - enroll via /2fa/login/setup
+};
+
+/**
+ * Issuer shown in authenticator apps (TWO_FACTOR_ISSUER, default "Medzen")
+ */
+export const getTwoFactorIssuer = () => process.env.TWO_FACTOR_ISSUER || "Medzen";
+
+/**
+ * Whether 2FA is mandatory for a user: set per user by an admin,
+ * or for the whole role via TWO_FACTOR_REQUIRED_ROLES (e.g. "admin,employee")
+ */
+export const isTwoFactorRequired = (user) => {
+  if (!TWO_FACTOR_ROLES.includes(user?.role)) return false;
+  if (user.two_factor_required) return true;
+
+  const requiredRoles = (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+    .split(",")
+    .map((role) => role.trim())
+    .filter(Boolean);
+
+  return requiredRoles.includes(user.role);
+};
+
+// Secrets are encrypted at rest (AES-256-GCM, key from TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET)
+const getEncryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || "")
+    .digest();
+
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64")).join(":");
+};
+
+export const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split(":").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+/**
+ * Hash a backup code (case and dashes ignored)
+ */
+export const hashBackupCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ""), "utf8")
+    .digest("hex");
+
+/**
+ * New set of one-time backup codes
+ * @returns {Object} { codes: plain codes (show once), stored: [{ hash, used_at }] }
+ */
+export const generateBackupCodes = (count = BACKUP_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    stored: codes.map((code) => ({ hash: hashBackupCode(code), used_at: null })),
+  };
+};
+
+/**
+ * Unused backup codes left
+ */
+export const countBackupCodes = (stored) =>
+  (Array.isArray(stored) ? stored : []).filter((entry) => !entry.used_at).length;
+
+/**
+ * Mark a backup code as used
+ * @param {Array} stored - users.two_factor_backup_codes
+ * @param {string} code - Code entered by the user
+ * @param {Date} now - Reference time
+ * @returns {Array|null} Updated list, or null if the code is not valid
+ */
+export const consumeBackupCode = (stored, code, now = new Date()) => {
+  const list = Array.isArray(stored) ? stored : [];
+  const hash = hashBackupCode(code);
+  const index = list.findIndex((entry) => entry.hash === hash && !entry.used_at);
+
+  if (index === -1) return null;
+
+  return list.map((entry, i) => (i === index ? { ...entry, used_at: now.toISOString() } : entry));
+};
+
+/**
+ * Check a TOTP code (or backup code) for a user with 2FA enabled and record it,
+ * so the same code can't be replayed. The write only succeeds against the
+ * values that were checked, so two parallel requests can't both use one code.
+ * @param {Object} user - users row
+ * @param {Object} input - { code } or { backupCode }
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { valid, method, backupCodesRemaining }
+ */
+export const verifyUserTwoFactor = async (user, { code, backupCode }, now = new Date()) => {
+  if (!user?.two_factor_enabled || !user.two_factor_secret) {
+    return { valid: false, method: null };
+  }
+
+  if (backupCode) {
+    const updated = consumeBackupCode(user.two_factor_backup_codes, backupCode, now);
+    if (!updated) return { valid: false, method: "backup_code" };
+
+    const { data: consumed, error } = await supabaseAdmin
+      .from("users")
+      .update({ two_factor_backup_codes: updated })
+      .eq("id", user.id)
+      .eq("two_factor_backup_codes", JSON.stringify(user.two_factor_backup_codes))
+      .select("id");
+
+    if (error || !consumed || consumed.length === 0) return { valid: false, method: "backup_code" };
+
+    console.log(`🔑 Backup code used by user ${user.id}`);
+    return { valid: true, method: "backup_code", backupCodesRemaining: countBackupCodes(updated) };
+  }
+
+  const counter = verifyTOTP(decryptSecret(user.two_factor_secret), code, {
+    now,
+    afterCounter: user.two_factor_last_counter,
+  });
+  if (counter === null) return { valid: false, method: "totp" };
+
+  const { data: recorded, error } = await supabaseAdmin
+    .from("users")
+    .update({ two_factor_last_counter: counter })
+    .eq("id", user.id)
+    .or(`two_factor_last_counter.is.null,two_factor_last_counter.lt.${counter}`)
+    .select("id");
+
+  if (error || !recorded || recorded.length === 0) return { valid: false, method: "totp" };
+
+  return {
+    valid: true,
+    method: "totp",
+    backupCodesRemaining: countBackupCodes(user.two_factor_backup_codes),
+  };
+};
+
+/**
+ * Login challenge after a correct password, or null when no second step is needed
+ * @param {Object} user - users row
+ * @param {boolean} rememberMe - Carried through to the session
+ * @returns {Object|null} { requiresTwoFactor | requiresTwoFactorSetup, challengeToken }
+ */
+export const createTwoFactorChallenge = (user, rememberMe = false) => {
+  const enabled = !!user.two_factor_enabled;
+  if (!enabled && !isTwoFactorRequired(user)) return null;
+
+  const purpose = enabled
+    ? TWO_FACTOR_CHALLENGE_PURPOSES.LOGIN
+    : TWO_FACTOR_CHALLENGE_PURPOSES.SETUP;
+
+  const challengeToken = jwt.sign(
+    { userId: user.id, purpose, rememberMe: !!rememberMe },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN, audience: CHALLENGE_AUDIENCE }
+  );
+
+  return enabled
+    ? { requiresTwoFactor: true, challengeToken }
+    : { requiresTwoFactorSetup: true, challengeToken };
+};
+
+/**
+ * Decode a login challenge token
+ * @param {string} token - challengeToken from the login response
+ * @param {string} purpose - Expected TWO_FACTOR_CHALLENGE_PURPOSES value
+ * @returns {Object|null} { userId, rememberMe } or null if invalid / expired
+ */
+export const verifyTwoFactorChallenge = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export default {
+  TWO_FACTOR_ROLES,
+  BACKUP_CODE_COUNT,
+  TWO_FACTOR_CHALLENGE_PURPOSES,
+  getTwoFactorIssuer,
+  isTwoFactorRequired,
+  encryptSecret,
+  decryptSecret,
+  hashBackupCode,
+  generateBackupCodes,
+  countBackupCodes,
+  consumeBackupCode,
+  verifyUserTwoFactor,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+};
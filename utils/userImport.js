@@ -0,0 +1,235 @@
+import ExcelJS from "exceljs";
+import { Readable } from "stream";
+import { supabaseAdmin } from "../config/supabase.js";
+import { isKnownRole } from "./permissions.js";
+
+/**
+ * Bulk User Import
+ * Parses an .xlsx / .csv of users, validates it row by row and builds the
+ * result report. Used by POST /api/admin/users/import.
+ *
+ * Columns (header row, any order, case-insensitive):
+ *   Name*, Email*, Role*, Phone, Department
+ */
+
+export const IMPORT_MAX_ROWS = 500;
+
+export const IMPORT_ROW_STATUS = {
+  VALID: "valid", // dry run: would be created
+  CREATED: "created",
+  ERROR: "error",
+};
+
+// Header aliases -> field
+const HEADER_ALIASES = {
+  name: "name",
+  "full name": "name",
+  email: "email",
+  "e-mail": "email",
+  "email address": "email",
+  role: "role",
+  "user type": "role",
+  type: "role",
+  phone: "phone",
+  "phone number": "phone",
+  mobile: "phone",
+  department: "department",
+};
+
+// Admins can't be bulk-imported
+const BUILT_IN_IMPORT_ROLES = ["client", "employee", "freelancer", "staff"];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^\+?[0-9]{10,15}$/;
+
+/**
+ * Whether an upload looks like a CSV (by extension or mime type)
+ */
+const isCsvFile = (file) =>
+  /\.csv$/i.test(file.originalname || "") || /csv/i.test(file.mimetype || "");
+
+/**
+ * Read the first worksheet of an uploaded file into plain rows
+ * @param {Object} file - multer file ({ buffer, originalname, mimetype })
+ * @returns {Promise<Object>} { rows: [{ rowNumber, name, email, role, phone, department }], missingColumns }
+ */
+export const parseImportFile = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (isCsvFile(file)) {
+    worksheet = await workbook.csv.read(Readable.from(file.buffer));
+  } else {
+    await workbook.xlsx.load(file.buffer);
+    worksheet = workbook.worksheets[0];
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    return { rows: [], missingColumns: ["name", "email", "role"] };
+  }
+
+  // Map column index -> field from the header row
+  const columns = {};
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    const field = HEADER_ALIASES[String(cell.text || "").trim().toLowerCase()];
+    if (field && !Object.values(columns).includes(field)) columns[colNumber] = field;
+  });
+
+  const missingColumns = ["name", "email", "role"].filter(
+    (field) => !Object.values(columns).includes(field)
+  );
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = { rowNumber, name: "", email: "", role: "", phone: "", department: "" };
+    Object.entries(columns).forEach(([colNumber, field]) => {
+      values[field] = String(row.getCell(Number(colNumber)).text || "").trim();
+    });
+
+    // Skip blank lines
+    if (values.name || values.email || values.role || values.phone || values.department) {
+      rows.push(values);
+    }
+  });
+
+  return { rows, missingColumns };
+};
+
+/**
+ * Validate rows: required fields, email / phone format, role, duplicates
+ * within the file and against existing users
+ * @param {Array} rows - From parseImportFile
+ * @returns {Promise<Array>} Rows with { status, errors, user } (user = columns to insert)
+ */
+export const validateImportRows = async (rows) => {
+  const emails = [...new Set(rows.map((r) => r.email.toLowerCase()).filter(Boolean))];
+
+  // Existing accounts (chunked to keep the query string short)
+  const existing = new Set();
+  for (let i = 0; i < emails.length; i += 100) {
+    const { data, error } = await supabaseAdmin
+      .from("users")
+      .select("email")
+      .in("email", emails.slice(i, i + 100));
+
+    if (error) throw error;
+    (data || []).forEach((u) => existing.add(String(u.email).toLowerCase()));
+  }
+
+  const seen = new Map();
+  const results = [];
+
+  for (const row of rows) {
+    const errors = [];
+    const email = row.email.toLowerCase();
+    const role = row.role.toLowerCase();
+    const phone = row.phone.replace(/[\s-()]/g, "");
+
+    if (!row.name) errors.push("Name is required");
+
+    if (!email) errors.push("Email is required");
+    else if (!EMAIL_REGEX.test(email)) errors.push("Invalid email format");
+    else if (existing.has(email)) errors.push("A user with this email already exists");
+    else if (seen.has(email)) errors.push(`Duplicate email (same as row ${seen.get(email)})`);
+
+    if (!role) errors.push("Role is required");
+    else if (role === "admin") errors.push("Admins cannot be imported");
+    else if (!BUILT_IN_IMPORT_ROLES.includes(role) && !(await isKnownRole(role))) {
+      errors.push(`Unknown role "${row.role}"`);
+    }
+
+    if (phone && !PHONE_REGEX.test(phone)) errors.push("Invalid phone number format");
+
+    if (email && !seen.has(email)) seen.set(email, row.rowNumber);
+
+    results.push({
+      ...row,
+      email,
+      role,
+      status: errors.length > 0 ? IMPORT_ROW_STATUS.ERROR : IMPORT_ROW_STATUS.VALID,
+      errors,
+      user:
+        errors.length > 0
+          ? null
+          : {
+              name: row.name,
+              email,
+              role,
+              phone: phone || null,
+              department: row.department || null,
+            },
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Totals per status
+ */
+export const summarizeImport = (results) => ({
+  total: results.length,
+  valid: results.filter((r) => r.status === IMPORT_ROW_STATUS.VALID).length,
+  created: results.filter((r) => r.status === IMPORT_ROW_STATUS.CREATED).length,
+  errors: results.filter((r) => r.status === IMPORT_ROW_STATUS.ERROR).length,
+});
+
+/**
+ * Per-row result report as an Excel workbook
+ * @returns {Promise<Buffer>}
+ */
+export const buildImportReport = async (results, { dryRun }) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(dryRun ? "Import Preview" : "Import Results");
+
+  worksheet.columns = [
+    { header: "Row", key: "rowNumber", width: 8 },
+    { header: "Name", key: "name", width: 25 },
+    { header: "Email", key: "email", width: 30 },
+    { header: "Role", key: "role", width: 15 },
+    { header: "Phone", key: "phone", width: 18 },
+    { header: "Department", key: "department", width: 20 },
+    { header: "Status", key: "status", width: 12 },
+    { header: "Details", key: "details", width: 50 },
+    { header: "User ID", key: "userId", width: 38 },
+  ];
+
+  // Style the header row
+  worksheet.getRow(1).fill = {
+    type: "pattern",
+    pattern: "solid",
+    fgColor: { argb: "FF4F81BD" },
+  };
+  worksheet.getRow(1).font = { bold: true, color: { argb: "FFFFFFFF" } };
+
+  results.forEach((result) => {
+    const row = worksheet.addRow({
+      rowNumber: result.rowNumber,
+      name: result.name,
+      email: result.email,
+      role: result.role,
+      phone: result.phone,
+      department: result.department,
+      status: result.status,
+      details: result.errors.join("; "),
+      userId: result.userId || "",
+    });
+
+    if (result.status === IMPORT_ROW_STATUS.ERROR) {
+      row.getCell("status").font = { bold: true, color: { argb: "FFC00000" } };
+    }
+  });
+
+  return workbook.xlsx.writeBuffer();
+};
+
+export default {
+  IMPORT_MAX_ROWS,
+  IMPORT_ROW_STATUS,
+  parseImportFile,
+  validateImportRows,
+  summarizeImport,
+  buildImportReport,
+};
@@ -0,0 +1,54 @@
+import { supabaseAdmin } from "../config/supabase.js";
+import { errorResponse } from "./responses.js";
+import { revokeSessions, disconnectSessionSockets } from "./sessions.js";
+
+/**
+ * User Status
+ * Deactivated users (users.deactivated_at set) keep their messages, ticket
+ * history and memberships but can't log in and are left out of pickers.
+ * Deactivation can be undone; anonymization (users.anonymized_at) can't.
+ */
+
+export const ACCOUNT_DEACTIVATED_CODE = "ACCOUNT_DEACTIVATED";
+
+/**
+ * Whether a users row is deactivated (anonymized users are always deactivated)
+ */
+export const isUserDeactivated = (user) => !!(user?.deactivated_at || user?.anonymized_at);
+
+/**
+ * 403 for login / refresh attempts by a deactivated user
+ */
+export const sendAccountDeactivated = (res) =>
+  errorResponse(res, "This account has been deactivated. Please contact an administrator.", 403, {
+    errorCode: ACCOUNT_DEACTIVATED_CODE,
+    needsRefresh: false,
+  });
+
+/**
+ * Sign a user out everywhere: revoke sessions, drop sockets, void pending OTPs
+ * @param {Object} io - Socket.IO server (req.app.get("io"))
+ * @param {string} userId - User ID
+ * @param {Object} options - { revokedBy, reason }
+ * @returns {Promise<Array>} Revoked session IDs
+ */
+export const signOutUserEverywhere = async (io, userId, { revokedBy = null, reason } = {}) => {
+  const revoked = await revokeSessions({ userId, revokedBy, reason });
+
+  disconnectSessionSockets(io, revoked);
+  if (io) {
+    io.to(`user:${userId}`).emit("account_deactivated", { reason });
+    io.in(`user:${userId}`).disconnectSockets(true);
+  }
+
+  await supabaseAdmin.from("otp_verifications").delete().eq("user_id", userId);
+
+  return revoked;
+};
+
+export default {
+  ACCOUNT_DEACTIVATED_CODE,
+  isUserDeactivated,
+  sendAccountDeactivated,
+  signOutUserEverywhere,
+};
@@ -4,6 +4,7 @@
  */
 
 import dotenv from "dotenv";
+import { renderPaymentMessage } from "./paymentStages.js";
 
 dotenv.config();
 
@@ -300,13 +301,16 @@ export const sendWhatsAppImage = async (phoneNumber, imageUrl, caption = "") =>
  * Send payment stage notification WhatsApp message to client
  * @param {string} phoneNumber - Client's phone number
  * @param {Object} ticketInfo - Ticket information
- * @param {string} stageName - Stage name: 'part_a', 'statistical_results', 'part_b'
+ * @param {string} stageName - Stage key (e.g. 'part_a', 'statistical_results', 'part_b')
+ * @param {Object} stageTemplate - Optional payment_stage_templates row
+ *   (message_template with {{placeholders}}, image_url, name, amount, currency)
  * @returns {Promise<Object>} API response
  */
 export const sendPaymentStageWhatsApp = async (
   phoneNumber,
   ticketInfo,
-  stageName
+  stageName,
+  stageTemplate = null
 ) => {
   try {
     // Website/Backend URL for images (defaulting to a placeholder if not set, 
@@ -316,8 +320,25 @@ export const sendPaymentStageWhatsApp = async (
     let message = "";
     let imageUrl = "";
 
-    // Specific templates based on user request
-    if (stageName === "part_a") {
+    if (stageTemplate?.message_template) {
+      // Admin-configured template
+      message = renderPaymentMessage(stageTemplate.message_template, {
+        ticketNumber: ticketInfo.ticketNumber,
+        uid: ticketInfo.uid,
+        title: ticketInfo.title,
+        clientName: ticketInfo.clientName,
+        stageName: stageTemplate.name,
+        amount: stageTemplate.amount,
+        currency: stageTemplate.currency,
+      });
+
+      // Relative image paths live under /api/assets/payment
+      if (stageTemplate.image_url) {
+        imageUrl = /^https?:\/\//i.test(stageTemplate.image_url)
+          ? stageTemplate.image_url
+          : `${backendUrl}/api/assets/payment/${stageTemplate.image_url.replace(/^\/+/, "")}`;
+      }
+    } else if (stageName === "part_a") {
       message = `Greetings from MedZen writes ! 
 
 Dear Author!
@@ -358,10 +379,10 @@ Stats for the thesis is completed.
 Please check out the Application for updates.
 If you are facing any issues please reach out to us on +91 9176365161.`;
     } else {
-      // Fallback or other future stages
+      // Stage without a template and no built-in message
       return {
         success: false,
-        error: "Invalid stage name",
+        error: "No message template configured for this stage",
       };
     }
 
@@ -392,6 +413,49 @@ If you are facing any issues please reach out to us on +91 9176365161.`;
   }
 };
 
+/**
+ * Send payment reminder WhatsApp message to client
+ * @param {string} phoneNumber - Client's phone number
+ * @param {Object} ticketInfo - Ticket information
+ * @param {string} stageName - Stage display name
+ * @param {string} amountText - Formatted amount due (optional)
+ * @returns {Promise<Object>} API response
+ */
+export const sendPaymentReminderWhatsApp = async (
+  phoneNumber,
+  ticketInfo,
+  stageName,
+  amountText = null
+) => {
+  try {
+    const { ticketNumber, title, uid, clientName } = ticketInfo;
+
+    const websiteUrl = process.env.WEBSITE_URL || "https://medzen-frontend.vercel.app/";
+
+    const message = `Greetings from MedZen writes!
+
+Dear ${clientName || "Author"}, this is a gentle reminder that the payment for *${stageName}* is still pending.
+
+📋 *Ticket:* ${ticketNumber || uid || "N/A"}
+📝 *Title:* ${title || "Untitled"}${amountText ? `
+💰 *Amount:* ${amountText}` : ""}
+
+Kindly complete the payment using the payment details shared earlier and upload the screenshot on the ticket.
+
+🔗 ${websiteUrl}
+
+If you have already paid or are facing any issues please reach out to us on +91 9176365161.`;
+
+    return await sendWhatsAppMessage(phoneNumber, message);
+  } catch (error) {
+    console.error("❌ Payment reminder WhatsApp error:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
 /**
  * Send welcome WhatsApp message to new client
  * @param {string} phoneNumber - Client's phone number
@@ -469,6 +533,7 @@ export default {
   sendWhatsAppImage,
   sendTicketStatusWhatsApp,
   sendPaymentStageWhatsApp,
+  sendPaymentReminderWhatsApp,
   sendWelcomeWhatsApp,
   testWhatsAppService,
 };
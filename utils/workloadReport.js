@@ -0,0 +1,307 @@
+import ExcelJS from "exceljs";
+import { supabaseAdmin } from "../config/supabase.js";
+import { TICKET_STATUSES } from "./ticketWorkflow.js";
+import { SLA_CLOSED_STATUSES } from "./ticketSla.js";
+import { TICKET_EVENT_TYPES } from "./ticketEvents.js";
+import { fetchAllIn } from "./queryPaging.js";
+
+/**
+ * Workload Report
+ * Per employee / freelancer: active tickets by status, tickets completed in
+ * a period, average Assigned -> Completed time (from ticket_events) and
+ * response time to client messages (from ticket_messages).
+ * Used by GET /api/admin/reports/workload.
+ */
+
+export const WORKLOAD_REPORT_ROLES = ["employee", "freelancer"];
+
+export const WORKLOAD_DEFAULT_PERIOD_DAYS = 30;
+
+// Statuses that count as "active" work
+export const WORKLOAD_ACTIVE_STATUSES = TICKET_STATUSES.filter(
+  (status) => !SLA_CLOSED_STATUSES.includes(status)
+);
+
+const average = (values) =>
+  values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const round1 = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+// ticket_events values are JSONB; status changes store the plain status string
+const eventStatus = (value) => (typeof value === "string" ? value : value?.status ?? null);
+
+/**
+ * Compute the workload report
+ * @param {Object} options
+ * @param {Date} options.from - Period start (completions and messages)
+ * @param {Date} options.to - Period end
+ * @param {Array} options.roles - Subset of WORKLOAD_REPORT_ROLES
+ * @param {Array} options.userIds - Limit to these users (optional)
+ * @returns {Promise<Object>} { period, users, totals }
+ */
+export const buildWorkloadReport = async ({
+  from,
+  to,
+  roles = WORKLOAD_REPORT_ROLES,
+  userIds = [],
+}) => {
+  const fromIso = from.toISOString();
+  const toIso = to.toISOString();
+
+  let usersQuery = supabaseAdmin
+    .from("users")
+    .select("id, name, email, role, department")
+    .in("role", roles)
+    .is("deactivated_at", null)
+    .order("name", { ascending: true });
+
+  if (userIds.length > 0) usersQuery = usersQuery.in("id", userIds);
+
+  const { data: staff, error: staffError } = await usersQuery;
+  if (staffError) throw staffError;
+
+  const rows = new Map(
+    (staff || []).map((user) => [
+      user.id,
+      {
+        user,
+        activeByStatus: Object.fromEntries(WORKLOAD_ACTIVE_STATUSES.map((s) => [s, 0])),
+        completed: 0,
+        cycleHours: [],
+        responseMinutes: [],
+      },
+    ])
+  );
+  const staffIds = [...rows.keys()];
+
+  // Ticket memberships of the staff in the report
+  const memberships = await fetchAllIn(staffIds, (ids) =>
+    supabaseAdmin
+      .from("ticket_members")
+      .select("ticket_id, user_id, added_at")
+      .in("user_id", ids)
+      .order("ticket_id", { ascending: true })
+      .order("id", { ascending: true })
+  );
+
+  const membersByTicket = new Map();
+  memberships.forEach((m) => {
+    if (!membersByTicket.has(m.ticket_id)) membersByTicket.set(m.ticket_id, []);
+    membersByTicket.get(m.ticket_id).push(m);
+  });
+  const ticketIds = [...membersByTicket.keys()];
+
+  const tickets = await fetchAllIn(ticketIds, (ids) =>
+    supabaseAdmin.from("tickets").select("id, status").in("id", ids).order("id", { ascending: true })
+  );
+
+  // 1. Active tickets by status
+  tickets.forEach((ticket) => {
+    if (!WORKLOAD_ACTIVE_STATUSES.includes(ticket.status)) return;
+    membersByTicket.get(ticket.id).forEach((m) => {
+      rows.get(m.user_id).activeByStatus[ticket.status] += 1;
+    });
+  });
+
+  // 2. Completions in the period + Assigned -> Completed time
+  const statusEvents = await fetchAllIn(ticketIds, (ids) =>
+    supabaseAdmin
+      .from("ticket_events")
+      .select("ticket_id, new_value, created_at")
+      .eq("event_type", TICKET_EVENT_TYPES.STATUS_CHANGED)
+      .in("ticket_id", ids)
+      .lte("created_at", toIso)
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true })
+  );
+
+  const eventsByTicket = new Map();
+  statusEvents.forEach((event) => {
+    if (!eventsByTicket.has(event.ticket_id)) eventsByTicket.set(event.ticket_id, []);
+    eventsByTicket.get(event.ticket_id).push(event);
+  });
+
+  eventsByTicket.forEach((events, ticketId) => {
+    let assignedAt = null;
+
+    events.forEach((event) => {
+      const status = eventStatus(event.new_value);
+
+      // Latest move to Assigned before each completion (tickets can be reopened)
+      if (status === "Assigned") assignedAt = event.created_at;
+      if (status !== "Completed") return;
+
+      const completedAt = new Date(event.created_at);
+      if (event.created_at >= fromIso) {
+        membersByTicket.get(ticketId).forEach((m) => {
+          if (m.added_at && new Date(m.added_at) > completedAt) return;
+
+          const row = rows.get(m.user_id);
+          row.completed += 1;
+
+          const start = assignedAt || m.added_at;
+          if (start) {
+            row.cycleHours.push(Math.max(0, completedAt - new Date(start)) / 3600000);
+          }
+        });
+      }
+
+      assignedAt = null;
+    });
+  });
+
+  // 3. Response time: client message -> first client-facing reply by staff
+  const messages = await fetchAllIn(ticketIds, (ids) =>
+    supabaseAdmin
+      .from("ticket_messages")
+      .select("ticket_id, sender_id, message_mode, created_at")
+      .in("ticket_id", ids)
+      .eq("is_deleted", false)
+      .gte("created_at", fromIso)
+      .lte("created_at", toIso)
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true })
+  );
+
+  const senderIds = [...new Set(messages.map((m) => m.sender_id).filter(Boolean))];
+  const senders = await fetchAllIn(senderIds, (ids) =>
+    supabaseAdmin.from("users").select("id, role").in("id", ids).order("id", { ascending: true })
+  );
+  const clientIds = new Set(senders.filter((u) => u.role === "client").map((u) => u.id));
+
+  const pendingSince = new Map(); // ticket_id -> oldest unanswered client message
+  messages.forEach((message) => {
+    if (clientIds.has(message.sender_id)) {
+      if (!pendingSince.has(message.ticket_id)) {
+        pendingSince.set(message.ticket_id, new Date(message.created_at));
+      }
+      return;
+    }
+
+    // Internal notes aren't answers to the client
+    if (message.message_mode === "internal" || !pendingSince.has(message.ticket_id)) return;
+
+    const row = rows.get(message.sender_id);
+    if (row) {
+      row.responseMinutes.push(
+        (new Date(message.created_at) - pendingSince.get(message.ticket_id)) / 60000
+      );
+    }
+    pendingSince.delete(message.ticket_id);
+  });
+
+  const users = [...rows.values()].map(
+    ({ user, activeByStatus, completed, cycleHours, responseMinutes }) => ({
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      department: user.department,
+      activeTickets: Object.values(activeByStatus).reduce((sum, n) => sum + n, 0),
+      activeByStatus,
+      completedTickets: completed,
+      avgAssignedToCompletedHours: round1(average(cycleHours)),
+      responses: responseMinutes.length,
+      avgResponseMinutes: round1(average(responseMinutes)),
+      medianResponseMinutes: round1(median(responseMinutes)),
+    })
+  );
+
+  return {
+    period: { from: fromIso, to: toIso },
+    users,
+    totals: {
+      users: users.length,
+      activeTickets: users.reduce((sum, u) => sum + u.activeTickets, 0),
+      completedTickets: users.reduce((sum, u) => sum + u.completedTickets, 0),
+    },
+  };
+};
+
+/**
+ * Workload report as an Excel workbook (same styling as the ticket export)
+ * @param {Object} report - From buildWorkloadReport
+ * @returns {Promise<Buffer>}
+ */
+export const buildWorkloadWorkbook = async (report) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "Medzen Innovations";
+  workbook.created = new Date();
+
+  const worksheet = workbook.addWorksheet("Workload");
+
+  worksheet.columns = [
+    { header: "Name", key: "name", width: 25 },
+    { header: "Email", key: "email", width: 30 },
+    { header: "Role", key: "role", width: 12 },
+    { header: "Department", key: "department", width: 18 },
+    { header: "Active Tickets", key: "activeTickets", width: 14 },
+    ...WORKLOAD_ACTIVE_STATUSES.map((status) => ({
+      header: status,
+      key: `status_${status}`,
+      width: Math.max(12, status.length + 2),
+    })),
+    { header: "Completed in Period", key: "completedTickets", width: 20 },
+    { header: "Avg Assigned → Completed (h)", key: "avgAssignedToCompletedHours", width: 28 },
+    { header: "Client Replies", key: "responses", width: 15 },
+    { header: "Avg Response (min)", key: "avgResponseMinutes", width: 20 },
+    { header: "Median Response (min)", key: "medianResponseMinutes", width: 22 },
+  ];
+
+  // Style the header row
+  worksheet.getRow(1).fill = {
+    type: "pattern",
+    pattern: "solid",
+    fgColor: { argb: "FF4F81BD" },
+  };
+  worksheet.getRow(1).font = { bold: true, color: { argb: "FFFFFFFF" } };
+
+  report.users.forEach(({ activeByStatus, ...user }) => {
+    worksheet.addRow({
+      ...user,
+      department: user.department || "N/A",
+      avgAssignedToCompletedHours: user.avgAssignedToCompletedHours ?? "N/A",
+      avgResponseMinutes: user.avgResponseMinutes ?? "N/A",
+      medianResponseMinutes: user.medianResponseMinutes ?? "N/A",
+      ...Object.fromEntries(
+        Object.entries(activeByStatus).map(([status, count]) => [`status_${status}`, count])
+      ),
+    });
+  });
+
+  // Borders on every cell
+  worksheet.eachRow((row) => {
+    row.eachCell((cell) => {
+      cell.border = {
+        top: { style: "thin" },
+        left: { style: "thin" },
+        bottom: { style: "thin" },
+        right: { style: "thin" },
+      };
+      cell.alignment = { vertical: "middle", wrapText: true };
+    });
+  });
+
+  // Period under the table
+  worksheet.addRow([]);
+  worksheet.addRow([
+    `Period: ${report.period.from.split("T")[0]} to ${report.period.to.split("T")[0]}`,
+  ]).font = { italic: true };
+
+  return workbook.xlsx.writeBuffer();
+};
+
+export default {
+  WORKLOAD_REPORT_ROLES,
+  WORKLOAD_DEFAULT_PERIOD_DAYS,
+  WORKLOAD_ACTIVE_STATUSES,
+  buildWorkloadReport,
+  buildWorkloadWorkbook,
+};